@@ -221,7 +221,7 @@ class SimpleEvaluator {
       });
 
       const data = await response.json();
-      this.log("✅ Job processing initiated", "success");
+      this.log("✅ Job queued for processing", "success");
       console.log(JSON.stringify(data, null, 2));
       return true;
     } catch (error) {
@@ -425,10 +425,10 @@ class SimpleEvaluator {
         await this.uploadTestDocument(jobId);
         await this.processJob(jobId);
 
-        // Wait a bit for processing
-        this.log("\n⏳ Waiting for job processing to complete...");
+        // Drain the job queue (processing happens outside the HTTP request)
+        this.log("\n⏳ Running job worker to drain the queue...");
         this.log("   This may take a few seconds...");
-        await new Promise((resolve) => setTimeout(resolve, 3000));
+        execSync("node worker.js --once", { stdio: "inherit" });
 
         // Check output files
         this.log("\n" + "=".repeat(60));
@@ -215,9 +215,9 @@ main() {
         echo "$process_response" | jq '.'
         echo ""
         
-        # Wait for processing
-        log_info "Waiting for job processing to complete..."
-        sleep 5
+        # Drain the job queue (processing happens outside the HTTP request)
+        log_info "Running job worker to drain the queue..."
+        node worker.js --once
         
         # Check job status
         log_info "Checking job status..."
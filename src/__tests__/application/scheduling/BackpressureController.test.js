@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { BackpressureController } from "../../../application/scheduling/BackpressureController.js";
+import { appConfig } from "../../../config/app.config.js";
+
+describe("BackpressureController", () => {
+  let controller;
+  let mockHealthStatusRepository;
+  let originalBackpressure;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    originalBackpressure = { ...appConfig.backpressure };
+    appConfig.backpressure.maxQueueSize = 10;
+    appConfig.backpressure.pressureThreshold = 0.5;
+    appConfig.backpressure.circuitBreakerThreshold = 0.8;
+    appConfig.backpressure.maxDelayMs = 300;
+    appConfig.backpressure.statusIntervalMs = 1000;
+    mockHealthStatusRepository = { save: vi.fn(async () => ({})) };
+    controller = new BackpressureController(mockHealthStatusRepository);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    appConfig.backpressure = originalBackpressure;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Admits documents one after another and returns their release functions
+   */
+  const admitMany = async (count) => {
+    const releases = [];
+    for (let i = 0; i < count; i++) {
+      releases.push(await controller.admit());
+    }
+    return releases;
+  };
+
+  it("should admit documents at once below the pressure threshold", async () => {
+    await admitMany(4);
+
+    expect(controller.getState()).toMatchObject({
+      inFlight: 4,
+      pressure: 0.4,
+      level: "normal",
+      circuit: "closed",
+    });
+    expect(controller.isUnderPressure()).toBe(false);
+  });
+
+  it("should delay admission in proportion to the pressure", async () => {
+    await admitMany(6);
+    expect(controller.isUnderPressure()).toBe(true);
+
+    let admitted = false;
+    controller.admit().then(() => (admitted = true));
+
+    await vi.advanceTimersByTimeAsync(99);
+    expect(admitted).toBe(false);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(admitted).toBe(true);
+  });
+
+  it("should hold admissions while the circuit is open", async () => {
+    const admitting = admitMany(8);
+    await vi.runAllTimersAsync();
+    const releases = await admitting;
+    expect(controller.getState()).toMatchObject({
+      level: "open",
+      circuit: "open",
+    });
+
+    let admitted = false;
+    controller.admit().then(() => (admitted = true));
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(admitted).toBe(false);
+    expect(controller.getState().blocked).toBe(1);
+
+    releases.slice(0, 4).forEach((release) => release());
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(admitted).toBe(true);
+    expect(controller.getState()).toMatchObject({
+      inFlight: 5,
+      circuit: "closed",
+      blocked: 0,
+    });
+  });
+
+  it("should publish level changes for the health endpoint", async () => {
+    const admitting = admitMany(8);
+    await vi.runAllTimersAsync();
+    await admitting;
+
+    const levels = mockHealthStatusRepository.save.mock.calls.map(
+      ([component, state]) => `${component}:${state.level}`
+    );
+    expect(levels).toContain("backpressure:throttled");
+    expect(levels).toContain("backpressure:open");
+  });
+
+  it("should ignore a release called twice", async () => {
+    const [release] = await admitMany(1);
+
+    release();
+    release();
+
+    expect(controller.getState().inFlight).toBe(0);
+  });
+});
@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { CircuitBreaker } from "../../../application/scheduling/CircuitBreaker.js";
+import { CircuitOpenError } from "../../../domain/errors/CircuitOpenError.js";
+import { SchemaCoercionError } from "../../../domain/errors/SchemaCoercionError.js";
+import { TimeoutError } from "../../../domain/errors/TimeoutError.js";
+import { appConfig } from "../../../config/app.config.js";
+
+describe("CircuitBreaker", () => {
+  let breaker;
+  let mockHealthStatusRepository;
+  let originalCircuitBreaker;
+
+  const succeed = () => breaker.execute(async () => "ok");
+  const fail = () =>
+    breaker
+      .execute(async () => {
+        throw new Error("Provider unavailable");
+      })
+      .catch((error) => error);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    originalCircuitBreaker = { ...appConfig.circuitBreaker };
+    appConfig.circuitBreaker.enabled = true;
+    appConfig.circuitBreaker.windowMs = 10000;
+    appConfig.circuitBreaker.minimumCalls = 4;
+    appConfig.circuitBreaker.failureRateThreshold = 0.5;
+    appConfig.circuitBreaker.cooldownMs = 5000;
+    appConfig.circuitBreaker.halfOpenMaxCalls = 1;
+    mockHealthStatusRepository = { save: vi.fn(async () => ({})) };
+    breaker = new CircuitBreaker(
+      "extractorProvider",
+      mockHealthStatusRepository
+    );
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    appConfig.circuitBreaker = originalCircuitBreaker;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("should open once the failure rate reaches the threshold", async () => {
+    await succeed();
+    await succeed();
+    await fail();
+    expect(breaker.getState().circuit).toBe("closed");
+
+    await fail();
+
+    expect(breaker.getState()).toMatchObject({
+      circuit: "open",
+      calls: 4,
+      failures: 2,
+      failureRate: 0.5,
+    });
+    expect(mockHealthStatusRepository.save).toHaveBeenCalledWith(
+      "extractorProvider",
+      expect.objectContaining({ circuit: "open" })
+    );
+  });
+
+  it("should not open before the minimum number of calls", async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    expect(breaker.getState().circuit).toBe("closed");
+  });
+
+  it("should only count calls inside the window", async () => {
+    await fail();
+    await fail();
+    await fail();
+    vi.advanceTimersByTime(10001);
+
+    await fail();
+
+    expect(breaker.getState()).toMatchObject({ circuit: "closed", calls: 1 });
+  });
+
+  it("should reject calls while open without calling through", async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail();
+    }
+    vi.advanceTimersByTime(1000);
+    const operation = vi.fn(async () => "ok");
+
+    const error = await breaker.execute(operation).catch((error) => error);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.retryAfterMs).toBe(4000);
+    expect(operation).not.toHaveBeenCalled();
+  });
+
+  it("should close after a successful trial call once the cooldown ends", async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail();
+    }
+    vi.advanceTimersByTime(5000);
+
+    await expect(succeed()).resolves.toBe("ok");
+
+    expect(breaker.getState()).toMatchObject({
+      circuit: "closed",
+      calls: 0,
+      openedAt: null,
+    });
+  });
+
+  it("should reopen when the trial call fails", async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail();
+    }
+    vi.advanceTimersByTime(5000);
+
+    await fail();
+
+    expect(breaker.getState().circuit).toBe("open");
+    expect(await breaker.execute(async () => "ok").catch((e) => e)).toEqual(
+      expect.objectContaining({ retryAfterMs: 5000 })
+    );
+  });
+
+  it("should hold further calls until the half-open trial settles", async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail();
+    }
+    vi.advanceTimersByTime(5000);
+    let finishTrial;
+    const trial = breaker.execute(
+      () => new Promise((resolve) => (finishTrial = resolve))
+    );
+    const operation = vi.fn(async () => "ok");
+    const waiting = breaker.execute(operation);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(breaker.getState().circuit).toBe("half-open");
+    expect(operation).not.toHaveBeenCalled();
+
+    finishTrial("ok");
+    await expect(trial).resolves.toBe("ok");
+    await expect(waiting).resolves.toBe("ok");
+    expect(breaker.getState().circuit).toBe("closed");
+  });
+
+  it("should reject held calls when the half-open trial fails", async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail();
+    }
+    vi.advanceTimersByTime(5000);
+    let failTrial;
+    const trial = breaker
+      .execute(() => new Promise((_, reject) => (failTrial = reject)))
+      .catch((error) => error);
+    const waiting = succeed().catch((error) => error);
+
+    await vi.advanceTimersByTimeAsync(0);
+    failTrial(new Error("Provider unavailable"));
+
+    expect((await trial).message).toBe("Provider unavailable");
+    expect(await waiting).toBeInstanceOf(CircuitOpenError);
+  });
+
+  it("should stay closed on permanent errors and caller aborts", async () => {
+    const rejectWith = (error, options) =>
+      breaker
+        .execute(async () => {
+          throw error;
+        }, options)
+        .catch((caught) => caught);
+    const controller = new AbortController();
+    controller.abort(new TimeoutError("document", 1000));
+
+    for (let i = 0; i < 3; i++) {
+      await rejectWith(new SchemaCoercionError("total_amount is not a number"));
+      await rejectWith(
+        Object.assign(new Error("Bad request"), { status: 400 })
+      );
+      await rejectWith(controller.signal.reason, { signal: controller.signal });
+    }
+    await fail();
+
+    expect(breaker.getState()).toMatchObject({
+      circuit: "closed",
+      calls: 7,
+      failures: 1,
+    });
+  });
+
+  it("should open when a hanging provider runs past every attempt timeout", async () => {
+    for (let i = 0; i < 4; i++) {
+      const controller = new AbortController();
+      const call = breaker
+        .execute(() => new Promise(() => {}), { signal: controller.signal })
+        .catch((error) => error);
+
+      controller.abort(new TimeoutError("extraction", 1000));
+
+      expect(await call).toBeInstanceOf(TimeoutError);
+    }
+
+    expect(breaker.getState()).toMatchObject({
+      circuit: "open",
+      calls: 4,
+      failures: 4,
+    });
+  });
+
+  it("should let a held call through when the trial is aborted", async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail();
+    }
+    vi.advanceTimersByTime(5000);
+    const controller = new AbortController();
+    const trial = breaker
+      .execute(
+        () =>
+          new Promise((_, reject) =>
+            controller.signal.addEventListener("abort", () =>
+              reject(controller.signal.reason)
+            )
+          ),
+        { signal: controller.signal }
+      )
+      .catch((error) => error);
+    const waiting = succeed();
+
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort(new TimeoutError("document", 1000));
+
+    expect(await trial).toBeInstanceOf(TimeoutError);
+    await expect(waiting).resolves.toBe("ok");
+    expect(breaker.getState().circuit).toBe("closed");
+  });
+
+  it("should call through directly when disabled", async () => {
+    appConfig.circuitBreaker.enabled = false;
+    for (let i = 0; i < 5; i++) {
+      await fail();
+    }
+
+    await expect(succeed()).resolves.toBe("ok");
+    expect(breaker.getState().circuit).toBe("closed");
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { FairScheduler } from "../../../application/scheduling/FairScheduler.js";
+import { appConfig } from "../../../config/app.config.js";
+
+describe("FairScheduler", () => {
+  let scheduler;
+  let originalWorkers;
+
+  beforeEach(() => {
+    scheduler = new FairScheduler();
+    originalWorkers = appConfig.concurrency.maxConcurrentWorkers;
+  });
+
+  afterEach(() => {
+    appConfig.concurrency.maxConcurrentWorkers = originalWorkers;
+  });
+
+  /**
+   * Queues tasks for several jobs behind a held slot and records the order
+   * in which the scheduler grants the remaining slots
+   */
+  const recordGrantOrder = async (tasksPerJob) => {
+    appConfig.concurrency.maxConcurrentWorkers = 1;
+    const order = [];
+    const blocker = await scheduler.acquire("blocker", "normal");
+
+    const runs = Object.entries(tasksPerJob).flatMap(([jobId, options]) =>
+      Array.from({ length: options.count }, () =>
+        scheduler.run(jobId, options.priority, async () => order.push(jobId))
+      )
+    );
+    blocker();
+    await Promise.all(runs);
+    return order;
+  };
+
+  it("should never exceed the global slot budget", async () => {
+    appConfig.concurrency.maxConcurrentWorkers = 2;
+    let running = 0;
+    let peak = 0;
+
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+    };
+
+    await Promise.all([
+      ...Array.from({ length: 5 }, () =>
+        scheduler.run("job-a", "normal", task)
+      ),
+      ...Array.from({ length: 5 }, () =>
+        scheduler.run("job-b", "normal", task)
+      ),
+    ]);
+
+    expect(peak).toBe(2);
+    expect(scheduler.getStats()).toMatchObject({ active: 0, waiting: 0 });
+  });
+
+  it("should interleave jobs of equal priority instead of draining the first", async () => {
+    const order = await recordGrantOrder({
+      big: { count: 4, priority: "normal" },
+      small: { count: 2, priority: "normal" },
+    });
+
+    expect(order.slice(0, 4)).toEqual(["big", "small", "big", "small"]);
+  });
+
+  it("should grant slots in proportion to priority weights", async () => {
+    const order = await recordGrantOrder({
+      low: { count: 6, priority: "low" },
+      high: { count: 6, priority: "high" },
+    });
+
+    const firstFive = order.slice(0, 5);
+    expect(firstFive.filter((jobId) => jobId === "high")).toHaveLength(4);
+    expect(firstFive.filter((jobId) => jobId === "low")).toHaveLength(1);
+  });
+
+  it("should release the slot when a task throws", async () => {
+    appConfig.concurrency.maxConcurrentWorkers = 1;
+
+    await expect(
+      scheduler.run("job-a", "normal", async () => {
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+
+    await expect(
+      scheduler.run("job-b", "normal", async () => "ok")
+    ).resolves.toBe("ok");
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { RetryPolicy } from "../../../application/scheduling/RetryPolicy.js";
+import { TimeoutError } from "../../../domain/errors/TimeoutError.js";
+import { SchemaCoercionError } from "../../../domain/errors/SchemaCoercionError.js";
+import { UnsupportedExtractionTypeError } from "../../../domain/errors/UnsupportedExtractionTypeError.js";
+import { appConfig } from "../../../config/app.config.js";
+
+const withStatus = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe("RetryPolicy", () => {
+  let policy;
+  let originalRetry;
+
+  beforeEach(() => {
+    originalRetry = { ...appConfig.retry };
+    appConfig.retry.maxRetries = 3;
+    appConfig.retry.initialBackoffMs = 100;
+    appConfig.retry.maxBackoffMs = 1000;
+    appConfig.retry.backoffMultiplier = 3;
+    appConfig.retry.jitterFactor = 0.2;
+    policy = new RetryPolicy();
+  });
+
+  afterEach(() => {
+    appConfig.retry = originalRetry;
+    vi.restoreAllMocks();
+  });
+
+  describe("classify", () => {
+    it.each([
+      [new TimeoutError("extraction", 100), true, "timeout"],
+      [withStatus(429), true, "rate_limit"],
+      [withStatus(408), true, "timeout"],
+      [withStatus(503), true, "server_error"],
+      [
+        Object.assign(new Error("reset"), { code: "ECONNRESET" }),
+        true,
+        "network",
+      ],
+      [
+        new SchemaCoercionError("Cannot convert 'x' to number"),
+        false,
+        "schema_coercion",
+      ],
+      [
+        new UnsupportedExtractionTypeError("poetry"),
+        false,
+        "unsupported_extraction_type",
+      ],
+      [withStatus(400), false, "client_error"],
+      [new Error("Something odd"), true, "unknown"],
+    ])("should classify %s", (error, retryable, reason) => {
+      expect(policy.classify(error)).toEqual({ retryable, reason });
+    });
+
+    it("should prefer an error's own retryable flag", () => {
+      const error = Object.assign(withStatus(503), { retryable: false });
+
+      expect(policy.classify(error)).toEqual({
+        retryable: false,
+        reason: "flagged",
+      });
+    });
+
+    it("should classify wrapped errors by their cause", () => {
+      const error = new Error("Extraction failed", {
+        cause: new SchemaCoercionError("Cannot convert 'x' to date"),
+      });
+
+      expect(policy.classify(error).retryable).toBe(false);
+    });
+  });
+
+  describe("shouldRetry", () => {
+    it("should retry retryable errors until maxRetries", () => {
+      const error = withStatus(503);
+
+      expect(policy.shouldRetry(error, 2)).toBe(true);
+      expect(policy.shouldRetry(error, 3)).toBe(false);
+    });
+
+    it("should never retry permanent errors", () => {
+      expect(policy.shouldRetry(withStatus(404), 0)).toBe(false);
+    });
+
+    it("should apply overrides over the retry config", () => {
+      const noRetries = new RetryPolicy({ maxRetries: 0 });
+
+      expect(noRetries.shouldRetry(withStatus(503), 0)).toBe(false);
+    });
+  });
+
+  describe("getDelayMs", () => {
+    it("should grow by the backoff multiplier up to maxBackoffMs", () => {
+      vi.spyOn(Math, "random").mockReturnValue(0.5);
+
+      expect([0, 1, 2, 3].map((attempt) => policy.getDelayMs(attempt))).toEqual(
+        [100, 300, 900, 1000]
+      );
+    });
+
+    it("should randomize the delay by the jitter factor", () => {
+      vi.spyOn(Math, "random").mockReturnValueOnce(0).mockReturnValueOnce(1);
+
+      expect(policy.getDelayMs(1)).toBe(240);
+      expect(policy.getDelayMs(1)).toBe(360);
+    });
+
+    it("should honour a longer retryAfterMs on the error", () => {
+      vi.spyOn(Math, "random").mockReturnValue(0.5);
+      const error = Object.assign(withStatus(429), { retryAfterMs: 5000 });
+
+      expect(policy.getDelayMs(0, error)).toBe(5000);
+    });
+  });
+});
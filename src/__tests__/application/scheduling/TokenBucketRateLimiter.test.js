@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { TokenBucketRateLimiter } from "../../../application/scheduling/TokenBucketRateLimiter.js";
+import { appConfig } from "../../../config/app.config.js";
+
+describe("TokenBucketRateLimiter", () => {
+  let limiter;
+  let originalConcurrency;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    originalConcurrency = { ...appConfig.concurrency };
+    appConfig.concurrency.rateLimitPerSecond = 10;
+    appConfig.concurrency.rateLimitBurst = 3;
+    appConfig.concurrency.providerRateLimits = {};
+    limiter = new TokenBucketRateLimiter();
+  });
+
+  afterEach(() => {
+    appConfig.concurrency = originalConcurrency;
+    vi.useRealTimers();
+  });
+
+  /**
+   * Starts acquisitions and records the time each one is granted
+   */
+  const acquireAll = (providers) => {
+    const grantedAt = [];
+    providers.forEach((provider, index) =>
+      limiter.acquire(provider).then(() => (grantedAt[index] = Date.now()))
+    );
+    return grantedAt;
+  };
+
+  it("should allow a burst and then refill at the configured rate", async () => {
+    const start = Date.now();
+    const grantedAt = acquireAll(["mock", "mock", "mock", "mock", "mock"]);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(grantedAt.filter(Boolean)).toHaveLength(3);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(grantedAt[3] - start).toBe(100);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(grantedAt[4] - start).toBe(200);
+  });
+
+  it("should apply per-provider limits on top of the global bucket", async () => {
+    appConfig.concurrency.providerRateLimits = {
+      slow: { rateLimitPerSecond: 1, rateLimitBurst: 1 },
+    };
+    const grantedAt = acquireAll(["slow", "slow", "fast", "fast"]);
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    // The second "slow" call waits for its own bucket without holding up "fast"
+    expect(grantedAt[0]).toBeDefined();
+    expect(grantedAt[1]).toBeUndefined();
+    expect(grantedAt[2]).toBeDefined();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(grantedAt[1]).toBeDefined();
+    expect(grantedAt[3]).toBeDefined();
+  });
+
+  it("should report wait metrics per provider", async () => {
+    acquireAll(["mock", "mock", "mock", "mock"]);
+    await vi.advanceTimersByTimeAsync(100);
+
+    const stats = limiter.getStats();
+    expect(stats.global).toMatchObject({ ratePerSecond: 10, burst: 3 });
+    expect(stats.waiting).toBe(0);
+    expect(stats.providers.mock).toMatchObject({
+      acquired: 4,
+      throttled: 1,
+      totalWaitMs: 100,
+      maxWaitMs: 100,
+      averageWaitMs: 25,
+    });
+  });
+});
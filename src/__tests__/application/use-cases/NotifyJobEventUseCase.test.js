@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NotifyJobEventUseCase } from "../../../application/use-cases/NotifyJobEventUseCase.js";
+import { Job } from "../../../domain/entities/Job.js";
+import { appConfig } from "../../../config/app.config.js";
+
+describe("NotifyJobEventUseCase", () => {
+  let useCase;
+  let mockNotifier;
+  let mockDeliveryRepository;
+  let mockJobQueue;
+  let job;
+  let originalWebhooks;
+
+  beforeEach(() => {
+    mockNotifier = { send: vi.fn(async () => ({ statusCode: 200 })) };
+    mockDeliveryRepository = { save: vi.fn(async (delivery) => delivery) };
+    mockJobQueue = { enqueue: vi.fn(async () => "msg-1") };
+    useCase = new NotifyJobEventUseCase(
+      mockNotifier,
+      mockDeliveryRepository,
+      mockJobQueue,
+      { findById: vi.fn(async () => job) }
+    );
+
+    job = new Job({
+      id: "job-1",
+      name: "Test Job",
+      status: "completed",
+      extractionConfig: {
+        type: "keywords",
+        webhooks: [
+          { url: "http://localhost:4000/all", secret: "s3cret" },
+          { url: "http://localhost:4000/failures", events: ["job.failed"] },
+        ],
+      },
+      metadata: { result: { processedDocuments: 2 } },
+    });
+
+    originalWebhooks = { ...appConfig.webhooks };
+    appConfig.webhooks.initialBackoffMs = 1;
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    appConfig.webhooks = originalWebhooks;
+    vi.restoreAllMocks();
+  });
+
+  // Delivers what execute queued, as the queue worker does
+  const notify = async (event) => {
+    await useCase.execute(job, event);
+    const [message] = mockJobQueue.enqueue.mock.calls.at(-1);
+    return await useCase.deliverEvent(message.jobId, message.payload);
+  };
+
+  it("should queue the event without delivering it", async () => {
+    const messageId = await useCase.execute(job, "job.completed");
+
+    expect(messageId).toBe("msg-1");
+    expect(mockNotifier.send).not.toHaveBeenCalled();
+    const [message] = mockJobQueue.enqueue.mock.calls[0];
+    expect(message).toMatchObject({
+      type: "notify",
+      jobId: "job-1",
+      payload: { event: "job.completed", job: { status: "completed" } },
+    });
+    expect(JSON.stringify(message)).not.toContain("s3cret");
+  });
+
+  it("should deliver the event only to subscribed webhooks", async () => {
+    const deliveries = await notify("job.completed");
+
+    expect(mockNotifier.send).toHaveBeenCalledTimes(1);
+    const [webhook, payload] = mockNotifier.send.mock.calls[0];
+    expect(webhook.url).toBe("http://localhost:4000/all");
+    expect(payload).toMatchObject({
+      event: "job.completed",
+      job: { id: "job-1", result: { processedDocuments: 2 } },
+    });
+    expect(JSON.stringify(payload)).not.toContain("s3cret");
+    expect(deliveries[0].status).toBe("delivered");
+    expect(mockDeliveryRepository.save).toHaveBeenCalledTimes(1);
+  });
+
+  it("should retry failed deliveries and log every attempt", async () => {
+    mockNotifier.send
+      .mockRejectedValueOnce(new Error("Webhook responded with 500"))
+      .mockResolvedValueOnce({ statusCode: 204 });
+
+    const [delivery] = await notify("job.completed");
+
+    expect(mockNotifier.send).toHaveBeenCalledTimes(2);
+    expect(delivery.status).toBe("delivered");
+    expect(delivery.attempts).toHaveLength(2);
+    expect(delivery.attempts[0].error).toBe("Webhook responded with 500");
+    expect(delivery.attempts[1].statusCode).toBe(204);
+  });
+
+  it("should mark the delivery failed after the last attempt without throwing", async () => {
+    appConfig.webhooks.maxAttempts = 2;
+    mockNotifier.send.mockRejectedValue(new Error("Connection refused"));
+
+    const deliveries = await notify("job.failed");
+
+    expect(deliveries).toHaveLength(2);
+    expect(deliveries.every((d) => d.status === "failed")).toBe(true);
+    expect(deliveries[0].attempts).toHaveLength(2);
+  });
+
+  it("should do nothing when the job has no webhooks", async () => {
+    job.extractionConfig = { type: "keywords" };
+
+    const messageId = await useCase.execute(job, "job.completed");
+
+    expect(messageId).toBeNull();
+    expect(mockJobQueue.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,782 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { ProcessJobUseCase } from "../../../application/use-cases/ProcessJobUseCase.js";
+import { Job } from "../../../domain/entities/Job.js";
+import { FairScheduler } from "../../../application/scheduling/FairScheduler.js";
+import { TokenBucketRateLimiter } from "../../../application/scheduling/TokenBucketRateLimiter.js";
+import { BackpressureController } from "../../../application/scheduling/BackpressureController.js";
+import { RetryPolicy } from "../../../application/scheduling/RetryPolicy.js";
+import { Document } from "../../../domain/entities/Document.js";
+import { DeadLetter } from "../../../domain/entities/DeadLetter.js";
+import { CircuitOpenError } from "../../../domain/errors/CircuitOpenError.js";
+import { SchemaCoercionError } from "../../../domain/errors/SchemaCoercionError.js";
+import { appConfig } from "../../../config/app.config.js";
+
+const createDocuments = (count) =>
+  Array.from(
+    { length: count },
+    (_, i) =>
+      new Document({ id: `doc-${i}`, name: `doc-${i}.txt`, content: "Hello" })
+  );
+
+describe("ProcessJobUseCase", () => {
+  let useCase;
+  let storedJob;
+  let documents;
+  let mockJobRepository;
+  let mockDocumentRepository;
+  let mockExtractorProvider;
+  let mockOutputService;
+  let mockDeadLetterRepository;
+  let mockJobProgressRepository;
+  let mockOutputManifestRepository;
+  let savedProgress;
+  let mockNotifyJobEventUseCase;
+  let originalWorkers;
+  let originalMaxRetries;
+  let originalInitialBackoffMs;
+  let originalErrorHandling;
+
+  beforeEach(() => {
+    documents = createDocuments(3);
+    storedJob = new Job({
+      id: "job-1",
+      name: "Test Job",
+      extractionConfig: { type: "keywords" },
+      status: "queued",
+      documentIds: documents.map((d) => d.id),
+    });
+
+    mockJobRepository = {
+      findById: vi.fn(async () => Job.fromJSON(storedJob.toJSON())),
+      save: vi.fn(async (job) => {
+        storedJob = Job.fromJSON(JSON.parse(JSON.stringify(job.toJSON())));
+        return job;
+      }),
+    };
+    mockDocumentRepository = {
+      findByIds: vi.fn(async () => documents),
+      save: vi.fn(async (document) => document),
+    };
+    mockExtractorProvider = {
+      extractKeywords: vi.fn(async () => ["hello"]),
+      getProviderInfo: vi.fn(() => ({ name: "Mock", version: "1.0.0" })),
+    };
+    mockOutputService = {
+      writeResult: vi.fn(async () => {}),
+      closeOutput: vi.fn(async () => null),
+      finalizeOutput: vi.fn(async (jobId) => ({
+        jobId,
+        status: "finalized",
+        format: "jsonl",
+        outputFiles: [],
+      })),
+      deleteOutput: vi.fn(async () => true),
+    };
+
+    mockDeadLetterRepository = {
+      save: vi.fn(async (deadLetter) => deadLetter),
+      findByJobId: vi.fn(async () => []),
+    };
+    savedProgress = [];
+    mockJobProgressRepository = {
+      save: vi.fn(async (progress) => {
+        savedProgress.push(progress.toJSON());
+        return progress;
+      }),
+    };
+
+    mockNotifyJobEventUseCase = { execute: vi.fn(async () => null) };
+    mockOutputManifestRepository = {
+      save: vi.fn(async (manifest) => manifest),
+      delete: vi.fn(async () => true),
+    };
+
+    useCase = new ProcessJobUseCase(
+      mockJobRepository,
+      mockDocumentRepository,
+      {},
+      mockExtractorProvider,
+      mockOutputService,
+      mockDeadLetterRepository,
+      mockJobProgressRepository,
+      mockNotifyJobEventUseCase,
+      new FairScheduler(),
+      new TokenBucketRateLimiter(),
+      new BackpressureController({ save: vi.fn(async () => ({})) }),
+      new RetryPolicy(),
+      mockOutputManifestRepository
+    );
+
+    originalWorkers = appConfig.concurrency.maxConcurrentWorkers;
+    originalMaxRetries = appConfig.retry.maxRetries;
+    originalInitialBackoffMs = appConfig.retry.initialBackoffMs;
+    originalErrorHandling = { ...appConfig.errorHandling };
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    appConfig.concurrency.maxConcurrentWorkers = originalWorkers;
+    appConfig.retry.maxRetries = originalMaxRetries;
+    appConfig.retry.initialBackoffMs = originalInitialBackoffMs;
+    appConfig.errorHandling = originalErrorHandling;
+    vi.restoreAllMocks();
+  });
+
+  describe("execute", () => {
+    it("should process all documents and complete the job", async () => {
+      const result = await useCase.execute("job-1");
+
+      expect(result.processedDocuments).toBe(3);
+      expect(result.failedDocuments).toBe(0);
+      expect(mockOutputService.writeResult).toHaveBeenCalledTimes(3);
+      expect(mockOutputService.writeResult).toHaveBeenCalledWith(
+        "job-1",
+        expect.objectContaining({ documentId: "doc-0", result: ["hello"] }),
+        {}
+      );
+      expect(mockOutputService.finalizeOutput).toHaveBeenCalledWith("job-1");
+      expect(result.outputMetadata).toMatchObject({
+        jobId: "job-1",
+        status: "finalized",
+      });
+      expect(storedJob.status).toBe("completed");
+      expect(
+        mockNotifyJobEventUseCase.execute.mock.calls.map(([, event]) => event)
+      ).toEqual(["job.started", "job.completed"]);
+    });
+
+    it("should write schema extraction results with the job's schema", async () => {
+      const schema = {
+        name: "Contact",
+        fields: [{ name: "email", type: "string" }],
+      };
+      storedJob.extractionConfig = { type: "schema", schema };
+      mockExtractorProvider.extractWithSchema = vi.fn(async () => ({
+        data: { email: "a@example.com" },
+      }));
+
+      await useCase.execute("job-1");
+
+      expect(mockOutputService.writeResult).toHaveBeenCalledWith(
+        "job-1",
+        expect.objectContaining({ documentId: "doc-0" }),
+        { schema: expect.objectContaining({ fields: schema.fields }) }
+      );
+    });
+
+    it("should report progress as documents finish", async () => {
+      appConfig.retry.maxRetries = 1;
+      appConfig.retry.initialBackoffMs = 1;
+      mockExtractorProvider.extractKeywords.mockRejectedValueOnce(
+        new Error("Temporary failure")
+      );
+
+      await useCase.execute("job-1");
+
+      expect(savedProgress[0]).toMatchObject({
+        totalDocuments: 3,
+        queuedDocuments: 3,
+        inFlightDocuments: 0,
+      });
+      expect(savedProgress[savedProgress.length - 1]).toMatchObject({
+        queuedDocuments: 0,
+        inFlightDocuments: 0,
+        completedDocuments: 3,
+        failedDocuments: 0,
+        retries: 1,
+        processedInRun: 3,
+        estimatedTimeRemainingMs: 0,
+      });
+      expect(savedProgress[savedProgress.length - 1].finishedAt).not.toBeNull();
+    });
+
+    it("should dead-letter documents that exhaust their retries", async () => {
+      appConfig.retry.maxRetries = 0;
+      mockExtractorProvider.extractKeywords.mockRejectedValueOnce(
+        new Error("Provider unavailable")
+      );
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.failedDocuments).toBe(1);
+      expect(mockDeadLetterRepository.save).toHaveBeenCalledTimes(1);
+      const [deadLetter] = mockDeadLetterRepository.save.mock.calls[0];
+      expect(deadLetter).toMatchObject({
+        jobId: "job-1",
+        documentId: "doc-0",
+        lastError: "Provider unavailable",
+        provider: { name: "Mock", version: "1.0.0" },
+        status: "pending",
+      });
+      expect(deadLetter.attempts).toHaveLength(1);
+      expect(deadLetter.attempts[0].error).toBe("Provider unavailable");
+    });
+
+    it("should skip jobs cancelled while queued", async () => {
+      storedJob.markCancelled("No longer needed");
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.skipped).toBe(true);
+      expect(mockDocumentRepository.findByIds).not.toHaveBeenCalled();
+      expect(storedJob.status).toBe("cancelled");
+    });
+
+    it("should stop between worker groups when cancelled mid-run", async () => {
+      appConfig.concurrency.maxConcurrentWorkers = 1;
+      mockExtractorProvider.extractKeywords.mockImplementationOnce(async () => {
+        storedJob.markCancelled("Stop please");
+        return ["hello"];
+      });
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.processedDocuments).toBe(1);
+      expect(result.pendingDocuments).toBe(2);
+      expect(documents[1].status).toBe("pending");
+      expect(mockOutputService.writeResult).toHaveBeenCalledTimes(1);
+      expect(mockOutputService.finalizeOutput).toHaveBeenCalled();
+      expect(storedJob.status).toBe("cancelled");
+      expect(storedJob.metadata.cancelReason).toBe("Stop please");
+      expect(storedJob.metadata.result.processedDocuments).toBe(1);
+    });
+
+    it("should keep the checkpoint and leave the output open when paused mid-run", async () => {
+      appConfig.concurrency.maxConcurrentWorkers = 1;
+      mockExtractorProvider.extractKeywords.mockImplementationOnce(async () => {
+        storedJob.markPaused();
+        return ["hello"];
+      });
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.status).toBe("paused");
+      expect(result.checkpoint.completedDocuments).toBe(1);
+      expect(mockOutputService.closeOutput).toHaveBeenCalledWith("job-1");
+      expect(mockOutputService.finalizeOutput).not.toHaveBeenCalled();
+      expect(storedJob.status).toBe("paused");
+      expect(storedJob.metadata.checkpoint.totalDocuments).toBe(3);
+    });
+
+    it("should not re-extract completed documents on resume", async () => {
+      documents[0].markProcessing();
+      documents[0].markCompleted(["earlier"]);
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(2);
+      expect(result.processedDocuments).toBe(3);
+      expect(result.resumedDocuments).toBe(1);
+      expect(
+        mockOutputService.writeResult.mock.calls.map(
+          ([, output]) => output.documentId
+        )
+      ).not.toContain("doc-0");
+      expect(mockOutputService.finalizeOutput).toHaveBeenCalledWith("job-1");
+    });
+  });
+
+  describe("error handling policy", () => {
+    beforeEach(() => {
+      appConfig.retry.maxRetries = 0;
+      appConfig.concurrency.maxConcurrentWorkers = 1;
+      mockExtractorProvider.extractKeywords.mockRejectedValueOnce(
+        new Error("Provider unavailable")
+      );
+    });
+
+    it("should fail the job once the error threshold is exceeded", async () => {
+      appConfig.errorHandling.errorThreshold = 0.1;
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(1);
+      expect(result.pendingDocuments).toBe(2);
+      expect(storedJob.status).toBe("failed");
+      expect(storedJob.metadata.error).toBe(
+        "Error threshold exceeded: 1 of 3 documents failed"
+      );
+      expect(storedJob.metadata.result.failedDocuments).toBe(1);
+      expect(
+        mockNotifyJobEventUseCase.execute.mock.calls.map(([, event]) => event)
+      ).toContain("job.failed");
+    });
+
+    it("should complete with errors when failures stay under the threshold", async () => {
+      appConfig.errorHandling.errorThreshold = 0.5;
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(3);
+      expect(result.failedDocuments).toBe(1);
+      expect(storedJob.status).toBe("completed_with_errors");
+      expect(mockOutputService.finalizeOutput).toHaveBeenCalled();
+    });
+
+    it("should stop on the first failure with failFast", async () => {
+      appConfig.errorHandling.errorThreshold = 1;
+      appConfig.errorHandling.failFast = true;
+
+      await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(1);
+      expect(storedJob.status).toBe("failed");
+    });
+
+    it("should not write incomplete output without partialResults", async () => {
+      appConfig.errorHandling.errorThreshold = 0.5;
+      appConfig.errorHandling.partialResults = false;
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockOutputService.finalizeOutput).not.toHaveBeenCalled();
+      expect(mockOutputService.deleteOutput).toHaveBeenCalledWith("job-1");
+      expect(mockOutputManifestRepository.delete).toHaveBeenCalledWith("job-1");
+      expect(result.outputMetadata).toBeNull();
+      expect(storedJob.status).toBe("completed_with_errors");
+    });
+
+    it("should save the manifest of the finalized output", async () => {
+      mockOutputService.finalizeOutput.mockResolvedValueOnce({
+        jobId: "job-1",
+        status: "finalized",
+        format: "jsonl",
+        compression: "gzip",
+        finalizedAt: "2024-01-01T00:00:02.000Z",
+        outputFiles: [
+          {
+            fileName: "results_job-1_shard_0000.jsonl.gz",
+            filePath: "output/job-1/results_job-1_shard_0000.jsonl.gz",
+            recordCount: 3,
+            size: 120,
+            sha256: "abc",
+            startedAt: "2024-01-01T00:00:00.000Z",
+            endedAt: "2024-01-01T00:00:01.000Z",
+          },
+        ],
+      });
+
+      await useCase.execute("job-1");
+
+      const [manifest] = mockOutputManifestRepository.save.mock.calls[0];
+      expect(manifest.toJSON()).toMatchObject({
+        jobId: "job-1",
+        totalShards: 1,
+        totalRecords: 3,
+        totalBytes: 120,
+        shards: [
+          {
+            fileName: "results_job-1_shard_0000.jsonl.gz",
+            format: "jsonl",
+            compression: "gzip",
+            recordCount: 3,
+            size: 120,
+            sha256: "abc",
+            startedAt: "2024-01-01T00:00:00.000Z",
+            endedAt: "2024-01-01T00:00:01.000Z",
+          },
+        ],
+      });
+    });
+  });
+
+  describe("retry policy", () => {
+    beforeEach(() => {
+      appConfig.retry.maxRetries = 3;
+      appConfig.retry.initialBackoffMs = 1;
+      appConfig.concurrency.maxConcurrentWorkers = 1;
+      appConfig.errorHandling.errorThreshold = 1;
+    });
+
+    it("should retry retryable errors and record every attempt", async () => {
+      mockExtractorProvider.extractKeywords.mockRejectedValueOnce(
+        Object.assign(new Error("Service unavailable"), { status: 503 })
+      );
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.failedDocuments).toBe(0);
+      expect(documents[0].metadata.attempts).toEqual([
+        expect.objectContaining({
+          attempt: 1,
+          outcome: "failed",
+          error: "Service unavailable",
+          errorType: "server_error",
+          retryable: true,
+          retryDelayMs: expect.any(Number),
+        }),
+        expect.objectContaining({ attempt: 2, outcome: "succeeded" }),
+      ]);
+      expect(documents[1].metadata.attempts).toHaveLength(1);
+    });
+
+    it("should not retry permanent errors", async () => {
+      mockExtractorProvider.extractKeywords.mockRejectedValueOnce(
+        new SchemaCoercionError("Cannot convert 'soon' to date")
+      );
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(3);
+      expect(result.failedDocuments).toBe(1);
+      expect(documents[0].metadata.attempts).toEqual([
+        expect.objectContaining({
+          outcome: "failed",
+          errorType: "schema_coercion",
+          retryable: false,
+          retryDelayMs: null,
+        }),
+      ]);
+      const [deadLetter] = mockDeadLetterRepository.save.mock.calls[0];
+      expect(deadLetter.attempts).toHaveLength(1);
+    });
+
+    it("should not retry unsupported extraction types", async () => {
+      storedJob.extractionConfig = { type: "poetry" };
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.failedDocuments).toBe(3);
+      expect(documents[0].metadata).toMatchObject({
+        error: "Unsupported extraction type: poetry",
+        attempts: [
+          expect.objectContaining({
+            errorType: "unsupported_extraction_type",
+          }),
+        ],
+      });
+    });
+  });
+
+  describe("timeouts", () => {
+    let originalBatching;
+    let originalExtraction;
+    let originalWorkerTimeoutMs;
+    const hang = () => new Promise(() => {});
+
+    beforeEach(() => {
+      originalBatching = { ...appConfig.batching };
+      originalExtraction = { ...appConfig.extraction };
+      originalWorkerTimeoutMs = appConfig.concurrency.workerTimeoutMs;
+      appConfig.retry.initialBackoffMs = 1;
+      appConfig.concurrency.maxConcurrentWorkers = 1;
+      appConfig.errorHandling.errorThreshold = 1;
+    });
+
+    afterEach(() => {
+      appConfig.batching = originalBatching;
+      appConfig.extraction = originalExtraction;
+      appConfig.concurrency.workerTimeoutMs = originalWorkerTimeoutMs;
+    });
+
+    it("should pass an abort signal to the provider", async () => {
+      await useCase.execute("job-1");
+
+      const [, options] = mockExtractorProvider.extractKeywords.mock.calls[0];
+      expect(options.signal).toBeInstanceOf(AbortSignal);
+      expect(options.signal.aborted).toBe(false);
+    });
+
+    it("should abort and retry an extraction attempt that times out", async () => {
+      appConfig.extraction.maxExtractionTimeMs = 20;
+      appConfig.retry.maxRetries = 1;
+      mockExtractorProvider.extractKeywords.mockImplementationOnce(hang);
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.failedDocuments).toBe(0);
+      expect(storedJob.status).toBe("completed");
+      const [, options] = mockExtractorProvider.extractKeywords.mock.calls[0];
+      expect(options.signal.aborted).toBe(true);
+      expect(options.signal.reason.message).toBe(
+        "Extraction timed out after 20ms"
+      );
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(4);
+    });
+
+    it("should requeue a document whose time is up and run it again", async () => {
+      appConfig.extraction.maxExtractionTimeMs = 0;
+      appConfig.concurrency.workerTimeoutMs = 30;
+      appConfig.retry.maxRetries = 3;
+      mockExtractorProvider.extractKeywords.mockImplementationOnce(hang);
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.processedDocuments).toBe(3);
+      expect(result.failedDocuments).toBe(0);
+      expect(storedJob.status).toBe("completed");
+      expect(documents[0].status).toBe("completed");
+      expect(documents[0].metadata.requeues).toBe(1);
+      expect(documents[0].metadata.attempts[0]).toMatchObject({
+        timedOut: true,
+      });
+      expect(mockDeadLetterRepository.save).not.toHaveBeenCalled();
+    });
+
+    it("should fail a document once its requeues are spent", async () => {
+      appConfig.extraction.maxExtractionTimeMs = 0;
+      appConfig.concurrency.workerTimeoutMs = 30;
+      appConfig.retry.maxRetries = 1;
+      // The requeued document runs again after the rest of the job
+      mockExtractorProvider.extractKeywords
+        .mockImplementationOnce(hang)
+        .mockResolvedValueOnce(["hello"])
+        .mockResolvedValueOnce(["hello"])
+        .mockImplementationOnce(hang);
+
+      const result = await useCase.execute("job-1");
+
+      expect(result.failedDocuments).toBe(1);
+      expect(documents[0].metadata.error).toBe("Document timed out after 30ms");
+      const [deadLetter] = mockDeadLetterRepository.save.mock.calls[0];
+      expect(deadLetter.attempts).toHaveLength(1);
+      expect(deadLetter.attempts[0]).toMatchObject({ timedOut: true });
+    });
+
+    it("should requeue the documents a timed-out batch has not started", async () => {
+      appConfig.batching.batchTimeoutMs = 30;
+      appConfig.retry.maxRetries = 0;
+      mockExtractorProvider.extractKeywords.mockImplementationOnce(hang);
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(3);
+      expect(result.failedDocuments).toBe(1);
+      expect(documents.map((document) => document.status)).toEqual([
+        "failed",
+        "completed",
+        "completed",
+      ]);
+      expect(documents[0].metadata.error).toBe("Batch timed out after 30ms");
+    });
+
+    it("should not count time spent waiting for a worker slot", async () => {
+      appConfig.batching.batchTimeoutMs = 30;
+      appConfig.concurrency.workerTimeoutMs = 30;
+      appConfig.retry.maxRetries = 0;
+      const scheduler = new FairScheduler();
+      useCase.scheduler = scheduler;
+      // Another job holds the only slot past both time limits
+      const otherJob = scheduler.run(
+        "job-2",
+        "normal",
+        () => new Promise((resolve) => setTimeout(resolve, 60))
+      );
+
+      const result = await useCase.execute("job-1");
+      await otherJob;
+
+      expect(result.processedDocuments).toBe(3);
+      expect(result.failedDocuments).toBe(0);
+      expect(documents.every((d) => d.status === "completed")).toBe(true);
+    });
+  });
+
+  describe("open provider circuit", () => {
+    let originalCircuitBreaker;
+
+    beforeEach(() => {
+      originalCircuitBreaker = { ...appConfig.circuitBreaker };
+      appConfig.retry.maxRetries = 3;
+      appConfig.concurrency.maxConcurrentWorkers = 1;
+      mockExtractorProvider.extractKeywords
+        .mockResolvedValueOnce(["hello"])
+        .mockRejectedValue(new CircuitOpenError("extractorProvider", 30000));
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      appConfig.circuitBreaker = originalCircuitBreaker;
+    });
+
+    it("should pause the job until the circuit cooldown ends", async () => {
+      appConfig.circuitBreaker.onOpen = "pause";
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(2);
+      expect(result.status).toBe("paused");
+      expect(new Date(result.resumeAt).getTime()).toBeGreaterThan(Date.now());
+      expect(result.checkpoint).toMatchObject({
+        completedDocuments: 1,
+        failedDocuments: 0,
+      });
+      expect(documents[1].status).toBe("pending");
+      expect(mockDeadLetterRepository.save).not.toHaveBeenCalled();
+      expect(mockOutputService.finalizeOutput).not.toHaveBeenCalled();
+      expect(storedJob.status).toBe("paused");
+      expect(storedJob.metadata.pauseReason).toBe(
+        "Extractor provider circuit open"
+      );
+    });
+
+    it("should fail the job fast when configured to", async () => {
+      appConfig.circuitBreaker.onOpen = "fail";
+
+      const result = await useCase.execute("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(2);
+      expect(result.failedDocuments).toBe(0);
+      expect(result.pendingDocuments).toBe(2);
+      expect(storedJob.status).toBe("failed");
+      expect(storedJob.metadata.error).toMatch(
+        /^Extractor provider unavailable: Circuit extractorProvider is open/
+      );
+    });
+
+    it("should resume a job paused by the circuit", async () => {
+      appConfig.circuitBreaker.onOpen = "pause";
+      await useCase.execute("job-1");
+      mockExtractorProvider.extractKeywords.mockResolvedValue(["hello"]);
+
+      const result = await useCase.resumePausedJob("job-1");
+
+      expect(result.processedDocuments).toBe(3);
+      expect(result.resumedDocuments).toBe(1);
+      expect(storedJob.status).toBe("completed");
+      expect(storedJob.metadata.resumeAt).toBeUndefined();
+    });
+
+    it("should not resume a job paused by request", async () => {
+      storedJob.markPaused();
+
+      const result = await useCase.resumePausedJob("job-1");
+
+      expect(result).toMatchObject({ status: "paused", skipped: true });
+      expect(mockExtractorProvider.extractKeywords).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("retryFailedDocuments", () => {
+    beforeEach(() => {
+      documents.forEach((document) => document.markProcessing());
+      documents[0].markCompleted(["done"]);
+      documents[1].markFailed("Provider timeout");
+      documents[2].markFailed("Provider timeout");
+      storedJob.markProcessing();
+      storedJob.markCompleted({ processedDocuments: 1, failedDocuments: 2 });
+      storedJob.markQueued();
+    });
+
+    it("should reprocess only failed documents and append the results", async () => {
+      const result = await useCase.retryFailedDocuments("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(2);
+      expect(
+        mockOutputService.writeResult.mock.calls.map(
+          ([, output]) => output.documentId
+        )
+      ).toEqual(["doc-1", "doc-2"]);
+      expect(mockOutputService.finalizeOutput).toHaveBeenCalledWith("job-1");
+      expect(mockOutputService.deleteOutput).not.toHaveBeenCalled();
+      expect(result.processedDocuments).toBe(3);
+      expect(result.failedDocuments).toBe(0);
+      expect(documents[1].metadata.error).toBeUndefined();
+      expect(storedJob.status).toBe("completed");
+      expect(storedJob.metadata.retries).toHaveLength(1);
+    });
+
+    it("should write the full output once complete without partialResults", async () => {
+      appConfig.errorHandling.partialResults = false;
+
+      await useCase.retryFailedDocuments("job-1");
+
+      expect(
+        mockOutputService.writeResult.mock.calls.map(
+          ([, output]) => output.documentId
+        )
+      ).toEqual(["doc-1", "doc-2", "doc-0"]);
+      expect(mockOutputService.writeResult).toHaveBeenLastCalledWith(
+        "job-1",
+        expect.objectContaining({ result: ["done"], resumed: true }),
+        {}
+      );
+      expect(mockOutputService.finalizeOutput).toHaveBeenCalledWith("job-1");
+    });
+
+    it("should only retry the requested documents", async () => {
+      const result = await useCase.retryFailedDocuments("job-1", {
+        documentIds: ["doc-2"],
+      });
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(1);
+      expect(documents[1].status).toBe("failed");
+      expect(documents[2].status).toBe("completed");
+      expect(result.failedDocuments).toBe(1);
+    });
+
+    it("should apply the extraction config override to the retry only", async () => {
+      mockExtractorProvider.generateSummary = vi.fn(async () => "summary");
+
+      await useCase.retryFailedDocuments("job-1", {
+        extractionConfig: { type: "summary" },
+      });
+
+      expect(mockExtractorProvider.generateSummary).toHaveBeenCalledTimes(2);
+      expect(mockExtractorProvider.extractKeywords).not.toHaveBeenCalled();
+      expect(storedJob.extractionConfig.type).toBe("keywords");
+      expect(storedJob.metadata.retries[0].extractionConfig).toEqual({
+        type: "summary",
+      });
+    });
+
+    it("should mark the pending dead letters of retried documents redriven", async () => {
+      const deadLetters = ["doc-1", "doc-2"].map(
+        (documentId) =>
+          new DeadLetter({ id: `dl-${documentId}`, jobId: "job-1", documentId })
+      );
+      mockDeadLetterRepository.findByJobId.mockResolvedValue(deadLetters);
+
+      await useCase.retryFailedDocuments("job-1", { documentIds: ["doc-2"] });
+
+      expect(mockDeadLetterRepository.findByJobId).toHaveBeenCalledWith(
+        "job-1",
+        { status: "pending" }
+      );
+      expect(deadLetters.map((deadLetter) => deadLetter.status)).toEqual([
+        "pending",
+        "redriven",
+      ]);
+      expect(mockDeadLetterRepository.save).toHaveBeenCalledWith(
+        deadLetters[1]
+      );
+    });
+
+    it("should also process documents a failed job never ran", async () => {
+      // The job stopped at its error threshold before doc-2 started
+      documents = createDocuments(3);
+      documents[0].markProcessing();
+      documents[0].markCompleted(["done"]);
+      documents[1].markProcessing();
+      documents[1].markFailed("Provider timeout");
+      storedJob = new Job({
+        id: "job-1",
+        name: "Test Job",
+        extractionConfig: { type: "keywords" },
+        status: "processing",
+        documentIds: documents.map((d) => d.id),
+      });
+      storedJob.markFailed("Error threshold exceeded", {
+        processedDocuments: 1,
+        failedDocuments: 1,
+      });
+      storedJob.markQueued();
+
+      const result = await useCase.retryFailedDocuments("job-1");
+
+      expect(mockExtractorProvider.extractKeywords).toHaveBeenCalledTimes(2);
+      expect(documents.map((document) => document.status)).toEqual([
+        "completed",
+        "completed",
+        "completed",
+      ]);
+      expect(result).toMatchObject({
+        processedDocuments: 3,
+        failedDocuments: 0,
+        pendingDocuments: 0,
+      });
+      expect(storedJob.status).toBe("completed");
+      expect(storedJob.metadata.retries[0].retriedDocuments).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { QueryJobResultsUseCase } from "../../../application/use-cases/QueryJobResultsUseCase.js";
+import { ResultQuery } from "../../../domain/entities/ResultQuery.js";
+import { LocalOutputService } from "../../../infrastructure/adapters/LocalOutputService.js";
+import { appConfig } from "../../../config/app.config.js";
+
+const invoice = (i, total, confidence) => ({
+  documentId: `doc-${i}`,
+  result: { data: { total_amount: total }, confidence },
+});
+
+describe("QueryJobResultsUseCase", () => {
+  let useCase;
+  let shards;
+  let mockOutputService;
+
+  beforeEach(() => {
+    shards = [
+      [invoice(0, 1500, 0.7), invoice(1, 200, 0.5)],
+      [invoice(2, 3000, 0.6), invoice(3, 1200, 0.9)],
+      [invoice(4, 1100, 0.75)],
+    ];
+    mockOutputService = {
+      iterateResults: vi.fn(async function* (jobId, options = {}) {
+        const { shard: first = 0, record: start = 0 } = options.cursor || {};
+        for (let shard = first; shard < shards.length; shard++) {
+          const records = shards[shard];
+          for (
+            let record = shard === first ? start : 0;
+            record < records.length;
+            record++
+          ) {
+            const last = record === records.length - 1;
+            yield {
+              result: records[record],
+              cursor: !last
+                ? { shard, record: record + 1 }
+                : shard === shards.length - 1
+                ? null
+                : { shard: shard + 1, record: 0 },
+            };
+          }
+        }
+      }),
+    };
+    useCase = new QueryJobResultsUseCase(mockOutputService);
+  });
+
+  const query = (params) => {
+    const resultQuery = new ResultQuery({
+      filter: [
+        { field: "total_amount", op: "gt", value: 1000 },
+        { field: "confidence", op: "lt", value: 0.8 },
+      ],
+      ...params,
+    });
+    resultQuery.validate();
+    return resultQuery;
+  };
+
+  it("should page through unsorted matches with a cursor", async () => {
+    const first = await useCase.execute("job-1", query(), { limit: 2 });
+    const second = await useCase.execute("job-1", query(), {
+      limit: 2,
+      cursor: first.nextCursor,
+    });
+
+    expect(first.results.map((r) => r.documentId)).toEqual(["doc-0", "doc-2"]);
+    expect(first.nextCursor).toEqual({ shard: 1, record: 1 });
+    expect(first.scannedResults).toBe(3);
+    expect(second.results.map((r) => r.documentId)).toEqual(["doc-4"]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it("should sort matches across shards and page with offset", async () => {
+    const sorted = query({
+      sort: [{ field: "total_amount", order: "desc" }],
+      fields: ["documentId", "total_amount"],
+    });
+
+    const first = await useCase.execute("job-1", sorted, { limit: 2 });
+    const second = await useCase.execute("job-1", sorted, {
+      limit: 2,
+      offset: 2,
+    });
+
+    expect(first.results).toEqual([
+      { documentId: "doc-2", total_amount: 3000 },
+      { documentId: "doc-0", total_amount: 1500 },
+    ]);
+    expect(first.nextOffset).toBe(2);
+    expect(first.scannedResults).toBe(5);
+    expect(second.results).toEqual([
+      { documentId: "doc-4", total_amount: 1100 },
+    ]);
+    expect(second.nextOffset).toBeNull();
+  });
+
+  describe.each(["jsonl", "json", "csv", "parquet"])(
+    "over %s output shards",
+    (format) => {
+      let outputDir;
+      let originalOutput;
+
+      beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "output-"));
+        originalOutput = { ...appConfig.output };
+        appConfig.output.outputDirectory = outputDir;
+        appConfig.output.outputFormat = format;
+        appConfig.output.compressionEnabled = false;
+        appConfig.output.shardSize = 2;
+
+        const outputService = new LocalOutputService();
+        const schema = { fields: [{ name: "total_amount", type: "number" }] };
+        for (const records of shards) {
+          for (const record of records) {
+            await outputService.writeResult("job-1", record, { schema });
+          }
+        }
+        await outputService.finalizeOutput("job-1");
+        useCase = new QueryJobResultsUseCase(outputService);
+      });
+
+      afterEach(async () => {
+        appConfig.output = originalOutput;
+        await fs.rm(outputDir, { recursive: true, force: true });
+      });
+
+      it("should filter, sort and project the stored results", async () => {
+        const page = await useCase.execute(
+          "job-1",
+          query({
+            sort: [{ field: "total_amount", order: "asc" }],
+            fields: ["documentId", "confidence"],
+          }),
+          { limit: 10 }
+        );
+
+        expect(page.scannedResults).toBe(5);
+        expect(page.results.map((result) => result.documentId)).toEqual([
+          "doc-4",
+          "doc-0",
+          "doc-2",
+        ]);
+        expect(Number(page.results[0].confidence)).toBe(0.75);
+      });
+    }
+  );
+});
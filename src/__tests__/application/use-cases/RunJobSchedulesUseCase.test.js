@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { RunJobSchedulesUseCase } from "../../../application/use-cases/RunJobSchedulesUseCase.js";
+import { JobSchedule } from "../../../domain/entities/JobSchedule.js";
+import { Job } from "../../../domain/entities/Job.js";
+
+describe("RunJobSchedulesUseCase", () => {
+  const now = new Date("2024-03-10T02:00:30.000Z");
+  let useCase;
+  let schedule;
+  let savedJobs;
+  let savedDocuments;
+  let mockJobScheduleRepository;
+  let mockJobRepository;
+  let mockDocumentRepository;
+  let mockStorageService;
+  let mockJobQueue;
+
+  beforeEach(() => {
+    schedule = new JobSchedule({
+      id: "schedule-1",
+      name: "Nightly invoices",
+      cron: "0 2 * * *",
+      extractionConfig: { type: "schema", schemaType: "invoice" },
+      priority: "low",
+      source: { bucket: "inbox", prefix: "invoice-" },
+      nextRunAt: "2024-03-10T02:00:00.000Z",
+    });
+    savedJobs = new Map();
+    savedDocuments = new Map();
+
+    mockJobScheduleRepository = {
+      findAll: vi.fn(async () => [schedule]),
+      save: vi.fn(async (s) => s),
+    };
+    mockJobRepository = {
+      findById: vi.fn(async (id) => savedJobs.get(id) || null),
+      save: vi.fn(async (job) => {
+        savedJobs.set(job.id, job);
+        return job;
+      }),
+      delete: vi.fn(async (id) => savedJobs.delete(id)),
+    };
+    mockDocumentRepository = {
+      save: vi.fn(async (document) => {
+        savedDocuments.set(document.id, document);
+        return document;
+      }),
+      delete: vi.fn(async (id) => savedDocuments.delete(id)),
+    };
+    mockStorageService = {
+      listFiles: vi.fn(async () => [
+        "inbox/invoice-1.txt",
+        "inbox/invoice-2.txt",
+      ]),
+      readFile: vi.fn(async (fileName) => `Contents of ${fileName}`),
+    };
+    mockJobQueue = { enqueue: vi.fn(async () => "message-1") };
+
+    useCase = new RunJobSchedulesUseCase(
+      mockJobScheduleRepository,
+      mockJobRepository,
+      mockDocumentRepository,
+      mockStorageService,
+      mockJobQueue
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("should create and queue a job over the documents under the prefix", async () => {
+    const [run] = await useCase.execute(now);
+
+    expect(run).toMatchObject({ scheduleId: "schedule-1", status: "created" });
+    expect(mockStorageService.listFiles).toHaveBeenCalledWith("invoice-", {
+      bucket: "inbox",
+    });
+    expect(mockStorageService.readFile).toHaveBeenCalledWith("invoice-1.txt", {
+      bucket: "inbox",
+    });
+
+    const job = savedJobs.get(run.jobId);
+    expect(job.status).toBe("queued");
+    expect(job.priority).toBe("low");
+    expect(job.documentIds).toHaveLength(2);
+    expect(job.metadata.scheduleId).toBe("schedule-1");
+    expect(mockJobQueue.enqueue).toHaveBeenCalledWith({
+      type: "process",
+      jobId: run.jobId,
+    });
+
+    expect(schedule.lastRun).toMatchObject({
+      status: "created",
+      jobId: run.jobId,
+    });
+    expect(schedule.nextRunAt).toBe("2024-03-11T02:00:00.000Z");
+    expect(mockJobScheduleRepository.save).toHaveBeenCalledWith(schedule);
+  });
+
+  it("should skip schedules that are not due or disabled", async () => {
+    schedule.nextRunAt = "2024-03-10T03:00:00.000Z";
+    expect(await useCase.execute(now)).toEqual([]);
+
+    schedule.nextRunAt = "2024-03-10T02:00:00.000Z";
+    schedule.enabled = false;
+    expect(await useCase.execute(now)).toEqual([]);
+    expect(mockJobRepository.save).not.toHaveBeenCalled();
+  });
+
+  it("should skip the run while the previous job is unfinished", async () => {
+    const previousJob = new Job({
+      id: "job-previous",
+      name: "Nightly invoices",
+      extractionConfig: {},
+      status: "processing",
+    });
+    savedJobs.set(previousJob.id, previousJob);
+    schedule.lastRun = { status: "created", jobId: previousJob.id };
+
+    const [run] = await useCase.execute(now);
+
+    expect(run).toMatchObject({
+      status: "skipped",
+      jobId: "job-previous",
+      reason: "Previous job is still processing",
+    });
+    expect(mockJobQueue.enqueue).not.toHaveBeenCalled();
+    expect(schedule.nextRunAt).toBe("2024-03-11T02:00:00.000Z");
+  });
+
+  it("should skip the run when the prefix holds no documents", async () => {
+    mockStorageService.listFiles.mockResolvedValue([]);
+    schedule.lastRun = { status: "created", jobId: "job-previous" };
+
+    const [run] = await useCase.execute(now);
+
+    expect(run.status).toBe("skipped");
+    expect(run.reason).toContain("inbox/invoice-");
+    expect(mockJobRepository.save).not.toHaveBeenCalled();
+    // The previous job is still checked for overlap on the next run
+    expect(schedule.lastRun).toMatchObject({
+      status: "skipped",
+      jobId: "job-previous",
+    });
+  });
+
+  it("should remove what a run saved when queueing its job fails", async () => {
+    mockJobQueue.enqueue.mockRejectedValueOnce(new Error("queue down"));
+
+    expect(await useCase.execute(now)).toEqual([]);
+    expect(savedJobs.size).toBe(0);
+    expect(savedDocuments.size).toBe(0);
+    expect(schedule.isDue(now)).toBe(true);
+
+    const [run] = await useCase.execute(now);
+    expect(run.status).toBe("created");
+    expect(savedDocuments.size).toBe(2);
+  });
+
+  it("should leave a failing schedule due for the next tick", async () => {
+    mockStorageService.listFiles.mockRejectedValue(new Error("storage down"));
+
+    expect(await useCase.execute(now)).toEqual([]);
+    expect(mockJobScheduleRepository.save).not.toHaveBeenCalled();
+    expect(schedule.isDue(now)).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { VerifyOutputManifestUseCase } from "../../../application/use-cases/VerifyOutputManifestUseCase.js";
+import { OutputManifest } from "../../../domain/entities/OutputManifest.js";
+
+const shard = (index, sha256) => ({
+  fileName: `results_job-1_shard_000${index}.jsonl`,
+  format: "jsonl",
+  compression: null,
+  recordCount: 2,
+  size: 100,
+  sha256,
+  startedAt: "2024-01-01T00:00:00.000Z",
+  endedAt: "2024-01-01T00:00:01.000Z",
+});
+
+describe("VerifyOutputManifestUseCase", () => {
+  let useCase;
+  let stored;
+  let mockOutputManifestRepository;
+  let mockOutputService;
+
+  beforeEach(() => {
+    stored = new Map([
+      ["results_job-1_shard_0000.jsonl", { size: 100, sha256: "aaa" }],
+      ["results_job-1_shard_0001.jsonl", { size: 100, sha256: "bbb" }],
+      ["results_job-1_shard_0002.jsonl", { size: 100, sha256: "ccc" }],
+    ]);
+    mockOutputManifestRepository = {
+      findByJobId: vi.fn(
+        async (jobId) =>
+          new OutputManifest({
+            jobId,
+            shards: [shard(0, "aaa"), shard(1, "bbb"), shard(2, "ccc")],
+          })
+      ),
+    };
+    mockOutputService = {
+      inspectOutputFile: vi.fn(
+        async (jobId, fileName) => stored.get(fileName) || null
+      ),
+    };
+
+    useCase = new VerifyOutputManifestUseCase(
+      mockOutputManifestRepository,
+      mockOutputService
+    );
+  });
+
+  it("should report untouched output as valid", async () => {
+    const report = await useCase.execute("job-1");
+
+    expect(report.valid).toBe(true);
+    expect(report.shards.map((entry) => entry.status)).toEqual([
+      "ok",
+      "ok",
+      "ok",
+    ]);
+  });
+
+  it("should flag tampered and missing shards", async () => {
+    stored.set("results_job-1_shard_0001.jsonl", { size: 100, sha256: "xxx" });
+    stored.delete("results_job-1_shard_0002.jsonl");
+
+    const report = await useCase.execute("job-1");
+
+    expect(report).toMatchObject({
+      jobId: "job-1",
+      valid: false,
+      missingShards: 1,
+      tamperedShards: 1,
+    });
+    expect(report.shards[1]).toEqual({
+      fileName: "results_job-1_shard_0001.jsonl",
+      status: "tampered",
+      expectedSha256: "bbb",
+      actualSha256: "xxx",
+      expectedSize: 100,
+      actualSize: 100,
+    });
+    expect(report.shards[2]).toMatchObject({
+      status: "missing",
+      actualSha256: null,
+      actualSize: null,
+    });
+  });
+
+  it("should return null for a job without a manifest", async () => {
+    mockOutputManifestRepository.findByJobId.mockResolvedValueOnce(null);
+
+    expect(await useCase.execute("job-1")).toBeNull();
+    expect(mockOutputService.inspectOutputFile).not.toHaveBeenCalled();
+  });
+});
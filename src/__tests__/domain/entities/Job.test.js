@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from "vitest";
 import { Job } from "../../../domain/entities/Job.js";
+import { InvalidStateTransitionError } from "../../../domain/errors/InvalidStateTransitionError.js";
 
 describe("Job Entity", () => {
   let validJobData;
@@ -80,6 +81,15 @@ describe("Job Entity", () => {
       );
     });
 
+    it("should default to normal priority and reject unknown priorities", () => {
+      expect(new Job(validJobData).priority).toBe("normal");
+
+      const job = new Job({ ...validJobData, priority: "urgent" });
+      expect(() => job.validate()).toThrow(
+        "Job priority must be one of: high, normal, low"
+      );
+    });
+
     it("should throw error when documentIds is not an array", () => {
       const jobData = { ...validJobData, documentIds: "not-an-array" };
       const job = new Job(jobData);
@@ -88,8 +98,17 @@ describe("Job Entity", () => {
   });
 
   describe("status management", () => {
-    it("should mark job as processing", () => {
+    it("should mark job as queued", () => {
       const job = new Job(validJobData);
+
+      job.markQueued();
+
+      expect(job.status).toBe("queued");
+      expect(job.metadata.queuedAt).toBe(job.updatedAt);
+    });
+
+    it("should mark job as processing", () => {
+      const job = new Job({ ...validJobData, status: "queued" });
       const originalStatus = job.status;
 
       job.markProcessing();
@@ -100,7 +119,7 @@ describe("Job Entity", () => {
     });
 
     it("should mark job as completed", () => {
-      const job = new Job(validJobData);
+      const job = new Job({ ...validJobData, status: "processing" });
       const result = { processedDocuments: 10, totalDocuments: 10 };
 
       job.markCompleted(result);
@@ -109,8 +128,19 @@ describe("Job Entity", () => {
       expect(job.metadata.result).toEqual(result);
     });
 
+    it("should mark job as completed with errors", () => {
+      const job = new Job({ ...validJobData, status: "processing" });
+      const result = { processedDocuments: 9, failedDocuments: 1 };
+
+      job.markCompletedWithErrors(result);
+
+      expect(job.status).toBe("completed_with_errors");
+      expect(job.metadata.result).toEqual(result);
+      expect(job.canTransitionTo("queued")).toBe(true);
+    });
+
     it("should mark job as failed", () => {
-      const job = new Job(validJobData);
+      const job = new Job({ ...validJobData, status: "processing" });
       const error = "Processing failed";
 
       job.markFailed(error);
@@ -120,6 +150,121 @@ describe("Job Entity", () => {
     });
   });
 
+  describe("state transitions", () => {
+    it("should record each transition in the status history", () => {
+      const job = new Job(validJobData);
+
+      job.markQueued();
+      job.markProcessing();
+      job.markCompleted({ processedDocuments: 1 });
+
+      expect(job.statusHistory.map(({ from, to }) => [from, to])).toEqual([
+        ["pending", "queued"],
+        ["queued", "processing"],
+        ["processing", "completed"],
+      ]);
+      expect(job.statusHistory[2].at).toBe(job.updatedAt);
+    });
+
+    it("should reject an illegal transition without changing the job", () => {
+      const job = new Job(validJobData);
+
+      expect(() => job.markCompleted({})).toThrow(InvalidStateTransitionError);
+      expect(() => job.markCompleted({})).toThrow(
+        "Cannot transition Job test-job-id from pending to completed"
+      );
+      expect(job.status).toBe("pending");
+      expect(job.statusHistory).toEqual([]);
+    });
+
+    it("should not allow a cancelled job to be queued again", () => {
+      const job = new Job(validJobData);
+      job.markCancelled("Done");
+
+      expect(job.canTransitionTo("queued")).toBe(false);
+      expect(() => job.markQueued()).toThrow(InvalidStateTransitionError);
+    });
+  });
+
+  describe("cancellation", () => {
+    it("should mark job as cancelled with a reason", () => {
+      const job = new Job(validJobData);
+
+      job.markCancelled("No longer needed");
+
+      expect(job.status).toBe("cancelled");
+      expect(job.isCancelled()).toBe(true);
+      expect(job.metadata.cancelReason).toBe("No longer needed");
+      expect(job.metadata.cancelledAt).toBeDefined();
+    });
+
+    it("should keep the original cancellation time and record the result", () => {
+      const cancelledAt = "2024-01-01T00:00:00.000Z";
+      const job = new Job({
+        ...validJobData,
+        status: "processing",
+        metadata: { cancelledAt },
+      });
+      const result = { processedDocuments: 1 };
+
+      job.markCancelled("First", result);
+
+      expect(job.metadata.cancelledAt).toBe(cancelledAt);
+      expect(job.metadata.result).toEqual(result);
+    });
+  });
+
+  describe("pause and resume", () => {
+    it("should mark job as paused", () => {
+      const job = new Job({ ...validJobData, status: "processing" });
+
+      job.markPaused();
+
+      expect(job.status).toBe("paused");
+      expect(job.isPaused()).toBe(true);
+      expect(job.metadata.pausedAt).toBeDefined();
+    });
+
+    it("should queue a resumed job", () => {
+      const job = new Job({ ...validJobData, status: "queued" });
+      job.markPaused();
+
+      job.markResumed();
+
+      expect(job.status).toBe("queued");
+      expect(job.metadata.resumedAt).toBeDefined();
+      expect(job.metadata.pausedAt).toBeUndefined();
+    });
+
+    it("should record why and until when a job was paused", () => {
+      const job = new Job({ ...validJobData, status: "processing" });
+      const resumeAt = new Date(Date.now() + 30000).toISOString();
+
+      job.markPaused({ reason: "Extractor provider circuit open", resumeAt });
+      expect(job.metadata).toMatchObject({
+        pauseReason: "Extractor provider circuit open",
+        resumeAt,
+      });
+
+      job.markResumed();
+      expect(job.metadata.pauseReason).toBeUndefined();
+      expect(job.metadata.resumeAt).toBeUndefined();
+    });
+
+    it("should merge checkpoint progress", () => {
+      const job = new Job(validJobData);
+
+      job.updateCheckpoint({ totalDocuments: 2, completedDocuments: 0 });
+      job.updateCheckpoint({ completedDocuments: 1 });
+
+      expect(job.metadata.checkpoint).toMatchObject({
+        totalDocuments: 2,
+        completedDocuments: 1,
+      });
+      expect(job.metadata.checkpoint.checkpointedAt).toBeDefined();
+    });
+  });
+
   describe("serialization", () => {
     it("should convert job to JSON", () => {
       const job = new Job(validJobData);
@@ -130,10 +275,12 @@ describe("Job Entity", () => {
         name: job.name,
         extractionConfig: job.extractionConfig,
         documentIds: job.documentIds,
+        priority: job.priority,
         status: job.status,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt,
         metadata: job.metadata,
+        statusHistory: job.statusHistory,
       });
     });
 
@@ -149,5 +296,28 @@ describe("Job Entity", () => {
       expect(recreatedJob.status).toBe(job.status);
       expect(recreatedJob.metadata).toEqual(job.metadata);
     });
+
+    it("should leave webhook secrets out of the public JSON", () => {
+      const job = new Job({
+        ...validJobData,
+        extractionConfig: {
+          ...validJobData.extractionConfig,
+          webhooks: [
+            { url: "https://example.com/hook", secret: "s3cret" },
+            { url: "https://example.com/other" },
+          ],
+        },
+      });
+
+      const json = job.toPublicJSON();
+
+      expect(json.extractionConfig.webhooks).toEqual([
+        { url: "https://example.com/hook", hasSecret: true },
+        { url: "https://example.com/other" },
+      ]);
+      expect(JSON.stringify(json)).not.toContain("s3cret");
+      // The stored configuration keeps the secret for signing
+      expect(job.toJSON().extractionConfig.webhooks[0].secret).toBe("s3cret");
+    });
   });
 });
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { JobProgress } from "../../../domain/entities/JobProgress.js";
+
+describe("JobProgress Entity", () => {
+  const startedAt = "2024-01-01T00:00:00.000Z";
+  const startedAtMs = new Date(startedAt).getTime();
+
+  it("should move documents from queued to in-flight to finished", () => {
+    const progress = new JobProgress({
+      jobId: "job-1",
+      totalDocuments: 3,
+      queuedDocuments: 3,
+    });
+
+    progress.markDocumentStarted();
+    progress.markDocumentStarted();
+    progress.markDocumentRetried();
+    progress.markDocumentFinished(true);
+    progress.markDocumentFinished(false);
+
+    expect(progress).toMatchObject({
+      queuedDocuments: 1,
+      inFlightDocuments: 0,
+      completedDocuments: 1,
+      failedDocuments: 1,
+      retries: 1,
+      processedInRun: 2,
+    });
+  });
+
+  it("should derive throughput and ETA from the documents finished in the run", () => {
+    const progress = new JobProgress({
+      jobId: "job-1",
+      totalDocuments: 10,
+      queuedDocuments: 5,
+      completedDocuments: 5,
+      processedInRun: 4,
+      startedAt,
+    });
+
+    expect(progress.getThroughput(startedAtMs + 2000)).toBe(2);
+    expect(progress.getEstimatedTimeRemainingMs(startedAtMs + 2000)).toBe(2500);
+  });
+
+  it("should report an unknown ETA before any document finishes", () => {
+    const progress = new JobProgress({
+      jobId: "job-1",
+      totalDocuments: 2,
+      queuedDocuments: 2,
+      startedAt,
+    });
+
+    expect(progress.getEstimatedTimeRemainingMs(startedAtMs + 1000)).toBeNull();
+  });
+
+  it("should freeze throughput once the run has finished", () => {
+    const progress = new JobProgress({
+      jobId: "job-1",
+      totalDocuments: 2,
+      completedDocuments: 2,
+      processedInRun: 2,
+      startedAt,
+      finishedAt: "2024-01-01T00:00:01.000Z",
+    });
+
+    const json = progress.toJSON();
+
+    expect(json.throughputPerSecond).toBe(2);
+    expect(json.estimatedTimeRemainingMs).toBe(0);
+    expect(json.percentComplete).toBe(100);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { JobTemplate } from "../../../domain/entities/JobTemplate.js";
+
+describe("JobTemplate", () => {
+  const template = new JobTemplate({
+    id: "template-1",
+    name: "Invoices",
+    extractionConfig: {
+      type: "schema",
+      schemaType: "invoice",
+      schema: { name: "Invoice Schema", fields: [{ name: "total" }] },
+      options: { language: "en", ocr: true },
+      webhooks: [{ url: "http://localhost:4000/hook" }],
+    },
+    priority: "high",
+  });
+
+  it("should validate required fields and priority", () => {
+    expect(template.validate()).toBe(true);
+    expect(() =>
+      new JobTemplate({ id: "template-2", name: "No config" }).validate()
+    ).toThrow("Extraction configuration is required");
+    expect(() =>
+      new JobTemplate({ ...template, priority: "urgent" }).validate()
+    ).toThrow("Job priority must be one of");
+  });
+
+  it("should merge overrides deeply and replace arrays", () => {
+    const config = template.buildExtractionConfig({
+      options: { language: "de" },
+      webhooks: [],
+    });
+
+    expect(config.options).toEqual({ language: "de", ocr: true });
+    expect(config.webhooks).toEqual([]);
+    expect(config.schema.name).toBe("Invoice Schema");
+  });
+
+  it("should replace the schema as a whole when one is overridden", () => {
+    const config = template.buildExtractionConfig({ schemaType: "receipt" });
+
+    expect(config.schemaType).toBe("receipt");
+    expect(config.schema).toBeUndefined();
+  });
+
+  it("should never modify the template", () => {
+    const config = template.buildExtractionConfig();
+    config.options.language = "fr";
+
+    expect(template.extractionConfig.options.language).toBe("en");
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import { ResultQuery } from "../../../domain/entities/ResultQuery.js";
+
+const jsonResult = (total, confidence, extra = {}) => ({
+  documentId: `doc-${total}`,
+  result: {
+    data: {
+      total_amount: total,
+      vendor: "ACME Corp",
+      tags: ["paid"],
+      ...extra,
+    },
+    confidence,
+  },
+});
+
+describe("ResultQuery Entity", () => {
+  it("should match JSON and CSV results by the same field names", () => {
+    const query = new ResultQuery({
+      filter: [
+        { field: "total_amount", op: "gt", value: 1000 },
+        { field: "confidence", op: "lt", value: 0.8 },
+      ],
+    });
+
+    expect(query.matches(jsonResult(1200, 0.7))).toBe(true);
+    expect(query.matches(jsonResult(900, 0.7))).toBe(false);
+    expect(query.matches(jsonResult(1200, 0.9))).toBe(false);
+    // CSV records hold text
+    expect(
+      query.matches({
+        documentId: "doc-1",
+        total_amount: "1200",
+        confidence: "0.7",
+      })
+    ).toBe(true);
+  });
+
+  it("should support eq, ne, contains and exists", () => {
+    const result = jsonResult(100, 0.9, { note: "" });
+    const matches = (condition) =>
+      new ResultQuery({ filter: [condition] }).matches(result);
+
+    expect(matches({ field: "vendor", op: "eq", value: "ACME Corp" })).toBe(
+      true
+    );
+    expect(matches({ field: "vendor", op: "ne", value: "ACME Corp" })).toBe(
+      false
+    );
+    expect(matches({ field: "vendor", op: "contains", value: "ACME" })).toBe(
+      true
+    );
+    expect(matches({ field: "tags", op: "contains", value: "paid" })).toBe(
+      true
+    );
+    expect(matches({ field: "due_date", op: "exists" })).toBe(false);
+    expect(matches({ field: "note", op: "exists", value: false })).toBe(true);
+    expect(matches({ field: "due_date", op: "gt", value: 1 })).toBe(false);
+  });
+
+  it("should project the selected fields", () => {
+    const query = new ResultQuery({
+      fields: ["documentId", "total_amount", "missing"],
+    });
+
+    expect(query.project(jsonResult(1200, 0.7))).toEqual({
+      documentId: "doc-1200",
+      total_amount: 1200,
+      missing: null,
+    });
+  });
+
+  it("should sort by each key in turn with missing values last", () => {
+    const query = new ResultQuery({
+      sort: [
+        { field: "vendor", order: "asc" },
+        { field: "total_amount", order: "desc" },
+      ],
+    });
+    const results = [
+      jsonResult(5, 1),
+      jsonResult(50, 1),
+      { documentId: "doc-x", result: { data: {} } },
+      jsonResult(7, 1, { vendor: "Acme" }),
+    ];
+
+    expect(
+      results.sort((a, b) => query.compare(a, b)).map((r) => r.documentId)
+    ).toEqual(["doc-50", "doc-5", "doc-7", "doc-x"]);
+  });
+
+  it("should reject unknown operators and sort orders", () => {
+    expect(() =>
+      new ResultQuery({
+        filter: [{ field: "total_amount", op: "gte", value: 1 }],
+      }).validate()
+    ).toThrow("Filter operator must be one of");
+    expect(() =>
+      new ResultQuery({
+        filter: [{ field: "total_amount", op: "gt" }],
+      }).validate()
+    ).toThrow("Filter on total_amount needs a value");
+    expect(() =>
+      new ResultQuery({ sort: [{ field: "total", order: "up" }] }).validate()
+    ).toThrow("Sort order must be asc or desc");
+  });
+});
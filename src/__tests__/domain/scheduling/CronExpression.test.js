@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { CronExpression } from "../../../domain/scheduling/CronExpression.js";
+
+describe("CronExpression", () => {
+  const next = (expression, after) =>
+    new CronExpression(expression).next(new Date(after)).toISOString();
+
+  it("should find the next nightly run", () => {
+    expect(next("0 2 * * *", "2024-03-10T01:59:30.000Z")).toBe(
+      "2024-03-10T02:00:00.000Z"
+    );
+    expect(next("0 2 * * *", "2024-03-10T02:00:00.000Z")).toBe(
+      "2024-03-11T02:00:00.000Z"
+    );
+  });
+
+  it("should support steps, ranges and lists", () => {
+    expect(next("*/15 * * * *", "2024-03-10T10:16:00.000Z")).toBe(
+      "2024-03-10T10:30:00.000Z"
+    );
+    // Weekdays at 09:00 and 17:00; 2024-03-09 is a Saturday
+    expect(next("0 9,17 * * 1-5", "2024-03-09T12:00:00.000Z")).toBe(
+      "2024-03-11T09:00:00.000Z"
+    );
+  });
+
+  it("should support macros and roll over months and years", () => {
+    expect(next("@monthly", "2024-12-15T00:00:00.000Z")).toBe(
+      "2025-01-01T00:00:00.000Z"
+    );
+    expect(next("0 0 29 2 *", "2024-03-01T00:00:00.000Z")).toBe(
+      "2028-02-29T00:00:00.000Z"
+    );
+  });
+
+  it("should match either day field when both are restricted", () => {
+    // The 15th or any Sunday; 2024-03-10 is a Sunday
+    expect(next("0 0 15 * 0", "2024-03-09T12:00:00.000Z")).toBe(
+      "2024-03-10T00:00:00.000Z"
+    );
+  });
+
+  it("should not treat a starred step as a restricted day field", () => {
+    // Odd days that are Mondays; 2024-03-18 is an even Monday
+    expect(next("0 0 */2 * 1", "2024-03-11T12:00:00.000Z")).toBe(
+      "2024-03-25T00:00:00.000Z"
+    );
+  });
+
+  it("should reject invalid expressions", () => {
+    expect(CronExpression.isValid("0 2 * *")).toBe(false);
+    expect(CronExpression.isValid("60 * * * *")).toBe(false);
+    expect(CronExpression.isValid("0 0 * * mon")).toBe(false);
+    expect(() => new CronExpression("0 0 31 2 *").next()).toThrow(
+      "Cron expression never matches"
+    );
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from "vitest";
+import { CsvResultFormatter } from "../../../infrastructure/adapters/CsvResultFormatter.js";
+
+const schema = {
+  fields: [
+    { name: "invoice_number", type: "string" },
+    {
+      name: "vendor",
+      type: "object",
+      fields: [
+        { name: "name", type: "string" },
+        { name: "address", type: "string" },
+      ],
+    },
+    { name: "line_items", type: "array" },
+    { name: "tags", type: "array" },
+  ],
+};
+
+const result = (data) => ({
+  documentId: "doc-1",
+  documentName: "invoice.txt",
+  processingTime: 12,
+  attempts: 1,
+  result: { data, confidence: 0.9 },
+});
+
+describe("CsvResultFormatter", () => {
+  describe("getColumns", () => {
+    it("should derive columns from the schema fields", () => {
+      expect(CsvResultFormatter.getColumns(schema)).toEqual([
+        "documentId",
+        "documentName",
+        "processingTime",
+        "attempts",
+        "invoice_number",
+        "vendor.name",
+        "vendor.address",
+        "line_items",
+        "tags",
+        "confidence",
+      ]);
+    });
+
+    it("should use a single result column without a schema", () => {
+      expect(CsvResultFormatter.getColumns(null)).toEqual([
+        "documentId",
+        "documentName",
+        "processingTime",
+        "attempts",
+        "result",
+      ]);
+    });
+
+    it("should name nested columns with the configured key separator", () => {
+      expect(
+        CsvResultFormatter.getColumns(schema, { keySeparator: "_" })
+      ).toContain("vendor_name");
+    });
+  });
+
+  describe("formatRecord", () => {
+    it("should keep the column order whatever the key order", () => {
+      const formatter = new CsvResultFormatter(
+        CsvResultFormatter.getColumns(schema)
+      );
+
+      const first = formatter.formatRecord(
+        result({ tags: ["a"], invoice_number: "INV-1" })
+      );
+      const second = formatter.formatRecord(
+        result({ invoice_number: "INV-1", tags: ["a"] })
+      );
+
+      expect(first).toBe(second);
+      expect(first).toBe("doc-1,invoice.txt,12,1,INV-1,,,,a,0.9");
+    });
+
+    it("should flatten nested objects and arrays", () => {
+      const formatter = new CsvResultFormatter(
+        CsvResultFormatter.getColumns(schema),
+        { arraySeparator: ";" }
+      );
+
+      const record = formatter.formatRecord(
+        result({
+          vendor: { name: "ACME", address: "1 Main St" },
+          line_items: [
+            { sku: "A1", price: { amount: 5 } },
+            { sku: "B2", price: { amount: 7 } },
+          ],
+          tags: ["urgent", "paid"],
+        })
+      );
+
+      expect(record).toBe(
+        "doc-1,invoice.txt,12,1,,ACME,1 Main St," +
+          "0.sku=A1;0.price.amount=5;1.sku=B2;1.price.amount=7,urgent;paid,0.9"
+      );
+    });
+
+    it("should quote commas, quotes and line breaks", () => {
+      const formatter = new CsvResultFormatter(
+        CsvResultFormatter.getColumns(null)
+      );
+
+      const record = formatter.formatRecord({
+        documentId: "doc-1",
+        documentName: 'Say "hi", twice',
+        processingTime: 1,
+        attempts: 1,
+        result: "line one\r\nline two",
+      });
+
+      expect(record).toBe(
+        'doc-1,"Say ""hi"", twice",1,1,"line one\r\nline two"'
+      );
+    });
+  });
+
+  describe("parse", () => {
+    it("should read records written by the formatter", () => {
+      const formatter = new CsvResultFormatter(
+        CsvResultFormatter.getColumns(null)
+      );
+      const content = [
+        formatter.formatHeader(),
+        formatter.formatRecord({
+          documentId: "doc-1",
+          documentName: 'a "b", c',
+          result: "x\ny",
+        }),
+        formatter.formatRecord({ documentId: "doc-2", result: ["k1", "k2"] }),
+      ].join("\r\n");
+
+      expect(CsvResultFormatter.parse(`${content}\r\n`)).toEqual([
+        {
+          documentId: "doc-1",
+          documentName: 'a "b", c',
+          processingTime: "",
+          attempts: "",
+          result: "x\ny",
+        },
+        {
+          documentId: "doc-2",
+          documentName: "",
+          processingTime: "",
+          attempts: "",
+          result: "k1|k2",
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import http from "http";
+import { HttpWebhookNotifier } from "../../../infrastructure/adapters/HttpWebhookNotifier.js";
+import { Webhook } from "../../../domain/entities/Webhook.js";
+
+describe("HttpWebhookNotifier", () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(req.url === "/broken" ? 500 : 200).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("should POST a payload with a verifiable signature", async () => {
+    const notifier = new HttpWebhookNotifier();
+    const webhook = new Webhook({ url: `${baseUrl}/hooks`, secret: "s3cret" });
+
+    const response = await notifier.send(
+      webhook,
+      { event: "job.completed", job: { id: "job-1" } },
+      { deliveryId: "delivery-1" }
+    );
+
+    expect(response.statusCode).toBe(200);
+    const request = requests[requests.length - 1];
+    expect(request.headers["x-webhook-event"]).toBe("job.completed");
+    expect(request.headers["x-webhook-delivery"]).toBe("delivery-1");
+    expect(
+      HttpWebhookNotifier.verify(
+        request.body,
+        request.headers["x-webhook-signature"],
+        "s3cret"
+      )
+    ).toBe(true);
+    expect(
+      HttpWebhookNotifier.verify(
+        request.body,
+        request.headers["x-webhook-signature"],
+        "wrong"
+      )
+    ).toBe(false);
+  });
+
+  it("should throw when the webhook does not answer with 2xx", async () => {
+    const notifier = new HttpWebhookNotifier();
+    const webhook = new Webhook({ url: `${baseUrl}/broken` });
+
+    await expect(
+      notifier.send(webhook, { event: "job.failed" }, { deliveryId: "d-2" })
+    ).rejects.toThrow("Webhook responded with 500");
+  });
+});
@@ -0,0 +1,573 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { LocalOutputService } from "../../../infrastructure/adapters/LocalOutputService.js";
+import { appConfig } from "../../../config/app.config.js";
+
+const result = (i) => ({ documentId: `doc-${i}`, result: ["hello"] });
+
+describe("LocalOutputService", () => {
+  let service;
+  let outputDir;
+  let originalOutput;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "output-"));
+    originalOutput = { ...appConfig.output };
+    appConfig.output.outputDirectory = outputDir;
+    appConfig.output.compressionEnabled = false;
+    appConfig.output.shardSize = 2;
+    service = new LocalOutputService();
+  });
+
+  afterEach(async () => {
+    appConfig.output = originalOutput;
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  describe("writeResult", () => {
+    it("should stream results into shards of shardSize records", async () => {
+      await Promise.all(
+        [0, 1, 2, 3, 4].map((i) => service.writeResult("job-1", result(i)))
+      );
+      const metadata = await service.finalizeOutput("job-1");
+
+      expect(metadata.status).toBe("finalized");
+      expect(metadata.totalRecords).toBe(5);
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 2, 1,
+      ]);
+      expect(metadata.outputFiles[0].fileName).toBe(
+        "results_job-1_shard_0000.jsonl"
+      );
+      const results = await service.readResults("job-1");
+      expect(results.map((entry) => entry.documentId)).toEqual([
+        "doc-0",
+        "doc-1",
+        "doc-2",
+        "doc-3",
+        "doc-4",
+      ]);
+    });
+
+    it("should rotate before a shard exceeds maxOutputFileSize", async () => {
+      appConfig.output.shardSize = 100;
+      appConfig.output.maxOutputFileSize =
+        Buffer.byteLength(JSON.stringify(result(0))) * 2 + 2;
+
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+      const metadata = await service.finalizeOutput("job-1");
+
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 1,
+      ]);
+      expect(metadata.outputFiles[0].size).toBeLessThanOrEqual(
+        appConfig.output.maxOutputFileSize
+      );
+    });
+
+    it("should save the metadata as shards are started", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+
+      const saved = JSON.parse(
+        await fs.readFile(path.join(outputDir, "job-1", "metadata.json"))
+      );
+      expect(saved.status).toBe("open");
+      expect(saved.outputFiles).toHaveLength(2);
+      expect(saved.outputFiles[0].recordCount).toBe(2);
+    });
+
+    it("should continue an output left open by another writer", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+      await service.closeOutput("job-1");
+
+      const nextService = new LocalOutputService();
+      await nextService.writeResult("job-1", result(3));
+      await nextService.writeResult("job-1", result(4));
+      const metadata = await nextService.finalizeOutput("job-1");
+
+      expect(metadata.totalRecords).toBe(5);
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 2, 1,
+      ]);
+    });
+  });
+
+  describe("getOutputInfo", () => {
+    it("should see metadata another process saved since it was cached", async () => {
+      const apiService = new LocalOutputService();
+      await service.writeResult("job-1", result(0));
+      expect(await apiService.getOutputInfo("job-1")).toMatchObject({
+        status: "open",
+      });
+
+      await service.writeResult("job-1", result(1));
+      await service.writeResult("job-1", result(2));
+      await service.finalizeOutput("job-1");
+
+      const metadata = await apiService.getOutputInfo("job-1");
+      expect(metadata.status).toBe("finalized");
+      expect(metadata.totalRecords).toBe(3);
+      expect(await apiService.readResults("job-1")).toHaveLength(3);
+    });
+  });
+
+  describe.each(["jsonl", "json", "csv", "parquet"])(
+    "readResultsPage (%s)",
+    (format) => {
+      beforeEach(() => {
+        appConfig.output.outputFormat = format;
+      });
+
+      it("should page through shards with cursors", async () => {
+        for (const i of [0, 1, 2, 3, 4]) {
+          await service.writeResult("job-1", result(i));
+        }
+        await service.finalizeOutput("job-1");
+
+        const pages = [];
+        let cursor = null;
+        do {
+          const page = await service.readResultsPage("job-1", {
+            cursor,
+            limit: 3,
+          });
+          pages.push(page.results.map((entry) => entry.documentId));
+          cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(pages).toEqual([
+          ["doc-0", "doc-1", "doc-2"],
+          ["doc-3", "doc-4"],
+        ]);
+      });
+
+      it("should only read the shards a page spans", async () => {
+        for (const i of [0, 1, 2, 3, 4]) {
+          await service.writeResult("job-1", result(i));
+        }
+        await service.finalizeOutput("job-1");
+        const readShardRecords = vi.spyOn(service, "readShardRecords");
+
+        const page = await service.readResultsPage("job-1", {
+          cursor: { shard: 1, record: 1 },
+          limit: 1,
+        });
+
+        expect(page.results.map((entry) => entry.documentId)).toEqual([
+          "doc-3",
+        ]);
+        expect(page.nextCursor).toEqual({ shard: 2, record: 0 });
+        expect(readShardRecords).toHaveBeenCalledTimes(1);
+      });
+    }
+  );
+
+  describe("output files", () => {
+    it("should size and stream a shard without reading it whole", async () => {
+      for (const i of [0, 1]) {
+        await service.writeResult("job-1", result(i));
+      }
+      const [shard] = (await service.finalizeOutput("job-1")).outputFiles;
+      const readFile = vi.spyOn(fs, "readFile");
+
+      const size = await service.getOutputFileSize("job-1", shard.fileName);
+      const chunks = [];
+      for await (const chunk of service.createOutputFileStream(
+        "job-1",
+        shard.fileName
+      )) {
+        chunks.push(chunk);
+      }
+
+      expect(size).toBe(shard.size);
+      expect(Buffer.concat(chunks).length).toBe(size);
+      expect(readFile).not.toHaveBeenCalled();
+      expect(
+        await service.getOutputFileSize("job-1", "missing.jsonl")
+      ).toBeNull();
+    });
+  });
+
+  describe("compression", () => {
+    beforeEach(() => {
+      appConfig.output.compressionEnabled = true;
+    });
+
+    it("should gzip streamed shards and read them back", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+      const metadata = await service.finalizeOutput("job-1");
+
+      expect(metadata.compression).toBe("gzip");
+      const [first] = metadata.outputFiles;
+      expect(first.fileName).toBe("results_job-1_shard_0000.jsonl.gz");
+      const content = zlib.gunzipSync(await fs.readFile(first.filePath));
+      expect(content.toString().trim().split("\n")).toHaveLength(2);
+      expect(first.size).toBe(await service.getFileSize(first.filePath));
+      expect(await service.readResults("job-1")).toHaveLength(3);
+    });
+
+    it("should compress batch writes with the configured codec", async () => {
+      appConfig.output.compressionType = "brotli";
+
+      const metadata = await service.writeResults("job-1", [
+        result(0),
+        result(1),
+        result(2),
+      ]);
+
+      expect(metadata.compression).toBe("brotli");
+      expect(metadata.outputFiles[0].fileName).toMatch(/\.jsonl\.br$/);
+      const results = await service.readResults("job-1");
+      expect(results.map((entry) => entry.documentId)).toEqual([
+        "doc-0",
+        "doc-1",
+        "doc-2",
+      ]);
+    });
+
+    it("should reject an unknown codec", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      appConfig.output.compressionType = "lzma";
+
+      await expect(service.writeResult("job-1", result(0))).rejects.toThrow(
+        "Unsupported output compression: lzma"
+      );
+    });
+
+    it("should count compressed shards when the metadata is missing", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+      await service.finalizeOutput("job-1");
+      await fs.rm(path.join(outputDir, "job-1", "metadata.json"));
+
+      const info = await new LocalOutputService().getOutputInfo("job-1");
+
+      expect(info.totalRecords).toBe(3);
+      expect(info.totalFiles).toBe(2);
+      expect(info.compression).toBe("gzip");
+    });
+
+    it("should read .gz shards written before compression as plain text", async () => {
+      const jobOutputDir = path.join(outputDir, "job-1");
+      await fs.mkdir(jobOutputDir, { recursive: true });
+      await fs.writeFile(
+        path.join(jobOutputDir, "results_job-1_shard_0000.jsonl.gz"),
+        [result(0), result(1)].map((entry) => JSON.stringify(entry)).join("\n")
+      );
+
+      const results = await service.readResults("job-1");
+
+      expect(results.map((entry) => entry.documentId)).toEqual([
+        "doc-0",
+        "doc-1",
+      ]);
+    });
+
+    it("should recover a compressed shard left unfinished by a crash", async () => {
+      appConfig.output.shardSize = 10;
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+
+      // A new process picks the output up without the shard being closed
+      const nextService = new LocalOutputService();
+      await nextService.writeResult("job-1", result(3));
+      const metadata = await nextService.finalizeOutput("job-1");
+
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        3, 1,
+      ]);
+      expect(
+        zlib.gunzipSync(await fs.readFile(metadata.outputFiles[0].filePath))
+      ).toBeDefined();
+      expect(await nextService.readResults("job-1")).toHaveLength(4);
+    });
+  });
+
+  describe("json", () => {
+    beforeEach(() => {
+      appConfig.output.outputFormat = "json";
+    });
+
+    it.each([
+      ["uncompressed", false, "gzip"],
+      ["gzip", true, "gzip"],
+      ["brotli", true, "brotli"],
+    ])(
+      "should keep one record per line in %s shards",
+      async (_, compressionEnabled, compressionType) => {
+        appConfig.output.compressionEnabled = compressionEnabled;
+        appConfig.output.compressionType = compressionType;
+
+        for (const i of [0, 1, 2, 3, 4]) {
+          await service.writeResult("job-1", result(i));
+        }
+        const metadata = await service.finalizeOutput("job-1");
+
+        expect(metadata.totalRecords).toBe(5);
+        expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+          2, 2, 1,
+        ]);
+        expect(metadata.outputFiles[0].fileName).toMatch(
+          /^results_job-1_shard_0000\.json(\.(gz|br))?$/
+        );
+        const results = await service.readResults("job-1");
+        expect(results.map((entry) => entry.documentId)).toEqual([
+          "doc-0",
+          "doc-1",
+          "doc-2",
+          "doc-3",
+          "doc-4",
+        ]);
+        expect(results[0]).toEqual(result(0));
+      }
+    );
+
+    it("should count JSON shards when the metadata is missing", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+      await service.finalizeOutput("job-1");
+      await fs.rm(path.join(outputDir, "job-1", "metadata.json"));
+
+      const info = await new LocalOutputService().getOutputInfo("job-1");
+
+      expect(info.totalRecords).toBe(3);
+      expect(info.totalFiles).toBe(2);
+    });
+  });
+
+  describe("csv", () => {
+    const schema = {
+      fields: [
+        { name: "vendor", type: "string" },
+        { name: "tags", type: "array" },
+      ],
+    };
+    const csvResult = (i) => ({
+      documentId: `doc-${i}`,
+      documentName: `doc-${i}.txt`,
+      processingTime: 5,
+      attempts: 1,
+      result: { data: { tags: ["a", "b"], vendor: "ACME, Inc." } },
+    });
+
+    beforeEach(() => {
+      appConfig.output.outputFormat = "csv";
+    });
+
+    it("should write a header in every shard", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", csvResult(i), { schema });
+      }
+      const metadata = await service.finalizeOutput("job-1");
+
+      expect(metadata.columns).toEqual([
+        "documentId",
+        "documentName",
+        "processingTime",
+        "attempts",
+        "vendor",
+        "tags",
+        "confidence",
+      ]);
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 1,
+      ]);
+      for (const file of metadata.outputFiles) {
+        const content = await fs.readFile(file.filePath, "utf8");
+        expect(
+          content.startsWith(
+            "documentId,documentName,processingTime,attempts,vendor,tags,confidence\r\n"
+          )
+        ).toBe(true);
+      }
+      const second = await fs.readFile(
+        metadata.outputFiles[1].filePath,
+        "utf8"
+      );
+      expect(second.split("\r\n")[1]).toBe(
+        'doc-2,doc-2.txt,5,1,"ACME, Inc.",a|b,'
+      );
+    });
+
+    it("should read CSV records back by column", async () => {
+      await service.writeResults(
+        "job-1",
+        [0, 1, 2].map((i) => csvResult(i)),
+        { schema }
+      );
+
+      const results = await service.readResults("job-1");
+
+      expect(results).toHaveLength(3);
+      expect(results[0]).toMatchObject({
+        documentId: "doc-0",
+        vendor: "ACME, Inc.",
+        tags: "a|b",
+      });
+    });
+
+    it("should count CSV records without the header", async () => {
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", csvResult(i), { schema });
+      }
+      await service.closeOutput("job-1");
+
+      const nextService = new LocalOutputService();
+      await nextService.writeResult("job-1", csvResult(3));
+      const metadata = await nextService.finalizeOutput("job-1");
+
+      expect(metadata.totalRecords).toBe(4);
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 2,
+      ]);
+    });
+  });
+
+  describe("parquet", () => {
+    const schema = {
+      fields: [
+        { name: "vendor", type: "string" },
+        { name: "total", type: "number" },
+      ],
+    };
+    const parquetResult = (i) => ({
+      documentId: `doc-${i}`,
+      documentName: `doc-${i}.txt`,
+      processingTime: 5,
+      attempts: 1,
+      result: { data: { vendor: "ACME", total: i * 10 }, confidence: 0.8 },
+    });
+
+    beforeEach(() => {
+      appConfig.output.outputFormat = "parquet";
+    });
+
+    it("should encode each streamed shard as a Parquet file", async () => {
+      appConfig.output.compressionEnabled = true;
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", parquetResult(i), { schema });
+      }
+      const metadata = await service.finalizeOutput("job-1");
+
+      expect(metadata.compression).toBe("gzip");
+      expect(metadata.outputFiles.map((file) => file.fileName)).toEqual([
+        "results_job-1_shard_0000.parquet",
+        "results_job-1_shard_0001.parquet",
+      ]);
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 1,
+      ]);
+      const [first] = metadata.outputFiles;
+      const content = await fs.readFile(first.filePath);
+      expect(content.subarray(0, 4).toString()).toBe("PAR1");
+      expect(first.size).toBe(content.length);
+      expect(await fs.readdir(path.join(outputDir, "job-1"))).not.toContain(
+        "results_job-1_shard_0001.parquet.pending"
+      );
+    });
+
+    it("should read Parquet records back with typed values", async () => {
+      await service.writeResults(
+        "job-1",
+        [0, 1, 2].map((i) => parquetResult(i)),
+        { schema }
+      );
+
+      const results = await service.readResults("job-1", { offset: 1 });
+
+      expect(results).toEqual([
+        expect.objectContaining({ documentId: "doc-1", total: 10 }),
+        expect.objectContaining({ documentId: "doc-2", total: 20 }),
+      ]);
+    });
+
+    it("should encode records a crash left staged", async () => {
+      appConfig.output.shardSize = 10;
+      for (const i of [0, 1]) {
+        await service.writeResult("job-1", parquetResult(i), { schema });
+      }
+
+      // A new process picks the output up without the shard being closed
+      const nextService = new LocalOutputService();
+      await nextService.writeResult("job-1", parquetResult(2));
+      const metadata = await nextService.finalizeOutput("job-1");
+
+      expect(metadata.outputFiles.map((file) => file.recordCount)).toEqual([
+        2, 1,
+      ]);
+      const results = await nextService.readResults("job-1");
+      expect(results.map((entry) => entry.documentId)).toEqual([
+        "doc-0",
+        "doc-1",
+        "doc-2",
+      ]);
+    });
+
+    it("should count Parquet shards when the metadata is missing", async () => {
+      await service.writeResults(
+        "job-1",
+        [0, 1, 2].map((i) => parquetResult(i)),
+        { schema }
+      );
+      await fs.rm(path.join(outputDir, "job-1", "metadata.json"));
+
+      const info = await new LocalOutputService().getOutputInfo("job-1");
+
+      expect(info.format).toBe("parquet");
+      expect(info.totalRecords).toBe(3);
+    });
+  });
+
+  describe("finalizeOutput", () => {
+    it("should record the checksum and time range of each shard", async () => {
+      appConfig.output.compressionEnabled = true;
+      for (const i of [0, 1, 2]) {
+        await service.writeResult("job-1", result(i));
+      }
+      const metadata = await service.finalizeOutput("job-1");
+
+      for (const file of metadata.outputFiles) {
+        const content = await fs.readFile(file.filePath);
+        expect(file.sha256).toBe(
+          crypto.createHash("sha256").update(content).digest("hex")
+        );
+        expect(file.startedAt <= file.endedAt).toBe(true);
+        expect(await service.inspectOutputFile("job-1", file.fileName)).toEqual(
+          { size: content.length, sha256: file.sha256 }
+        );
+      }
+      expect(
+        await service.inspectOutputFile(
+          "job-1",
+          "results_job-1_shard_0009.jsonl"
+        )
+      ).toBeNull();
+    });
+
+    it("should save metadata for a job without results", async () => {
+      const metadata = await service.finalizeOutput("job-1");
+
+      expect(metadata).toMatchObject({
+        jobId: "job-1",
+        outputFiles: [],
+        totalRecords: 0,
+        status: "finalized",
+      });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { parquetMetadata } from "hyparquet";
+import { ParquetResultFormatter } from "../../../infrastructure/adapters/ParquetResultFormatter.js";
+import { appConfig } from "../../../config/app.config.js";
+
+const schema = {
+  fields: [
+    { name: "invoice_number", type: "string" },
+    { name: "total", type: "number" },
+    { name: "quantity", type: "integer" },
+    { name: "paid", type: "boolean" },
+    { name: "issued", type: "date" },
+    { name: "line_items", type: "array" },
+    { name: "vendor", type: "object" },
+  ],
+};
+
+const result = (i) => ({
+  documentId: `doc-${i}`,
+  documentName: `invoice-${i}.txt`,
+  processingTime: 12,
+  attempts: 1,
+  result: {
+    data: {
+      invoice_number: `INV-${i}`,
+      total: 10.5,
+      quantity: "3",
+      paid: true,
+      issued: "2024-01-15T00:00:00.000Z",
+      line_items: [{ sku: "A", qty: 1 }],
+      vendor: { name: "ACME" },
+    },
+    confidence: 0.9,
+  },
+});
+
+describe("ParquetResultFormatter", () => {
+  const originalParquet = appConfig.output.parquet;
+
+  afterEach(() => {
+    appConfig.output.parquet = originalParquet;
+  });
+
+  describe("getColumns", () => {
+    it("should map schema field types to Parquet types", () => {
+      expect(ParquetResultFormatter.getColumns(schema)).toEqual([
+        { name: "documentId", type: "STRING" },
+        { name: "documentName", type: "STRING" },
+        { name: "processingTime", type: "INT64" },
+        { name: "attempts", type: "INT32" },
+        { name: "invoice_number", type: "STRING" },
+        { name: "total", type: "DOUBLE" },
+        { name: "quantity", type: "INT64" },
+        { name: "paid", type: "BOOLEAN" },
+        { name: "issued", type: "TIMESTAMP" },
+        { name: "line_items", type: "JSON" },
+        { name: "vendor", type: "JSON" },
+        { name: "confidence", type: "DOUBLE" },
+      ]);
+    });
+
+    it("should use one JSON result column without a schema", () => {
+      expect(ParquetResultFormatter.getColumns(null).pop()).toEqual({
+        name: "result",
+        type: "JSON",
+      });
+    });
+  });
+
+  describe("encode", () => {
+    it("should read typed records back", async () => {
+      const formatter = new ParquetResultFormatter(
+        ParquetResultFormatter.getColumns(schema),
+        "gzip"
+      );
+
+      const [record] = await ParquetResultFormatter.decode(
+        formatter.encode([result(0)])
+      );
+
+      expect(record).toEqual({
+        documentId: "doc-0",
+        documentName: "invoice-0.txt",
+        processingTime: 12,
+        attempts: 1,
+        invoice_number: "INV-0",
+        total: 10.5,
+        quantity: 3,
+        paid: true,
+        issued: new Date("2024-01-15T00:00:00.000Z"),
+        line_items: [{ sku: "A", qty: 1 }],
+        vendor: { name: "ACME" },
+        confidence: 0.9,
+      });
+    });
+
+    it("should write values that do not fit their column as null", async () => {
+      const formatter = new ParquetResultFormatter(
+        ParquetResultFormatter.getColumns(schema),
+        null
+      );
+      const invalid = result(0);
+      invalid.result.data.total = "n/a";
+      invalid.result.data.issued = "someday";
+
+      const [record] = await ParquetResultFormatter.decode(
+        formatter.encode([invalid])
+      );
+
+      expect(record.total).toBeNull();
+      expect(record.issued).toBeNull();
+    });
+
+    it("should read string booleans as the schema coercion does", async () => {
+      const formatter = new ParquetResultFormatter(
+        ParquetResultFormatter.getColumns(schema),
+        null
+      );
+      const values = ["false", "0", "no", "True", "yes", 0, "maybe"];
+      const results = values.map((paid, i) => {
+        const record = result(i);
+        record.result.data.paid = paid;
+        return record;
+      });
+
+      const records = await ParquetResultFormatter.decode(
+        formatter.encode(results)
+      );
+
+      expect(records.map((record) => record.paid)).toEqual([
+        false,
+        false,
+        false,
+        true,
+        true,
+        false,
+        null,
+      ]);
+    });
+
+    it("should split rows into row groups of rowGroupSize", () => {
+      appConfig.output.parquet = { rowGroupSize: 2 };
+      const formatter = new ParquetResultFormatter(
+        ParquetResultFormatter.getColumns(schema),
+        null
+      );
+
+      const buffer = formatter.encode([0, 1, 2, 3, 4].map(result));
+
+      const metadata = parquetMetadata(
+        ParquetResultFormatter.toArrayBuffer(buffer)
+      );
+      expect(metadata.row_groups.map((group) => group.num_rows)).toEqual([
+        2n,
+        2n,
+        1n,
+      ]);
+      expect(ParquetResultFormatter.countRows(buffer)).toBe(5);
+    });
+  });
+});
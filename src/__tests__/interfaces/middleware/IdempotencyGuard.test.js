@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { IdempotencyGuard } from "../../../interfaces/middleware/IdempotencyGuard.js";
+import { IdempotencyRecord } from "../../../domain/entities/IdempotencyRecord.js";
+import { appConfig } from "../../../config/app.config.js";
+import { responses } from "../../../utils/response.js";
+
+describe("IdempotencyGuard", () => {
+  let guard;
+  let records;
+  let handler;
+  let originalIdempotency;
+
+  const createEvent = (body, headers = { "Idempotency-Key": "key-1" }) => ({
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  beforeEach(() => {
+    records = new Map();
+    const mockRepository = {
+      reserve: vi.fn(async (record) => {
+        const existing = records.get(record.key);
+        if (existing && !existing.isExpired()) {
+          return IdempotencyRecord.fromJSON(existing.toJSON());
+        }
+        records.set(record.key, record);
+        return null;
+      }),
+      save: vi.fn(async (record) => records.set(record.key, record)),
+      delete: vi.fn(async (key) => records.delete(key)),
+    };
+    guard = new IdempotencyGuard(mockRepository);
+    handler = vi.fn(async () => responses.created({ id: "job-1" }));
+    originalIdempotency = { ...appConfig.idempotency };
+  });
+
+  afterEach(() => {
+    appConfig.idempotency = originalIdempotency;
+  });
+
+  it("should replay the first response for a retried request", async () => {
+    const first = await guard.execute(
+      createEvent({ name: "A", extractionConfig: { type: "keywords" } }),
+      "createJob",
+      handler
+    );
+    const retry = await guard.execute(
+      createEvent({ extractionConfig: { type: "keywords" }, name: "A" }),
+      "createJob",
+      handler
+    );
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.statusCode).toBe(201);
+    expect(retry.body).toBe(first.body);
+    expect(retry.headers["Idempotent-Replayed"]).toBe(true);
+  });
+
+  it("should reject a reused key with a different body", async () => {
+    await guard.execute(createEvent({ name: "A" }), "createJob", handler);
+
+    const response = await guard.execute(
+      createEvent({ name: "B" }),
+      "createJob",
+      handler
+    );
+
+    expect(response.statusCode).toBe(409);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reject a retry while the first request is in progress", async () => {
+    let finish;
+    handler.mockImplementationOnce(
+      () => new Promise((resolve) => (finish = resolve))
+    );
+
+    const first = guard.execute(
+      createEvent({ name: "A" }),
+      "createJob",
+      handler
+    );
+    await vi.waitFor(() => expect(finish).toBeDefined());
+    const retry = await guard.execute(
+      createEvent({ name: "A" }),
+      "createJob",
+      handler
+    );
+    finish(responses.created({ id: "job-1" }));
+    await first;
+
+    expect(retry.statusCode).toBe(409);
+  });
+
+  it("should release the key when the handler fails with a server error", async () => {
+    handler.mockResolvedValueOnce(responses.internalError("Boom"));
+
+    await guard.execute(createEvent({ name: "A" }), "createJob", handler);
+    const retry = await guard.execute(
+      createEvent({ name: "A" }),
+      "createJob",
+      handler
+    );
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.statusCode).toBe(201);
+  });
+
+  it("should scope keys to the operation", async () => {
+    await guard.execute(createEvent({ name: "A" }), "createJob", handler);
+    await guard.execute(
+      createEvent({ name: "A" }),
+      "createExtraction",
+      handler
+    );
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it("should use the configured body field when no header is sent", async () => {
+    await guard.execute(
+      createEvent({ id: "body-key" }, {}),
+      "createJob",
+      handler
+    );
+    await guard.execute(
+      createEvent({ id: "body-key" }, {}),
+      "createJob",
+      handler
+    );
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(records.has("createJob:body-key")).toBe(true);
+  });
+
+  it("should pass requests through when disabled", async () => {
+    appConfig.idempotency.enabled = false;
+
+    await guard.execute(createEvent({ name: "A" }), "createJob", handler);
+    await guard.execute(createEvent({ name: "A" }), "createJob", handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
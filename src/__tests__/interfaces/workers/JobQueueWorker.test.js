@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { JobQueueWorker } from "../../../interfaces/workers/JobQueueWorker.js";
+import { appConfig } from "../../../config/app.config.js";
+
+const mockJobQueue = {
+  enqueue: vi.fn(),
+  receive: vi.fn(),
+  acknowledge: vi.fn(),
+  release: vi.fn(),
+  extendVisibility: vi.fn(),
+};
+
+const mockProcessJobUseCase = {
+  execute: vi.fn(),
+  resumePausedJob: vi.fn(),
+};
+
+const mockNotifyJobEventUseCase = {
+  deliverEvent: vi.fn(async () => []),
+};
+
+const queueMessage = (jobId, type = "process") => ({
+  messageId: `msg-${jobId}`,
+  receiptHandle: `receipt-${jobId}`,
+  body: { type, jobId },
+});
+
+describe("JobQueueWorker", () => {
+  let worker;
+  let mockBackpressure;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockBackpressure = { isUnderPressure: vi.fn(() => false) };
+    worker = new JobQueueWorker(
+      mockJobQueue,
+      mockProcessJobUseCase,
+      mockBackpressure,
+      mockNotifyJobEventUseCase
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  describe("drain", () => {
+    it("should process messages until the queue is empty", async () => {
+      mockJobQueue.receive
+        .mockResolvedValueOnce([queueMessage("job-1")])
+        .mockResolvedValueOnce([queueMessage("job-2")])
+        .mockResolvedValueOnce([]);
+      mockProcessJobUseCase.execute.mockResolvedValue({});
+
+      const summary = await worker.drain();
+
+      expect(summary).toEqual({ processed: 2, failed: 0 });
+      expect(mockProcessJobUseCase.execute).toHaveBeenCalledWith("job-1");
+      expect(mockProcessJobUseCase.execute).toHaveBeenCalledWith("job-2");
+      expect(mockJobQueue.acknowledge).toHaveBeenCalledWith("receipt-job-1");
+      expect(mockJobQueue.acknowledge).toHaveBeenCalledWith("receipt-job-2");
+    });
+
+    it("should stop after maxMessages", async () => {
+      mockJobQueue.receive.mockResolvedValue([queueMessage("job-1")]);
+      mockProcessJobUseCase.execute.mockResolvedValue({});
+
+      const summary = await worker.drain({ maxMessages: 1 });
+
+      expect(summary.processed).toBe(1);
+      expect(mockJobQueue.receive).toHaveBeenCalledTimes(1);
+    });
+
+    describe("with concurrent jobs", () => {
+      let originalMaxConcurrentJobs;
+
+      beforeEach(() => {
+        originalMaxConcurrentJobs = appConfig.queue.maxConcurrentJobs;
+      });
+
+      afterEach(() => {
+        appConfig.queue.maxConcurrentJobs = originalMaxConcurrentJobs;
+      });
+
+      it("should run up to maxConcurrentJobs messages at once", async () => {
+        appConfig.queue.maxConcurrentJobs = 2;
+        mockJobQueue.receive
+          .mockResolvedValueOnce([queueMessage("job-1")])
+          .mockResolvedValueOnce([queueMessage("job-2")])
+          .mockResolvedValueOnce([queueMessage("job-3")])
+          .mockResolvedValueOnce([]);
+        let running = 0;
+        let peak = 0;
+        mockProcessJobUseCase.execute.mockImplementation(async () => {
+          running++;
+          peak = Math.max(peak, running);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          running--;
+        });
+
+        const summary = await worker.drain();
+
+        expect(summary).toEqual({ processed: 3, failed: 0 });
+        expect(peak).toBe(2);
+      });
+
+      it("should not take new messages while under backpressure", async () => {
+        appConfig.queue.maxConcurrentJobs = 2;
+        mockBackpressure.isUnderPressure.mockReturnValue(true);
+        mockJobQueue.receive
+          .mockResolvedValueOnce([queueMessage("job-1")])
+          .mockResolvedValueOnce([queueMessage("job-2")])
+          .mockResolvedValueOnce([]);
+        let running = 0;
+        let peak = 0;
+        mockProcessJobUseCase.execute.mockImplementation(async () => {
+          running++;
+          peak = Math.max(peak, running);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          running--;
+        });
+
+        const summary = await worker.drain();
+
+        expect(summary).toEqual({ processed: 2, failed: 0 });
+        expect(peak).toBe(1);
+      });
+    });
+  });
+
+  describe("handleMessage", () => {
+    it("should schedule a resume for jobs paused until a set time", async () => {
+      const resumeAt = new Date(Date.now() + 30000).toISOString();
+      mockProcessJobUseCase.execute.mockResolvedValue({
+        jobId: "job-1",
+        status: "paused",
+        resumeAt,
+      });
+
+      const handled = await worker.handleMessage(queueMessage("job-1"));
+
+      expect(handled).toBe(true);
+      const [message, options] = mockJobQueue.enqueue.mock.calls[0];
+      expect(message).toEqual({ type: "resume", jobId: "job-1" });
+      expect(options.delayMs).toBeGreaterThan(29000);
+      expect(options.delayMs).toBeLessThanOrEqual(30000);
+    });
+
+    it("should resume paused jobs from resume messages", async () => {
+      mockProcessJobUseCase.resumePausedJob.mockResolvedValue({
+        jobId: "job-1",
+        status: "completed",
+      });
+
+      const handled = await worker.handleMessage(
+        queueMessage("job-1", "resume")
+      );
+
+      expect(handled).toBe(true);
+      expect(mockProcessJobUseCase.resumePausedJob).toHaveBeenCalledWith(
+        "job-1"
+      );
+      expect(mockJobQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it("should deliver queued job events", async () => {
+      const message = queueMessage("job-1", "notify");
+      message.body.payload = { event: "job.completed" };
+
+      const handled = await worker.handleMessage(message);
+
+      expect(handled).toBe(true);
+      expect(mockNotifyJobEventUseCase.deliverEvent).toHaveBeenCalledWith(
+        "job-1",
+        { event: "job.completed" }
+      );
+      expect(mockJobQueue.acknowledge).toHaveBeenCalledWith("receipt-job-1");
+    });
+
+    it("should release the message when processing fails", async () => {
+      mockProcessJobUseCase.execute.mockRejectedValue(new Error("boom"));
+
+      const handled = await worker.handleMessage(queueMessage("job-1"));
+
+      expect(handled).toBe(false);
+      expect(mockJobQueue.acknowledge).not.toHaveBeenCalled();
+      expect(mockJobQueue.release).toHaveBeenCalledWith(
+        "receipt-job-1",
+        expect.objectContaining({ delayMs: expect.any(Number) })
+      );
+    });
+
+    it("should keep the message hidden while a long job runs", async () => {
+      const originalQueue = { ...appConfig.queue };
+      appConfig.queue.heartbeatIntervalMs = 10;
+      appConfig.queue.visibilityTimeoutMs = 30;
+      mockJobQueue.extendVisibility.mockResolvedValue(true);
+      mockProcessJobUseCase.execute.mockImplementation(
+        () => new Promise((resolve) => setTimeout(() => resolve({}), 55))
+      );
+
+      try {
+        const handled = await worker.handleMessage(queueMessage("job-1"));
+        const heartbeats = mockJobQueue.extendVisibility.mock.calls.length;
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        expect(handled).toBe(true);
+        expect(heartbeats).toBeGreaterThanOrEqual(3);
+        expect(mockJobQueue.extendVisibility).toHaveBeenCalledWith(
+          "receipt-job-1",
+          { visibilityTimeoutMs: 30 }
+        );
+        // The heartbeat stops once the message is handled
+        expect(mockJobQueue.extendVisibility).toHaveBeenCalledTimes(heartbeats);
+      } finally {
+        appConfig.queue = originalQueue;
+      }
+    });
+
+    it("should release messages with an unsupported type", async () => {
+      const handled = await worker.handleMessage(
+        queueMessage("job-1", "unknown")
+      );
+
+      expect(handled).toBe(false);
+      expect(mockProcessJobUseCase.execute).not.toHaveBeenCalled();
+      expect(mockJobQueue.release).toHaveBeenCalled();
+    });
+  });
+});
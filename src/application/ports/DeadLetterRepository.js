@@ -0,0 +1,44 @@
+/**
+ * Port (Interface) for Dead Letter Repository
+ * Defines the contract for persisting permanently failed documents
+ * This is part of the ports layer in hexagon architecture
+ */
+export class DeadLetterRepository {
+  /**
+   * Saves a dead letter to the repository
+   * @param {DeadLetter} deadLetter - The dead letter to save
+   * @returns {Promise<DeadLetter>} The saved dead letter
+   */
+  async save(deadLetter) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds a dead letter by its ID
+   * @param {string} id - The dead letter ID
+   * @returns {Promise<DeadLetter|null>} The dead letter or null if not found
+   */
+  async findById(id) {
+    throw new Error("findById method must be implemented");
+  }
+
+  /**
+   * Finds the dead letters of a job
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Array<DeadLetter>>} Array of dead letters
+   */
+  async findByJobId(jobId, options = {}) {
+    throw new Error("findByJobId method must be implemented");
+  }
+
+  /**
+   * Deletes a dead letter by ID
+   * @param {string} id - The dead letter ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  async delete(id) {
+    throw new Error("delete method must be implemented");
+  }
+}
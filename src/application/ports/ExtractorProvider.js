@@ -1,6 +1,8 @@
 /**
  * Port (Interface) for Extractor Provider
  * Defines the contract for LLM-based extraction with schema validation
+ * Extraction calls take an optional `options.signal`; once it aborts the
+ * call should stop and reject with `signal.reason`
  * This is part of the ports layer in hexagon architecture
  */
 export class ExtractorProvider {
@@ -12,6 +14,7 @@ export class ExtractorProvider {
    * @param {number} options.maxTokens - Maximum tokens for extraction
    * @param {number} options.temperature - Temperature for generation
    * @param {number} options.timeoutMs - Timeout in milliseconds
+   * @param {AbortSignal} options.signal - Aborts the call
    * @returns {Promise<Object>} Extracted structured data
    */
   async extractWithSchema(text, schema, options = {}) {
@@ -22,9 +25,11 @@ export class ExtractorProvider {
    * Extracts entities from text
    * @param {string} text - The text content to analyze
    * @param {Array<string>} entityTypes - Types of entities to extract
+   * @param {Object} options - Entity extraction options
+   * @param {AbortSignal} options.signal - Aborts the call
    * @returns {Promise<Array<Object>>} Array of extracted entities
    */
-  async extractEntities(text, entityTypes = []) {
+  async extractEntities(text, entityTypes = [], options = {}) {
     throw new Error("extractEntities method must be implemented");
   }
 
@@ -33,6 +38,7 @@ export class ExtractorProvider {
    * @param {string} text - The text content to summarize
    * @param {Object} options - Summary options
    * @param {number} options.maxLength - Maximum summary length
+   * @param {AbortSignal} options.signal - Aborts the call
    * @returns {Promise<string>} The generated summary
    */
   async generateSummary(text, options = {}) {
@@ -44,6 +50,7 @@ export class ExtractorProvider {
    * @param {string} text - The text content to analyze
    * @param {Object} options - Keyword extraction options
    * @param {number} options.maxKeywords - Maximum number of keywords
+   * @param {AbortSignal} options.signal - Aborts the call
    * @returns {Promise<Array<string>>} Array of keywords
    */
   async extractKeywords(text, options = {}) {
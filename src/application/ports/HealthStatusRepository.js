@@ -0,0 +1,25 @@
+/**
+ * Port (Interface) for Health Status Repository
+ * Defines the contract for sharing component health (backpressure, circuit
+ * breakers) between the workers that own it and the health endpoint
+ * This is part of the ports layer in hexagon architecture
+ */
+export class HealthStatusRepository {
+  /**
+   * Saves the latest status of a component
+   * @param {string} component - Component name
+   * @param {Object} status - Status snapshot
+   * @returns {Promise<Object>} The saved status, stamped with updatedAt
+   */
+  async save(component, status) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds the latest status of every component
+   * @returns {Promise<Object>} Status snapshots keyed by component name
+   */
+  async findAll() {
+    throw new Error("findAll method must be implemented");
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Port (Interface) for Idempotency Repository
+ * Defines the contract for storing responses by idempotency key
+ * This is part of the ports layer in hexagon architecture
+ */
+export class IdempotencyRepository {
+  /**
+   * Stores a record unless a live record already holds its key
+   * Must be atomic so concurrent requests cannot both claim a key
+   * @param {IdempotencyRecord} record - The record to store
+   * @returns {Promise<IdempotencyRecord|null>} The existing record, or null if stored
+   */
+  async reserve(record) {
+    throw new Error("reserve method must be implemented");
+  }
+
+  /**
+   * Saves a record, replacing the one with the same key
+   * @param {IdempotencyRecord} record - The record to save
+   * @returns {Promise<IdempotencyRecord>} The saved record
+   */
+  async save(record) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Deletes the record of a key
+   * @param {string} key - The idempotency key
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async delete(key) {
+    throw new Error("delete method must be implemented");
+  }
+}
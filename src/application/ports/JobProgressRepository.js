@@ -0,0 +1,24 @@
+/**
+ * Port (Interface) for Job Progress Repository
+ * Defines the contract for persisting live job progress counters
+ * This is part of the ports layer in hexagon architecture
+ */
+export class JobProgressRepository {
+  /**
+   * Saves the progress of a job, replacing any previous progress
+   * @param {JobProgress} progress - The progress to save
+   * @returns {Promise<JobProgress>} The saved progress
+   */
+  async save(progress) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds the progress of a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<JobProgress|null>} The progress or null if not found
+   */
+  async findByJobId(jobId) {
+    throw new Error("findByJobId method must be implemented");
+  }
+}
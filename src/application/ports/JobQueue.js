@@ -0,0 +1,69 @@
+/**
+ * Port (Interface) for Job Queue
+ * Defines the contract for queueing asynchronous job work (SQS semantics)
+ * This is part of the ports layer in hexagon architecture
+ */
+export class JobQueue {
+  /**
+   * Enqueues a message for asynchronous processing
+   * @param {Object} message - The message body
+   * @param {string} message.type - Message type (e.g. "process")
+   * @param {string} message.jobId - The job ID the message refers to
+   * @param {Object} options - Enqueue options
+   * @param {number} options.delayMs - Delay before the message becomes visible
+   * @returns {Promise<string>} The message ID
+   */
+  async enqueue(message, options = {}) {
+    throw new Error("enqueue method must be implemented");
+  }
+
+  /**
+   * Receives visible messages and hides them for the visibility timeout
+   * @param {Object} options - Receive options
+   * @param {number} options.maxMessages - Maximum number of messages to receive
+   * @param {number} options.visibilityTimeoutMs - How long received messages stay hidden
+   * @returns {Promise<Array<Object>>} Received messages with their receipt handles
+   */
+  async receive(options = {}) {
+    throw new Error("receive method must be implemented");
+  }
+
+  /**
+   * Acknowledges (deletes) a received message
+   * @param {string} receiptHandle - Receipt handle of the received message
+   * @returns {Promise<boolean>} True if the message was deleted
+   */
+  async acknowledge(receiptHandle) {
+    throw new Error("acknowledge method must be implemented");
+  }
+
+  /**
+   * Hides a received message for another visibility timeout, counted from now
+   * @param {string} receiptHandle - Receipt handle of the received message
+   * @param {Object} options - Extend options
+   * @param {number} options.visibilityTimeoutMs - How long the message stays hidden
+   * @returns {Promise<boolean>} True if the message is still held by the receipt
+   */
+  async extendVisibility(receiptHandle, options = {}) {
+    throw new Error("extendVisibility method must be implemented");
+  }
+
+  /**
+   * Releases a received message so it can be received again
+   * @param {string} receiptHandle - Receipt handle of the received message
+   * @param {Object} options - Release options
+   * @param {number} options.delayMs - Delay before the message becomes visible again
+   * @returns {Promise<boolean>} True if the message was released
+   */
+  async release(receiptHandle, options = {}) {
+    throw new Error("release method must be implemented");
+  }
+
+  /**
+   * Gets the number of messages in the queue
+   * @returns {Promise<Object>} Counts of visible and in-flight messages
+   */
+  async size() {
+    throw new Error("size method must be implemented");
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Port (Interface) for Job Schedule Repository
+ * Defines the contract for job schedule persistence operations
+ * This is part of the ports layer in hexagon architecture
+ */
+export class JobScheduleRepository {
+  /**
+   * Saves a schedule to the repository
+   * @param {JobSchedule} schedule - The schedule to save
+   * @returns {Promise<JobSchedule>} The saved schedule
+   */
+  async save(schedule) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds a schedule by its ID
+   * @param {string} id - The schedule ID
+   * @returns {Promise<JobSchedule|null>} The schedule or null if not found
+   */
+  async findById(id) {
+    throw new Error("findById method must be implemented");
+  }
+
+  /**
+   * Finds all schedules
+   * @returns {Promise<Array<JobSchedule>>} Array of schedules
+   */
+  async findAll() {
+    throw new Error("findAll method must be implemented");
+  }
+
+  /**
+   * Deletes a schedule by ID
+   * @param {string} id - The schedule ID
+   * @returns {Promise<boolean>} True if a schedule was deleted
+   */
+  async delete(id) {
+    throw new Error("delete method must be implemented");
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Port (Interface) for Job Template Repository
+ * Defines the contract for job template persistence operations
+ * This is part of the ports layer in hexagon architecture
+ */
+export class JobTemplateRepository {
+  /**
+   * Saves a template to the repository
+   * @param {JobTemplate} template - The template to save
+   * @returns {Promise<JobTemplate>} The saved template
+   */
+  async save(template) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds a template by its ID
+   * @param {string} id - The template ID
+   * @returns {Promise<JobTemplate|null>} The template or null if not found
+   */
+  async findById(id) {
+    throw new Error("findById method must be implemented");
+  }
+
+  /**
+   * Finds all templates
+   * @returns {Promise<Array<JobTemplate>>} Array of templates
+   */
+  async findAll() {
+    throw new Error("findAll method must be implemented");
+  }
+
+  /**
+   * Deletes a template by ID
+   * @param {string} id - The template ID
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  async delete(id) {
+    throw new Error("delete method must be implemented");
+  }
+}
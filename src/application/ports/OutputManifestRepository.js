@@ -0,0 +1,33 @@
+/**
+ * Port (Interface) for Output Manifest Repository
+ * Defines the contract for persisting the output manifests of jobs
+ * This is part of the ports layer in hexagon architecture
+ */
+export class OutputManifestRepository {
+  /**
+   * Saves the manifest of a job, replacing any previous manifest
+   * @param {OutputManifest} manifest - The manifest to save
+   * @returns {Promise<OutputManifest>} The saved manifest
+   */
+  async save(manifest) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds the manifest of a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<OutputManifest|null>} The manifest or null if not found
+   */
+  async findByJobId(jobId) {
+    throw new Error("findByJobId method must be implemented");
+  }
+
+  /**
+   * Deletes the manifest of a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if a manifest was deleted
+   */
+  async delete(jobId) {
+    throw new Error("delete method must be implemented");
+  }
+}
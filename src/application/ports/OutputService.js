@@ -9,31 +9,60 @@ export class OutputService {
    * @param {string} jobId - The job ID
    * @param {Array<Object>} results - Array of extraction results
    * @param {Object} options - Output options
-   * @param {string} options.format - Output format (jsonl, json, csv)
+   * @param {string} options.format - Output format (jsonl, json, csv, parquet)
    * @param {string} options.directory - Output directory
-   * @param {boolean} options.compression - Enable compression
+   * @param {boolean|string} options.compression - false to disable compression, or a codec (gzip, brotli, zstd)
    * @returns {Promise<Object>} Output metadata
    */
   async writeResults(jobId, results, options = {}) {
     throw new Error("writeResults method must be implemented");
   }
 
+  /**
+   * Appends extraction results to a job's existing output files
+   * Fills the last shard before starting new ones and updates the metadata
+   * @param {string} jobId - The job ID
+   * @param {Array<Object>} results - Array of extraction results
+   * @param {Object} options - Output options
+   * @returns {Promise<Object>} Updated output metadata
+   */
+  async appendResults(jobId, results, options = {}) {
+    throw new Error("appendResults method must be implemented");
+  }
+
   /**
    * Writes a single result to the output stream
+   * Results are written as they arrive and the output is sharded at
+   * `output.shardSize` records or `output.maxOutputFileSize` bytes; a job's
+   * existing output is continued rather than replaced
    * @param {string} jobId - The job ID
    * @param {Object} result - Single extraction result
    * @param {Object} options - Output options
+   * @param {ExtractionSchema} options.schema - Schema of the job's extraction, for formats with fixed columns such as CSV and Parquet
    * @returns {Promise<void>}
    */
   async writeResult(jobId, result, options = {}) {
     throw new Error("writeResult method must be implemented");
   }
 
+  /**
+   * Closes a job's output stream without finalizing it
+   * Later writeResult calls continue the same output
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|null>} Output metadata, or null if nothing was open
+   */
+  async closeOutput(jobId) {
+    throw new Error("closeOutput method must be implemented");
+  }
+
   /**
    * Finalizes the output files for a job
+   * Closes the output stream and saves the final metadata
    * @param {string} jobId - The job ID
    * @param {Object} options - Output options
-   * @returns {Promise<Object>} Output metadata
+   * @returns {Promise<Object>} Output metadata; each of its `outputFiles`
+   * records the shard's fileName, recordCount, size, sha256 and the time
+   * range (startedAt, endedAt) its records were written in
    */
   async finalizeOutput(jobId, options = {}) {
     throw new Error("finalizeOutput method must be implemented");
@@ -51,6 +80,7 @@ export class OutputService {
   /**
    * Reads output results for a job
    * @param {string} jobId - The job ID
+   * Compressed shards are decompressed transparently
    * @param {Object} options - Read options
    * @param {number} options.limit - Maximum number of results to read
    * @param {number} options.offset - Number of results to skip
@@ -60,6 +90,59 @@ export class OutputService {
     throw new Error("readResults method must be implemented");
   }
 
+  /**
+   * Reads a page of a job's results without reading every shard
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Read options
+   * @param {Object} options.cursor - Position ({ shard, record }) returned with the previous page
+   * @param {number} options.limit - Maximum number of results in the page
+   * @returns {Promise<Object>} { results, nextCursor }, nextCursor being null after the last shard
+   */
+  async readResultsPage(jobId, options = {}) {
+    throw new Error("readResultsPage method must be implemented");
+  }
+
+  /**
+   * Iterates over a job's results without holding every shard in memory
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Read options
+   * @param {Object} options.cursor - Position ({ shard, record }) to start from
+   * @returns {AsyncGenerator<Object>} { result, cursor } pairs, cursor being the position after the result or null after the last one
+   */
+  async *iterateResults(jobId, options = {}) {
+    throw new Error("iterateResults method must be implemented");
+  }
+
+  /**
+   * Gets the size of one of a job's output files as stored
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Promise<number|null>} Size in bytes, or null if the file is missing
+   */
+  async getOutputFileSize(jobId, fileName) {
+    throw new Error("getOutputFileSize method must be implemented");
+  }
+
+  /**
+   * Opens one of a job's output files for reading as stored
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Readable} Stream of the file content
+   */
+  createOutputFileStream(jobId, fileName) {
+    throw new Error("createOutputFileStream method must be implemented");
+  }
+
+  /**
+   * Reads the bytes of one of a job's output files as stored
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Promise<Buffer|null>} File content, or null if the file is missing
+   */
+  async readOutputFile(jobId, fileName) {
+    throw new Error("readOutputFile method must be implemented");
+  }
+
   /**
    * Deletes output files for a job
    * @param {string} jobId - The job ID
@@ -69,6 +152,16 @@ export class OutputService {
     throw new Error("deleteOutput method must be implemented");
   }
 
+  /**
+   * Recomputes the size and checksum of one of a job's output files
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Promise<Object|null>} { size, sha256 }, or null if the file is missing
+   */
+  async inspectOutputFile(jobId, fileName) {
+    throw new Error("inspectOutputFile method must be implemented");
+  }
+
   /**
    * Lists all output files
    * @param {Object} options - List options
@@ -7,7 +7,7 @@ export class StorageService {
   /**
    * Saves a file to storage
    * @param {string} fileName - Name of the file
-   * @param {string|Buffer} content - File content
+   * @param {string|Buffer|Readable} content - File content, or a stream of it
    * @param {Object} options - Storage options
    * @returns {Promise<string>} The file path or URL
    */
@@ -0,0 +1,26 @@
+/**
+ * Port (Interface) for Webhook Delivery Repository
+ * Defines the contract for persisting webhook delivery logs
+ * This is part of the ports layer in hexagon architecture
+ */
+export class WebhookDeliveryRepository {
+  /**
+   * Saves a webhook delivery to the repository
+   * @param {WebhookDelivery} delivery - The delivery to save
+   * @returns {Promise<WebhookDelivery>} The saved delivery
+   */
+  async save(delivery) {
+    throw new Error("save method must be implemented");
+  }
+
+  /**
+   * Finds the webhook deliveries of a job
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Array<WebhookDelivery>>} Array of deliveries
+   */
+  async findByJobId(jobId, options = {}) {
+    throw new Error("findByJobId method must be implemented");
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Port (Interface) for Webhook Notifier
+ * Defines the contract for delivering signed job event payloads to webhooks
+ * This is part of the ports layer in hexagon architecture
+ */
+export class WebhookNotifier {
+  /**
+   * Sends a single delivery attempt of a payload to a webhook
+   * @param {Webhook} webhook - The webhook to notify
+   * @param {Object} payload - The event payload
+   * @param {Object} options - Send options
+   * @param {string} options.deliveryId - Delivery ID sent with the request
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<Object>} Response details with the status code
+   * @throws {Error} If the webhook does not acknowledge the payload
+   */
+  async send(webhook, payload, options = {}) {
+    throw new Error("send method must be implemented");
+  }
+}
@@ -0,0 +1,191 @@
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Backpressure controller for document intake
+ * Pressure is the share of `backpressure.maxQueueSize` taken by documents
+ * admitted for processing (waiting for or holding a worker slot)
+ * - Below `pressureThreshold` documents are admitted at once
+ * - From `pressureThreshold` admission is delayed, up to
+ *   `backpressure.maxDelayMs` as pressure nears `circuitBreakerThreshold`
+ * - At `circuitBreakerThreshold` the circuit opens and admission waits
+ *   until pressure falls back below `pressureThreshold`
+ * State changes are published for the health endpoint
+ */
+export class BackpressureController {
+  /**
+   * Creates a new BackpressureController instance
+   * @param {HealthStatusRepository} healthStatusRepository - Repository the state is published to
+   */
+  constructor(healthStatusRepository) {
+    this.healthStatusRepository = healthStatusRepository;
+    this.inFlight = 0;
+    this.circuitOpen = false;
+    this.blocked = [];
+    this.lastLevel = "normal";
+    this.publishTimer = null;
+    this.publishing = Promise.resolve();
+  }
+
+  /**
+   * Waits until a document may be admitted and counts it as in flight
+   * @returns {Promise<Function>} Resolves with a function releasing the document
+   */
+  async admit() {
+    if (this.circuitOpen) {
+      await new Promise((resolve) => this.blocked.push(resolve));
+    } else {
+      const delayMs = this.getDelayMs();
+      if (delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+
+    this.inFlight++;
+    this.update();
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.inFlight--;
+      this.update();
+    };
+  }
+
+  /**
+   * Gets the current pressure
+   * @returns {number} In-flight documents as a share of maxQueueSize
+   */
+  getPressure() {
+    return this.inFlight / getConfig("backpressure.maxQueueSize", 1000);
+  }
+
+  /**
+   * Checks if new work should be held back
+   * @returns {boolean} True at or above the pressure threshold
+   */
+  isUnderPressure() {
+    return this.getLevel() !== "normal";
+  }
+
+  /**
+   * Gets a snapshot of the backpressure state
+   * @returns {Object} In-flight count, pressure, level and circuit state
+   */
+  getState() {
+    return {
+      inFlight: this.inFlight,
+      maxQueueSize: getConfig("backpressure.maxQueueSize", 1000),
+      pressure: Number(this.getPressure().toFixed(3)),
+      level: this.getLevel(),
+      circuit: this.circuitOpen ? "open" : "closed",
+      blocked: this.blocked.length,
+    };
+  }
+
+  /**
+   * Gets the pressure level
+   * @private
+   * @returns {string} normal, throttled or open
+   */
+  getLevel() {
+    if (this.circuitOpen) {
+      return "open";
+    }
+    return this.getPressure() >=
+      getConfig("backpressure.pressureThreshold", 0.8)
+      ? "throttled"
+      : "normal";
+  }
+
+  /**
+   * Gets the admission delay for the current pressure
+   * @private
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayMs() {
+    const pressureThreshold = getConfig("backpressure.pressureThreshold", 0.8);
+    const breakerThreshold = getConfig(
+      "backpressure.circuitBreakerThreshold",
+      0.9
+    );
+    const pressure = this.getPressure();
+    if (pressure < pressureThreshold) {
+      return 0;
+    }
+
+    const span = Math.max(breakerThreshold - pressureThreshold, 0.001);
+    const share = Math.min((pressure - pressureThreshold) / span, 1);
+    return Math.round(share * getConfig("backpressure.maxDelayMs", 1000));
+  }
+
+  /**
+   * Opens or closes the circuit after the in-flight count changed
+   * @private
+   */
+  update() {
+    const pressure = this.getPressure();
+
+    if (
+      !this.circuitOpen &&
+      pressure >= getConfig("backpressure.circuitBreakerThreshold", 0.9)
+    ) {
+      this.circuitOpen = true;
+      console.warn(
+        `Backpressure circuit opened at ${Math.round(
+          pressure * 100
+        )}% of maxQueueSize`
+      );
+    } else if (
+      this.circuitOpen &&
+      pressure < getConfig("backpressure.pressureThreshold", 0.8)
+    ) {
+      this.circuitOpen = false;
+      console.warn("Backpressure circuit closed");
+      this.blocked.splice(0).forEach((resolve) => resolve());
+    }
+
+    this.publish();
+  }
+
+  /**
+   * Publishes the state for the health endpoint
+   * Level changes and going idle are written at once; other changes at
+   * most every `backpressure.statusIntervalMs`
+   * @private
+   */
+  publish() {
+    const level = this.getLevel();
+    if (level !== this.lastLevel || this.inFlight === 0) {
+      this.lastLevel = level;
+      this.savePublishedState();
+      return;
+    }
+
+    if (!this.publishTimer) {
+      this.publishTimer = setTimeout(() => {
+        this.publishTimer = null;
+        this.savePublishedState();
+      }, getConfig("backpressure.statusIntervalMs", 1000));
+    }
+  }
+
+  /**
+   * Queues a save of the state as it is when written, so saves never land
+   * out of order; failures are logged and never affect intake
+   * @private
+   * @returns {Promise<void>}
+   */
+  savePublishedState() {
+    this.publishing = this.publishing.then(async () => {
+      try {
+        await this.healthStatusRepository.save("backpressure", this.getState());
+      } catch (error) {
+        console.error("Failed to publish backpressure state:", error);
+      }
+    });
+    return this.publishing;
+  }
+}
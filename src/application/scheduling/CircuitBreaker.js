@@ -0,0 +1,303 @@
+import { CircuitOpenError } from "../../domain/errors/CircuitOpenError.js";
+import { TimeoutError } from "../../domain/errors/TimeoutError.js";
+import { RetryPolicy } from "./RetryPolicy.js";
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Circuit breaker guarding calls to an unreliable dependency
+ * - closed: calls go through; the circuit opens once at least
+ *   `circuitBreaker.minimumCalls` calls in the last `circuitBreaker.windowMs`
+ *   fail at `circuitBreaker.failureRateThreshold` or more
+ * - open: calls are rejected with CircuitOpenError for `circuitBreaker.cooldownMs`
+ * - half-open: up to `circuitBreaker.halfOpenMaxCalls` trial calls go through
+ *   and further calls wait for them; a successful trial closes the circuit,
+ *   a failed one opens it again
+ * Only retryable failures (as classified by the retry policy) count against
+ * the provider. A permanent error such as a schema coercion failure means the
+ * provider answered, so it counts as a successful call. A call that ran past
+ * its own time limit (a TimeoutError of the `extraction` scope) is a provider
+ * failure, even if the provider ignores the signal. A call aborted by an
+ * outer deadline (document or batch) or a cancellation says nothing about the
+ * provider and is not counted
+ * State changes are published for the health endpoint
+ */
+export class CircuitBreaker {
+  /**
+   * Creates a new CircuitBreaker instance
+   * @param {string} name - Circuit name, used as the health component name
+   * @param {HealthStatusRepository} healthStatusRepository - Repository the state is published to
+   * @param {RetryPolicy} retryPolicy - Policy classifying failed calls
+   */
+  constructor(name, healthStatusRepository, retryPolicy = new RetryPolicy()) {
+    this.name = name;
+    this.healthStatusRepository = healthStatusRepository;
+    this.retryPolicy = retryPolicy;
+    this.state = "closed";
+    // Outcomes of recent calls while closed: { at, failed }
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialCalls = 0;
+    // Resolves when the circuit leaves half-open
+    this.trialSettled = null;
+    this.settleTrial = null;
+    this.publishTimer = null;
+    this.publishing = Promise.resolve();
+  }
+
+  /**
+   * Runs an operation through the circuit
+   * @param {Function} operation - Async function making the guarded call
+   * @param {Object} options - Call options
+   * @param {AbortSignal} options.signal - Signal the caller aborts the call with
+   * @returns {Promise<any>} The operation result
+   * @throws {CircuitOpenError} If the circuit rejects the call
+   */
+  async execute(operation, options = {}) {
+    if (!getConfig("circuitBreaker.enabled", true)) {
+      return await operation();
+    }
+
+    const trial = await this.admitCall();
+
+    try {
+      // The call settles when the signal aborts, so a hanging provider is
+      // still recorded
+      const result = await this.raceSignal(operation(), options.signal);
+      this.recordOutcome(false, trial);
+      return result;
+    } catch (error) {
+      this.recordOutcome(this.isFailure(error, options.signal), trial);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a snapshot of the circuit state
+   * @returns {Object} Circuit state, failure rate over the window and reopen time
+   */
+  getState() {
+    this.pruneOutcomes();
+    const failures = this.outcomes.filter((outcome) => outcome.failed).length;
+
+    return {
+      name: this.name,
+      circuit: this.state,
+      calls: this.outcomes.length,
+      failures,
+      failureRate: this.outcomes.length
+        ? Number((failures / this.outcomes.length).toFixed(3))
+        : 0,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt:
+        this.state === "open"
+          ? new Date(this.openedAt + this.getCooldownMs()).toISOString()
+          : null,
+    };
+  }
+
+  /**
+   * Lets a call through or rejects it, moving an open circuit whose
+   * cooldown has passed to half-open
+   * @private
+   * @returns {Promise<boolean>} True if the call is a half-open trial
+   * @throws {CircuitOpenError} If the call is rejected
+   */
+  async admitCall() {
+    for (;;) {
+      if (this.state === "open") {
+        const retryAfterMs = this.openedAt + this.getCooldownMs() - Date.now();
+        if (retryAfterMs > 0) {
+          throw new CircuitOpenError(this.name, retryAfterMs);
+        }
+        this.transitionTo("half-open");
+      }
+
+      if (this.state !== "half-open") {
+        return false;
+      }
+      if (this.trialCalls < getConfig("circuitBreaker.halfOpenMaxCalls", 1)) {
+        this.trialCalls++;
+        return true;
+      }
+      await this.trialSettled;
+    }
+  }
+
+  /**
+   * Decides whether a failed call counts against the provider
+   * @private
+   * @param {Error} error - The error the call failed with
+   * @param {AbortSignal} signal - Signal the caller could abort the call with
+   * @returns {boolean|null} True for a provider failure, false if the
+   * provider answered, null if the caller aborted the call
+   */
+  isFailure(error, signal) {
+    if (signal?.aborted) {
+      const { reason } = signal;
+      return reason instanceof TimeoutError && reason.scope === "extraction"
+        ? true
+        : null;
+    }
+    return this.retryPolicy.classify(error).retryable;
+  }
+
+  /**
+   * Settles with a call or rejects with the signal's reason once it aborts
+   * @private
+   * @param {Promise<any>} call - The guarded call
+   * @param {AbortSignal} signal - Signal the caller aborts the call with
+   * @returns {Promise<any>} The call result
+   */
+  raceSignal(call, signal) {
+    if (!signal) {
+      return call;
+    }
+    if (signal.aborted) {
+      call.catch(() => {});
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener("abort", onAbort, { once: true });
+      call
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Records the outcome of a call and opens or closes the circuit
+   * @private
+   * @param {boolean|null} failed - True if the call failed, null if it is not counted
+   * @param {boolean} trial - True if the call was a half-open trial
+   */
+  recordOutcome(failed, trial) {
+    if (trial) {
+      this.trialCalls = Math.max(this.trialCalls - 1, 0);
+      if (this.state !== "half-open") {
+        return;
+      }
+      if (failed === null) {
+        // The trial settled nothing; let a held call take its place
+        this.settleTrial();
+        this.trialSettled = new Promise(
+          (resolve) => (this.settleTrial = resolve)
+        );
+        return;
+      }
+      this.transitionTo(failed ? "open" : "closed");
+      return;
+    }
+    if (failed === null || this.state !== "closed") {
+      return;
+    }
+
+    this.outcomes.push({ at: Date.now(), failed });
+    this.pruneOutcomes();
+
+    const failures = this.outcomes.filter((outcome) => outcome.failed).length;
+    if (
+      failed &&
+      this.outcomes.length >= getConfig("circuitBreaker.minimumCalls", 5) &&
+      failures / this.outcomes.length >=
+        getConfig("circuitBreaker.failureRateThreshold", 0.5)
+    ) {
+      this.transitionTo("open");
+    } else {
+      this.publish(false);
+    }
+  }
+
+  /**
+   * Moves the circuit to a state
+   * @private
+   * @param {string} state - closed, open or half-open
+   */
+  transitionTo(state) {
+    const failureRate = this.getState().failureRate;
+    if (this.state === "half-open") {
+      this.settleTrial();
+    }
+    this.state = state;
+    this.trialCalls = 0;
+
+    if (state === "open") {
+      this.openedAt = Date.now();
+      console.warn(
+        `Circuit ${this.name} opened at a ${Math.round(
+          failureRate * 100
+        )}% failure rate`
+      );
+    } else if (state === "closed") {
+      this.openedAt = null;
+      this.outcomes = [];
+      console.warn(`Circuit ${this.name} closed`);
+    } else {
+      this.trialSettled = new Promise(
+        (resolve) => (this.settleTrial = resolve)
+      );
+    }
+
+    this.publish(true);
+  }
+
+  /**
+   * Drops call outcomes older than the failure rate window
+   * @private
+   */
+  pruneOutcomes() {
+    const windowStart =
+      Date.now() - getConfig("circuitBreaker.windowMs", 60000);
+    this.outcomes = this.outcomes.filter(
+      (outcome) => outcome.at >= windowStart
+    );
+  }
+
+  /**
+   * Gets the time an open circuit rejects calls
+   * @private
+   * @returns {number} Cooldown in milliseconds
+   */
+  getCooldownMs() {
+    return getConfig("circuitBreaker.cooldownMs", 30000);
+  }
+
+  /**
+   * Publishes the state for the health endpoint
+   * State changes are written at once; other changes at most every
+   * `circuitBreaker.statusIntervalMs`
+   * @private
+   * @param {boolean} immediate - True for a state change
+   */
+  publish(immediate) {
+    if (immediate) {
+      this.savePublishedState();
+      return;
+    }
+
+    if (!this.publishTimer) {
+      this.publishTimer = setTimeout(() => {
+        this.publishTimer = null;
+        this.savePublishedState();
+      }, getConfig("circuitBreaker.statusIntervalMs", 1000));
+    }
+  }
+
+  /**
+   * Queues a save of the state as it is when written, so saves never land
+   * out of order; failures are logged and never affect calls
+   * @private
+   * @returns {Promise<void>}
+   */
+  savePublishedState() {
+    this.publishing = this.publishing.then(async () => {
+      try {
+        await this.healthStatusRepository.save(this.name, this.getState());
+      } catch (error) {
+        console.error(`Failed to publish circuit ${this.name} state:`, error);
+      }
+    });
+    return this.publishing;
+  }
+}
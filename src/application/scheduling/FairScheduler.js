@@ -0,0 +1,167 @@
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Fair scheduler sharing a global budget of worker slots across jobs
+ * Waiting jobs are served by smooth weighted round robin, weighted by job
+ * priority, so a large job cannot starve smaller or more urgent ones
+ * One instance is shared by every job processed in the same process
+ */
+export class FairScheduler {
+  constructor() {
+    // Per-job scheduling state, keyed by job ID
+    this.jobs = new Map();
+    this.activeSlots = 0;
+  }
+
+  /**
+   * Runs a task once the job is granted a worker slot
+   * @param {string} jobId - The job the task belongs to
+   * @param {string} priority - The job priority (see scheduling.priorityWeights)
+   * @param {Function} task - Async task to run in the slot
+   * @returns {Promise<any>} The task result
+   */
+  async run(jobId, priority, task) {
+    const release = await this.acquire(jobId, priority);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Waits for a worker slot for a job
+   * @param {string} jobId - The job requesting the slot
+   * @param {string} priority - The job priority
+   * @returns {Promise<Function>} Resolves with a function releasing the slot
+   */
+  acquire(jobId, priority) {
+    const job = this.getJobState(jobId, priority);
+
+    return new Promise((resolve) => {
+      job.waiters.push(resolve);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Gets the global worker slot budget
+   * @returns {number} Maximum concurrent slots
+   */
+  getCapacity() {
+    return getConfig("concurrency.maxConcurrentWorkers", 50);
+  }
+
+  /**
+   * Gets a snapshot of the slot allocation
+   * @returns {Object} Capacity, active and waiting counts, per job
+   */
+  getStats() {
+    const jobs = {};
+    let waiting = 0;
+    for (const [jobId, job] of this.jobs) {
+      jobs[jobId] = {
+        priority: job.priority,
+        active: job.active,
+        waiting: job.waiters.length,
+      };
+      waiting += job.waiters.length;
+    }
+
+    return {
+      capacity: this.getCapacity(),
+      active: this.activeSlots,
+      waiting,
+      jobs,
+    };
+  }
+
+  /**
+   * Gets or creates the scheduling state of a job
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {string} priority - The job priority
+   * @returns {Object} Scheduling state
+   */
+  getJobState(jobId, priority) {
+    const weights = getConfig("scheduling.priorityWeights", {});
+    const weight = weights[priority] || weights.normal || 1;
+
+    let job = this.jobs.get(jobId);
+    if (!job) {
+      job = { priority, weight, waiters: [], active: 0, currentWeight: 0 };
+      this.jobs.set(jobId, job);
+    }
+    return job;
+  }
+
+  /**
+   * Grants free slots to waiting jobs
+   * @private
+   */
+  dispatch() {
+    while (this.activeSlots < this.getCapacity()) {
+      const next = this.selectNextJob();
+      if (!next) {
+        return;
+      }
+
+      const [jobId, job] = next;
+      const resolve = job.waiters.shift();
+      job.active++;
+      this.activeSlots++;
+      resolve(this.createRelease(jobId, job));
+    }
+  }
+
+  /**
+   * Picks the next job to serve using smooth weighted round robin
+   * @private
+   * @returns {Array|null} The [jobId, state] entry, or null if nothing waits
+   */
+  selectNextJob() {
+    let selected = null;
+    let totalWeight = 0;
+
+    for (const entry of this.jobs) {
+      const job = entry[1];
+      if (job.waiters.length === 0) {
+        continue;
+      }
+      job.currentWeight += job.weight;
+      totalWeight += job.weight;
+      if (!selected || job.currentWeight > selected[1].currentWeight) {
+        selected = entry;
+      }
+    }
+
+    if (selected) {
+      selected[1].currentWeight -= totalWeight;
+    }
+    return selected;
+  }
+
+  /**
+   * Creates the function that releases a granted slot
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Object} job - Scheduling state of the job
+   * @returns {Function} Idempotent release function
+   */
+  createRelease(jobId, job) {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      job.active--;
+      this.activeSlots--;
+      if (job.active === 0 && job.waiters.length === 0) {
+        this.jobs.delete(jobId);
+      }
+      this.dispatch();
+    };
+  }
+}
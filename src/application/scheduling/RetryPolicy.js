@@ -0,0 +1,147 @@
+import { TimeoutError } from "../../domain/errors/TimeoutError.js";
+import { SchemaCoercionError } from "../../domain/errors/SchemaCoercionError.js";
+import { UnsupportedExtractionTypeError } from "../../domain/errors/UnsupportedExtractionTypeError.js";
+import { getConfig } from "../../config/app.config.js";
+
+// Network error codes worth another attempt
+const TRANSIENT_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+];
+
+/**
+ * Retry policy deciding whether and when a failed attempt is retried
+ * Settings default to the `retry` config and can be overridden per policy
+ * - Backoff grows by `backoffMultiplier` from `initialBackoffMs` up to
+ *   `maxBackoffMs` and is randomized by ±`jitterFactor`
+ * - Timeouts, rate limits (429), provider 5xx responses and transient network
+ *   errors are retryable; schema coercion errors, unsupported extraction
+ *   types and other 4xx responses are permanent
+ * - An error's own boolean `retryable` flag wins, and wrapped errors are
+ *   classified by their `cause`
+ * - Errors nothing is known about stay retryable
+ */
+export class RetryPolicy {
+  /**
+   * Creates a new RetryPolicy instance
+   * @param {Object} overrides - Settings replacing the `retry` config
+   * @param {number} overrides.maxRetries - Retries after the first attempt
+   * @param {number} overrides.initialBackoffMs - Delay before the first retry
+   * @param {number} overrides.maxBackoffMs - Longest delay between attempts
+   * @param {number} overrides.backoffMultiplier - Growth of the delay per retry
+   * @param {number} overrides.jitterFactor - Share of the delay randomized
+   */
+  constructor(overrides = {}) {
+    this.overrides = overrides;
+  }
+
+  /**
+   * Gets the effective settings
+   * @returns {Object} maxRetries, backoff and jitter settings
+   */
+  getSettings() {
+    return {
+      maxRetries: 3,
+      initialBackoffMs: 1000,
+      maxBackoffMs: 30000,
+      backoffMultiplier: 2,
+      jitterFactor: 0.1,
+      ...getConfig("retry", {}),
+      ...this.overrides,
+    };
+  }
+
+  /**
+   * Classifies an error as retryable or permanent
+   * @param {Error} error - The error of a failed attempt
+   * @returns {Object} Whether it is retryable and the reason (timeout,
+   * rate_limit, server_error, network, schema_coercion,
+   * unsupported_extraction_type, client_error, flagged or unknown)
+   */
+  classify(error) {
+    for (let current = error; current; current = current.cause) {
+      const classification = this.classifyOwn(current);
+      if (classification) {
+        return classification;
+      }
+    }
+    return { retryable: true, reason: "unknown" };
+  }
+
+  /**
+   * Checks whether a failed attempt should be retried
+   * @param {Error} error - The error of the failed attempt
+   * @param {number} attempt - Zero-based index of the failed attempt
+   * @returns {boolean} True if retries remain and the error is retryable
+   */
+  shouldRetry(error, attempt) {
+    return (
+      attempt < this.getSettings().maxRetries && this.classify(error).retryable
+    );
+  }
+
+  /**
+   * Gets the delay before retrying a failed attempt
+   * A longer `retryAfterMs` carried by the error (e.g. from a rate limit
+   * response) is honoured
+   * @param {number} attempt - Zero-based index of the failed attempt
+   * @param {Error} error - The error of the failed attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayMs(attempt, error) {
+    const { initialBackoffMs, maxBackoffMs, backoffMultiplier, jitterFactor } =
+      this.getSettings();
+
+    const backoffMs = Math.min(
+      initialBackoffMs * Math.pow(backoffMultiplier, attempt),
+      maxBackoffMs
+    );
+    const jitteredMs = backoffMs * (1 + jitterFactor * (2 * Math.random() - 1));
+    const delayMs = Math.round(Math.min(Math.max(jitteredMs, 0), maxBackoffMs));
+
+    return Math.max(delayMs, error?.retryAfterMs || 0);
+  }
+
+  /**
+   * Classifies an error by its own type, flag, status or code
+   * @private
+   * @param {Error} error - The error
+   * @returns {Object|null} The classification, or null if unknown
+   */
+  classifyOwn(error) {
+    if (typeof error.retryable === "boolean") {
+      return { retryable: error.retryable, reason: "flagged" };
+    }
+    if (error instanceof TimeoutError) {
+      return { retryable: true, reason: "timeout" };
+    }
+    if (error instanceof SchemaCoercionError) {
+      return { retryable: false, reason: "schema_coercion" };
+    }
+    if (error instanceof UnsupportedExtractionTypeError) {
+      return { retryable: false, reason: "unsupported_extraction_type" };
+    }
+
+    const status = error.status ?? error.statusCode;
+    if (status === 429) {
+      return { retryable: true, reason: "rate_limit" };
+    }
+    if (status === 408) {
+      return { retryable: true, reason: "timeout" };
+    }
+    if (status >= 500) {
+      return { retryable: true, reason: "server_error" };
+    }
+    if (status >= 400) {
+      return { retryable: false, reason: "client_error" };
+    }
+
+    if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+      return { retryable: true, reason: "network" };
+    }
+    return null;
+  }
+}
@@ -0,0 +1,199 @@
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Token-bucket rate limiter shared by every extractor provider call
+ * Each call takes a token from the global bucket
+ * (`concurrency.rateLimitPerSecond`, burst `concurrency.rateLimitBurst`)
+ * and, if the provider has an entry in `concurrency.providerRateLimits`,
+ * from the provider's own bucket as well
+ * Waiting callers are served in arrival order
+ */
+export class TokenBucketRateLimiter {
+  constructor() {
+    // Buckets keyed by "global" or provider name
+    this.buckets = new Map();
+    // Wait metrics keyed by provider name
+    this.metrics = new Map();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Waits until a token is available for a provider and takes it
+   * @param {string} provider - The provider the call goes to
+   * @returns {Promise<number>} Milliseconds spent waiting for the token
+   */
+  acquire(provider) {
+    const requestedAt = Date.now();
+
+    return new Promise((resolve) => {
+      this.waiters.push({ provider, requestedAt, resolve });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Gets the bucket levels and wait metrics
+   * @returns {Object} Global bucket, per-provider buckets and wait metrics
+   */
+  getStats() {
+    const now = Date.now();
+    const providers = {};
+
+    for (const [provider, metrics] of this.metrics) {
+      const bucket = this.getBucket(provider);
+      providers[provider] = {
+        ...(bucket && this.describeBucket(bucket, now)),
+        ...metrics,
+        averageWaitMs:
+          metrics.acquired > 0
+            ? Math.round(metrics.totalWaitMs / metrics.acquired)
+            : 0,
+      };
+    }
+
+    return {
+      global: this.describeBucket(this.getBucket("global"), now),
+      waiting: this.waiters.length,
+      providers,
+    };
+  }
+
+  /**
+   * Hands tokens to waiting callers and schedules a retry for the rest
+   * A caller blocked by its provider bucket does not hold up callers of
+   * other providers; an empty global bucket holds up everyone
+   * @private
+   */
+  dispatch() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    const global = this.getBucket("global");
+    let nextWaitMs = Infinity;
+
+    for (let i = 0; i < this.waiters.length; ) {
+      this.refill(global, now);
+      if (global.tokens < 1) {
+        nextWaitMs = Math.min(nextWaitMs, this.getWaitMs(global));
+        break;
+      }
+
+      const waiter = this.waiters[i];
+      const providerBucket = this.getBucket(waiter.provider);
+      if (providerBucket) {
+        this.refill(providerBucket, now);
+        if (providerBucket.tokens < 1) {
+          nextWaitMs = Math.min(nextWaitMs, this.getWaitMs(providerBucket));
+          i++;
+          continue;
+        }
+        providerBucket.tokens -= 1;
+      }
+
+      global.tokens -= 1;
+      this.waiters.splice(i, 1);
+      const waitMs = now - waiter.requestedAt;
+      this.recordWait(waiter.provider, waitMs);
+      waiter.resolve(waitMs);
+    }
+
+    if (this.waiters.length > 0 && nextWaitMs !== Infinity) {
+      this.timer = setTimeout(() => this.dispatch(), Math.ceil(nextWaitMs));
+    }
+  }
+
+  /**
+   * Gets or creates a bucket from its configuration
+   * @private
+   * @param {string} key - "global" or a provider name
+   * @returns {Object|null} The bucket, or null for providers without limits
+   */
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      const limits =
+        key === "global"
+          ? getConfig("concurrency", {})
+          : getConfig("concurrency.providerRateLimits", {})[key];
+      if (!limits) {
+        return null;
+      }
+
+      const ratePerSecond = limits.rateLimitPerSecond || 100;
+      const burst = Math.max(1, limits.rateLimitBurst || ratePerSecond);
+      this.buckets.set(key, {
+        ratePerSecond,
+        burst,
+        tokens: burst,
+        refilledAt: Date.now(),
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Adds the tokens earned since the last refill, up to the burst size
+   * @private
+   * @param {Object} bucket - The bucket
+   * @param {number} now - Current time in milliseconds
+   */
+  refill(bucket, now) {
+    const elapsedMs = now - bucket.refilledAt;
+    bucket.tokens = Math.min(
+      bucket.burst,
+      bucket.tokens + (elapsedMs * bucket.ratePerSecond) / 1000
+    );
+    bucket.refilledAt = now;
+  }
+
+  /**
+   * Gets the time until a bucket holds a whole token
+   * @private
+   * @param {Object} bucket - The bucket
+   * @returns {number} Wait in milliseconds
+   */
+  getWaitMs(bucket) {
+    return ((1 - bucket.tokens) * 1000) / bucket.ratePerSecond;
+  }
+
+  /**
+   * Records the wait of a granted token
+   * @private
+   * @param {string} provider - The provider
+   * @param {number} waitMs - Milliseconds waited
+   */
+  recordWait(provider, waitMs) {
+    const metrics = this.metrics.get(provider) || {
+      acquired: 0,
+      throttled: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+    };
+    metrics.acquired++;
+    if (waitMs > 0) {
+      metrics.throttled++;
+      metrics.totalWaitMs += waitMs;
+      metrics.maxWaitMs = Math.max(metrics.maxWaitMs, waitMs);
+    }
+    this.metrics.set(provider, metrics);
+  }
+
+  /**
+   * Describes a bucket for stats
+   * @private
+   * @param {Object} bucket - The bucket
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} Rate, burst and available tokens
+   */
+  describeBucket(bucket, now) {
+    this.refill(bucket, now);
+    return {
+      ratePerSecond: bucket.ratePerSecond,
+      burst: bucket.burst,
+      availableTokens: Math.floor(bucket.tokens),
+    };
+  }
+}
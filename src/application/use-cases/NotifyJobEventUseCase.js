@@ -0,0 +1,188 @@
+import { v4 as uuidv4 } from "uuid";
+import { Webhook } from "../../domain/entities/Webhook.js";
+import { WebhookDelivery } from "../../domain/entities/WebhookDelivery.js";
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Use Case: Notify Job Event
+ * Queues job lifecycle events and delivers them to the webhooks of the job's
+ * extraction config, retrying failed deliveries and logging every attempt
+ * This is part of the application layer in hexagon architecture
+ */
+export class NotifyJobEventUseCase {
+  /**
+   * Creates a new NotifyJobEventUseCase instance
+   * @param {WebhookNotifier} webhookNotifier - Notifier sending the payloads
+   * @param {WebhookDeliveryRepository} webhookDeliveryRepository - Repository for delivery logs
+   * @param {JobQueue} jobQueue - Queue carrying events to the worker
+   * @param {JobRepository} jobRepository - Repository for jobs
+   */
+  constructor(
+    webhookNotifier,
+    webhookDeliveryRepository,
+    jobQueue,
+    jobRepository
+  ) {
+    this.webhookNotifier = webhookNotifier;
+    this.webhookDeliveryRepository = webhookDeliveryRepository;
+    this.jobQueue = jobQueue;
+    this.jobRepository = jobRepository;
+  }
+
+  /**
+   * Executes the notify job event use case
+   * The event is queued as a `notify` message and delivered by the queue
+   * worker, so neither the job nor the request reporting it waits for the
+   * webhooks. Queueing failures are logged and never thrown
+   * @param {Job} job - The job the event belongs to
+   * @param {string} event - The job event (e.g. job.completed)
+   * @returns {Promise<string|null>} The message ID, or null if no webhook
+   * subscribes to the event
+   */
+  async execute(job, event) {
+    if (this.getSubscribedWebhooks(job, event).length === 0) {
+      return null;
+    }
+
+    try {
+      return await this.jobQueue.enqueue({
+        type: "notify",
+        jobId: job.id,
+        payload: this.buildPayload(job, event),
+      });
+    } catch (error) {
+      console.error(`Failed to queue ${event} for job ${job.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delivers a queued event to the job's webhooks subscribing to it
+   * Delivery failures are logged and never thrown, so a broken webhook
+   * cannot hold up the queue
+   * @param {string} jobId - The job ID
+   * @param {Object} payload - The payload built when the event happened
+   * @returns {Promise<Array<WebhookDelivery>>} The deliveries made
+   */
+  async deliverEvent(jobId, payload) {
+    const job = await this.jobRepository.findById(jobId);
+    if (!job) {
+      return [];
+    }
+
+    const webhooks = this.getSubscribedWebhooks(job, payload.event);
+    const deliveries = [];
+
+    for (const webhook of webhooks) {
+      try {
+        deliveries.push(await this.deliver(job, webhook, payload));
+      } catch (error) {
+        console.error(`Webhook delivery to ${webhook.url} failed:`, error);
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Gets the webhooks of a job's extraction config subscribing to an event
+   * @private
+   * @param {Job} job - The job
+   * @param {string} event - The job event
+   * @returns {Array<Webhook>} The subscribed webhooks
+   */
+  getSubscribedWebhooks(job, event) {
+    return Webhook.fromConfig(job.extractionConfig?.webhooks).filter(
+      (webhook) => webhook.subscribesTo(event)
+    );
+  }
+
+  /**
+   * Delivers a payload to one webhook, retrying with exponential backoff
+   * @private
+   * @param {Job} job - The job the event belongs to
+   * @param {Webhook} webhook - The webhook to notify
+   * @param {Object} payload - The event payload
+   * @returns {Promise<WebhookDelivery>} The delivery log
+   */
+  async deliver(job, webhook, payload) {
+    const maxAttempts = getConfig("webhooks.maxAttempts", 3);
+    const initialBackoffMs = getConfig("webhooks.initialBackoffMs", 500);
+    const delivery = new WebhookDelivery({
+      id: uuidv4(),
+      jobId: job.id,
+      event: payload.event,
+      url: webhook.url,
+    });
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const { statusCode } = await this.webhookNotifier.send(
+          webhook,
+          { ...payload, deliveryId: delivery.id },
+          { deliveryId: delivery.id }
+        );
+        delivery.recordAttempt({
+          statusCode,
+          durationMs: Date.now() - startedAt,
+        });
+        delivery.markDelivered();
+        break;
+      } catch (error) {
+        delivery.recordAttempt({
+          error: error.message,
+          durationMs: Date.now() - startedAt,
+        });
+
+        if (attempt < maxAttempts - 1) {
+          const backoffMs = initialBackoffMs * Math.pow(2, attempt);
+          await new Promise((resolve) => setTimeout(resolve, backoffMs));
+        }
+      }
+    }
+
+    if (delivery.status !== "delivered") {
+      delivery.markFailed();
+    }
+
+    return await this.webhookDeliveryRepository.save(delivery);
+  }
+
+  /**
+   * Builds the event payload; the extraction config is left out so
+   * webhook secrets are never sent
+   * @private
+   * @param {Job} job - The job the event belongs to
+   * @param {string} event - The job event
+   * @returns {Object} Event payload
+   */
+  buildPayload(job, event) {
+    return {
+      event,
+      occurredAt: new Date().toISOString(),
+      job: {
+        id: job.id,
+        name: job.name,
+        status: job.status,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        result: job.metadata.result || null,
+        error: job.metadata.error || null,
+        cancelReason: job.metadata.cancelReason || null,
+      },
+    };
+  }
+
+  /**
+   * Lists the webhook deliveries of a job
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Array<WebhookDelivery>>} Array of deliveries
+   */
+  async listDeliveries(jobId, options = {}) {
+    return await this.webhookDeliveryRepository.findByJobId(jobId, options);
+  }
+}
@@ -1,4 +1,11 @@
 import { v4 as uuidv4 } from "uuid";
+import { Job } from "../../domain/entities/Job.js";
+import { DeadLetter } from "../../domain/entities/DeadLetter.js";
+import { JobProgress } from "../../domain/entities/JobProgress.js";
+import { OutputManifest } from "../../domain/entities/OutputManifest.js";
+import { CircuitOpenError } from "../../domain/errors/CircuitOpenError.js";
+import { TimeoutError } from "../../domain/errors/TimeoutError.js";
+import { UnsupportedExtractionTypeError } from "../../domain/errors/UnsupportedExtractionTypeError.js";
 import { getConfig } from "../../config/app.config.js";
 
 /**
@@ -14,23 +21,52 @@ export class ProcessJobUseCase {
    * @param {StorageService} storageService - Service for file storage
    * @param {ExtractorProvider} extractorProvider - Provider for extraction
    * @param {OutputService} outputService - Service for output
+   * @param {DeadLetterRepository} deadLetterRepository - Repository for permanently failed documents
+   * @param {JobProgressRepository} jobProgressRepository - Repository for live job progress
+   * @param {NotifyJobEventUseCase} notifyJobEventUseCase - Use case delivering job webhooks
+   * @param {FairScheduler} scheduler - Scheduler sharing worker slots across jobs
+   * @param {TokenBucketRateLimiter} rateLimiter - Rate limiter shared by all provider calls
+   * @param {BackpressureController} backpressure - Controller admitting documents by in-flight pressure
+   * @param {RetryPolicy} retryPolicy - Policy deciding which failed attempts are retried and when
+   * @param {OutputManifestRepository} outputManifestRepository - Repository for the manifests of finalized output
    */
   constructor(
     jobRepository,
     documentRepository,
     storageService,
     extractorProvider,
-    outputService
+    outputService,
+    deadLetterRepository,
+    jobProgressRepository,
+    notifyJobEventUseCase,
+    scheduler,
+    rateLimiter,
+    backpressure,
+    retryPolicy,
+    outputManifestRepository
   ) {
     this.jobRepository = jobRepository;
     this.documentRepository = documentRepository;
     this.storageService = storageService;
     this.extractorProvider = extractorProvider;
     this.outputService = outputService;
+    this.deadLetterRepository = deadLetterRepository;
+    this.jobProgressRepository = jobProgressRepository;
+    this.notifyJobEventUseCase = notifyJobEventUseCase;
+    this.scheduler = scheduler;
+    this.rateLimiter = rateLimiter;
+    this.backpressure = backpressure;
+    this.retryPolicy = retryPolicy;
+    this.outputManifestRepository = outputManifestRepository;
+    // Progress of the runs in this process, keyed by job ID
+    this.activeProgress = new Map();
+    // CircuitOpenError that halted a run in this process, keyed by job ID
+    this.openCircuits = new Map();
   }
 
   /**
    * Executes the job processing use case
+   * Documents completed by an earlier, interrupted run are not re-extracted
    * @param {string} jobId - The job ID to process
    * @returns {Promise<Object>} Processing result
    */
@@ -44,9 +80,20 @@ export class ProcessJobUseCase {
         throw new Error(`Job ${jobId} not found`);
       }
 
-      // 2. Mark job as processing
-      job.markProcessing();
+      // Jobs paused, cancelled or finished while queued are skipped
+      if (!["queued", "processing"].includes(job.status)) {
+        return { jobId, status: job.status, skipped: true };
+      }
+
+      // 2. Mark job as processing (a redelivered message finds it processing)
+      const started = job.status !== "processing";
+      if (started) {
+        job.markProcessing();
+      }
       await this.jobRepository.save(job);
+      if (started) {
+        await this.notifyJobEventUseCase.execute(job, "job.started");
+      }
 
       // 3. Get documents for the job
       const documents = await this.getDocumentsForJob(job);
@@ -54,41 +101,517 @@ export class ProcessJobUseCase {
         throw new Error(`No documents found for job ${jobId}`);
       }
 
-      // 4. Process documents with batching and backpressure
-      const results = await this.processDocuments(job, documents);
-
-      // 5. Write results to output
-      const outputMetadata = await this.outputService.writeResults(
-        jobId,
-        results
+      // Resume from the checkpoint: completed documents keep their results
+      const completedDocuments = documents.filter(
+        (document) => document.status === "completed"
       );
+      const remainingDocuments = documents.filter(
+        (document) => document.status !== "completed"
+      );
+      job.updateCheckpoint({
+        totalDocuments: documents.length,
+        completedDocuments: completedDocuments.length,
+        failedDocuments: 0,
+      });
+      await this.startProgress(jobId, {
+        totalDocuments: documents.length,
+        queuedDocuments: remainingDocuments.length,
+        completedDocuments: completedDocuments.length,
+      });
+
+      // 4. Process documents with batching and backpressure; each result
+      // is written to the output as its document completes, so completed
+      // documents of an earlier run are already there
+      const processedDocuments =
+        completedDocuments.length +
+        (await this.processDocuments(job, remainingDocuments));
+
+      // Paused jobs keep their checkpoint and finish the output once resumed
+      const currentJob = await this.jobRepository.findById(jobId);
+      if (currentJob && currentJob.isPaused()) {
+        await this.outputService.closeOutput(jobId);
+        job.metadata.pausedAt = currentJob.metadata.pausedAt;
+        job.markPaused({
+          reason: currentJob.metadata.pauseReason,
+          resumeAt: currentJob.metadata.resumeAt,
+        });
+        await this.jobRepository.save(job);
+
+        return {
+          jobId,
+          status: job.status,
+          checkpoint: job.metadata.checkpoint,
+          resumeAt: job.metadata.resumeAt || null,
+        };
+      }
+
+      // 5. Finalize the output; incomplete output (failed, cancelled or
+      // aborted runs) is only kept when partialResults is enabled
+      const failedDocuments = documents.filter(
+        (document) => document.status === "failed"
+      ).length;
+      const isComplete = processedDocuments === documents.length;
+      let outputMetadata = null;
+      if (isComplete || this.getErrorPolicy().partialResults) {
+        outputMetadata = await this.finalizeOutput(jobId);
+      } else {
+        await this.deleteOutput(jobId);
+      }
 
-      // 6. Mark job as completed
+      // 6. Mark job as finished (completed, completed with errors, failed
+      // past the error threshold, or cancelled if requested mid-run)
       const processingResult = {
         jobId,
         totalDocuments: documents.length,
-        processedDocuments: results.length,
-        failedDocuments: documents.length - results.length,
+        processedDocuments,
+        resumedDocuments: completedDocuments.length,
+        failedDocuments,
+        pendingDocuments:
+          documents.length - processedDocuments - failedDocuments,
         processingTime: Date.now() - startTime,
         outputMetadata,
       };
+      await this.finishJob(
+        job,
+        currentJob,
+        processingResult,
+        this.getAbortReason(job, processingResult)
+      );
 
-      job.markCompleted(processingResult);
+      return processingResult;
+    } catch (error) {
+      console.error(`Job processing failed for ${jobId}:`, error);
+      await this.closeOutput(jobId);
+
+      // Mark job as failed unless it already reached a final status
+      const job = await this.jobRepository.findById(jobId);
+      if (job && job.canTransitionTo("failed")) {
+        job.markFailed(error.message);
+        await this.jobRepository.save(job);
+        await this.notifyJobEventUseCase.execute(job, "job.failed");
+      }
+
+      throw error;
+    } finally {
+      this.openCircuits.delete(jobId);
+      await this.finishProgress(jobId);
+    }
+  }
+
+  /**
+   * Resumes a job paused until a set time, such as by the provider circuit
+   * Jobs resumed, cancelled or paused by request in the meantime are skipped
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object>} Processing result
+   */
+  async resumePausedJob(jobId) {
+    const job = await this.jobRepository.findById(jobId);
+    if (!job || !job.isPaused() || !job.metadata.resumeAt) {
+      return { jobId, status: job ? job.status : null, skipped: true };
+    }
+
+    job.markResumed();
+    await this.jobRepository.save(job);
+    return await this.execute(jobId);
+  }
+
+  /**
+   * Reprocesses only the failed documents of a completed job
+   * Documents that never ran (left pending by a job stopped at its error
+   * threshold) are processed too, so the job is not finished without them.
+   * Pending dead letters of the reprocessed documents are marked redriven.
+   * Results are appended to the existing output as documents complete and
+   * the job counts updated
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Retry options
+   * @param {Object} options.extractionConfig - Extraction config overrides for the retry
+   * @param {Array<string>} options.documentIds - Only retry these failed documents
+   * @returns {Promise<Object>} Processing result
+   */
+  async retryFailedDocuments(jobId, options = {}) {
+    const startTime = Date.now();
+    const { extractionConfig, documentIds } = options;
+
+    try {
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      if (!["queued", "processing"].includes(job.status)) {
+        return { jobId, status: job.status, skipped: true };
+      }
+
+      const started = job.status !== "processing";
+      if (started) {
+        job.markProcessing();
+      }
       await this.jobRepository.save(job);
+      if (started) {
+        await this.notifyJobEventUseCase.execute(job, "job.started");
+      }
+
+      const documents = await this.getDocumentsForJob(job);
+      const failedDocuments = documents.filter(
+        (document) =>
+          document.status === "failed" &&
+          (!documentIds || documentIds.includes(document.id))
+      );
+      const retriedDocuments = [
+        ...failedDocuments,
+        ...documents.filter(
+          (document) => !["completed", "failed"].includes(document.status)
+        ),
+      ];
+      for (const document of failedDocuments) {
+        document.markQueued();
+        await this.documentRepository.save(document);
+      }
+      await this.redriveDeadLetters(jobId, retriedDocuments);
+      const completedCount = documents.filter(
+        (document) => document.status === "completed"
+      ).length;
+      job.updateCheckpoint({
+        totalDocuments: documents.length,
+        completedDocuments: completedCount,
+        failedDocuments: 0,
+      });
+      await this.startProgress(jobId, {
+        totalDocuments: documents.length,
+        queuedDocuments: retriedDocuments.length,
+        completedDocuments: completedCount,
+        failedDocuments: documents.filter(
+          (document) => document.status === "failed"
+        ).length,
+      });
+
+      // The override only applies to this retry; the job keeps its config
+      const retryJob = extractionConfig
+        ? new Job({
+            ...job.toJSON(),
+            extractionConfig: { ...job.extractionConfig, ...extractionConfig },
+          })
+        : job;
+      const recoveredDocuments = await this.processDocuments(
+        retryJob,
+        retriedDocuments
+      );
+
+      const currentJob = await this.jobRepository.findById(jobId);
+      if (currentJob && currentJob.isPaused()) {
+        await this.outputService.closeOutput(jobId);
+        job.metadata.pausedAt = currentJob.metadata.pausedAt;
+        job.markPaused({
+          reason: currentJob.metadata.pauseReason,
+          resumeAt: currentJob.metadata.resumeAt,
+        });
+        await this.jobRepository.save(job);
+
+        return {
+          jobId,
+          status: job.status,
+          checkpoint: job.metadata.checkpoint,
+          resumeAt: job.metadata.resumeAt || null,
+        };
+      }
+
+      // Recovered results were appended to the existing output; without
+      // partialResults there is no earlier output, so the other documents'
+      // results are only added once every document has completed
+      const previousResult = job.metadata.result || {};
+      const stillFailed = documents.filter(
+        (document) => document.status === "failed"
+      ).length;
+      let outputMetadata = null;
+      if (this.getErrorPolicy().partialResults) {
+        outputMetadata = await this.finalizeOutput(jobId);
+      } else if (
+        documents.every((document) => document.status === "completed")
+      ) {
+        const retriedIds = new Set(
+          retriedDocuments.map((document) => document.id)
+        );
+        for (const document of documents) {
+          if (!retriedIds.has(document.id)) {
+            await this.outputService.writeResult(
+              jobId,
+              this.createResumedResult(document),
+              this.getOutputOptions(job)
+            );
+          }
+        }
+        outputMetadata = await this.finalizeOutput(jobId);
+      } else {
+        await this.deleteOutput(jobId);
+      }
+
+      const processedDocuments =
+        (previousResult.processedDocuments || 0) + recoveredDocuments;
+      const retry = {
+        retriedAt: new Date(startTime).toISOString(),
+        retriedDocuments: retriedDocuments.length,
+        recoveredDocuments,
+        extractionConfig: extractionConfig || null,
+        processingTime: Date.now() - startTime,
+      };
+      const processingResult = {
+        ...previousResult,
+        jobId,
+        totalDocuments: documents.length,
+        processedDocuments,
+        failedDocuments: stillFailed,
+        pendingDocuments: documents.length - processedDocuments - stillFailed,
+        outputMetadata,
+        lastRetry: retry,
+      };
+
+      job.metadata.retries = [...(job.metadata.retries || []), retry];
+      await this.finishJob(
+        job,
+        currentJob,
+        processingResult,
+        this.getAbortReason(job, processingResult)
+      );
 
       return processingResult;
     } catch (error) {
-      console.error(`Job processing failed for ${jobId}:`, error);
+      console.error(`Failed document retry failed for ${jobId}:`, error);
+      await this.closeOutput(jobId);
 
-      // Mark job as failed
       const job = await this.jobRepository.findById(jobId);
-      if (job) {
+      if (job && job.canTransitionTo("failed")) {
         job.markFailed(error.message);
         await this.jobRepository.save(job);
+        await this.notifyJobEventUseCase.execute(job, "job.failed");
       }
 
       throw error;
+    } finally {
+      this.openCircuits.delete(jobId);
+      await this.finishProgress(jobId);
+    }
+  }
+
+  /**
+   * Marks the pending dead letters of documents being reprocessed as
+   * redriven, so entries for documents that are retried do not pile up
+   * @param {string} jobId - The job ID
+   * @param {Array<Document>} documents - The documents being reprocessed
+   * @returns {Promise<void>}
+   */
+  async redriveDeadLetters(jobId, documents) {
+    const documentIds = new Set(documents.map((document) => document.id));
+    const deadLetters = await this.deadLetterRepository.findByJobId(jobId, {
+      status: "pending",
+    });
+
+    for (const deadLetter of deadLetters) {
+      if (documentIds.has(deadLetter.documentId)) {
+        deadLetter.markRedriven();
+        await this.deadLetterRepository.save(deadLetter);
+      }
+    }
+  }
+
+  /**
+   * Moves a processed job to its final status and notifies its webhooks
+   * A cancellation wins, then an aborted run fails the job, then failed
+   * documents complete it with errors
+   * @param {Job} job - The processed job
+   * @param {Job} currentJob - The persisted job, carrying API-side requests
+   * @param {Object} processingResult - Result of the run
+   * @param {string|null} abortReason - Why the run was aborted, if it was
+   * @returns {Promise<void>}
+   */
+  async finishJob(job, currentJob, processingResult, abortReason) {
+    if (currentJob && currentJob.isCancelled()) {
+      job.metadata.cancelledAt = currentJob.metadata.cancelledAt;
+      job.markCancelled(currentJob.metadata.cancelReason, processingResult);
+    } else if (abortReason) {
+      job.markFailed(abortReason, processingResult);
+    } else if (processingResult.failedDocuments > 0) {
+      job.markCompletedWithErrors(processingResult);
+    } else {
+      job.markCompleted(processingResult);
+    }
+    await this.jobRepository.save(job);
+
+    const events = { cancelled: "job.cancelled", failed: "job.failed" };
+    await this.notifyJobEventUseCase.execute(
+      job,
+      events[job.status] || "job.completed"
+    );
+  }
+
+  /**
+   * Gets the reason a run was aborted: the provider circuit opened while
+   * the job was set to fail on it, or failures passed the error policy
+   * @param {Job} job - The processed job
+   * @param {Object} processingResult - Result of the run
+   * @returns {string|null} The abort reason, or null if the run was not aborted
+   */
+  getAbortReason(job, processingResult) {
+    const circuitError = this.openCircuits.get(job.id);
+    if (circuitError) {
+      return `Extractor provider unavailable: ${circuitError.message}`;
+    }
+
+    if (this.exceedsErrorThreshold(job)) {
+      const { failedDocuments, totalDocuments } = processingResult;
+      return `Error threshold exceeded: ${failedDocuments} of ${totalDocuments} documents failed`;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the job-level error handling policy
+   * @returns {Object} Whether to stop on the first error, the error
+   * threshold and whether partial results are written
+   */
+  getErrorPolicy() {
+    const errorHandling = getConfig("errorHandling", {});
+    return {
+      stopOnFirstError:
+        errorHandling.failFast === true ||
+        errorHandling.continueOnError === false,
+      errorThreshold: errorHandling.errorThreshold ?? 1,
+      partialResults: errorHandling.partialResults !== false,
+    };
+  }
+
+  /**
+   * Checks whether the failures of the current run should abort the job
+   * The ratio is taken over all documents of the job, so the run aborts as
+   * soon as the final failure ratio is certain to exceed the threshold
+   * @param {Job} job - The job being processed
+   * @returns {boolean} True if processing should stop and the job fail
+   */
+  exceedsErrorThreshold(job) {
+    const { totalDocuments = 0, failedDocuments = 0 } =
+      job.metadata.checkpoint || {};
+    if (failedDocuments === 0 || totalDocuments === 0) {
+      return false;
     }
+
+    const { stopOnFirstError, errorThreshold } = this.getErrorPolicy();
+    return (
+      stopOnFirstError || failedDocuments / totalDocuments > errorThreshold
+    );
+  }
+
+  /**
+   * Starts tracking the progress of a job run
+   * @param {string} jobId - The job ID
+   * @param {Object} counters - Initial document counters
+   * @returns {Promise<void>}
+   */
+  async startProgress(jobId, counters) {
+    const progress = new JobProgress({ jobId, ...counters });
+    this.activeProgress.set(jobId, progress);
+    await this.saveProgress(progress);
+  }
+
+  /**
+   * Applies a change to the progress of a running job and persists it
+   * @param {string} jobId - The job ID
+   * @param {Function} update - Receives the JobProgress to mutate
+   * @returns {Promise<void>}
+   */
+  async updateProgress(jobId, update) {
+    const progress = this.activeProgress.get(jobId);
+    if (!progress) {
+      return;
+    }
+
+    update(progress);
+    await this.saveProgress(progress);
+  }
+
+  /**
+   * Stops tracking the progress of a job run
+   * @param {string} jobId - The job ID
+   * @returns {Promise<void>}
+   */
+  async finishProgress(jobId) {
+    await this.updateProgress(jobId, (progress) => progress.markFinished());
+    this.activeProgress.delete(jobId);
+  }
+
+  /**
+   * Persists job progress; failures are logged but never fail the job
+   * @param {JobProgress} progress - The progress to save
+   * @returns {Promise<void>}
+   */
+  async saveProgress(progress) {
+    try {
+      await this.jobProgressRepository.save(progress);
+    } catch (error) {
+      console.error(`Failed to save progress for ${progress.jobId}:`, error);
+    }
+  }
+
+  /**
+   * Finalizes the job's output and saves its manifest
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object>} Output metadata
+   */
+  async finalizeOutput(jobId) {
+    const outputMetadata = await this.outputService.finalizeOutput(jobId);
+    await this.outputManifestRepository.save(
+      OutputManifest.fromOutputMetadata(outputMetadata)
+    );
+    return outputMetadata;
+  }
+
+  /**
+   * Deletes the job's output along with any manifest of an earlier run
+   * @param {string} jobId - The job ID
+   * @returns {Promise<void>}
+   */
+  async deleteOutput(jobId) {
+    await this.outputService.deleteOutput(jobId);
+    await this.outputManifestRepository.delete(jobId);
+  }
+
+  /**
+   * Closes the job's output after a run ended with an error, keeping what
+   * was written for the next run to continue
+   * @param {string} jobId - The job ID
+   * @returns {Promise<void>}
+   */
+  async closeOutput(jobId) {
+    try {
+      await this.outputService.closeOutput(jobId);
+    } catch (error) {
+      console.error(`Failed to close output for ${jobId}:`, error);
+    }
+  }
+
+  /**
+   * Gets the options a job's results are written with
+   * Schema extractions pass their schema, which fixes the CSV columns
+   * @param {Job} job - The job
+   * @returns {Object} Output options
+   */
+  getOutputOptions(job) {
+    const { type = "schema", schema } = job.extractionConfig;
+    return type === "schema" && schema ? { schema } : {};
+  }
+
+  /**
+   * Creates a result entry for a document completed by an earlier run
+   * @param {Document} document - The completed document
+   * @returns {Object} Processing result
+   */
+  createResumedResult(document) {
+    return {
+      documentId: document.id,
+      documentName: document.name,
+      result: document.metadata.result,
+      processingTime: 0,
+      attempts: 0,
+      resumed: true,
+    };
   }
 
   /**
@@ -108,7 +631,7 @@ export class ProcessJobUseCase {
    * Processes documents with batching and backpressure
    * @param {Job} job - The job
    * @param {Array<Document>} documents - Array of documents
-   * @returns {Promise<Array<Object>>} Array of processing results
+   * @returns {Promise<number>} Number of documents completed
    */
   async processDocuments(job, documents) {
     const maxBatchSize = getConfig("batching.maxBatchSize", 100);
@@ -117,37 +640,76 @@ export class ProcessJobUseCase {
       "concurrency.maxConcurrentWorkers",
       50
     );
-    const rateLimitPerSecond = getConfig("concurrency.rateLimitPerSecond", 100);
 
     // Create batches
     const batches = this.createBatches(documents, maxBatchSize);
-    const results = [];
+    let completedDocuments = 0;
+
+    // Process batches with concurrency control; documents a batch requeues
+    // run again in later batches
+    for (let i = 0; i < batches.length; ) {
+      if (
+        this.exceedsErrorThreshold(job) ||
+        this.openCircuits.has(job.id) ||
+        (await this.isInterrupted(job.id))
+      ) {
+        break;
+      }
 
-    // Process batches with concurrency control
-    for (let i = 0; i < batches.length; i += maxConcurrentBatches) {
       const batchGroup = batches.slice(i, i + maxConcurrentBatches);
+      i += batchGroup.length;
 
       // Process batch group concurrently
       const batchPromises = batchGroup.map((batch) =>
-        this.processBatch(job, batch, maxConcurrentWorkers, rateLimitPerSecond)
+        this.processBatch(job, batch, maxConcurrentWorkers)
       );
 
       const batchResults = await Promise.allSettled(batchPromises);
 
-      // Collect results
+      // Count completed documents
+      const requeuedDocuments = [];
       batchResults.forEach((result) => {
         if (result.status === "fulfilled") {
-          results.push(...result.value);
+          completedDocuments += result.value.completedDocuments;
+          requeuedDocuments.push(...result.value.requeuedDocuments);
         } else {
           console.error("Batch processing failed:", result.reason);
         }
       });
+      batches.push(...this.createBatches(requeuedDocuments, maxBatchSize));
+    }
 
-      // Apply backpressure if needed
-      await this.applyBackpressure();
+    return completedDocuments;
+  }
+
+  /**
+   * Checks whether the job has been paused or cancelled since processing started
+   * Reads the persisted job because pause and cancel arrive through the API
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if processing should stop
+   */
+  async isInterrupted(jobId) {
+    const job = await this.jobRepository.findById(jobId);
+    return Boolean(job && (job.isCancelled() || job.isPaused()));
+  }
+
+  /**
+   * Persists the job checkpoint unless the job has been interrupted
+   * @param {Job} job - The job being processed
+   * @returns {Promise<boolean>} True if processing should stop
+   */
+  async saveCheckpoint(job) {
+    const currentJob = await this.jobRepository.findById(job.id);
+    if (!currentJob) {
+      return false;
+    }
+    if (currentJob.isCancelled() || currentJob.isPaused()) {
+      return true;
     }
 
-    return results;
+    currentJob.metadata.checkpoint = job.metadata.checkpoint;
+    await this.jobRepository.save(currentJob);
+    return false;
   }
 
   /**
@@ -166,107 +728,351 @@ export class ProcessJobUseCase {
 
   /**
    * Processes a batch of documents
+   * `batching.batchTimeoutMs` starts when the batch's first document starts,
+   * so waiting for admission, a worker slot or a rate limit token does not
+   * count against it. Documents still running when it passes are aborted,
+   * and documents not started by then are requeued for a later batch
    * @param {Job} job - The job
    * @param {Array<Document>} batch - Batch of documents
    * @param {number} maxConcurrentWorkers - Maximum concurrent workers
-   * @param {number} rateLimitPerSecond - Rate limit per second
-   * @returns {Promise<Array<Object>>} Array of processing results
+   * @returns {Promise<Object>} Number of documents completed and the
+   * documents requeued
    */
-  async processBatch(job, batch, maxConcurrentWorkers, rateLimitPerSecond) {
-    const results = [];
-    const rateLimiter = this.createRateLimiter(rateLimitPerSecond);
-
-    // Process documents with concurrency control
-    for (let i = 0; i < batch.length; i += maxConcurrentWorkers) {
-      const workerGroup = batch.slice(i, i + maxConcurrentWorkers);
+  async processBatch(job, batch, maxConcurrentWorkers) {
+    let completedDocuments = 0;
+    const requeuedDocuments = [];
+    const batchTimeout = this.createDeferredTimeout(
+      "batch",
+      getConfig("batching.batchTimeoutMs", 30000)
+    );
 
-      // Process worker group concurrently
-      const workerPromises = workerGroup.map(async (document) => {
-        await rateLimiter();
-        return this.processDocument(job, document);
-      });
+    try {
+      // Process documents with concurrency control
+      for (let i = 0; i < batch.length; i += maxConcurrentWorkers) {
+        // Checkpoint between worker groups; if paused, cancelled, past the
+        // error threshold or halted by the provider circuit the remaining
+        // documents stay pending
+        if (
+          (await this.saveCheckpoint(job)) ||
+          this.exceedsErrorThreshold(job) ||
+          this.openCircuits.has(job.id)
+        ) {
+          break;
+        }
+        if (batchTimeout.signal?.aborted) {
+          requeuedDocuments.push(...batch.slice(i));
+          break;
+        }
 
-      const workerResults = await Promise.allSettled(workerPromises);
+        const workerGroup = batch.slice(i, i + maxConcurrentWorkers);
 
-      // Collect results
-      workerResults.forEach((result) => {
-        if (result.status === "fulfilled" && result.value) {
-          results.push(result.value);
-        } else if (result.status === "rejected") {
-          console.error("Document processing failed:", result.reason);
+        // Admit the worker group one document at a time as backpressure
+        // allows, then process it concurrently within the slots the shared
+        // scheduler grants this job
+        const workerPromises = [];
+        for (const document of workerGroup) {
+          const release = await this.backpressure.admit();
+          const processing = this.scheduler
+            .run(job.id, job.priority, () =>
+              this.processDocument(job, document, batchTimeout)
+            )
+            .finally(release);
+          // Rejections are collected by allSettled below; this keeps one that
+          // happens while later documents wait for admission from going unhandled
+          processing.catch(() => {});
+          workerPromises.push(processing);
         }
-      });
+
+        const workerResults = await Promise.allSettled(workerPromises);
+
+        // Count outcomes; documents deferred by an open circuit or requeued
+        // after a timeout are neither completed nor failed
+        let failedCount = 0;
+        let deferredCount = 0;
+        workerResults.forEach((result, index) => {
+          if (result.status === "fulfilled" && result.value) {
+            completedDocuments++;
+          } else if (result.reason instanceof CircuitOpenError) {
+            deferredCount++;
+          } else if (result.reason instanceof TimeoutError) {
+            deferredCount++;
+            requeuedDocuments.push(workerGroup[index]);
+          } else {
+            failedCount++;
+            if (result.status === "rejected") {
+              console.error("Document processing failed:", result.reason);
+            }
+          }
+        });
+
+        const checkpoint = job.metadata.checkpoint || {};
+        job.updateCheckpoint({
+          completedDocuments:
+            (checkpoint.completedDocuments || 0) +
+            workerGroup.length -
+            failedCount -
+            deferredCount,
+          failedDocuments: (checkpoint.failedDocuments || 0) + failedCount,
+        });
+      }
+    } finally {
+      batchTimeout.clear();
     }
 
-    return results;
+    return { completedDocuments, requeuedDocuments };
   }
 
   /**
    * Processes a single document
+   * Failed attempts are retried as the retry policy allows, and every attempt
+   * is recorded in the document's `metadata.attempts`
+   * Each attempt is limited to `extraction.maxExtractionTimeMs`; a timed-out
+   * attempt is retryable. The document as a whole,
+   * retries included, is limited to `concurrency.workerTimeoutMs`; once that
+   * or the batch time runs out, the document is requeued while the retry
+   * policy allows, and fails otherwise
+   * The time limits start once the document holds its first provider token
+   * The result is written to the output before the document is marked
+   * completed, so an interrupted run may repeat a result but never loses one
    * @param {Job} job - The job
    * @param {Document} document - The document to process
+   * @param {Object} batchTimeout - The batch's deferred timeout
    * @returns {Promise<Object|null>} Processing result or null if failed
+   * @throws {TimeoutError} When the document was requeued or not started
    */
-  async processDocument(job, document) {
-    const maxRetries = getConfig("retry.maxRetries", 3);
-    const initialBackoffMs = getConfig("retry.initialBackoffMs", 1000);
-    const maxBackoffMs = getConfig("retry.maxBackoffMs", 30000);
+  async processDocument(job, document, batchTimeout) {
+    const { maxRetries } = this.retryPolicy.getSettings();
 
     let lastError;
+    const attempts = [];
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        // Mark document as processing
-        document.markProcessing();
-        await this.documentRepository.save(document);
+    // A document whose batch ran out of time before it started is left as is
+    if (batchTimeout.signal?.aborted) {
+      throw batchTimeout.signal.reason;
+    }
+    await this.acquireProviderToken(job);
+    const batchSignal = batchTimeout.start();
+    if (batchSignal.aborted) {
+      throw batchSignal.reason;
+    }
+    const startTime = Date.now();
 
-        // Process the document
-        const result = await this.extractFromDocument(job, document);
+    // A document left processing by an interrupted run is released first
+    if (document.status === "processing") {
+      document.markPending();
+    }
 
-        // Mark document as completed
-        document.markCompleted(result);
-        await this.documentRepository.save(document);
+    // Mark document as processing
+    document.markProcessing();
+    await this.documentRepository.save(document);
+    await this.updateProgress(job.id, (progress) =>
+      progress.markDocumentStarted()
+    );
 
-        return {
+    const documentTimeout = this.createTimeout(
+      "document",
+      getConfig("concurrency.workerTimeoutMs", 60000),
+      batchSignal
+    );
+
+    let tokenHeld = true;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const attemptStartedAt = Date.now();
+      const attemptTimeout = this.createTimeout(
+        "extraction",
+        getConfig("extraction.maxExtractionTimeMs", 300000),
+        documentTimeout.signal
+      );
+
+      try {
+        // Process the document; the race settles a timed-out attempt even
+        // if the provider ignores the signal
+        const result = await this.withSignal(
+          this.extractFromDocument(
+            job,
+            document,
+            attemptTimeout.signal,
+            tokenHeld
+          ),
+          attemptTimeout.signal
+        );
+        documentTimeout.clear();
+
+        const output = {
           documentId: document.id,
           documentName: document.name,
           result,
-          processingTime: Date.now() - new Date(document.updatedAt).getTime(),
+          processingTime: Date.now() - startTime,
           attempts: attempt + 1,
         };
+        await this.outputService.writeResult(
+          job.id,
+          output,
+          this.getOutputOptions(job)
+        );
+
+        // Mark document as completed
+        document.recordAttempt({
+          attempt: attempt + 1,
+          outcome: "succeeded",
+          startedAt: new Date(attemptStartedAt).toISOString(),
+          durationMs: Date.now() - attemptStartedAt,
+        });
+        document.markCompleted(result);
+        await this.documentRepository.save(document);
+        await this.updateProgress(job.id, (progress) =>
+          progress.markDocumentFinished(true)
+        );
+
+        return output;
       } catch (error) {
+        // Retrying against an open circuit only adds load; the document
+        // waits for the job to resume instead
+        if (error instanceof CircuitOpenError) {
+          documentTimeout.clear();
+          await this.deferDocument(job, document, error);
+          throw error;
+        }
+
+        // Permanent errors and a spent document or batch time limit end
+        // the retries
         lastError = error;
+        const { retryable, reason } = this.retryPolicy.classify(error);
+        const retry =
+          !documentTimeout.signal.aborted &&
+          this.retryPolicy.shouldRetry(error, attempt);
+        const failedAttempt = {
+          attempt: attempt + 1,
+          outcome: "failed",
+          error: error.message,
+          errorType: reason,
+          retryable,
+          timedOut: error instanceof TimeoutError,
+          startedAt: new Date(attemptStartedAt).toISOString(),
+          durationMs: Date.now() - attemptStartedAt,
+          retryDelayMs: retry
+            ? this.retryPolicy.getDelayMs(attempt, error)
+            : null,
+        };
+        attempts.push(failedAttempt);
+        document.recordAttempt(failedAttempt);
         console.error(
           `Document processing failed (attempt ${attempt + 1}):`,
           error
         );
 
-        if (attempt < maxRetries) {
-          // Calculate backoff with jitter
-          const backoffMs = Math.min(
-            initialBackoffMs * Math.pow(2, attempt) * (1 + Math.random() * 0.1),
-            maxBackoffMs
-          );
+        if (!retry) {
+          break;
+        }
+        await this.updateProgress(job.id, (progress) =>
+          progress.markDocumentRetried()
+        );
 
-          await new Promise((resolve) => setTimeout(resolve, backoffMs));
+        await this.sleep(failedAttempt.retryDelayMs, documentTimeout.signal);
+        if (documentTimeout.signal.aborted) {
+          lastError = documentTimeout.signal.reason;
+          break;
         }
+      } finally {
+        tokenHeld = false;
+        attemptTimeout.clear();
       }
     }
+    documentTimeout.clear();
 
-    // All retries failed
+    // Running out of document or batch time is not the document's fault;
+    // it runs again later while the retry policy allows
+    if (
+      lastError instanceof TimeoutError &&
+      lastError.scope !== "extraction" &&
+      this.retryPolicy.shouldRetry(lastError, document.metadata.requeues || 0)
+    ) {
+      document.markRequeued();
+      await this.documentRepository.save(document);
+      await this.updateProgress(job.id, (progress) =>
+        progress.markDocumentDeferred()
+      );
+      throw lastError;
+    }
+
+    // All retries failed, the error was permanent or the document ran out of time
     document.markFailed(lastError.message);
     await this.documentRepository.save(document);
+    await this.updateProgress(job.id, (progress) =>
+      progress.markDocumentFinished(false)
+    );
+    await this.recordDeadLetter(job, document, attempts);
 
     return null;
   }
 
+  /**
+   * Returns a document rejected by the open provider circuit to pending
+   * and halts the job's run: with `circuitBreaker.onOpen` "pause" the job is
+   * paused until the circuit's cooldown ends, otherwise the run fails
+   * @param {Job} job - The job
+   * @param {Document} document - The deferred document
+   * @param {CircuitOpenError} error - The rejection
+   * @returns {Promise<void>}
+   */
+  async deferDocument(job, document, error) {
+    document.markPending();
+    await this.documentRepository.save(document);
+    await this.updateProgress(job.id, (progress) =>
+      progress.markDocumentDeferred()
+    );
+
+    if (this.openCircuits.has(job.id)) {
+      return;
+    }
+    this.openCircuits.set(job.id, error);
+    console.warn(`Job ${job.id} halted: ${error.message}`);
+
+    if (getConfig("circuitBreaker.onOpen", "pause") !== "pause") {
+      return;
+    }
+    const currentJob = await this.jobRepository.findById(job.id);
+    if (currentJob && currentJob.canTransitionTo("paused")) {
+      currentJob.markPaused({
+        reason: "Extractor provider circuit open",
+        resumeAt: new Date(Date.now() + error.retryAfterMs).toISOString(),
+      });
+      await this.jobRepository.save(currentJob);
+    }
+  }
+
+  /**
+   * Records a permanently failed document in the dead-letter store
+   * @param {Job} job - The job
+   * @param {Document} document - The failed document
+   * @param {Array<Object>} attempts - History of processing attempts
+   * @returns {Promise<DeadLetter>} The saved dead letter
+   */
+  async recordDeadLetter(job, document, attempts) {
+    const provider = this.extractorProvider.getProviderInfo();
+    const deadLetter = new DeadLetter({
+      id: uuidv4(),
+      jobId: job.id,
+      documentId: document.id,
+      documentName: document.name,
+      attempts,
+      lastError: document.metadata.error,
+      provider: { name: provider.name, version: provider.version },
+    });
+
+    return await this.deadLetterRepository.save(deadLetter);
+  }
+
   /**
    * Extracts data from a document using the job's extraction configuration
    * @param {Job} job - The job
    * @param {Document} document - The document
+   * @param {AbortSignal} signal - Aborts the attempt; passed to provider calls
+   * @param {boolean} tokenHeld - True if the first call's rate limit token
+   * has already been taken
    * @returns {Promise<Object>} Extraction result
    */
-  async extractFromDocument(job, document) {
+  async extractFromDocument(job, document, signal, tokenHeld = false) {
     const extractionConfig = job.extractionConfig;
     let schema = extractionConfig.schema;
     const extractionType = extractionConfig.type || "schema";
@@ -294,29 +1100,43 @@ export class ProcessJobUseCase {
 
     const results = [];
 
-    // Process each chunk
+    // Process each chunk; an aborted attempt makes no further provider calls
     for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
       let chunkResult;
 
+      if (i > 0 || !tokenHeld) {
+        await this.acquireProviderToken(job);
+      }
+      signal?.throwIfAborted();
+
       switch (extractionType) {
         case "schema":
           chunkResult = await this.extractorProvider.extractWithSchema(
             chunk,
-            schema
+            schema,
+            { signal }
           );
           break;
         case "entities":
-          chunkResult = await this.extractorProvider.extractEntities(chunk);
+          chunkResult = await this.extractorProvider.extractEntities(
+            chunk,
+            [],
+            { signal }
+          );
           break;
         case "summary":
-          chunkResult = await this.extractorProvider.generateSummary(chunk);
+          chunkResult = await this.extractorProvider.generateSummary(chunk, {
+            signal,
+          });
           break;
         case "keywords":
-          chunkResult = await this.extractorProvider.extractKeywords(chunk);
+          chunkResult = await this.extractorProvider.extractKeywords(chunk, {
+            signal,
+          });
           break;
         default:
-          throw new Error(`Unsupported extraction type: ${extractionType}`);
+          throw new UnsupportedExtractionTypeError(extractionType);
       }
 
       results.push({
@@ -330,6 +1150,109 @@ export class ProcessJobUseCase {
     return this.combineChunkResults(results, extractionType);
   }
 
+  /**
+   * Creates a signal that aborts with a TimeoutError after a time limit
+   * @param {string} scope - What is being timed (extraction, document or batch)
+   * @param {number} timeoutMs - The limit; zero or less disables it
+   * @param {AbortSignal} parentSignal - Signal whose abort is passed on
+   * @returns {Object} The signal and a clear function stopping the timer
+   */
+  createTimeout(scope, timeoutMs, parentSignal) {
+    const controller = new AbortController();
+    const timer =
+      timeoutMs > 0
+        ? setTimeout(
+            () => controller.abort(new TimeoutError(scope, timeoutMs)),
+            timeoutMs
+          )
+        : null;
+
+    return {
+      signal: parentSignal
+        ? AbortSignal.any([parentSignal, controller.signal])
+        : controller.signal,
+      clear: () => clearTimeout(timer),
+    };
+  }
+
+  /**
+   * Creates a time limit like `createTimeout` whose timer waits for `start`
+   * @param {string} scope - What is being timed
+   * @param {number} timeoutMs - The limit; zero or less disables it
+   * @returns {Object} The signal (null until started), a start function
+   * returning it and a clear function stopping the timer
+   */
+  createDeferredTimeout(scope, timeoutMs) {
+    let timeout = null;
+
+    return {
+      get signal() {
+        return timeout ? timeout.signal : null;
+      },
+      start: () => {
+        timeout = timeout || this.createTimeout(scope, timeoutMs);
+        return timeout.signal;
+      },
+      clear: () => timeout?.clear(),
+    };
+  }
+
+  /**
+   * Settles with a promise or rejects with the signal's reason once it aborts
+   * @param {Promise<any>} promise - The work to wait for
+   * @param {AbortSignal} signal - The signal to race against
+   * @returns {Promise<any>} The promise result
+   */
+  withSignal(promise, signal) {
+    if (signal.aborted) {
+      promise.catch(() => {});
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener("abort", onAbort, { once: true });
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Waits for a delay, ending early if the signal aborts
+   * @param {number} delayMs - Delay in milliseconds
+   * @param {AbortSignal} signal - Signal ending the wait
+   * @returns {Promise<void>}
+   */
+  sleep(delayMs, signal) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal.removeEventListener("abort", done);
+        resolve();
+      };
+      const timer = setTimeout(done, delayMs);
+      signal.addEventListener("abort", done, { once: true });
+    });
+  }
+
+  /**
+   * Waits for a rate limit token before a call into the extractor provider
+   * Time spent waiting is added to the job's progress
+   * @param {Job} job - The job making the call
+   * @returns {Promise<void>}
+   */
+  async acquireProviderToken(job) {
+    const waitMs = await this.rateLimiter.acquire(
+      getConfig("llm.provider", "mock")
+    );
+    if (waitMs > 0) {
+      await this.updateProgress(job.id, (progress) =>
+        progress.markRateLimited(waitMs)
+      );
+    }
+  }
+
   /**
    * Combines results from multiple chunks
    * @param {Array<Object>} chunkResults - Array of chunk results
@@ -388,45 +1311,4 @@ export class ProcessJobUseCase {
         return chunkResults;
     }
   }
-
-  /**
-   * Creates a rate limiter
-   * @param {number} rateLimitPerSecond - Rate limit per second
-   * @returns {Function} Rate limiter function
-   */
-  createRateLimiter(rateLimitPerSecond) {
-    const interval = 1000 / rateLimitPerSecond;
-    let lastCall = 0;
-
-    return async () => {
-      const now = Date.now();
-      const timeSinceLastCall = now - lastCall;
-
-      if (timeSinceLastCall < interval) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, interval - timeSinceLastCall)
-        );
-      }
-
-      lastCall = Date.now();
-    };
-  }
-
-  /**
-   * Applies backpressure if needed
-   * @returns {Promise<void>}
-   */
-  async applyBackpressure() {
-    const pressureThreshold = getConfig("backpressure.pressureThreshold", 0.8);
-    const maxQueueSize = getConfig("backpressure.maxQueueSize", 1000);
-
-    // Simple backpressure implementation
-    // In a real system, you'd check actual queue sizes and processing rates
-    const currentPressure = Math.random(); // Mock pressure calculation
-
-    if (currentPressure > pressureThreshold) {
-      const backoffMs = Math.random() * 1000 + 100;
-      await new Promise((resolve) => setTimeout(resolve, backoffMs));
-    }
-  }
 }
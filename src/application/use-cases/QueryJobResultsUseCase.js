@@ -0,0 +1,130 @@
+/**
+ * Use Case: Query Job Results
+ * Filters, projects and sorts a job's results while streaming through its
+ * shards, so jobs larger than memory can be queried
+ * This is part of the application layer in hexagon architecture
+ */
+export class QueryJobResultsUseCase {
+  /**
+   * Creates a new QueryJobResultsUseCase instance
+   * @param {OutputService} outputService - Service holding the output shards
+   */
+  constructor(outputService) {
+    this.outputService = outputService;
+  }
+
+  /**
+   * Executes the query job results use case
+   * Unsorted queries return matches in output order and resume from a
+   * cursor. Sorted queries scan every shard, keeping only the best
+   * `offset + limit` matches, and page with offset
+   * @param {string} jobId - The job ID
+   * @param {ResultQuery} query - The validated query
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Maximum number of results to return
+   * @param {number} options.offset - Matches to skip (sorted queries)
+   * @param {Object} options.cursor - Position to resume from (unsorted queries)
+   * @returns {Promise<Object>} { results, nextCursor, nextOffset, scannedResults },
+   * where nextCursor (unsorted) or nextOffset (sorted) is null on the last page
+   */
+  async execute(jobId, query, options = {}) {
+    if (!jobId) {
+      throw new Error("Job ID is required");
+    }
+
+    const { limit = 100, offset = 0, cursor = null } = options;
+    return query.sort.length > 0
+      ? await this.executeSorted(jobId, query, limit, offset)
+      : await this.executeUnsorted(jobId, query, limit, cursor);
+  }
+
+  /**
+   * Returns matches in output order, stopping once the page is full
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {ResultQuery} query - The query
+   * @param {number} limit - Page size
+   * @param {Object|null} cursor - Position to resume from
+   * @returns {Promise<Object>} Query page
+   */
+  async executeUnsorted(jobId, query, limit, cursor) {
+    const results = [];
+    let scannedResults = 0;
+
+    for await (const entry of this.outputService.iterateResults(jobId, {
+      cursor,
+    })) {
+      scannedResults++;
+      if (!query.matches(entry.result)) {
+        continue;
+      }
+
+      results.push(query.project(entry.result));
+      if (results.length >= limit) {
+        return {
+          results,
+          nextCursor: entry.cursor,
+          nextOffset: null,
+          scannedResults,
+        };
+      }
+    }
+
+    return { results, nextCursor: null, nextOffset: null, scannedResults };
+  }
+
+  /**
+   * Returns one page of all matches in sort order
+   * Matches are kept in a sorted window of `offset + limit` results, so
+   * memory is bounded by the window rather than by the job
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {ResultQuery} query - The query
+   * @param {number} limit - Page size
+   * @param {number} offset - Matches to skip
+   * @returns {Promise<Object>} Query page
+   */
+  async executeSorted(jobId, query, limit, offset) {
+    const windowSize = offset + limit;
+    const window = [];
+    let scannedResults = 0;
+    let matchedResults = 0;
+
+    for await (const { result } of this.outputService.iterateResults(jobId)) {
+      scannedResults++;
+      if (!query.matches(result)) {
+        continue;
+      }
+      matchedResults++;
+      if (
+        window.length >= windowSize &&
+        query.compare(result, window[window.length - 1]) >= 0
+      ) {
+        continue;
+      }
+
+      // Insert after equal results to keep output order among ties
+      let low = 0;
+      let high = window.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (query.compare(window[middle], result) <= 0) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      window.splice(low, 0, result);
+      if (window.length > windowSize) {
+        window.pop();
+      }
+    }
+
+    return {
+      results: window.slice(offset).map((result) => query.project(result)),
+      nextCursor: null,
+      nextOffset: matchedResults > windowSize ? windowSize : null,
+      scannedResults,
+    };
+  }
+}
@@ -0,0 +1,194 @@
+import { v4 as uuidv4 } from "uuid";
+import { Job } from "../../domain/entities/Job.js";
+import { Document } from "../../domain/entities/Document.js";
+
+/**
+ * Job statuses that keep a schedule from starting an overlapping run
+ */
+const UNFINISHED_STATUSES = ["pending", "queued", "processing", "paused"];
+
+/**
+ * Use Case: Run Job Schedules
+ * Creates and queues a job for every schedule that is due, over the
+ * documents currently found under the schedule's storage prefix
+ * This is part of the application layer in hexagon architecture
+ */
+export class RunJobSchedulesUseCase {
+  /**
+   * Creates a new RunJobSchedulesUseCase instance
+   * @param {JobScheduleRepository} jobScheduleRepository - Repository for schedules
+   * @param {JobRepository} jobRepository - Repository for jobs
+   * @param {DocumentRepository} documentRepository - Repository for documents
+   * @param {StorageService} storageService - Storage holding the source documents
+   * @param {JobQueue} jobQueue - Queue for asynchronous job processing
+   */
+  constructor(
+    jobScheduleRepository,
+    jobRepository,
+    documentRepository,
+    storageService,
+    jobQueue
+  ) {
+    this.jobScheduleRepository = jobScheduleRepository;
+    this.jobRepository = jobRepository;
+    this.documentRepository = documentRepository;
+    this.storageService = storageService;
+    this.jobQueue = jobQueue;
+  }
+
+  /**
+   * Executes the run job schedules use case
+   * A failing schedule is logged and retried on the next tick without
+   * holding up the others
+   * @param {Date} now - The current time
+   * @returns {Promise<Array<Object>>} Outcome of each run (scheduleId, status, jobId, reason)
+   */
+  async execute(now = new Date()) {
+    const schedules = await this.jobScheduleRepository.findAll();
+    const runs = [];
+
+    for (const schedule of schedules.filter((s) => s.isDue(now))) {
+      try {
+        runs.push(await this.runSchedule(schedule, now));
+      } catch (error) {
+        console.error(`Job schedule ${schedule.id} failed to run:`, error);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Runs one schedule and records the outcome on it
+   * Skipped runs keep the previous job's ID so the next run checks it again
+   * @param {JobSchedule} schedule - The schedule to run
+   * @param {Date} now - The time of the run
+   * @returns {Promise<Object>} Run outcome
+   */
+  async runSchedule(schedule, now = new Date()) {
+    const run = await this.createScheduledJob(schedule, now);
+
+    schedule.recordRun(run, now);
+    await this.jobScheduleRepository.save(schedule);
+
+    return { scheduleId: schedule.id, ...run };
+  }
+
+  /**
+   * Creates and queues the job of a schedule run
+   * A run that fails part way removes the documents and job it saved, so
+   * the retry on the next tick starts clean
+   * @private
+   * @param {JobSchedule} schedule - The schedule to run
+   * @param {Date} now - The time of the run
+   * @returns {Promise<Object>} Run outcome (status, jobId, reason)
+   */
+  async createScheduledJob(schedule, now) {
+    const previousJobId = schedule.lastRun?.jobId;
+    if (!schedule.allowOverlap && previousJobId) {
+      const previousJob = await this.jobRepository.findById(previousJobId);
+      if (previousJob && UNFINISHED_STATUSES.includes(previousJob.status)) {
+        return {
+          status: "skipped",
+          jobId: previousJob.id,
+          reason: `Previous job is still ${previousJob.status}`,
+        };
+      }
+    }
+
+    const documents = await this.loadDocuments(schedule.source);
+    if (documents.length === 0) {
+      return {
+        status: "skipped",
+        jobId: previousJobId,
+        reason: `No documents found under ${schedule.source.bucket}/${schedule.source.prefix}`,
+      };
+    }
+
+    const job = new Job({
+      id: uuidv4(),
+      name: `${schedule.name} ${now.toISOString()}`,
+      extractionConfig: structuredClone(schedule.extractionConfig),
+      documentIds: documents.map((document) => document.id),
+      priority: schedule.priority,
+      metadata: { scheduleId: schedule.id },
+    });
+    job.validate();
+
+    // Save the queued status before a worker can pick the message up
+    job.markQueued();
+    const savedDocuments = [];
+    let jobSaved = false;
+    try {
+      for (const document of documents) {
+        await this.documentRepository.save(document);
+        savedDocuments.push(document);
+      }
+      await this.jobRepository.save(job);
+      jobSaved = true;
+      await this.jobQueue.enqueue({ type: "process", jobId: job.id });
+    } catch (error) {
+      await this.discardRun(jobSaved ? job : null, savedDocuments);
+      throw error;
+    }
+
+    return { status: "created", jobId: job.id };
+  }
+
+  /**
+   * Deletes what a failed run saved
+   * Deletion failures are logged; the run's own error is the one reported
+   * @private
+   * @param {Job|null} job - The saved job, if any
+   * @param {Array<Document>} documents - The saved documents
+   * @returns {Promise<void>}
+   */
+  async discardRun(job, documents) {
+    try {
+      if (job) {
+        await this.jobRepository.delete(job.id);
+      }
+      for (const document of documents) {
+        await this.documentRepository.delete(document.id);
+      }
+    } catch (error) {
+      console.error("Failed to discard scheduled run:", error);
+    }
+  }
+
+  /**
+   * Reads the files under a storage prefix as new documents
+   * Empty files are skipped
+   * @private
+   * @param {Object} source - Storage location (bucket, prefix)
+   * @returns {Promise<Array<Document>>} The documents
+   */
+  async loadDocuments({ bucket, prefix }) {
+    const keys = await this.storageService.listFiles(prefix, { bucket });
+    const documents = [];
+
+    for (const key of keys) {
+      // Listed keys are bucket-qualified ("bucket/file")
+      const fileName = key.startsWith(`${bucket}/`)
+        ? key.slice(bucket.length + 1)
+        : key;
+      const content = await this.storageService.readFile(fileName, {
+        bucket,
+      });
+      if (!content) {
+        continue;
+      }
+
+      const document = new Document({
+        id: uuidv4(),
+        name: fileName,
+        content,
+        source: key,
+      });
+      document.validate();
+      documents.push(document);
+    }
+
+    return documents;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Use Case: Verify Output Manifest
+ * Recomputes the checksum of every shard listed in a job's output manifest
+ * and flags shards that are missing or no longer match it
+ * This is part of the application layer in hexagon architecture
+ */
+export class VerifyOutputManifestUseCase {
+  /**
+   * Creates a new VerifyOutputManifestUseCase instance
+   * @param {OutputManifestRepository} outputManifestRepository - Repository for output manifests
+   * @param {OutputService} outputService - Service holding the output shards
+   */
+  constructor(outputManifestRepository, outputService) {
+    this.outputManifestRepository = outputManifestRepository;
+    this.outputService = outputService;
+  }
+
+  /**
+   * Executes the verify output manifest use case
+   * Each shard's status is `ok`, `missing` or `tampered` (size or checksum
+   * differs from the manifest)
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|null>} Verification report, or null if the job has no manifest
+   */
+  async execute(jobId) {
+    if (!jobId) {
+      throw new Error("Job ID is required");
+    }
+
+    const manifest = await this.outputManifestRepository.findByJobId(jobId);
+    if (!manifest) {
+      return null;
+    }
+
+    const shards = [];
+    for (const shard of manifest.shards) {
+      const actual = await this.outputService.inspectOutputFile(
+        jobId,
+        shard.fileName
+      );
+      shards.push({
+        fileName: shard.fileName,
+        status: this.getShardStatus(shard, actual),
+        expectedSha256: shard.sha256,
+        actualSha256: actual ? actual.sha256 : null,
+        expectedSize: shard.size,
+        actualSize: actual ? actual.size : null,
+      });
+    }
+
+    return {
+      jobId,
+      valid: shards.every((shard) => shard.status === "ok"),
+      missingShards: shards.filter((shard) => shard.status === "missing")
+        .length,
+      tamperedShards: shards.filter((shard) => shard.status === "tampered")
+        .length,
+      shards,
+      verifiedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Compares a shard on disk with its manifest entry
+   * @private
+   * @param {Object} shard - Manifest shard
+   * @param {Object|null} actual - Size and checksum of the shard as stored
+   * @returns {string} Shard status
+   */
+  getShardStatus(shard, actual) {
+    if (!actual) {
+      return "missing";
+    }
+    return actual.sha256 === shard.sha256 && actual.size === shard.size
+      ? "ok"
+      : "tampered";
+  }
+}
@@ -7,16 +7,17 @@ export const appConfig = {
   batching: {
     maxBatchSize: 100, // Maximum documents per batch
     maxConcurrentBatches: 10, // Maximum concurrent batch processing
-    batchTimeoutMs: 30000, // Batch timeout in milliseconds
+    batchTimeoutMs: 30000, // Time limit per batch; documents unfinished by then fail
     minBatchSize: 5, // Minimum documents to trigger batch processing
   },
 
   // Concurrency & Rate Limiting
   concurrency: {
-    maxConcurrentWorkers: 50, // Maximum concurrent document processors
-    workerTimeoutMs: 60000, // Worker timeout in milliseconds
-    rateLimitPerSecond: 100, // Rate limit per second
-    rateLimitBurst: 200, // Burst rate limit
+    maxConcurrentWorkers: 50, // Global budget of concurrent document processors
+    workerTimeoutMs: 60000, // Time limit per document, retries and backoff included
+    rateLimitPerSecond: 100, // Global extractor provider calls per second (token refill rate)
+    rateLimitBurst: 200, // Global token bucket size (calls allowed in a burst)
+    providerRateLimits: {}, // Per-provider buckets, e.g. { mock: { rateLimitPerSecond: 20, rateLimitBurst: 40 } }
   },
 
   // Retry & Backoff Settings
@@ -30,10 +31,58 @@ export const appConfig = {
 
   // Backpressure Settings
   backpressure: {
-    maxQueueSize: 1000, // Maximum items in processing queue
+    maxQueueSize: 1000, // Maximum documents in flight (admitted, waiting for or holding a worker)
     queueTimeoutMs: 60000, // Queue timeout in milliseconds
-    pressureThreshold: 0.8, // Backpressure threshold (80% of queue)
-    circuitBreakerThreshold: 0.9, // Circuit breaker threshold (90% of queue)
+    pressureThreshold: 0.8, // Admission is delayed from here (80% of maxQueueSize)
+    circuitBreakerThreshold: 0.9, // Admission stops from here until pressure drops below pressureThreshold
+    maxDelayMs: 1000, // Admission delay as pressure reaches circuitBreakerThreshold
+    statusIntervalMs: 1000, // Minimum interval between state updates published for /health
+  },
+
+  // Circuit Breaker Settings (around the extractor provider)
+  circuitBreaker: {
+    enabled: true, // Route extractor provider calls through the circuit breaker
+    windowMs: 60000, // Window the failure rate is measured over
+    minimumCalls: 5, // Calls in the window before the failure rate can open the circuit
+    failureRateThreshold: 0.5, // Failure rate that opens the circuit (50% of calls)
+    cooldownMs: 30000, // Time the circuit stays open before trial calls (half-open)
+    halfOpenMaxCalls: 1, // Trial calls let through at once while half-open
+    onOpen: "pause", // Job behaviour while open: pause (resumed after the cooldown) or fail
+    statusIntervalMs: 1000, // Minimum interval between state updates published for /health
+  },
+
+  // Job Queue Settings (mirrors the SQS queue in front of the workers)
+  queue: {
+    visibilityTimeoutMs: 900000, // Time a received message stays hidden (15 minutes)
+    heartbeatIntervalMs: 300000, // Interval at which a running job's message is hidden again
+    maxReceiveCount: 3, // Receives before a message is dead-lettered
+    receiveBatchSize: 1, // Messages received per poll
+    pollIntervalMs: 1000, // Worker poll interval when the queue is empty
+    maxConcurrentJobs: 4, // Jobs a worker process runs at once
+  },
+
+  // Scheduling Settings (worker slots are shared across concurrent jobs)
+  scheduling: {
+    priorityWeights: { high: 4, normal: 2, low: 1 }, // Weighted round robin weights
+  },
+
+  // Job Schedule Settings (recurring jobs over a storage prefix)
+  schedules: {
+    minIntervalSeconds: 60, // Shortest allowed schedule interval
+  },
+
+  // Job Progress Settings
+  progress: {
+    streamRetryMs: 1000, // Reconnect delay advertised to SSE clients
+    streamWaitMs: 10000, // How long a stream request waits for a change
+    streamPollIntervalMs: 500, // Progress poll interval while waiting
+  },
+
+  // Webhook Settings (endpoints are configured per job in extractionConfig.webhooks)
+  webhooks: {
+    maxAttempts: 3, // Delivery attempts per event
+    initialBackoffMs: 500, // Initial backoff between attempts
+    timeoutMs: 5000, // Request timeout per attempt
   },
 
   // Document Processing Settings
@@ -46,7 +95,7 @@ export const appConfig = {
 
   // Extraction Settings
   extraction: {
-    maxExtractionTimeMs: 300000, // Maximum extraction time (5 minutes)
+    maxExtractionTimeMs: 300000, // Time limit per extraction attempt (5 minutes); timeouts are retried
     confidenceThreshold: 0.7, // Minimum confidence threshold
     enableValidation: true, // Enable field validation and coercion
     enableChunking: true, // Enable document chunking
@@ -55,10 +104,27 @@ export const appConfig = {
   // Output Settings
   output: {
     outputDirectory: "./output", // Output directory for results
-    outputFormat: "jsonl", // Output format (jsonl, json, csv)
+    outputFormat: "jsonl", // Output format (jsonl, json, csv, parquet)
     compressionEnabled: true, // Enable output compression
+    compressionType: "gzip", // Output compression (gzip, brotli or zstd where Node.js supports it)
     maxOutputFileSize: 104857600, // Maximum output file size (100MB)
     shardSize: 10000, // Number of records per shard
+    csv: {
+      keySeparator: ".", // Joins nested key paths in column names and cells
+      arraySeparator: "|", // Joins array items (and nested pairs) in a cell
+      keyValueSeparator: "=", // Separates a nested key path from its value
+    },
+    parquet: {
+      rowGroupSize: 1000, // Rows per row group in each Parquet shard
+    },
+    results: {
+      defaultPageSize: 100, // Results per page of GET /jobs/{id}/results
+      maxPageSize: 1000, // Largest page a client may ask for
+      maxSortWindow: 10000, // Most sorted query matches held in memory (offset + limit)
+      maxInlineShardBytes: 5242880, // Larger shards are downloaded by presigned URL (5MB)
+      presignedUrlExpiresIn: 3600, // Seconds a shard download URL stays valid
+      storageBucket: "results", // Storage bucket shards are published to for download
+    },
   },
 
   // Storage Settings
@@ -89,16 +155,16 @@ export const appConfig = {
   // Idempotency Settings
   idempotency: {
     enabled: true, // Enable idempotency
-    keyField: "id", // Field to use for idempotency key
+    keyField: "id", // Body field used as the key when no Idempotency-Key header is sent
     ttlSeconds: 86400, // Idempotency key TTL (24 hours)
   },
 
   // Error Handling
   errorHandling: {
-    failFast: false, // Fail fast on errors
-    partialResults: true, // Allow partial results
-    errorThreshold: 0.1, // Error threshold (10% of documents)
-    continueOnError: true, // Continue processing on individual errors
+    failFast: false, // Fail the job on the first failed document
+    partialResults: true, // Write output of incomplete (failed/cancelled) runs
+    errorThreshold: 0.1, // Fail the job once failed documents exceed 10% of the job
+    continueOnError: true, // Keep processing after a failed document (false stops like failFast)
   },
 };
 
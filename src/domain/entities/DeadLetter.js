@@ -0,0 +1,97 @@
+/**
+ * DeadLetter entity representing a document that permanently failed processing
+ * This is a core domain entity in the hexagon architecture
+ */
+export class DeadLetter {
+  /**
+   * Creates a new DeadLetter instance
+   * @param {Object} params - Dead letter parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.jobId - ID of the job the document belongs to
+   * @param {string} params.documentId - ID of the failed document
+   * @param {string} params.documentName - Name of the failed document
+   * @param {Array<Object>} params.attempts - History of processing attempts
+   * @param {string} params.lastError - Error message of the last attempt
+   * @param {Object} params.provider - Extractor provider information
+   * @param {string} params.status - Current status (pending, redriven)
+   * @param {string} params.createdAt - ISO timestamp
+   * @param {string} params.redrivenAt - ISO timestamp of the last redrive
+   */
+  constructor({
+    id,
+    jobId,
+    documentId,
+    documentName,
+    attempts = [],
+    lastError,
+    provider = null,
+    status = "pending",
+    createdAt,
+    redrivenAt = null,
+  }) {
+    this.id = id;
+    this.jobId = jobId;
+    this.documentId = documentId;
+    this.documentName = documentName;
+    this.attempts = attempts;
+    this.lastError = lastError;
+    this.provider = provider;
+    this.status = status;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.redrivenAt = redrivenAt;
+  }
+
+  /**
+   * Validates the dead letter entity
+   * @returns {boolean} True if valid
+   * @throws {Error} If validation fails
+   */
+  validate() {
+    if (!this.id) {
+      throw new Error("Dead letter ID is required");
+    }
+    if (!this.jobId) {
+      throw new Error("Job ID is required");
+    }
+    if (!this.documentId) {
+      throw new Error("Document ID is required");
+    }
+    return true;
+  }
+
+  /**
+   * Marks the dead letter as redriven back into processing
+   */
+  markRedriven() {
+    this.status = "redriven";
+    this.redrivenAt = new Date().toISOString();
+  }
+
+  /**
+   * Converts the dead letter to a plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      jobId: this.jobId,
+      documentId: this.documentId,
+      documentName: this.documentName,
+      attempts: this.attempts,
+      lastError: this.lastError,
+      provider: this.provider,
+      status: this.status,
+      createdAt: this.createdAt,
+      redrivenAt: this.redrivenAt,
+    };
+  }
+
+  /**
+   * Creates a dead letter from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {DeadLetter} DeadLetter instance
+   */
+  static fromJSON(data) {
+    return new DeadLetter(data);
+  }
+}
@@ -1,3 +1,19 @@
+import { StateMachine } from "../state/StateMachine.js";
+
+/**
+ * Allowed document status transitions
+ * New documents are queued implicitly with their job and go straight to
+ * processing; failed documents are queued again for a retry, and documents
+ * interrupted mid-run are released back to pending
+ */
+export const documentStateMachine = new StateMachine("Document", {
+  pending: ["queued", "processing"],
+  queued: ["processing", "pending"],
+  processing: ["completed", "failed", "pending"],
+  completed: [],
+  failed: ["queued", "processing"],
+});
+
 /**
  * Document entity representing a document to be processed
  * This is a core domain entity in the hexagon architecture
@@ -11,10 +27,11 @@ export class Document {
    * @param {string} params.content - Document content
    * @param {string} params.contentType - MIME type of the document
    * @param {string} params.source - Source of the document (file path, URL, etc.)
-   * @param {string} params.status - Current status (pending, processing, completed, failed)
+   * @param {string} params.status - Current status (pending, queued, processing, completed, failed)
    * @param {string} params.createdAt - ISO timestamp
    * @param {string} params.updatedAt - ISO timestamp
    * @param {Object} params.metadata - Additional metadata
+   * @param {Array<Object>} params.statusHistory - Timestamped status transitions
    */
   constructor({
     id,
@@ -26,6 +43,7 @@ export class Document {
     createdAt,
     updatedAt,
     metadata = {},
+    statusHistory = [],
   }) {
     this.id = id;
     this.name = name;
@@ -36,6 +54,7 @@ export class Document {
     this.createdAt = createdAt || new Date().toISOString();
     this.updatedAt = updatedAt || new Date().toISOString();
     this.metadata = metadata;
+    this.statusHistory = statusHistory;
   }
 
   /**
@@ -56,12 +75,62 @@ export class Document {
     return true;
   }
 
+  /**
+   * Checks if the document may transition to a status
+   * @param {string} status - The target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransitionTo(status) {
+    return documentStateMachine.canTransition(this.status, status);
+  }
+
+  /**
+   * Transitions the document to a status and records it in the history
+   * @param {string} status - The target status
+   * @throws {InvalidStateTransitionError} If the transition is not allowed
+   */
+  transitionTo(status) {
+    documentStateMachine.assertTransition(this, status);
+
+    const transitionedAt = new Date().toISOString();
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      at: transitionedAt,
+    });
+    this.status = status;
+    this.updatedAt = transitionedAt;
+  }
+
+  /**
+   * Releases a document interrupted mid-processing back to pending
+   */
+  markPending() {
+    this.transitionTo("pending");
+  }
+
+  /**
+   * Returns a document that ran out of time to pending so it runs again
+   * Counts the requeues in `metadata.requeues`
+   */
+  markRequeued() {
+    this.transitionTo("pending");
+    this.metadata.requeues = (this.metadata.requeues || 0) + 1;
+  }
+
+  /**
+   * Marks the document as queued for another processing run
+   */
+  markQueued() {
+    this.transitionTo("queued");
+    delete this.metadata.requeues;
+  }
+
   /**
    * Marks the document as processing
    */
   markProcessing() {
-    this.status = "processing";
-    this.updatedAt = new Date().toISOString();
+    this.transitionTo("processing");
   }
 
   /**
@@ -69,9 +138,9 @@ export class Document {
    * @param {Object} result - Processing result
    */
   markCompleted(result) {
-    this.status = "completed";
-    this.updatedAt = new Date().toISOString();
+    this.transitionTo("completed");
     this.metadata.result = result;
+    delete this.metadata.error;
   }
 
   /**
@@ -79,11 +148,18 @@ export class Document {
    * @param {string} error - Error message
    */
   markFailed(error) {
-    this.status = "failed";
-    this.updatedAt = new Date().toISOString();
+    this.transitionTo("failed");
     this.metadata.error = error;
   }
 
+  /**
+   * Records a processing attempt; attempts of every run are kept in order
+   * @param {Object} attempt - Attempt number, timing, outcome and error details
+   */
+  recordAttempt(attempt) {
+    this.metadata.attempts = [...(this.metadata.attempts || []), attempt];
+  }
+
   /**
    * Gets the document size in characters
    * @returns {number} Document size
@@ -151,6 +227,7 @@ export class Document {
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       metadata: this.metadata,
+      statusHistory: this.statusHistory,
     };
   }
 
@@ -1,3 +1,5 @@
+import { SchemaCoercionError } from "../errors/SchemaCoercionError.js";
+
 /**
  * ExtractionSchema entity representing the schema for structured data extraction
  * This is a core domain entity in the hexagon architecture
@@ -54,12 +56,12 @@ export class ExtractionSchema {
    * @param {string} fieldName - Name of the field
    * @param {any} value - Value to validate and coerce
    * @returns {any} Coerced value
-   * @throws {Error} If validation fails
+   * @throws {SchemaCoercionError} If validation fails
    */
   validateAndCoerceField(fieldName, value) {
     const field = this.fields.find((f) => f.name === fieldName);
     if (!field) {
-      throw new Error(`Field '${fieldName}' not found in schema`);
+      throw new SchemaCoercionError(`Field '${fieldName}' not found in schema`);
     }
 
     return this.coerceValue(value, field.type, field.format);
@@ -71,6 +73,7 @@ export class ExtractionSchema {
    * @param {string} type - Target type
    * @param {string} format - Optional format (e.g., date format)
    * @returns {any} Coerced value
+   * @throws {SchemaCoercionError} If the value cannot be converted
    */
   coerceValue(value, type, format) {
     if (value === null || value === undefined) {
@@ -85,7 +88,7 @@ export class ExtractionSchema {
       case "integer":
         const num = Number(value);
         if (isNaN(num)) {
-          throw new Error(`Cannot convert '${value}' to number`);
+          throw new SchemaCoercionError(`Cannot convert '${value}' to number`);
         }
         return type === "integer" ? Math.floor(num) : num;
 
@@ -98,18 +101,18 @@ export class ExtractionSchema {
             return false;
         }
         if (typeof value === "number") return value !== 0;
-        throw new Error(`Cannot convert '${value}' to boolean`);
+        throw new SchemaCoercionError(`Cannot convert '${value}' to boolean`);
 
       case "date":
         if (value instanceof Date) return value;
         if (typeof value === "string") {
           const date = new Date(value);
           if (isNaN(date.getTime())) {
-            throw new Error(`Cannot convert '${value}' to date`);
+            throw new SchemaCoercionError(`Cannot convert '${value}' to date`);
           }
           return date;
         }
-        throw new Error(`Cannot convert '${value}' to date`);
+        throw new SchemaCoercionError(`Cannot convert '${value}' to date`);
 
       case "array":
         if (Array.isArray(value)) return value;
@@ -128,10 +131,12 @@ export class ExtractionSchema {
           try {
             return JSON.parse(value);
           } catch {
-            throw new Error(`Cannot convert '${value}' to object`);
+            throw new SchemaCoercionError(
+              `Cannot convert '${value}' to object`
+            );
           }
         }
-        throw new Error(`Cannot convert '${value}' to object`);
+        throw new SchemaCoercionError(`Cannot convert '${value}' to object`);
 
       default:
         return value;
@@ -178,6 +183,30 @@ export class ExtractionSchema {
     return new ExtractionSchema(data);
   }
 
+  /**
+   * Resolves the schema of an extraction configuration in place
+   * A `schemaType` selects a default schema; a plain `schema` object is
+   * turned into an ExtractionSchema
+   * @param {Object} extractionConfig - Extraction configuration from a request
+   * @returns {Object} Extraction configuration with an ExtractionSchema
+   */
+  static resolveExtractionConfig(extractionConfig) {
+    if (extractionConfig.schemaType) {
+      extractionConfig.schema = ExtractionSchema.createDefaultSchema(
+        extractionConfig.schemaType
+      );
+    } else if (
+      extractionConfig.schema &&
+      typeof extractionConfig.schema === "object"
+    ) {
+      extractionConfig.schema = ExtractionSchema.fromJSON(
+        extractionConfig.schema
+      );
+    }
+
+    return extractionConfig;
+  }
+
   /**
    * Creates a default schema for common document types
    * @param {string} documentType - Type of document
@@ -0,0 +1,83 @@
+/**
+ * IdempotencyRecord entity storing the first response sent for an
+ * idempotency key so retries of the same request can be replayed
+ * This is a core domain entity in the hexagon architecture
+ */
+export class IdempotencyRecord {
+  /**
+   * Creates a new IdempotencyRecord instance
+   * @param {Object} params - Record parameters
+   * @param {string} params.key - Idempotency key, scoped to the operation
+   * @param {string} params.fingerprint - Hash of the request the key was first used with
+   * @param {string} params.status - Current status (in_progress, completed)
+   * @param {Object} params.response - The stored response once completed
+   * @param {string} params.createdAt - ISO timestamp
+   * @param {string} params.expiresAt - ISO timestamp after which the key may be reused
+   */
+  constructor({
+    key,
+    fingerprint,
+    status = "in_progress",
+    response = null,
+    createdAt,
+    expiresAt,
+  }) {
+    this.key = key;
+    this.fingerprint = fingerprint;
+    this.status = status;
+    this.response = response;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.expiresAt = expiresAt;
+  }
+
+  /**
+   * Stores the response of the request that owns the key
+   * @param {Object} response - The HTTP response
+   */
+  markCompleted(response) {
+    this.status = "completed";
+    this.response = response;
+  }
+
+  /**
+   * Checks if the record has outlived its TTL
+   * @param {number} now - Epoch milliseconds to compare against
+   * @returns {boolean} True if expired
+   */
+  isExpired(now = Date.now()) {
+    return new Date(this.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Checks if a request is the same one the key was first used with
+   * @param {string} fingerprint - Hash of the request
+   * @returns {boolean} True if the request matches
+   */
+  matches(fingerprint) {
+    return this.fingerprint === fingerprint;
+  }
+
+  /**
+   * Converts the record to a plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      key: this.key,
+      fingerprint: this.fingerprint,
+      status: this.status,
+      response: this.response,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+    };
+  }
+
+  /**
+   * Creates a record from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {IdempotencyRecord} IdempotencyRecord instance
+   */
+  static fromJSON(data) {
+    return new IdempotencyRecord(data);
+  }
+}
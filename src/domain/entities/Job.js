@@ -1,3 +1,33 @@
+import { StateMachine } from "../state/StateMachine.js";
+import { Webhook } from "./Webhook.js";
+
+/**
+ * Allowed job status transitions
+ * pending → queued → processing → completed/completed_with_errors/failed/cancelled/paused
+ */
+export const jobStateMachine = new StateMachine("Job", {
+  pending: ["queued", "cancelled"],
+  queued: ["processing", "paused", "cancelled"],
+  processing: [
+    "completed",
+    "completed_with_errors",
+    "failed",
+    "paused",
+    "cancelled",
+  ],
+  paused: ["queued", "cancelled"],
+  completed: ["queued"],
+  completed_with_errors: ["queued"],
+  failed: ["queued"],
+  cancelled: [],
+});
+
+/**
+ * Job priorities, highest first; the scheduler weights them through
+ * `scheduling.priorityWeights`
+ */
+export const JOB_PRIORITIES = ["high", "normal", "low"];
+
 /**
  * Job entity representing a document processing job
  * This is a core domain entity in the hexagon architecture
@@ -10,29 +40,35 @@ export class Job {
    * @param {string} params.name - Job name
    * @param {Object} params.extractionConfig - Extraction configuration
    * @param {Array<string>} params.documentIds - Array of document IDs to process
-   * @param {string} params.status - Current status (pending, processing, completed, failed)
+   * @param {string} params.priority - Scheduling priority (high, normal, low)
+   * @param {string} params.status - Current status (pending, queued, processing, paused, completed, completed_with_errors, failed, cancelled)
    * @param {string} params.createdAt - ISO timestamp
    * @param {string} params.updatedAt - ISO timestamp
    * @param {Object} params.metadata - Additional metadata
+   * @param {Array<Object>} params.statusHistory - Timestamped status transitions
    */
   constructor({
     id,
     name,
     extractionConfig,
     documentIds = [],
+    priority = "normal",
     status = "pending",
     createdAt,
     updatedAt,
     metadata = {},
+    statusHistory = [],
   }) {
     this.id = id;
     this.name = name;
     this.extractionConfig = extractionConfig;
     this.documentIds = documentIds;
+    this.priority = priority;
     this.status = status;
     this.createdAt = createdAt || new Date().toISOString();
     this.updatedAt = updatedAt || new Date().toISOString();
     this.metadata = metadata;
+    this.statusHistory = statusHistory;
   }
 
   /**
@@ -53,15 +89,54 @@ export class Job {
     if (!Array.isArray(this.documentIds)) {
       throw new Error("Document IDs must be an array");
     }
+    if (!JOB_PRIORITIES.includes(this.priority)) {
+      throw new Error(
+        `Job priority must be one of: ${JOB_PRIORITIES.join(", ")}`
+      );
+    }
     return true;
   }
 
+  /**
+   * Checks if the job may transition to a status
+   * @param {string} status - The target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransitionTo(status) {
+    return jobStateMachine.canTransition(this.status, status);
+  }
+
+  /**
+   * Transitions the job to a status and records it in the history
+   * @param {string} status - The target status
+   * @throws {InvalidStateTransitionError} If the transition is not allowed
+   */
+  transitionTo(status) {
+    jobStateMachine.assertTransition(this, status);
+
+    const transitionedAt = new Date().toISOString();
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      at: transitionedAt,
+    });
+    this.status = status;
+    this.updatedAt = transitionedAt;
+  }
+
+  /**
+   * Marks the job as queued for asynchronous processing
+   */
+  markQueued() {
+    this.transitionTo("queued");
+    this.metadata.queuedAt = this.updatedAt;
+  }
+
   /**
    * Marks the job as processing
    */
   markProcessing() {
-    this.status = "processing";
-    this.updatedAt = new Date().toISOString();
+    this.transitionTo("processing");
   }
 
   /**
@@ -69,19 +144,105 @@ export class Job {
    * @param {Object} result - Job completion result
    */
   markCompleted(result) {
-    this.status = "completed";
-    this.updatedAt = new Date().toISOString();
+    this.transitionTo("completed");
+    this.metadata.result = result;
+  }
+
+  /**
+   * Marks the job as completed with some documents failed
+   * @param {Object} result - Job completion result
+   */
+  markCompletedWithErrors(result) {
+    this.transitionTo("completed_with_errors");
     this.metadata.result = result;
   }
 
   /**
    * Marks the job as failed
    * @param {string} error - Error message
+   * @param {Object} result - Partial result of the work done before failing
    */
-  markFailed(error) {
-    this.status = "failed";
-    this.updatedAt = new Date().toISOString();
+  markFailed(error, result) {
+    this.transitionTo("failed");
     this.metadata.error = error;
+    if (result) {
+      this.metadata.result = result;
+    }
+  }
+
+  /**
+   * Marks the job as paused
+   * Processing stops between worker groups and can be resumed later
+   * @param {Object} options - Pause options
+   * @param {string} options.reason - Why the job was paused, if not by request
+   * @param {string} options.resumeAt - ISO timestamp the job resumes on its own
+   */
+  markPaused(options = {}) {
+    const { reason, resumeAt } = options;
+    this.transitionTo("paused");
+    this.metadata.pausedAt = this.metadata.pausedAt || this.updatedAt;
+    if (reason) {
+      this.metadata.pauseReason = reason;
+    }
+    if (resumeAt) {
+      this.metadata.resumeAt = resumeAt;
+    }
+  }
+
+  /**
+   * Marks a paused job as resumed and queued for processing
+   */
+  markResumed() {
+    this.markQueued();
+    this.metadata.resumedAt = this.updatedAt;
+    delete this.metadata.pausedAt;
+    delete this.metadata.pauseReason;
+    delete this.metadata.resumeAt;
+  }
+
+  /**
+   * Checks if the job is paused
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.status === "paused";
+  }
+
+  /**
+   * Records processing progress so an interrupted job can resume
+   * @param {Object} progress - Progress counters
+   * @param {number} progress.totalDocuments - Total documents in the job
+   * @param {number} progress.completedDocuments - Documents completed so far
+   * @param {number} progress.failedDocuments - Documents failed so far
+   */
+  updateCheckpoint(progress) {
+    this.metadata.checkpoint = {
+      ...this.metadata.checkpoint,
+      ...progress,
+      checkpointedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Marks the job as cancelled
+   * @param {string} reason - Cancellation reason
+   * @param {Object} result - Partial result of the work done before cancellation
+   */
+  markCancelled(reason, result) {
+    this.transitionTo("cancelled");
+    this.metadata.cancelledAt = this.metadata.cancelledAt || this.updatedAt;
+    this.metadata.cancelReason = reason;
+    if (result) {
+      this.metadata.result = result;
+    }
+  }
+
+  /**
+   * Checks if the job has been cancelled
+   * @returns {boolean} True if cancelled
+   */
+  isCancelled() {
+    return this.status === "cancelled";
   }
 
   /**
@@ -94,10 +255,24 @@ export class Job {
       name: this.name,
       extractionConfig: this.extractionConfig,
       documentIds: this.documentIds,
+      priority: this.priority,
       status: this.status,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       metadata: this.metadata,
+      statusHistory: this.statusHistory,
+    };
+  }
+
+  /**
+   * Converts the job to a plain object for API responses
+   * Webhook secrets are left out; they are only used to sign deliveries
+   * @returns {Object} Plain object representation without secrets
+   */
+  toPublicJSON() {
+    return {
+      ...this.toJSON(),
+      extractionConfig: Webhook.redactSecrets(this.extractionConfig),
     };
   }
 
@@ -0,0 +1,184 @@
+/**
+ * JobProgress entity holding the live counters of a job run
+ * Throughput and ETA are derived from the counters when serialized
+ * This is a core domain entity in the hexagon architecture
+ */
+export class JobProgress {
+  /**
+   * Creates a new JobProgress instance
+   * @param {Object} params - Progress parameters
+   * @param {string} params.jobId - ID of the job
+   * @param {number} params.totalDocuments - Documents in the job
+   * @param {number} params.queuedDocuments - Documents waiting for a worker
+   * @param {number} params.inFlightDocuments - Documents being extracted
+   * @param {number} params.completedDocuments - Documents completed
+   * @param {number} params.failedDocuments - Documents failed after all retries
+   * @param {number} params.retries - Retry attempts made in this run
+   * @param {number} params.processedInRun - Documents finished by this run
+   * @param {number} params.rateLimitedCalls - Provider calls that waited for a rate limit token
+   * @param {number} params.rateLimitWaitMs - Total time spent waiting for tokens
+   * @param {string} params.startedAt - ISO timestamp the run started
+   * @param {string} params.updatedAt - ISO timestamp of the last change
+   * @param {string} params.finishedAt - ISO timestamp the run stopped
+   */
+  constructor({
+    jobId,
+    totalDocuments = 0,
+    queuedDocuments = 0,
+    inFlightDocuments = 0,
+    completedDocuments = 0,
+    failedDocuments = 0,
+    retries = 0,
+    processedInRun = 0,
+    rateLimitedCalls = 0,
+    rateLimitWaitMs = 0,
+    startedAt,
+    updatedAt,
+    finishedAt = null,
+  }) {
+    this.jobId = jobId;
+    this.totalDocuments = totalDocuments;
+    this.queuedDocuments = queuedDocuments;
+    this.inFlightDocuments = inFlightDocuments;
+    this.completedDocuments = completedDocuments;
+    this.failedDocuments = failedDocuments;
+    this.retries = retries;
+    this.processedInRun = processedInRun;
+    this.rateLimitedCalls = rateLimitedCalls;
+    this.rateLimitWaitMs = rateLimitWaitMs;
+    this.startedAt = startedAt || new Date().toISOString();
+    this.updatedAt = updatedAt || this.startedAt;
+    this.finishedAt = finishedAt;
+  }
+
+  /**
+   * Records that a worker picked up a queued document
+   */
+  markDocumentStarted() {
+    this.queuedDocuments = Math.max(this.queuedDocuments - 1, 0);
+    this.inFlightDocuments++;
+    this.touch();
+  }
+
+  /**
+   * Records a retry attempt of an in-flight document
+   */
+  markDocumentRetried() {
+    this.retries++;
+    this.touch();
+  }
+
+  /**
+   * Records that an in-flight document finished
+   * @param {boolean} succeeded - True if the document completed
+   */
+  markDocumentFinished(succeeded) {
+    this.inFlightDocuments = Math.max(this.inFlightDocuments - 1, 0);
+    succeeded ? this.completedDocuments++ : this.failedDocuments++;
+    this.processedInRun++;
+    this.touch();
+  }
+
+  /**
+   * Records that an in-flight document went back to waiting unprocessed
+   */
+  markDocumentDeferred() {
+    this.inFlightDocuments = Math.max(this.inFlightDocuments - 1, 0);
+    this.queuedDocuments++;
+    this.touch();
+  }
+
+  /**
+   * Records a provider call delayed by the rate limiter
+   * @param {number} waitMs - Milliseconds spent waiting for a token
+   */
+  markRateLimited(waitMs) {
+    this.rateLimitedCalls++;
+    this.rateLimitWaitMs += waitMs;
+    this.touch();
+  }
+
+  /**
+   * Marks the run as stopped (finished, paused, cancelled or failed)
+   */
+  markFinished() {
+    this.inFlightDocuments = 0;
+    this.touch();
+    this.finishedAt = this.updatedAt;
+  }
+
+  /**
+   * Updates the last change timestamp
+   * @private
+   */
+  touch() {
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Gets the documents finished per second by this run
+   * @param {number} now - Epoch milliseconds to measure against
+   * @returns {number} Documents per second
+   */
+  getThroughput(now = Date.now()) {
+    const end = this.finishedAt ? new Date(this.finishedAt).getTime() : now;
+    const elapsedSeconds = (end - new Date(this.startedAt).getTime()) / 1000;
+    return elapsedSeconds > 0 ? this.processedInRun / elapsedSeconds : 0;
+  }
+
+  /**
+   * Estimates the time left until the remaining documents finish
+   * @param {number} now - Epoch milliseconds to measure against
+   * @returns {number|null} Milliseconds remaining, or null if unknown
+   */
+  getEstimatedTimeRemainingMs(now = Date.now()) {
+    const remaining = this.queuedDocuments + this.inFlightDocuments;
+    if (remaining === 0) {
+      return 0;
+    }
+    if (this.finishedAt) {
+      return null;
+    }
+
+    const throughput = this.getThroughput(now);
+    return throughput > 0 ? Math.round((remaining / throughput) * 1000) : null;
+  }
+
+  /**
+   * Converts the progress to a plain object including derived figures
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    const finished = this.completedDocuments + this.failedDocuments;
+
+    return {
+      jobId: this.jobId,
+      totalDocuments: this.totalDocuments,
+      queuedDocuments: this.queuedDocuments,
+      inFlightDocuments: this.inFlightDocuments,
+      completedDocuments: this.completedDocuments,
+      failedDocuments: this.failedDocuments,
+      retries: this.retries,
+      processedInRun: this.processedInRun,
+      rateLimitedCalls: this.rateLimitedCalls,
+      rateLimitWaitMs: this.rateLimitWaitMs,
+      percentComplete: this.totalDocuments
+        ? Math.round((finished / this.totalDocuments) * 100)
+        : 0,
+      throughputPerSecond: Number(this.getThroughput().toFixed(2)),
+      estimatedTimeRemainingMs: this.getEstimatedTimeRemainingMs(),
+      startedAt: this.startedAt,
+      updatedAt: this.updatedAt,
+      finishedAt: this.finishedAt,
+    };
+  }
+
+  /**
+   * Creates progress from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {JobProgress} JobProgress instance
+   */
+  static fromJSON(data) {
+    return new JobProgress(data);
+  }
+}
@@ -0,0 +1,199 @@
+import { CronExpression } from "../scheduling/CronExpression.js";
+import { JOB_PRIORITIES } from "./Job.js";
+import { Webhook } from "./Webhook.js";
+
+/**
+ * JobSchedule entity describing a recurring job
+ * Each run creates a job from the schedule's extraction config over the
+ * documents found under a storage prefix
+ * This is a core domain entity in the hexagon architecture
+ */
+export class JobSchedule {
+  /**
+   * Creates a new JobSchedule instance
+   * @param {Object} params - Schedule parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.name - Schedule name, also used to name its jobs
+   * @param {string} params.cron - Cron expression (UTC); exclusive with intervalSeconds
+   * @param {number} params.intervalSeconds - Run interval; exclusive with cron
+   * @param {Object} params.extractionConfig - Extraction configuration of created jobs
+   * @param {string} params.priority - Priority of created jobs
+   * @param {Object} params.source - Storage location of the documents
+   * @param {string} params.source.bucket - Storage bucket
+   * @param {string} params.source.prefix - File name prefix within the bucket
+   * @param {boolean} params.enabled - Whether the schedule runs
+   * @param {boolean} params.allowOverlap - Run even if the previous job is unfinished
+   * @param {string} params.nextRunAt - ISO timestamp of the next run
+   * @param {Object} params.lastRun - Outcome of the last run (at, status, jobId, reason)
+   * @param {string} params.createdAt - ISO timestamp
+   * @param {string} params.updatedAt - ISO timestamp
+   */
+  constructor({
+    id,
+    name,
+    cron = null,
+    intervalSeconds = null,
+    extractionConfig,
+    priority = "normal",
+    source = {},
+    enabled = true,
+    allowOverlap = false,
+    nextRunAt = null,
+    lastRun = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.cron = cron;
+    this.intervalSeconds = intervalSeconds;
+    this.extractionConfig = extractionConfig;
+    this.priority = priority;
+    this.source = { bucket: "default", prefix: "", ...source };
+    this.enabled = enabled;
+    this.allowOverlap = allowOverlap;
+    this.nextRunAt = nextRunAt;
+    this.lastRun = lastRun;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validates the schedule entity
+   * @param {Object} options - Validation options
+   * @param {number} options.minIntervalSeconds - Shortest allowed interval
+   * @returns {boolean} True if valid
+   * @throws {Error} If validation fails
+   */
+  validate(options = {}) {
+    const { minIntervalSeconds = 1 } = options;
+
+    if (!this.id) {
+      throw new Error("Schedule ID is required");
+    }
+    if (!this.name) {
+      throw new Error("Schedule name is required");
+    }
+    if (!this.extractionConfig) {
+      throw new Error("Extraction configuration is required");
+    }
+    if ((this.cron === null) === (this.intervalSeconds === null)) {
+      throw new Error("Schedule requires either cron or intervalSeconds");
+    }
+    if (this.cron !== null) {
+      new CronExpression(this.cron);
+    }
+    if (
+      this.intervalSeconds !== null &&
+      (!Number.isInteger(this.intervalSeconds) ||
+        this.intervalSeconds < minIntervalSeconds)
+    ) {
+      throw new Error(
+        `Schedule intervalSeconds must be an integer of at least ${minIntervalSeconds}`
+      );
+    }
+    if (!JOB_PRIORITIES.includes(this.priority)) {
+      throw new Error(
+        `Job priority must be one of: ${JOB_PRIORITIES.join(", ")}`
+      );
+    }
+    if (
+      typeof this.source.bucket !== "string" ||
+      !this.source.bucket ||
+      typeof this.source.prefix !== "string"
+    ) {
+      throw new Error("Schedule source requires a bucket and a string prefix");
+    }
+    return true;
+  }
+
+  /**
+   * Gets the run time following a date
+   * @param {Date} after - The date to schedule from
+   * @returns {Date} The next run time
+   */
+  getNextRunAfter(after) {
+    if (this.cron !== null) {
+      return new CronExpression(this.cron).next(after);
+    }
+    return new Date(after.getTime() + this.intervalSeconds * 1000);
+  }
+
+  /**
+   * Sets the next run time from a date
+   * @param {Date} from - The date to schedule from
+   */
+  scheduleNextRun(from = new Date()) {
+    this.nextRunAt = this.getNextRunAfter(from).toISOString();
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Checks if the schedule should run
+   * @param {Date} now - The current time
+   * @returns {boolean} True if enabled and the next run time has passed
+   */
+  isDue(now = new Date()) {
+    return (
+      this.enabled &&
+      this.nextRunAt !== null &&
+      new Date(this.nextRunAt).getTime() <= now.getTime()
+    );
+  }
+
+  /**
+   * Records the outcome of a run and schedules the next one
+   * @param {Object} run - Run outcome
+   * @param {string} run.status - created or skipped
+   * @param {string} run.jobId - ID of the created job
+   * @param {string} run.reason - Why the run was skipped
+   * @param {Date} now - The time of the run
+   */
+  recordRun({ status, jobId = null, reason = null }, now = new Date()) {
+    this.lastRun = { at: now.toISOString(), status, jobId, reason };
+    this.scheduleNextRun(now);
+  }
+
+  /**
+   * Converts the schedule to a plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      cron: this.cron,
+      intervalSeconds: this.intervalSeconds,
+      extractionConfig: this.extractionConfig,
+      priority: this.priority,
+      source: this.source,
+      enabled: this.enabled,
+      allowOverlap: this.allowOverlap,
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastRun,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Converts the schedule to a plain object for API responses
+   * Webhook secrets are left out; they are only used to sign deliveries
+   * @returns {Object} Plain object representation without secrets
+   */
+  toPublicJSON() {
+    return {
+      ...this.toJSON(),
+      extractionConfig: Webhook.redactSecrets(this.extractionConfig),
+    };
+  }
+
+  /**
+   * Creates a schedule from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {JobSchedule} JobSchedule instance
+   */
+  static fromJSON(data) {
+    return new JobSchedule(data);
+  }
+}
@@ -0,0 +1,138 @@
+import { JOB_PRIORITIES } from "./Job.js";
+import { Webhook } from "./Webhook.js";
+
+/**
+ * JobTemplate entity holding a named, reusable extraction configuration
+ * This is a core domain entity in the hexagon architecture
+ */
+export class JobTemplate {
+  /**
+   * Creates a new JobTemplate instance
+   * @param {Object} params - Template parameters
+   * @param {string} params.id - Unique identifier
+   * @param {string} params.name - Template name
+   * @param {string} params.description - Optional description
+   * @param {Object} params.extractionConfig - Extraction configuration of jobs created from it
+   * @param {string} params.priority - Default priority of jobs created from it
+   * @param {string} params.createdAt - ISO timestamp
+   * @param {string} params.updatedAt - ISO timestamp
+   */
+  constructor({
+    id,
+    name,
+    description = null,
+    extractionConfig,
+    priority = "normal",
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.extractionConfig = extractionConfig;
+    this.priority = priority;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validates the template entity
+   * @returns {boolean} True if valid
+   * @throws {Error} If validation fails
+   */
+  validate() {
+    if (!this.id) {
+      throw new Error("Template ID is required");
+    }
+    if (!this.name) {
+      throw new Error("Template name is required");
+    }
+    if (!this.extractionConfig || typeof this.extractionConfig !== "object") {
+      throw new Error("Extraction configuration is required");
+    }
+    if (!JOB_PRIORITIES.includes(this.priority)) {
+      throw new Error(
+        `Job priority must be one of: ${JOB_PRIORITIES.join(", ")}`
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Builds a job's extraction configuration from the template
+   * Overrides are merged in deeply; arrays are replaced, and a `schema` or
+   * `schemaType` override replaces the template's schema as a whole
+   * @param {Object} overrides - Extraction configuration overrides
+   * @returns {Object} A new extraction configuration
+   */
+  buildExtractionConfig(overrides = {}) {
+    const base = structuredClone(this.extractionConfig);
+    if ("schema" in overrides || "schemaType" in overrides) {
+      delete base.schema;
+      delete base.schemaType;
+    }
+    return mergeDeep(base, structuredClone(overrides));
+  }
+
+  /**
+   * Converts the template to a plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      extractionConfig: this.extractionConfig,
+      priority: this.priority,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Converts the template to a plain object for API responses
+   * Webhook secrets are left out; they are only used to sign deliveries
+   * @returns {Object} Plain object representation without secrets
+   */
+  toPublicJSON() {
+    return {
+      ...this.toJSON(),
+      extractionConfig: Webhook.redactSecrets(this.extractionConfig),
+    };
+  }
+
+  /**
+   * Creates a template from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {JobTemplate} JobTemplate instance
+   */
+  static fromJSON(data) {
+    return new JobTemplate(data);
+  }
+}
+
+/**
+ * Merges plain objects recursively into a target
+ * @param {Object} target - Object merged into (mutated)
+ * @param {Object} source - Object whose values win
+ * @returns {Object} The target
+ */
+function mergeDeep(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] =
+      isPlainObject(value) && isPlainObject(target[key])
+        ? mergeDeep(target[key], value)
+        : value;
+  }
+  return target;
+}
+
+/**
+ * Checks if a value is a plain object (not an array or null)
+ * @param {any} value - The value to check
+ * @returns {boolean} True if a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
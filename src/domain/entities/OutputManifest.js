@@ -0,0 +1,86 @@
+/**
+ * OutputManifest entity recording the output shards of a finished job
+ * Each shard is listed with its format, compression, record count, byte
+ * size, SHA-256 checksum and the time range its records were written in,
+ * so the output can later be verified against it
+ * This is a core domain entity in the hexagon architecture
+ */
+export class OutputManifest {
+  /**
+   * Creates a new OutputManifest instance
+   * @param {Object} params - Manifest parameters
+   * @param {string} params.jobId - ID of the job
+   * @param {Array<Object>} params.shards - Shards ({ fileName, format, compression, recordCount, size, sha256, startedAt, endedAt })
+   * @param {string} params.createdAt - ISO timestamp the manifest was created
+   * @param {string} params.updatedAt - ISO timestamp the manifest was last replaced
+   */
+  constructor({ jobId, shards = [], createdAt, updatedAt }) {
+    this.jobId = jobId;
+    this.shards = shards.map((shard) => ({ ...shard }));
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || this.createdAt;
+  }
+
+  /**
+   * Creates a manifest from the metadata of a finalized output
+   * @param {Object} metadata - Output metadata returned by OutputService.finalizeOutput
+   * @returns {OutputManifest} OutputManifest instance
+   */
+  static fromOutputMetadata(metadata) {
+    return new OutputManifest({
+      jobId: metadata.jobId,
+      shards: metadata.outputFiles.map((file) => ({
+        fileName: file.fileName,
+        format: metadata.format,
+        compression: metadata.compression || null,
+        recordCount: file.recordCount,
+        size: file.size,
+        sha256: file.sha256 || null,
+        startedAt: file.startedAt || null,
+        endedAt: file.endedAt || null,
+      })),
+      updatedAt: metadata.finalizedAt,
+    });
+  }
+
+  /**
+   * Gets the records across all shards
+   * @returns {number} Record count
+   */
+  getTotalRecords() {
+    return this.shards.reduce((total, shard) => total + shard.recordCount, 0);
+  }
+
+  /**
+   * Gets the bytes across all shards
+   * @returns {number} Byte size
+   */
+  getTotalBytes() {
+    return this.shards.reduce((total, shard) => total + shard.size, 0);
+  }
+
+  /**
+   * Converts the manifest to a plain object including totals
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      jobId: this.jobId,
+      shards: this.shards.map((shard) => ({ ...shard })),
+      totalShards: this.shards.length,
+      totalRecords: this.getTotalRecords(),
+      totalBytes: this.getTotalBytes(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Creates a manifest from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {OutputManifest} OutputManifest instance
+   */
+  static fromJSON(data) {
+    return new OutputManifest(data);
+  }
+}
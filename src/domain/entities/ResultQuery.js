@@ -0,0 +1,232 @@
+/**
+ * Filter operators a result query supports
+ */
+export const QUERY_OPERATORS = ["eq", "ne", "gt", "lt", "contains", "exists"];
+
+/**
+ * ResultQuery entity describing a filter, projection and sort over a job's
+ * results
+ * Fields are dot paths into a result. Results of JSON output nest the
+ * extracted data, so a path not found at the top level is looked up in
+ * `result.data` and then in `result`; `total_amount` and `confidence` then
+ * name the same values in JSON, CSV and Parquet output
+ * This is a core domain entity in the hexagon architecture
+ */
+export class ResultQuery {
+  /**
+   * Creates a new ResultQuery instance
+   * @param {Object} params - Query parameters
+   * @param {Array<Object>} params.filter - Conditions ({ field, op, value }) a result must all meet
+   * @param {Array<string>} params.fields - Fields to return; all fields when empty
+   * @param {Array<Object>} params.sort - Sort keys ({ field, order: "asc"|"desc" }), in priority order
+   */
+  constructor({ filter = [], fields = [], sort = [] } = {}) {
+    this.filter = filter;
+    this.fields = fields;
+    this.sort = sort;
+  }
+
+  /**
+   * Validates the query
+   * @returns {boolean} True if valid
+   * @throws {Error} If the query is invalid
+   */
+  validate() {
+    if (!Array.isArray(this.filter)) {
+      throw new Error("filter must be an array of conditions");
+    }
+    for (const condition of this.filter) {
+      if (!condition || !this.isField(condition.field)) {
+        throw new Error("Each filter condition needs a field");
+      }
+      if (!QUERY_OPERATORS.includes(condition.op)) {
+        throw new Error(
+          `Filter operator must be one of: ${QUERY_OPERATORS.join(", ")}`
+        );
+      }
+      if (condition.op !== "exists" && condition.value === undefined) {
+        throw new Error(`Filter on ${condition.field} needs a value`);
+      }
+    }
+
+    if (!Array.isArray(this.fields) || !this.fields.every(this.isField)) {
+      throw new Error("fields must be an array of field names");
+    }
+
+    if (!Array.isArray(this.sort)) {
+      throw new Error("sort must be an array of sort keys");
+    }
+    for (const key of this.sort) {
+      if (!key || !this.isField(key.field)) {
+        throw new Error("Each sort key needs a field");
+      }
+      if (key.order !== undefined && !["asc", "desc"].includes(key.order)) {
+        throw new Error("Sort order must be asc or desc");
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks if a result meets every filter condition
+   * @param {Object} result - Result record
+   * @returns {boolean} True if the result matches
+   */
+  matches(result) {
+    return this.filter.every(({ field, op, value }) => {
+      const actual = ResultQuery.getField(result, field);
+
+      switch (op) {
+        case "exists":
+          return this.isPresent(actual) === (value ?? true);
+        case "eq":
+          return (
+            this.isPresent(actual) && this.compareValues(actual, value) === 0
+          );
+        case "ne":
+          return (
+            !this.isPresent(actual) || this.compareValues(actual, value) !== 0
+          );
+        case "gt":
+          return (
+            this.isPresent(actual) && this.compareValues(actual, value) > 0
+          );
+        case "lt":
+          return (
+            this.isPresent(actual) && this.compareValues(actual, value) < 0
+          );
+        case "contains":
+          return Array.isArray(actual)
+            ? actual.some((item) => this.compareValues(item, value) === 0)
+            : this.isPresent(actual) && String(actual).includes(String(value));
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Selects the query's fields from a result
+   * @param {Object} result - Result record
+   * @returns {Object} The result, or an object keyed by the selected fields
+   */
+  project(result) {
+    if (this.fields.length === 0) {
+      return result;
+    }
+    return Object.fromEntries(
+      this.fields.map((field) => [
+        field,
+        ResultQuery.getField(result, field) ?? null,
+      ])
+    );
+  }
+
+  /**
+   * Compares two results by the query's sort keys
+   * Results missing a sort field come last in either order
+   * @param {Object} a - Result record
+   * @param {Object} b - Result record
+   * @returns {number} Negative if a sorts first, positive if b does, else 0
+   */
+  compare(a, b) {
+    for (const { field, order = "asc" } of this.sort) {
+      const left = ResultQuery.getField(a, field);
+      const right = ResultQuery.getField(b, field);
+      const leftPresent = this.isPresent(left);
+      const rightPresent = this.isPresent(right);
+
+      if (!leftPresent || !rightPresent) {
+        if (leftPresent !== rightPresent) {
+          return leftPresent ? -1 : 1;
+        }
+        continue;
+      }
+
+      const difference = this.compareValues(left, right);
+      if (difference !== 0) {
+        return order === "desc" ? -difference : difference;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Gets a field of a result by dot path
+   * @param {Object} result - Result record
+   * @param {string} field - Dot path
+   * @returns {any} Value, or undefined if absent
+   */
+  static getField(result, field) {
+    const read = (source) =>
+      field.split(".").reduce((value, key) => value?.[key], source);
+
+    for (const source of [result, result?.result?.data, result?.result]) {
+      const value = read(source);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Compares two values, numerically when both read as numbers
+   * CSV output holds every value as text, so "1200" compares as 1200;
+   * dates compare by their ISO timestamps
+   * @private
+   * @param {any} left - Value
+   * @param {any} right - Value
+   * @returns {number} Negative, zero or positive
+   */
+  compareValues(left, right) {
+    const [a, b] = [left, right].map((value) =>
+      value instanceof Date ? value.toISOString() : value
+    );
+    const numbers = [a, b].map((value) =>
+      typeof value === "number" ||
+      (typeof value === "string" && value.trim() !== "")
+        ? Number(value)
+        : NaN
+    );
+    if (numbers.every(Number.isFinite)) {
+      return numbers[0] - numbers[1];
+    }
+    if (typeof a === "boolean" || typeof b === "boolean") {
+      return String(a) === String(b) ? 0 : String(a) < String(b) ? -1 : 1;
+    }
+    if (typeof a === "object" || typeof b === "object") {
+      return JSON.stringify(a) === JSON.stringify(b) ? 0 : 1;
+    }
+    const [x, y] = [String(a), String(b)];
+    return x === y ? 0 : x < y ? -1 : 1;
+  }
+
+  /**
+   * Checks if a value is present; CSV output writes absent values as ""
+   * @private
+   * @param {any} value - Value
+   * @returns {boolean} True unless undefined, null or an empty string
+   */
+  isPresent(value) {
+    return value !== undefined && value !== null && value !== "";
+  }
+
+  /**
+   * Checks if a value is a field name
+   * @private
+   * @param {any} field - Value
+   * @returns {boolean} True for a non-empty string
+   */
+  isField(field) {
+    return typeof field === "string" && field.trim() !== "";
+  }
+
+  /**
+   * Converts the query to a plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return { filter: this.filter, fields: this.fields, sort: this.sort };
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Job lifecycle events a webhook can subscribe to
+ */
+export const JOB_EVENTS = [
+  "job.started",
+  "job.completed",
+  "job.failed",
+  "job.cancelled",
+];
+
+/**
+ * Webhook value object describing where job events are delivered
+ * This is a core domain entity in the hexagon architecture
+ */
+export class Webhook {
+  /**
+   * Creates a new Webhook instance
+   * @param {Object} params - Webhook parameters
+   * @param {string} params.url - HTTP(S) endpoint receiving the events
+   * @param {Array<string>} params.events - Subscribed events (defaults to all)
+   * @param {string} params.secret - Secret used to sign the payloads
+   */
+  constructor({ url, events = JOB_EVENTS, secret = null }) {
+    this.url = url;
+    this.events = events;
+    this.secret = secret;
+  }
+
+  /**
+   * Validates the webhook
+   * @returns {boolean} True if valid
+   * @throws {Error} If validation fails
+   */
+  validate() {
+    if (!this.url) {
+      throw new Error("Webhook URL is required");
+    }
+
+    let protocol;
+    try {
+      protocol = new URL(this.url).protocol;
+    } catch (error) {
+      throw new Error(`Invalid webhook URL: ${this.url}`);
+    }
+    if (!["http:", "https:"].includes(protocol)) {
+      throw new Error(`Webhook URL must use http or https: ${this.url}`);
+    }
+
+    if (!Array.isArray(this.events) || this.events.length === 0) {
+      throw new Error("Webhook events must be a non-empty array");
+    }
+    const unsupported = this.events.filter(
+      (event) => !JOB_EVENTS.includes(event)
+    );
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported webhook events: ${unsupported.join(", ")}`);
+    }
+    return true;
+  }
+
+  /**
+   * Checks if the webhook subscribes to an event
+   * @param {string} event - The job event
+   * @returns {boolean} True if subscribed
+   */
+  subscribesTo(event) {
+    return this.events.includes(event);
+  }
+
+  /**
+   * Reads the webhooks section of an extraction configuration
+   * Accepts a single webhook or an array of webhooks
+   * @param {Object|Array<Object>} config - The `extractionConfig.webhooks` value
+   * @returns {Array<Webhook>} Webhook instances
+   */
+  static fromConfig(config) {
+    if (!config) {
+      return [];
+    }
+    return (Array.isArray(config) ? config : [config]).map(
+      (webhook) => new Webhook(webhook)
+    );
+  }
+
+  /**
+   * Copies an extraction configuration with its webhook secrets removed,
+   * for returning to API clients
+   * Each webhook that has a secret gets `hasSecret: true` in its place
+   * @param {Object} extractionConfig - The extraction configuration
+   * @returns {Object} The configuration without webhook secrets
+   */
+  static redactSecrets(extractionConfig) {
+    if (!extractionConfig?.webhooks) {
+      return extractionConfig;
+    }
+
+    const redact = ({ secret, ...webhook }) =>
+      secret ? { ...webhook, hasSecret: true } : webhook;
+    const { webhooks } = extractionConfig;
+    return {
+      ...extractionConfig,
+      webhooks: Array.isArray(webhooks)
+        ? webhooks.map(redact)
+        : redact(webhooks),
+    };
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * WebhookDelivery entity logging the delivery of a job event to a webhook
+ * This is a core domain entity in the hexagon architecture
+ */
+export class WebhookDelivery {
+  /**
+   * Creates a new WebhookDelivery instance
+   * @param {Object} params - Delivery parameters
+   * @param {string} params.id - Unique identifier, also sent to the receiver
+   * @param {string} params.jobId - ID of the job the event belongs to
+   * @param {string} params.event - The job event
+   * @param {string} params.url - Webhook URL
+   * @param {string} params.status - Current status (pending, delivered, failed)
+   * @param {Array<Object>} params.attempts - History of delivery attempts
+   * @param {string} params.createdAt - ISO timestamp
+   * @param {string} params.completedAt - ISO timestamp of delivery or final failure
+   */
+  constructor({
+    id,
+    jobId,
+    event,
+    url,
+    status = "pending",
+    attempts = [],
+    createdAt,
+    completedAt = null,
+  }) {
+    this.id = id;
+    this.jobId = jobId;
+    this.event = event;
+    this.url = url;
+    this.status = status;
+    this.attempts = attempts;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.completedAt = completedAt;
+  }
+
+  /**
+   * Records a delivery attempt
+   * @param {Object} attempt - Attempt details (statusCode, error, durationMs)
+   */
+  recordAttempt(attempt) {
+    this.attempts.push({
+      attempt: this.attempts.length + 1,
+      attemptedAt: new Date().toISOString(),
+      ...attempt,
+    });
+  }
+
+  /**
+   * Marks the delivery as acknowledged by the receiver
+   */
+  markDelivered() {
+    this.status = "delivered";
+    this.completedAt = new Date().toISOString();
+  }
+
+  /**
+   * Marks the delivery as failed after all attempts
+   */
+  markFailed() {
+    this.status = "failed";
+    this.completedAt = new Date().toISOString();
+  }
+
+  /**
+   * Converts the delivery to a plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      jobId: this.jobId,
+      event: this.event,
+      url: this.url,
+      status: this.status,
+      attempts: this.attempts,
+      createdAt: this.createdAt,
+      completedAt: this.completedAt,
+    };
+  }
+
+  /**
+   * Creates a delivery from a plain object
+   * @param {Object} data - Plain object data
+   * @returns {WebhookDelivery} WebhookDelivery instance
+   */
+  static fromJSON(data) {
+    return new WebhookDelivery(data);
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Error raised when a call is rejected because its circuit breaker is open
+ * This is part of the domain layer in hexagon architecture
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * Creates a new CircuitOpenError instance
+   * @param {string} circuit - Name of the open circuit
+   * @param {number} retryAfterMs - Time until the circuit lets a trial call through
+   */
+  constructor(circuit, retryAfterMs) {
+    super(`Circuit ${circuit} is open; retry in ${retryAfterMs}ms`);
+    this.name = "CircuitOpenError";
+    this.circuit = circuit;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Error raised when an entity is asked to make a status transition
+ * its state machine does not allow
+ * This is part of the domain layer in hexagon architecture
+ */
+export class InvalidStateTransitionError extends Error {
+  /**
+   * Creates a new InvalidStateTransitionError instance
+   * @param {string} entityType - Type of the entity (e.g. Job, Document)
+   * @param {string} entityId - ID of the entity
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   */
+  constructor(entityType, entityId, from, to) {
+    super(`Cannot transition ${entityType} ${entityId} from ${from} to ${to}`);
+    this.name = "InvalidStateTransitionError";
+    this.entityType = entityType;
+    this.entityId = entityId;
+    this.from = from;
+    this.to = to;
+  }
+}
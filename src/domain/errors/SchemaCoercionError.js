@@ -0,0 +1,15 @@
+/**
+ * Error raised when an extracted value does not fit its schema field
+ * Retrying the same extraction cannot fix it, so it is not retried
+ * This is part of the domain layer in hexagon architecture
+ */
+export class SchemaCoercionError extends Error {
+  /**
+   * Creates a new SchemaCoercionError instance
+   * @param {string} message - What could not be coerced
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SchemaCoercionError";
+  }
+}
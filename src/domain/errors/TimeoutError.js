@@ -0,0 +1,22 @@
+/**
+ * Error raised when work runs past its configured time limit
+ * Used as the abort reason of timed-out AbortSignals
+ * This is part of the domain layer in hexagon architecture
+ */
+export class TimeoutError extends Error {
+  /**
+   * Creates a new TimeoutError instance
+   * @param {string} scope - What timed out (extraction, document or batch)
+   * @param {number} timeoutMs - The exceeded limit in milliseconds
+   */
+  constructor(scope, timeoutMs) {
+    super(
+      `${scope.charAt(0).toUpperCase()}${scope.slice(
+        1
+      )} timed out after ${timeoutMs}ms`
+    );
+    this.name = "TimeoutError";
+    this.scope = scope;
+    this.timeoutMs = timeoutMs;
+  }
+}
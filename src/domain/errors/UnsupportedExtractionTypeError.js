@@ -0,0 +1,15 @@
+/**
+ * Error raised when a job asks for an extraction type no provider call exists for
+ * This is part of the domain layer in hexagon architecture
+ */
+export class UnsupportedExtractionTypeError extends Error {
+  /**
+   * Creates a new UnsupportedExtractionTypeError instance
+   * @param {string} extractionType - The requested extraction type
+   */
+  constructor(extractionType) {
+    super(`Unsupported extraction type: ${extractionType}`);
+    this.name = "UnsupportedExtractionTypeError";
+    this.extractionType = extractionType;
+  }
+}
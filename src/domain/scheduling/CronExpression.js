@@ -0,0 +1,182 @@
+/**
+ * Field ranges of a five-field cron expression
+ * (minute hour day-of-month month day-of-week)
+ */
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+/**
+ * Shorthand expressions and their five-field equivalents
+ */
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Upper bound on the search for the next run (covers leap-day schedules)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Cron expression value object
+ * Supports the standard five fields with `*`, lists, ranges and steps, plus
+ * the @daily-style macros; times are evaluated in UTC
+ * As in cron, a day matches when either restricted day field matches
+ */
+export class CronExpression {
+  /**
+   * Creates a new CronExpression instance
+   * @param {string} expression - The cron expression
+   * @throws {Error} If the expression is invalid
+   */
+  constructor(expression) {
+    if (typeof expression !== "string" || !expression.trim()) {
+      throw new Error("Cron expression is required");
+    }
+
+    this.expression = expression.trim();
+    const fields = (MACROS[this.expression] || this.expression).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new Error(
+        `Cron expression must have 5 fields (minute hour day-of-month month day-of-week): ${this.expression}`
+      );
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+      (field, index) => parseField(field, FIELDS[index])
+    );
+    this.minutes = minutes;
+    this.hours = hours;
+    this.daysOfMonth = daysOfMonth;
+    this.months = months;
+    // 7 is an alias of Sunday
+    this.daysOfWeek = new Set(
+      [...daysOfWeek].map((day) => (day === 7 ? 0 : day))
+    );
+    // As in Vixie cron, a day field starting with `*` (such as `*/2`) does
+    // not restrict, so the other day field alone decides
+    this.dayOfMonthRestricted = !fields[2].startsWith("*");
+    this.dayOfWeekRestricted = !fields[4].startsWith("*");
+  }
+
+  /**
+   * Checks if an expression is valid
+   * @param {string} expression - The cron expression
+   * @returns {boolean} True if valid
+   */
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets the first matching time strictly after a date
+   * @param {Date} after - The date to search from
+   * @returns {Date} The next matching time (whole minute, UTC)
+   * @throws {Error} If the expression never matches (e.g. 31 February)
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = after.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    while (date.getUTCFullYear() <= limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+        continue;
+      }
+      if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+        continue;
+      }
+      if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+        continue;
+      }
+      if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+        continue;
+      }
+      return date;
+    }
+
+    throw new Error(`Cron expression never matches: ${this.expression}`);
+  }
+
+  /**
+   * Checks the day-of-month and day-of-week fields against a date
+   * @private
+   * @param {Date} date - The date to check
+   * @returns {boolean} True if the day matches
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getUTCDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * Converts the expression to a string
+   * @returns {string} The cron expression
+   */
+  toString() {
+    return this.expression;
+  }
+}
+
+/**
+ * Parses one cron field into the set of values it matches
+ * @param {string} field - The field text (e.g. "*\/15", "1-5", "0,30")
+ * @param {Object} range - The field name and bounds
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the field is invalid
+ */
+function parseField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${range.name} field: ${field}`);
+    }
+
+    const [, base, stepText] = match;
+    let [start, end] =
+      base === "*" ? [range.min, range.max] : base.split("-").map(Number);
+    if (end === undefined) {
+      end = stepText ? range.max : start;
+    }
+    const step = stepText ? Number(stepText) : 1;
+
+    if (start < range.min || end > range.max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${range.name} field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
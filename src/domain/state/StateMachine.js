@@ -0,0 +1,52 @@
+import { InvalidStateTransitionError } from "../errors/InvalidStateTransitionError.js";
+
+/**
+ * State machine guarding the status transitions of a domain entity
+ * This is part of the domain layer in hexagon architecture
+ */
+export class StateMachine {
+  /**
+   * Creates a new StateMachine instance
+   * @param {string} entityType - Type of the entity the machine guards
+   * @param {Object<string, Array<string>>} transitions - Allowed target statuses per status
+   */
+  constructor(entityType, transitions) {
+    this.entityType = entityType;
+    this.transitions = transitions;
+  }
+
+  /**
+   * Gets all statuses known to the machine
+   * @returns {Array<string>} Array of statuses
+   */
+  getStatuses() {
+    return Object.keys(this.transitions);
+  }
+
+  /**
+   * Checks if a transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  /**
+   * Asserts that an entity may transition to a status
+   * @param {Object} entity - Entity with id and status
+   * @param {string} to - Requested status
+   * @throws {InvalidStateTransitionError} If the transition is not allowed
+   */
+  assertTransition(entity, to) {
+    if (!this.canTransition(entity.status, to)) {
+      throw new InvalidStateTransitionError(
+        this.entityType,
+        entity.id,
+        entity.status,
+        to
+      );
+    }
+  }
+}
@@ -1,9 +1,12 @@
 import { v4 as uuidv4 } from "uuid";
 import { success, responses } from "../utils/response.js";
+import { container } from "../infrastructure/config/Container.js";
 
 /**
  * Health check handler for monitoring service status
- * Returns service health information including timestamp and request ID
+ * Returns service health information including timestamp and request ID,
+ * plus the status components (backpressure, the extractor provider circuit)
+ * last published by workers; any circuit not closed marks the service degraded
  * @param {Object} event - API Gateway event object
  * @param {Object} event.headers - Request headers
  * @param {Object} event.queryStringParameters - Query parameters
@@ -11,12 +14,25 @@ import { success, responses } from "../utils/response.js";
  */
 const handler = async (event) => {
   try {
+    const components = await container.getHealthStatusRepository().findAll();
+    const degraded = Object.values(components).some(
+      (component) => component.circuit && component.circuit !== "closed"
+    );
+
     const healthData = {
       requestId: uuidv4(),
       stage: process.env.STAGE || "dev",
+      status: degraded ? "degraded" : "healthy",
+      components,
     };
 
-    return success(200, healthData, "Extraction service is healthy");
+    return success(
+      200,
+      healthData,
+      degraded
+        ? "Extraction service is degraded"
+        : "Extraction service is healthy"
+    );
   } catch (error) {
     console.error("Health check error:", error);
     return responses.internalError("Service is unhealthy", error);
@@ -0,0 +1,20 @@
+import { container } from "../infrastructure/config/Container.js";
+
+/**
+ * Lambda handler for draining the job queue
+ * Runs on a schedule and processes queued jobs outside the HTTP request
+ * @param {Object} event - Lambda event object
+ * @param {Object} context - Lambda context object
+ * @returns {Promise<Object>} Drain summary
+ */
+const handler = async (event, context) => {
+  try {
+    const worker = container.getJobQueueWorker();
+    return await worker.drain();
+  } catch (error) {
+    console.error("Job worker error:", error);
+    throw error;
+  }
+};
+
+export { handler };
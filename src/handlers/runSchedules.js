@@ -0,0 +1,20 @@
+import { container } from "../infrastructure/config/Container.js";
+
+/**
+ * Lambda handler for running due job schedules
+ * Runs on a schedule and creates the jobs of the schedules that are due
+ * @param {Object} event - Lambda event object
+ * @param {Object} context - Lambda context object
+ * @returns {Promise<Array<Object>>} Outcome of each run
+ */
+const handler = async (event, context) => {
+  try {
+    const worker = container.getJobScheduleWorker();
+    return await worker.tick();
+  } catch (error) {
+    console.error("Job schedule runner error:", error);
+    throw error;
+  }
+};
+
+export { handler };
@@ -0,0 +1,105 @@
+import { ExtractorProvider } from "../../application/ports/ExtractorProvider.js";
+
+/**
+ * Extractor provider decorator routing extraction calls through a circuit breaker
+ * Wraps any ExtractorProvider; while the circuit is open, extraction calls
+ * are rejected with CircuitOpenError instead of reaching the provider; the
+ * call's `options.signal` tells the breaker which failures the caller caused
+ * This is an adapter in the hexagon architecture
+ */
+export class CircuitBreakerExtractorProvider extends ExtractorProvider {
+  /**
+   * Creates a new CircuitBreakerExtractorProvider instance
+   * @param {ExtractorProvider} provider - The wrapped provider
+   * @param {CircuitBreaker} circuitBreaker - Breaker guarding the provider calls
+   */
+  constructor(provider, circuitBreaker) {
+    super();
+    this.provider = provider;
+    this.circuitBreaker = circuitBreaker;
+  }
+
+  /**
+   * Extracts structured data from text using the provided schema
+   * @param {string} text - The text content to extract from
+   * @param {ExtractionSchema} schema - The schema defining the extraction structure
+   * @param {Object} options - Extraction options
+   * @returns {Promise<Object>} Extracted structured data
+   */
+  async extractWithSchema(text, schema, options = {}) {
+    return await this.circuitBreaker.execute(
+      () => this.provider.extractWithSchema(text, schema, options),
+      { signal: options.signal }
+    );
+  }
+
+  /**
+   * Extracts entities from text
+   * @param {string} text - The text content to analyze
+   * @param {Array<string>} entityTypes - Types of entities to extract
+   * @param {Object} options - Entity extraction options
+   * @returns {Promise<Array<Object>>} Array of extracted entities
+   */
+  async extractEntities(text, entityTypes = [], options = {}) {
+    return await this.circuitBreaker.execute(
+      () => this.provider.extractEntities(text, entityTypes, options),
+      { signal: options.signal }
+    );
+  }
+
+  /**
+   * Generates a summary from text
+   * @param {string} text - The text content to summarize
+   * @param {Object} options - Summary options
+   * @returns {Promise<string>} The generated summary
+   */
+  async generateSummary(text, options = {}) {
+    return await this.circuitBreaker.execute(
+      () => this.provider.generateSummary(text, options),
+      { signal: options.signal }
+    );
+  }
+
+  /**
+   * Extracts keywords from text
+   * @param {string} text - The text content to analyze
+   * @param {Object} options - Keyword extraction options
+   * @returns {Promise<Array<string>>} Array of keywords
+   */
+  async extractKeywords(text, options = {}) {
+    return await this.circuitBreaker.execute(
+      () => this.provider.extractKeywords(text, options),
+      { signal: options.signal }
+    );
+  }
+
+  /**
+   * Validates extracted data against schema
+   * Validation runs locally, so it bypasses the circuit
+   * @param {Object} data - The extracted data
+   * @param {ExtractionSchema} schema - The schema to validate against
+   * @returns {Promise<Object>} Validation result with coerced data
+   */
+  async validateAndCoerce(data, schema) {
+    return await this.provider.validateAndCoerce(data, schema);
+  }
+
+  /**
+   * Checks if the provider is available and healthy
+   * @returns {Promise<boolean>} False while the circuit is open
+   */
+  async isHealthy() {
+    if (this.circuitBreaker.getState().circuit === "open") {
+      return false;
+    }
+    return await this.provider.isHealthy();
+  }
+
+  /**
+   * Gets provider information
+   * @returns {Object} Provider information of the wrapped provider
+   */
+  getProviderInfo() {
+    return this.provider.getProviderInfo();
+  }
+}
@@ -0,0 +1,231 @@
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Columns written for every result, ahead of the extraction's own columns
+ */
+const BASE_COLUMNS = [
+  "documentId",
+  "documentName",
+  "processingTime",
+  "attempts",
+];
+
+/**
+ * RFC 4180 CSV formatting of extraction results
+ * Columns are derived from the job's ExtractionSchema so every record of a
+ * job has the same columns in the same order:
+ * - Each schema field is a column read from `result.data`; a field of type
+ *   `object` that declares nested `fields` becomes one column per nested
+ *   field, named with `output.csv.keySeparator`
+ * - Jobs without a schema (entities, keywords, summary) get one `result` column
+ * Values that do not fit a cell are flattened: array items are joined with
+ * `output.csv.arraySeparator`, and nested objects become
+ * `<path><keyValueSeparator><value>` pairs joined the same way
+ */
+export class CsvResultFormatter {
+  /**
+   * Creates a new CsvResultFormatter instance
+   * @param {Array<string>} columns - Column names, as returned by getColumns
+   * @param {Object} options - Separator overrides for `output.csv`
+   */
+  constructor(columns, options = {}) {
+    this.columns = columns;
+    this.keySeparator =
+      options.keySeparator || getConfig("output.csv.keySeparator", ".");
+    this.arraySeparator =
+      options.arraySeparator || getConfig("output.csv.arraySeparator", "|");
+    this.keyValueSeparator =
+      options.keyValueSeparator ||
+      getConfig("output.csv.keyValueSeparator", "=");
+  }
+
+  /**
+   * Derives the columns for a job's results
+   * @param {ExtractionSchema|Object|null} schema - The job's extraction schema
+   * @param {Object} options - Separator overrides for `output.csv`
+   * @returns {Array<string>} Column names
+   */
+  static getColumns(schema, options = {}) {
+    if (!schema || !Array.isArray(schema.fields)) {
+      return [...BASE_COLUMNS, "result"];
+    }
+
+    const keySeparator =
+      options.keySeparator || getConfig("output.csv.keySeparator", ".");
+    const fieldColumns = (fields, prefix) =>
+      fields.flatMap((field) =>
+        Array.isArray(field.fields) && field.fields.length > 0
+          ? fieldColumns(field.fields, `${prefix}${field.name}${keySeparator}`)
+          : [`${prefix}${field.name}`]
+      );
+
+    return [...BASE_COLUMNS, ...fieldColumns(schema.fields, ""), "confidence"];
+  }
+
+  /**
+   * Formats the header record
+   * @returns {string} Header record without a line break
+   */
+  formatHeader() {
+    return this.columns.map((column) => this.quote(column)).join(",");
+  }
+
+  /**
+   * Formats a result as a record with one cell per column
+   * @param {Object} result - Processing result
+   * @returns {string} Record without a line break
+   */
+  formatRecord(result) {
+    return this.columns
+      .map((column) => this.quote(this.flatten(this.getValue(result, column))))
+      .join(",");
+  }
+
+  /**
+   * Parses CSV content into records keyed by the header's columns
+   * @param {string} content - CSV content starting with a header
+   * @returns {Array<Object>} Records with string values
+   */
+  static parse(content) {
+    const [header, ...rows] = CsvResultFormatter.parseRows(content);
+    if (!header) {
+      return [];
+    }
+
+    return rows.map((row) =>
+      Object.fromEntries(
+        header.map((column, index) => [column, row[index] ?? ""])
+      )
+    );
+  }
+
+  /**
+   * Splits CSV content into rows of cells
+   * Quoted cells may hold commas, quotes and line breaks; records end with
+   * CRLF or LF, and a final line break is optional
+   * @param {string} content - CSV content
+   * @returns {Array<Array<string>>} Rows of cells
+   */
+  static parseRows(content) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && content[i + 1] === "\n") {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Gets a column's value from a result
+   * @param {Object} result - Processing result
+   * @param {string} column - Column name
+   * @returns {any} Value
+   */
+  getValue(result, column) {
+    if (BASE_COLUMNS.includes(column)) {
+      return result[column];
+    }
+    if (column === "result") {
+      return result.result;
+    }
+    if (column === "confidence") {
+      return result.result?.confidence;
+    }
+
+    return column
+      .split(this.keySeparator)
+      .reduce((value, key) => value?.[key], result.result?.data);
+  }
+
+  /**
+   * Flattens a value into a single cell
+   * @param {any} value - Value
+   * @returns {string} Cell text
+   */
+  flatten(value) {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Array.isArray(value) && value.every((item) => !this.isNested(item))) {
+      return value.map((item) => this.flatten(item)).join(this.arraySeparator);
+    }
+    if (typeof value === "object") {
+      return this.flattenPairs(value, "").join(this.arraySeparator);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Flattens a nested value into key path and value pairs
+   * @param {Object|Array} value - Nested value
+   * @param {string} prefix - Key path so far
+   * @returns {Array<string>} Pairs
+   */
+  flattenPairs(value, prefix) {
+    return Object.entries(value).flatMap(([key, item]) => {
+      const keyPath = `${prefix}${key}`;
+      return this.isNested(item)
+        ? this.flattenPairs(item, `${keyPath}${this.keySeparator}`)
+        : [`${keyPath}${this.keyValueSeparator}${this.flatten(item)}`];
+    });
+  }
+
+  /**
+   * Checks if a value needs flattening into pairs
+   * @param {any} value - Value
+   * @returns {boolean} True for arrays and plain objects
+   */
+  isNested(value) {
+    return (
+      value !== null && typeof value === "object" && !(value instanceof Date)
+    );
+  }
+
+  /**
+   * Quotes a cell when RFC 4180 requires it
+   * @param {string} cell - Cell text
+   * @returns {string} Cell as written
+   */
+  quote(cell) {
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }
+}
@@ -0,0 +1,170 @@
+import fs from "fs/promises";
+import path from "path";
+import { DeadLetter } from "../../domain/entities/DeadLetter.js";
+
+/**
+ * File system implementation of dead letter repository
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemDeadLetterRepository {
+  constructor() {
+    this.deadLettersFile = path.join(
+      process.cwd(),
+      "data",
+      "dead-letters.json"
+    );
+    this.lockFile = path.join(process.cwd(), "data", "dead-letters.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves a dead letter to the file system
+   * @param {DeadLetter} deadLetter - The dead letter to save
+   * @returns {Promise<DeadLetter>} The saved dead letter
+   */
+  async save(deadLetter) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const deadLetters = await this.getAllDeadLetters();
+      const existingIndex = deadLetters.findIndex(
+        (d) => d.id === deadLetter.id
+      );
+
+      if (existingIndex >= 0) {
+        deadLetters[existingIndex] = deadLetter.toJSON();
+      } else {
+        deadLetters.push(deadLetter.toJSON());
+      }
+
+      await fs.writeFile(
+        this.deadLettersFile,
+        JSON.stringify(deadLetters, null, 2)
+      );
+      return deadLetter;
+    } catch (error) {
+      console.error("Failed to save dead letter:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds a dead letter by its ID
+   * @param {string} id - The dead letter ID
+   * @returns {Promise<DeadLetter|null>} The dead letter or null if not found
+   */
+  async findById(id) {
+    try {
+      const deadLetters = await this.getAllDeadLetters();
+      const data = deadLetters.find((d) => d.id === id);
+      return data ? DeadLetter.fromJSON(data) : null;
+    } catch (error) {
+      console.error("Failed to find dead letter:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the dead letters of a job, oldest first
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Array<DeadLetter>>} Array of dead letters
+   */
+  async findByJobId(jobId, options = {}) {
+    try {
+      const { status } = options;
+      const deadLetters = await this.getAllDeadLetters();
+
+      return deadLetters
+        .filter((d) => d.jobId === jobId && (!status || d.status === status))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((data) => DeadLetter.fromJSON(data));
+    } catch (error) {
+      console.error("Failed to find dead letters by job:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a dead letter by its ID
+   * @param {string} id - The dead letter ID
+   * @returns {Promise<boolean>} True if deletion was successful
+   */
+  async delete(id) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const deadLetters = await this.getAllDeadLetters();
+      const filtered = deadLetters.filter((d) => d.id !== id);
+
+      if (filtered.length === deadLetters.length) {
+        throw new Error("Dead letter not found");
+      }
+
+      await fs.writeFile(
+        this.deadLettersFile,
+        JSON.stringify(filtered, null, 2)
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to delete dead letter:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Gets all dead letters from the file system
+   * @private
+   * @returns {Promise<Array<Object>>} Array of dead letter data
+   */
+  async getAllDeadLetters() {
+    try {
+      const data = await fs.readFile(this.deadLettersFile, "utf8");
+      return data.trim() ? JSON.parse(data) : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      console.error("Failed to read dead letters:", error);
+      throw error;
+    }
+  }
+}
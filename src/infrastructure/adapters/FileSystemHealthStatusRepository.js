@@ -0,0 +1,86 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * File system implementation of health status repository
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemHealthStatusRepository {
+  constructor() {
+    this.statusFile = path.join(process.cwd(), "data", "health-status.json");
+    this.lockFile = path.join(process.cwd(), "data", "health-status.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves the latest status of a component to the file system
+   * @param {string} component - Component name
+   * @param {Object} status - Status snapshot
+   * @returns {Promise<Object>} The saved status, stamped with updatedAt
+   */
+  async save(component, status) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const statuses = await this.findAll();
+      statuses[component] = { ...status, updatedAt: new Date().toISOString() };
+
+      await fs.writeFile(this.statusFile, JSON.stringify(statuses, null, 2));
+      return statuses[component];
+    } catch (error) {
+      console.error("Failed to save health status:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds the latest status of every component
+   * @returns {Promise<Object>} Status snapshots keyed by component name
+   */
+  async findAll() {
+    try {
+      const data = await fs.readFile(this.statusFile, "utf8");
+      return data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      console.error("Failed to read health status:", error);
+      throw error;
+    }
+  }
+}
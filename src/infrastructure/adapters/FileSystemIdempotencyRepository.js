@@ -0,0 +1,151 @@
+import fs from "fs/promises";
+import path from "path";
+import { IdempotencyRecord } from "../../domain/entities/IdempotencyRecord.js";
+
+/**
+ * File system implementation of idempotency repository
+ * Expired records are purged whenever the file is written
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemIdempotencyRepository {
+  constructor() {
+    this.recordsFile = path.join(
+      process.cwd(),
+      "data",
+      "idempotency-keys.json"
+    );
+    this.lockFile = path.join(process.cwd(), "data", "idempotency-keys.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Runs a mutation against the live records while holding the lock
+   * @private
+   * @param {Function} mutate - Receives the records keyed by key and returns a result
+   * @returns {Promise<any>} The mutation result
+   */
+  async withRecords(mutate) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const records = await this.getLiveRecords();
+      const result = mutate(records);
+      await fs.writeFile(this.recordsFile, JSON.stringify(records, null, 2));
+      return result;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Stores a record unless a live record already holds its key
+   * @param {IdempotencyRecord} record - The record to store
+   * @returns {Promise<IdempotencyRecord|null>} The existing record, or null if stored
+   */
+  async reserve(record) {
+    try {
+      return await this.withRecords((records) => {
+        if (records[record.key]) {
+          return IdempotencyRecord.fromJSON(records[record.key]);
+        }
+        records[record.key] = record.toJSON();
+        return null;
+      });
+    } catch (error) {
+      console.error("Failed to reserve idempotency key:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves a record, replacing the one with the same key
+   * @param {IdempotencyRecord} record - The record to save
+   * @returns {Promise<IdempotencyRecord>} The saved record
+   */
+  async save(record) {
+    try {
+      await this.withRecords((records) => {
+        records[record.key] = record.toJSON();
+      });
+      return record;
+    } catch (error) {
+      console.error("Failed to save idempotency record:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the record of a key
+   * @param {string} key - The idempotency key
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async delete(key) {
+    try {
+      return await this.withRecords((records) => {
+        const existed = key in records;
+        delete records[key];
+        return existed;
+      });
+    } catch (error) {
+      console.error("Failed to delete idempotency record:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the unexpired records from the file system
+   * @private
+   * @returns {Promise<Object>} Record data keyed by idempotency key
+   */
+  async getLiveRecords() {
+    let records = {};
+    try {
+      const data = await fs.readFile(this.recordsFile, "utf8");
+      records = data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Failed to read idempotency records:", error);
+        throw error;
+      }
+    }
+
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(records).filter(
+        ([, data]) => !IdempotencyRecord.fromJSON(data).isExpired(now)
+      )
+    );
+  }
+}
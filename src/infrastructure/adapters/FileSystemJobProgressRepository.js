@@ -0,0 +1,109 @@
+import fs from "fs/promises";
+import path from "path";
+import { JobProgress } from "../../domain/entities/JobProgress.js";
+
+/**
+ * File system implementation of job progress repository
+ * Progress is kept apart from jobs.json because it changes per document
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemJobProgressRepository {
+  constructor() {
+    this.progressFile = path.join(process.cwd(), "data", "job-progress.json");
+    this.lockFile = path.join(process.cwd(), "data", "job-progress.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves the progress of a job
+   * The progress is serialized under the lock so the last save always
+   * writes the latest counters
+   * @param {JobProgress} progress - The progress to save
+   * @returns {Promise<JobProgress>} The saved progress
+   */
+  async save(progress) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const allProgress = await this.getAllProgress();
+      allProgress[progress.jobId] = progress.toJSON();
+
+      await fs.writeFile(
+        this.progressFile,
+        JSON.stringify(allProgress, null, 2)
+      );
+      return progress;
+    } catch (error) {
+      console.error("Failed to save job progress:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds the progress of a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<JobProgress|null>} The progress or null if not found
+   */
+  async findByJobId(jobId) {
+    try {
+      const allProgress = await this.getAllProgress();
+      const data = allProgress[jobId];
+      return data ? JobProgress.fromJSON(data) : null;
+    } catch (error) {
+      console.error("Failed to find job progress:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the progress of all jobs from the file system
+   * @private
+   * @returns {Promise<Object>} Progress data keyed by job ID
+   */
+  async getAllProgress() {
+    try {
+      const data = await fs.readFile(this.progressFile, "utf8");
+      return data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      console.error("Failed to read job progress:", error);
+      throw error;
+    }
+  }
+}
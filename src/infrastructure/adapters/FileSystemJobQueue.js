@@ -0,0 +1,273 @@
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { JobQueue } from "../../application/ports/JobQueue.js";
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * File system implementation of the job queue
+ * Mirrors SQS semantics (visibility timeout, receive count, redrive to a
+ * dead-letter list) so the API and workers can share a queue offline
+ * This is an adapter in the hexagon architecture
+ */
+export class FileSystemJobQueue extends JobQueue {
+  constructor() {
+    super();
+    this.queueFile = path.join(process.cwd(), "data", "queue.json");
+    this.lockFile = path.join(process.cwd(), "data", "queue.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Runs a mutation against the queue state while holding the lock
+   * @private
+   * @param {Function} mutate - Receives the queue state and returns a result
+   * @returns {Promise<any>} The mutation result
+   */
+  async withQueue(mutate) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const queue = await this.readQueue();
+      const result = mutate(queue);
+      await fs.writeFile(this.queueFile, JSON.stringify(queue, null, 2));
+      return result;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Enqueues a message for asynchronous processing
+   * @param {Object} message - The message body
+   * @param {Object} options - Enqueue options
+   * @param {number} options.delayMs - Delay before the message becomes visible
+   * @returns {Promise<string>} The message ID
+   */
+  async enqueue(message, options = {}) {
+    const { delayMs = 0 } = options;
+    const now = Date.now();
+
+    try {
+      return await this.withQueue((queue) => {
+        const messageId = uuidv4();
+        queue.messages.push({
+          messageId,
+          body: message,
+          enqueuedAt: new Date(now).toISOString(),
+          visibleAt: now + delayMs,
+          receiveCount: 0,
+          receiptHandle: null,
+        });
+        return messageId;
+      });
+    } catch (error) {
+      console.error("Failed to enqueue message:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Receives visible messages and hides them for the visibility timeout
+   * Messages that exceed the max receive count are moved to the dead-letter list
+   * @param {Object} options - Receive options
+   * @param {number} options.maxMessages - Maximum number of messages to receive
+   * @param {number} options.visibilityTimeoutMs - How long received messages stay hidden
+   * @returns {Promise<Array<Object>>} Received messages with their receipt handles
+   */
+  async receive(options = {}) {
+    const {
+      maxMessages = getConfig("queue.receiveBatchSize", 1),
+      visibilityTimeoutMs = getConfig("queue.visibilityTimeoutMs", 900000),
+    } = options;
+    const maxReceiveCount = getConfig("queue.maxReceiveCount", 3);
+    const now = Date.now();
+
+    try {
+      return await this.withQueue((queue) => {
+        const received = [];
+
+        for (const message of [...queue.messages]) {
+          if (received.length >= maxMessages) break;
+          if (message.visibleAt > now) continue;
+
+          if (message.receiveCount >= maxReceiveCount) {
+            queue.messages.splice(queue.messages.indexOf(message), 1);
+            queue.deadLetters.push({
+              ...message,
+              receiptHandle: null,
+              deadLetteredAt: new Date(now).toISOString(),
+            });
+            continue;
+          }
+
+          message.receiveCount++;
+          message.receiptHandle = uuidv4();
+          message.visibleAt = now + visibilityTimeoutMs;
+          received.push({ ...message });
+        }
+
+        return received;
+      });
+    } catch (error) {
+      console.error("Failed to receive messages:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledges (deletes) a received message
+   * @param {string} receiptHandle - Receipt handle of the received message
+   * @returns {Promise<boolean>} True if the message was deleted
+   */
+  async acknowledge(receiptHandle) {
+    try {
+      return await this.withQueue((queue) => {
+        const index = queue.messages.findIndex(
+          (m) => m.receiptHandle === receiptHandle
+        );
+        if (index === -1) {
+          return false;
+        }
+        queue.messages.splice(index, 1);
+        return true;
+      });
+    } catch (error) {
+      console.error("Failed to acknowledge message:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hides a received message for another visibility timeout, counted from now
+   * @param {string} receiptHandle - Receipt handle of the received message
+   * @param {Object} options - Extend options
+   * @param {number} options.visibilityTimeoutMs - How long the message stays hidden
+   * @returns {Promise<boolean>} True if the message is still held by the receipt
+   */
+  async extendVisibility(receiptHandle, options = {}) {
+    const {
+      visibilityTimeoutMs = getConfig("queue.visibilityTimeoutMs", 900000),
+    } = options;
+
+    try {
+      return await this.withQueue((queue) => {
+        const message = queue.messages.find(
+          (m) => m.receiptHandle === receiptHandle
+        );
+        if (!message) {
+          return false;
+        }
+        message.visibleAt = Date.now() + visibilityTimeoutMs;
+        return true;
+      });
+    } catch (error) {
+      console.error("Failed to extend message visibility:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Releases a received message so it can be received again
+   * @param {string} receiptHandle - Receipt handle of the received message
+   * @param {Object} options - Release options
+   * @param {number} options.delayMs - Delay before the message becomes visible again
+   * @returns {Promise<boolean>} True if the message was released
+   */
+  async release(receiptHandle, options = {}) {
+    const { delayMs = 0 } = options;
+
+    try {
+      return await this.withQueue((queue) => {
+        const message = queue.messages.find(
+          (m) => m.receiptHandle === receiptHandle
+        );
+        if (!message) {
+          return false;
+        }
+        message.receiptHandle = null;
+        message.visibleAt = Date.now() + delayMs;
+        return true;
+      });
+    } catch (error) {
+      console.error("Failed to release message:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the number of messages in the queue
+   * @returns {Promise<Object>} Counts of visible, in-flight and dead-lettered messages
+   */
+  async size() {
+    const queue = await this.readQueue();
+    const now = Date.now();
+    const hidden = queue.messages.filter((m) => m.visibleAt > now);
+    const inFlight = hidden.filter((m) => m.receiptHandle).length;
+
+    return {
+      visible: queue.messages.length - hidden.length,
+      inFlight,
+      delayed: hidden.length - inFlight,
+      deadLettered: queue.deadLetters.length,
+    };
+  }
+
+  /**
+   * Reads the queue state from the file system
+   * @private
+   * @returns {Promise<Object>} Queue state with messages and dead letters
+   */
+  async readQueue() {
+    try {
+      const data = await fs.readFile(this.queueFile, "utf8");
+      if (!data.trim()) {
+        return { messages: [], deadLetters: [] };
+      }
+      const queue = JSON.parse(data);
+      return {
+        messages: queue.messages || [],
+        deadLetters: queue.deadLetters || [],
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        await fs.mkdir(path.dirname(this.queueFile), { recursive: true });
+        return { messages: [], deadLetters: [] };
+      }
+      console.error("Failed to read queue:", error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+import { JobSchedule } from "../../domain/entities/JobSchedule.js";
+
+/**
+ * File system implementation of job schedule repository
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemJobScheduleRepository {
+  constructor() {
+    this.schedulesFile = path.join(process.cwd(), "data", "job-schedules.json");
+    this.lockFile = path.join(process.cwd(), "data", "job-schedules.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves a schedule to the file system
+   * @param {JobSchedule} schedule - The schedule to save
+   * @returns {Promise<JobSchedule>} The saved schedule
+   */
+  async save(schedule) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const schedules = await this.getAllSchedules();
+      const existingIndex = schedules.findIndex((s) => s.id === schedule.id);
+
+      if (existingIndex >= 0) {
+        schedules[existingIndex] = schedule.toJSON();
+      } else {
+        schedules.push(schedule.toJSON());
+      }
+
+      await fs.writeFile(
+        this.schedulesFile,
+        JSON.stringify(schedules, null, 2)
+      );
+      return schedule;
+    } catch (error) {
+      console.error("Failed to save job schedule:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds a schedule by its ID
+   * @param {string} id - The schedule ID
+   * @returns {Promise<JobSchedule|null>} The schedule or null if not found
+   */
+  async findById(id) {
+    try {
+      const schedules = await this.getAllSchedules();
+      const data = schedules.find((schedule) => schedule.id === id);
+      return data ? JobSchedule.fromJSON(data) : null;
+    } catch (error) {
+      console.error("Failed to find job schedule:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds all schedules, oldest first
+   * @returns {Promise<Array<JobSchedule>>} Array of schedules
+   */
+  async findAll() {
+    try {
+      const schedules = await this.getAllSchedules();
+      return schedules
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((data) => JobSchedule.fromJSON(data));
+    } catch (error) {
+      console.error("Failed to find all job schedules:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a schedule by its ID
+   * @param {string} id - The schedule ID
+   * @returns {Promise<boolean>} True if a schedule was deleted
+   */
+  async delete(id) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const schedules = await this.getAllSchedules();
+      const remaining = schedules.filter((schedule) => schedule.id !== id);
+
+      if (remaining.length === schedules.length) {
+        return false;
+      }
+
+      await fs.writeFile(
+        this.schedulesFile,
+        JSON.stringify(remaining, null, 2)
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to delete job schedule:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Gets all schedules from the file system
+   * @private
+   * @returns {Promise<Array<Object>>} Array of schedule data
+   */
+  async getAllSchedules() {
+    try {
+      const data = await fs.readFile(this.schedulesFile, "utf8");
+      return data.trim() ? JSON.parse(data) : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      console.error("Failed to read job schedules:", error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+import { JobTemplate } from "../../domain/entities/JobTemplate.js";
+
+/**
+ * File system implementation of job template repository
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemJobTemplateRepository {
+  constructor() {
+    this.templatesFile = path.join(process.cwd(), "data", "job-templates.json");
+    this.lockFile = path.join(process.cwd(), "data", "job-templates.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves a template to the file system
+   * @param {JobTemplate} template - The template to save
+   * @returns {Promise<JobTemplate>} The saved template
+   */
+  async save(template) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const templates = await this.getAllTemplates();
+      const existingIndex = templates.findIndex((t) => t.id === template.id);
+
+      if (existingIndex >= 0) {
+        templates[existingIndex] = template.toJSON();
+      } else {
+        templates.push(template.toJSON());
+      }
+
+      await fs.writeFile(
+        this.templatesFile,
+        JSON.stringify(templates, null, 2)
+      );
+      return template;
+    } catch (error) {
+      console.error("Failed to save job template:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds a template by its ID
+   * @param {string} id - The template ID
+   * @returns {Promise<JobTemplate|null>} The template or null if not found
+   */
+  async findById(id) {
+    try {
+      const templates = await this.getAllTemplates();
+      const data = templates.find((template) => template.id === id);
+      return data ? JobTemplate.fromJSON(data) : null;
+    } catch (error) {
+      console.error("Failed to find job template:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds all templates, oldest first
+   * @returns {Promise<Array<JobTemplate>>} Array of templates
+   */
+  async findAll() {
+    try {
+      const templates = await this.getAllTemplates();
+      return templates
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((data) => JobTemplate.fromJSON(data));
+    } catch (error) {
+      console.error("Failed to find all job templates:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a template by its ID
+   * @param {string} id - The template ID
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  async delete(id) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const templates = await this.getAllTemplates();
+      const remaining = templates.filter((template) => template.id !== id);
+
+      if (remaining.length === templates.length) {
+        return false;
+      }
+
+      await fs.writeFile(
+        this.templatesFile,
+        JSON.stringify(remaining, null, 2)
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to delete job template:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Gets all templates from the file system
+   * @private
+   * @returns {Promise<Array<Object>>} Array of template data
+   */
+  async getAllTemplates() {
+    try {
+      const data = await fs.readFile(this.templatesFile, "utf8");
+      return data.trim() ? JSON.parse(data) : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      console.error("Failed to read job templates:", error);
+      throw error;
+    }
+  }
+}
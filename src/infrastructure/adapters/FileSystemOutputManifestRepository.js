@@ -0,0 +1,146 @@
+import fs from "fs/promises";
+import path from "path";
+import { OutputManifest } from "../../domain/entities/OutputManifest.js";
+
+/**
+ * File system implementation of output manifest repository
+ * Manifests are kept in the data directory rather than beside the shards,
+ * so a manifest outlives tampering with or removal of the output it lists
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemOutputManifestRepository {
+  constructor() {
+    this.manifestsFile = path.join(
+      process.cwd(),
+      "data",
+      "output-manifests.json"
+    );
+    this.lockFile = path.join(process.cwd(), "data", "output-manifests.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves the manifest of a job
+   * @param {OutputManifest} manifest - The manifest to save
+   * @returns {Promise<OutputManifest>} The saved manifest
+   */
+  async save(manifest) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const manifests = await this.getAllManifests();
+      const existing = manifests[manifest.jobId];
+      if (existing) {
+        // A job finalized again (e.g. after a retry) keeps its creation time
+        manifest.createdAt = existing.createdAt;
+      }
+      manifests[manifest.jobId] = manifest.toJSON();
+
+      await fs.writeFile(
+        this.manifestsFile,
+        JSON.stringify(manifests, null, 2)
+      );
+      return manifest;
+    } catch (error) {
+      console.error("Failed to save output manifest:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds the manifest of a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<OutputManifest|null>} The manifest or null if not found
+   */
+  async findByJobId(jobId) {
+    try {
+      const manifests = await this.getAllManifests();
+      const data = manifests[jobId];
+      return data ? OutputManifest.fromJSON(data) : null;
+    } catch (error) {
+      console.error("Failed to find output manifest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the manifest of a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if a manifest was deleted
+   */
+  async delete(jobId) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const manifests = await this.getAllManifests();
+      if (!manifests[jobId]) {
+        return false;
+      }
+
+      delete manifests[jobId];
+      await fs.writeFile(
+        this.manifestsFile,
+        JSON.stringify(manifests, null, 2)
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to delete output manifest:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Gets the manifests of all jobs from the file system
+   * @private
+   * @returns {Promise<Object>} Manifest data keyed by job ID
+   */
+  async getAllManifests() {
+    try {
+      const data = await fs.readFile(this.manifestsFile, "utf8");
+      return data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      console.error("Failed to read output manifests:", error);
+      throw error;
+    }
+  }
+}
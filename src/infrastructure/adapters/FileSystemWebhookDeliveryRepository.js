@@ -0,0 +1,122 @@
+import fs from "fs/promises";
+import path from "path";
+import { WebhookDelivery } from "../../domain/entities/WebhookDelivery.js";
+
+/**
+ * File system implementation of webhook delivery repository
+ * This is part of the infrastructure layer in hexagon architecture
+ */
+export class FileSystemWebhookDeliveryRepository {
+  constructor() {
+    this.deliveriesFile = path.join(
+      process.cwd(),
+      "data",
+      "webhook-deliveries.json"
+    );
+    this.lockFile = path.join(process.cwd(), "data", "webhook-deliveries.lock");
+  }
+
+  /**
+   * Acquires a file lock to prevent concurrent access
+   * @private
+   * @returns {Promise<boolean>} True if lock was acquired
+   */
+  async acquireLock() {
+    try {
+      await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+      await fs.writeFile(this.lockFile, Date.now().toString(), { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        // Lock already exists, wait a bit and try again
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return this.acquireLock();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the file lock
+   * @private
+   */
+  async releaseLock() {
+    try {
+      await fs.unlink(this.lockFile);
+    } catch (error) {
+      // Ignore errors when releasing lock
+    }
+  }
+
+  /**
+   * Saves a webhook delivery to the file system
+   * @param {WebhookDelivery} delivery - The webhook delivery to save
+   * @returns {Promise<WebhookDelivery>} The saved webhook delivery
+   */
+  async save(delivery) {
+    const lockAcquired = await this.acquireLock();
+    try {
+      const deliveries = await this.getAllDeliveries();
+      const existingIndex = deliveries.findIndex((d) => d.id === delivery.id);
+
+      if (existingIndex >= 0) {
+        deliveries[existingIndex] = delivery.toJSON();
+      } else {
+        deliveries.push(delivery.toJSON());
+      }
+
+      await fs.writeFile(
+        this.deliveriesFile,
+        JSON.stringify(deliveries, null, 2)
+      );
+      return delivery;
+    } catch (error) {
+      console.error("Failed to save webhook delivery:", error);
+      throw error;
+    } finally {
+      if (lockAcquired) {
+        await this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Finds the webhook deliveries of a job, oldest first
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Array<WebhookDelivery>>} Array of webhook deliveries
+   */
+  async findByJobId(jobId, options = {}) {
+    try {
+      const { status } = options;
+      const deliveries = await this.getAllDeliveries();
+
+      return deliveries
+        .filter((d) => d.jobId === jobId && (!status || d.status === status))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((data) => WebhookDelivery.fromJSON(data));
+    } catch (error) {
+      console.error("Failed to find webhook deliveries by job:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets all webhook deliveries from the file system
+   * @private
+   * @returns {Promise<Array<Object>>} Array of webhook delivery data
+   */
+  async getAllDeliveries() {
+    try {
+      const data = await fs.readFile(this.deliveriesFile, "utf8");
+      return data.trim() ? JSON.parse(data) : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      console.error("Failed to read webhook deliveries:", error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import { WebhookNotifier } from "../../application/ports/WebhookNotifier.js";
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * HTTP implementation of the webhook notifier
+ * POSTs JSON payloads signed with HMAC-SHA256 over `${timestamp}.${body}`:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex digest>
+ * This is an adapter in the hexagon architecture
+ */
+export class HttpWebhookNotifier extends WebhookNotifier {
+  /**
+   * Sends a single delivery attempt of a payload to a webhook
+   * @param {Webhook} webhook - The webhook to notify
+   * @param {Object} payload - The event payload
+   * @param {Object} options - Send options
+   * @param {string} options.deliveryId - Delivery ID sent with the request
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<Object>} Response details with the status code
+   * @throws {Error} If the webhook does not answer with a 2xx status
+   */
+  async send(webhook, payload, options = {}) {
+    const { deliveryId, timeoutMs = getConfig("webhooks.timeoutMs", 5000) } =
+      options;
+    const body = JSON.stringify(payload);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "extraction-service-webhooks/1.0",
+      "X-Webhook-Event": payload.event,
+      "X-Webhook-Delivery": deliveryId,
+    };
+
+    if (webhook.secret) {
+      headers["X-Webhook-Signature"] = HttpWebhookNotifier.sign(
+        body,
+        webhook.secret
+      );
+    }
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Webhook responded with ${response.status} ${response.statusText}`
+      );
+    }
+
+    return { statusCode: response.status };
+  }
+
+  /**
+   * Signs a payload body with a webhook secret
+   * @param {string} body - The serialized payload
+   * @param {string} secret - The webhook secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {string} Signature header value
+   */
+  static sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Verifies a signature header against a payload body
+   * Intended for receivers (see webhook-receiver.js)
+   * @param {string} body - The raw request body
+   * @param {string} header - The X-Webhook-Signature header value
+   * @param {string} secret - The webhook secret
+   * @param {number} toleranceSeconds - Maximum accepted signature age
+   * @returns {boolean} True if the signature is valid and recent
+   */
+  static verify(body, header, secret, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(
+      (header || "").split(",").map((part) => part.split("="))
+    );
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) {
+      return false;
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+      return false;
+    }
+
+    const expected = HttpWebhookNotifier.sign(body, secret, timestamp);
+    return (
+      expected.length === header.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(header))
+    );
+  }
+}
@@ -1,18 +1,64 @@
-import { promises as fs } from "fs";
+import { createHash } from "crypto";
+import { createReadStream, createWriteStream, promises as fs } from "fs";
 import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
 import { OutputService } from "../../application/ports/OutputService.js";
 import { getConfig } from "../../config/app.config.js";
+import { CsvResultFormatter } from "./CsvResultFormatter.js";
+import { ParquetResultFormatter } from "./ParquetResultFormatter.js";
+
+/**
+ * Output compression codecs, keyed by the `compression` recorded in metadata
+ * zstd needs a Node.js version whose zlib supports it
+ */
+const CODECS = {
+  gzip: {
+    extension: "gz",
+    available: true,
+    createStream: () => zlib.createGzip(),
+    flushKind: zlib.constants.Z_SYNC_FLUSH,
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    lenientOptions: { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+    // Shards named .gz before compression was implemented hold plain text
+    magic: Buffer.from([0x1f, 0x8b]),
+  },
+  brotli: {
+    extension: "br",
+    available: true,
+    createStream: () => zlib.createBrotliCompress(),
+    flushKind: zlib.constants.BROTLI_OPERATION_FLUSH,
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress),
+    lenientOptions: { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH },
+    magic: null,
+  },
+  zstd: {
+    extension: "zst",
+    available: typeof zlib.createZstdCompress === "function",
+    createStream: () => zlib.createZstdCompress(),
+    flushKind: zlib.constants.ZSTD_e_flush,
+    compress: zlib.zstdCompress && promisify(zlib.zstdCompress),
+    decompress: zlib.zstdDecompress && promisify(zlib.zstdDecompress),
+    lenientOptions: null,
+    magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+  },
+};
 
 /**
  * Local Implementation of Output Service
- * Writes extraction results to local files in JSONL format
+ * Writes extraction results to local files in JSONL or CSV format,
+ * compressed with `output.compressionType` when `output.compressionEnabled`
+ * is set
  * This is an adapter in the hexagon architecture
  */
 export class LocalOutputService extends OutputService {
   constructor() {
     super();
     this.outputStreams = new Map(); // Track open output streams
-    this.outputMetadata = new Map(); // Track output metadata
+    this.outputMetadata = new Map(); // Cache metadata with its file's stats
+    this.outputQueues = new Map(); // Serialize streamed writes per job
     this.init();
   }
 
@@ -40,12 +86,13 @@ export class LocalOutputService extends OutputService {
     const outputDir =
       options.directory || getConfig("output.outputDirectory", "./output");
     const format = options.format || getConfig("output.outputFormat", "jsonl");
-    const compression =
-      options.compression !== false &&
-      getConfig("output.compressionEnabled", true);
     const shardSize = options.shardSize || getConfig("output.shardSize", 10000);
 
     try {
+      const compression = this.resolveCompression(options);
+      const columns = this.getColumns(format, options.schema);
+      const formatter = this.createFormatter(format, columns, compression);
+
       // Create job output directory
       const jobOutputDir = path.join(outputDir, jobId);
       await fs.mkdir(jobOutputDir, { recursive: true });
@@ -59,12 +106,16 @@ export class LocalOutputService extends OutputService {
         const fileName = this.generateFileName(jobId, i, format, compression);
         const filePath = path.join(jobOutputDir, fileName);
 
-        await this.writeShard(filePath, shard, format, compression);
+        await this.writeShard(filePath, shard, format, formatter);
+        const writtenAt = new Date().toISOString();
         outputFiles.push({
           fileName,
           filePath,
           recordCount: shard.length,
           size: await this.getFileSize(filePath),
+          sha256: await this.hashFile(filePath),
+          startedAt: writtenAt,
+          endedAt: writtenAt,
         });
       }
 
@@ -75,6 +126,7 @@ export class LocalOutputService extends OutputService {
         totalFiles: outputFiles.length,
         format,
         compression,
+        columns,
         processingTime: Date.now() - startTime,
         createdAt: new Date().toISOString(),
       };
@@ -83,7 +135,7 @@ export class LocalOutputService extends OutputService {
       const metadataPath = path.join(jobOutputDir, "metadata.json");
       await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
 
-      this.outputMetadata.set(jobId, metadata);
+      await this.cacheMetadata(jobId, metadataPath, metadata);
       return metadata;
     } catch (error) {
       console.error("Failed to write results:", error);
@@ -92,99 +144,232 @@ export class LocalOutputService extends OutputService {
   }
 
   /**
-   * Writes a single result to the output stream
+   * Appends extraction results to a job's existing output files
    * @param {string} jobId - The job ID
-   * @param {Object} result - Single extraction result
+   * @param {Array<Object>} results - Array of extraction results
    * @param {Object} options - Output options
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Updated output metadata
    */
-  async writeResult(jobId, result, options = {}) {
-    const outputDir =
-      options.directory || getConfig("output.outputDirectory", "./output");
-    const format = options.format || getConfig("output.outputFormat", "jsonl");
-    const compression =
-      options.compression !== false &&
-      getConfig("output.compressionEnabled", true);
+  async appendResults(jobId, results, options = {}) {
+    const startTime = Date.now();
 
     try {
-      // Get or create output stream
-      let stream = this.outputStreams.get(jobId);
-      if (!stream) {
-        const jobOutputDir = path.join(outputDir, jobId);
-        await fs.mkdir(jobOutputDir, { recursive: true });
+      const existing = await this.getOutputInfo(jobId);
+      if (existing.outputFiles.length === 0) {
+        return await this.writeResults(jobId, results, options);
+      }
+
+      const { format } = existing;
+      const compression = this.normalizeCompression(existing.compression);
+      const columns =
+        existing.columns || this.getColumns(format, options.schema);
+      const formatter = this.createFormatter(format, columns, compression);
+      const shardSize =
+        options.shardSize || getConfig("output.shardSize", 10000);
+      const jobOutputDir = path.dirname(existing.outputFiles[0].filePath);
+      const outputFiles = existing.outputFiles.map((file) => ({ ...file }));
+      let remaining = results;
 
-        const fileName = this.generateFileName(jobId, 0, format, compression);
+      // Fill the last shard first; a Parquet file cannot be appended to
+      const lastFile = outputFiles[outputFiles.length - 1];
+      if (
+        format !== "parquet" &&
+        lastFile.recordCount < shardSize &&
+        remaining.length > 0
+      ) {
+        const fill = remaining.slice(0, shardSize - lastFile.recordCount);
+        await this.appendToShard(
+          lastFile.filePath,
+          fill,
+          format,
+          lastFile.recordCount > 0,
+          formatter
+        );
+        lastFile.recordCount += fill.length;
+        lastFile.size = await this.getFileSize(lastFile.filePath);
+        lastFile.sha256 = await this.hashFile(lastFile.filePath);
+        lastFile.endedAt = new Date().toISOString();
+        remaining = remaining.slice(fill.length);
+      }
+
+      // Start new shards for the rest
+      for (const shard of this.createShards(remaining, shardSize)) {
+        const fileName = this.generateFileName(
+          jobId,
+          outputFiles.length,
+          format,
+          compression
+        );
         const filePath = path.join(jobOutputDir, fileName);
 
-        stream = {
+        await this.writeShard(filePath, shard, format, formatter);
+        const writtenAt = new Date().toISOString();
+        outputFiles.push({
+          fileName,
           filePath,
-          writeStream: fs.createWriteStream(filePath, { flags: "a" }),
-          recordCount: 0,
-          shardSize: getConfig("output.shardSize", 10000),
-        };
-
-        this.outputStreams.set(jobId, stream);
+          recordCount: shard.length,
+          size: await this.getFileSize(filePath),
+          sha256: await this.hashFile(filePath),
+          startedAt: writtenAt,
+          endedAt: writtenAt,
+        });
       }
 
-      // Write result
-      const line = this.formatResult(result, format);
-      stream.writeStream.write(line + "\n");
-      stream.recordCount++;
+      const metadata = {
+        ...existing,
+        compression,
+        columns,
+        outputFiles,
+        totalRecords: existing.totalRecords + results.length,
+        totalFiles: outputFiles.length,
+        processingTime: existing.processingTime + (Date.now() - startTime),
+        updatedAt: new Date().toISOString(),
+      };
 
-      // Check if we need to create a new shard
-      if (stream.recordCount >= stream.shardSize) {
-        await this.rotateShard(jobId, options);
-      }
+      const metadataPath = path.join(jobOutputDir, "metadata.json");
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+      await this.cacheMetadata(jobId, metadataPath, metadata);
+      return metadata;
     } catch (error) {
-      console.error("Failed to write result:", error);
+      console.error("Failed to append results:", error);
       throw error;
     }
   }
 
+  /**
+   * Writes a single result to the job's current shard
+   * Writes for a job are serialized. A new shard is started once the current
+   * one holds `output.shardSize` records or the next record would take it past
+   * `output.maxOutputFileSize`. The metadata is saved with every new shard, so
+   * an output left open by a crash is continued by the next writer
+   * CSV and Parquet columns are fixed by the options of the job's first write.
+   * Parquet records are staged as JSON lines beside the shard and encoded
+   * into it when the shard is closed
+   * @param {string} jobId - The job ID
+   * @param {Object} result - Single extraction result
+   * @param {Object} options - Output options
+   * @param {ExtractionSchema} options.schema - Schema CSV and Parquet columns are derived from
+   * @returns {Promise<void>}
+   */
+  async writeResult(jobId, result, options = {}) {
+    return this.enqueueOutput(jobId, async () => {
+      const startTime = Date.now();
+
+      try {
+        const writer =
+          this.outputStreams.get(jobId) ||
+          (await this.openWriter(jobId, options));
+        const { format } = writer.metadata;
+        const line = `${this.formatResult(
+          result,
+          format,
+          writer.formatter
+        )}${this.getRecordSeparator(format)}`;
+        const bytes = Buffer.byteLength(line);
+
+        const file = writer.file;
+        if (
+          !file ||
+          writer.sealed ||
+          file.recordCount >= writer.shardSize ||
+          (file.size > 0 && file.size + bytes > writer.maxFileSize)
+        ) {
+          await this.rotateShard(writer);
+        } else if (!writer.writeStream) {
+          this.openShardStream(writer);
+        }
+
+        await this.writeRecord(writer, line);
+        writer.file.recordCount++;
+        writer.file.endedAt = new Date().toISOString();
+        writer.metadata.totalRecords++;
+        writer.metadata.processingTime += Date.now() - startTime;
+      } catch (error) {
+        console.error("Failed to write result:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Closes the job's open shard and saves the output metadata, leaving the
+   * output open so later writeResult calls continue it (e.g. after a pause)
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|null>} Output metadata, or null if nothing was open
+   */
+  async closeOutput(jobId) {
+    return this.enqueueOutput(jobId, async () => {
+      const writer = this.outputStreams.get(jobId);
+      if (!writer) {
+        return null;
+      }
+
+      try {
+        await this.closeShardStream(writer);
+        writer.metadata.updatedAt = new Date().toISOString();
+        return await this.saveMetadata(writer);
+      } catch (error) {
+        console.error("Failed to close output:", error);
+        throw error;
+      } finally {
+        this.outputStreams.delete(jobId);
+      }
+    });
+  }
+
   /**
    * Finalizes the output files for a job
+   * Closes the open shard and saves the final metadata; a job that wrote no
+   * results still gets metadata with no output files
    * @param {string} jobId - The job ID
    * @param {Object} options - Output options
    * @returns {Promise<Object>} Output metadata
    */
   async finalizeOutput(jobId, options = {}) {
-    try {
-      // Close any open streams
-      const stream = this.outputStreams.get(jobId);
-      if (stream) {
-        stream.writeStream.end();
+    return this.enqueueOutput(jobId, async () => {
+      try {
+        const writer =
+          this.outputStreams.get(jobId) ||
+          (await this.openWriter(jobId, options));
+        await this.closeShardStream(writer);
         this.outputStreams.delete(jobId);
-      }
 
-      // Get output info
-      const outputInfo = await this.getOutputInfo(jobId);
-      return outputInfo;
-    } catch (error) {
-      console.error("Failed to finalize output:", error);
-      throw error;
-    }
+        const now = new Date().toISOString();
+        writer.metadata.status = "finalized";
+        writer.metadata.updatedAt = now;
+        writer.metadata.finalizedAt = now;
+        return await this.saveMetadata(writer);
+      } catch (error) {
+        console.error("Failed to finalize output:", error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Gets output file information for a job
+   * The output may be written by another process, so cached metadata is only
+   * used while metadata.json is unchanged on disk
    * @param {string} jobId - The job ID
    * @returns {Promise<Object>} Output file information
    */
   async getOutputInfo(jobId) {
     try {
-      // Check if we have cached metadata
-      if (this.outputMetadata.has(jobId)) {
-        return this.outputMetadata.get(jobId);
-      }
-
       const outputDir = getConfig("output.outputDirectory", "./output");
       const jobOutputDir = path.join(outputDir, jobId);
       const metadataPath = path.join(jobOutputDir, "metadata.json");
 
       try {
+        const { mtimeMs, size } = await fs.stat(metadataPath);
+        const cached = this.outputMetadata.get(jobId);
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+          return cached.metadata;
+        }
+
         const metadataContent = await fs.readFile(metadataPath, "utf8");
         const metadata = JSON.parse(metadataContent);
-        this.outputMetadata.set(jobId, metadata);
+        this.outputMetadata.set(jobId, { metadata, mtimeMs, size });
         return metadata;
       } catch (error) {
         // No metadata file found, scan directory
@@ -198,6 +383,8 @@ export class LocalOutputService extends OutputService {
 
   /**
    * Reads output results for a job
+   * CSV records are read as objects keyed by column, with string values;
+   * Parquet records are keyed by column with typed values
    * @param {string} jobId - The job ID
    * @param {Object} options - Read options
    * @returns {Promise<Array<Object>>} Array of results
@@ -210,19 +397,7 @@ export class LocalOutputService extends OutputService {
       const offset = options.offset || 0;
 
       for (const fileInfo of outputInfo.outputFiles) {
-        const fileContent = await fs.readFile(fileInfo.filePath, "utf8");
-        const lines = fileContent.trim().split("\n");
-
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const result = JSON.parse(line);
-              results.push(result);
-            } catch (error) {
-              console.warn("Failed to parse result line:", error);
-            }
-          }
-        }
+        results.push(...(await this.readShardRecords(fileInfo)));
       }
 
       return results.slice(offset, offset + limit);
@@ -233,35 +408,180 @@ export class LocalOutputService extends OutputService {
   }
 
   /**
-   * Deletes output files for a job
+   * Reads a page of a job's results
+   * Shards are read one at a time, and only those the page spans
    * @param {string} jobId - The job ID
-   * @returns {Promise<boolean>} True if deleted successfully
+   * @param {Object} options - Read options
+   * @param {Object} options.cursor - Position ({ shard, record }) returned with
+   * the previous page; defaults to the first result
+   * @param {number} options.limit - Maximum number of results in the page
+   * @returns {Promise<Object>} { results, nextCursor }, where nextCursor is
+   * null once the last shard has been read
    */
-  async deleteOutput(jobId) {
+  async readResultsPage(jobId, options = {}) {
     try {
-      const outputDir = getConfig("output.outputDirectory", "./output");
-      const jobOutputDir = path.join(outputDir, jobId);
+      const limit = options.limit || 100;
+      const results = [];
+      let nextCursor = null;
 
-      // Close any open streams
-      const stream = this.outputStreams.get(jobId);
-      if (stream) {
-        stream.writeStream.end();
-        this.outputStreams.delete(jobId);
+      for await (const { result, cursor } of this.iterateResults(
+        jobId,
+        options
+      )) {
+        results.push(result);
+        nextCursor = cursor;
+        if (results.length >= limit) {
+          return { results, nextCursor };
+        }
       }
 
-      // Remove directory
-      await fs.rm(jobOutputDir, { recursive: true, force: true });
+      return { results, nextCursor: null };
+    } catch (error) {
+      console.error("Failed to read results page:", error);
+      throw error;
+    }
+  }
 
-      // Clear metadata
-      this.outputMetadata.delete(jobId);
+  /**
+   * Iterates over a job's results, reading one shard at a time
+   * Only the current shard is held in memory, and shards are not read until
+   * the iteration reaches them
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Read options
+   * @param {Object} options.cursor - Position ({ shard, record }) to start from
+   * @returns {AsyncGenerator<Object>} { result, cursor } pairs, where cursor is
+   * the position after the result, or null after the last shard's last result
+   */
+  async *iterateResults(jobId, options = {}) {
+    const { outputFiles } = await this.getOutputInfo(jobId);
+    const { shard: firstShard = 0, record: firstRecord = 0 } =
+      options.cursor || {};
 
-      return true;
+    for (let shard = firstShard; shard < outputFiles.length; shard++) {
+      const records = await this.readShardRecords(outputFiles[shard]);
+      const isLastShard = shard === outputFiles.length - 1;
+
+      for (
+        let record = shard === firstShard ? firstRecord : 0;
+        record < records.length;
+        record++
+      ) {
+        const isLastRecord = record === records.length - 1;
+        yield {
+          result: records[record],
+          cursor: !isLastRecord
+            ? { shard, record: record + 1 }
+            : isLastShard
+            ? null
+            : { shard: shard + 1, record: 0 },
+        };
+      }
+    }
+  }
+
+  /**
+   * Gets the size of one of a job's output files as stored
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Promise<number|null>} Size in bytes, or null if the file is missing
+   */
+  async getOutputFileSize(jobId, fileName) {
+    const outputDir = getConfig("output.outputDirectory", "./output");
+    const filePath = path.join(outputDir, jobId, path.basename(fileName));
+
+    try {
+      return (await fs.stat(filePath)).size;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Opens one of a job's output files for reading as stored, without
+   * loading it into memory
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {ReadStream} Stream of the file content
+   */
+  createOutputFileStream(jobId, fileName) {
+    const outputDir = getConfig("output.outputDirectory", "./output");
+    return createReadStream(
+      path.join(outputDir, jobId, path.basename(fileName))
+    );
+  }
+
+  /**
+   * Reads the bytes of one of a job's output files as stored
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Promise<Buffer|null>} File content, or null if the file is missing
+   */
+  async readOutputFile(jobId, fileName) {
+    const outputDir = getConfig("output.outputDirectory", "./output");
+    const filePath = path.join(outputDir, jobId, path.basename(fileName));
+
+    try {
+      return await fs.readFile(filePath);
     } catch (error) {
-      console.error("Failed to delete output:", error);
+      if (error.code === "ENOENT") {
+        return null;
+      }
       throw error;
     }
   }
 
+  /**
+   * Deletes output files for a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  async deleteOutput(jobId) {
+    return this.enqueueOutput(jobId, async () => {
+      try {
+        const outputDir = getConfig("output.outputDirectory", "./output");
+        const jobOutputDir = path.join(outputDir, jobId);
+
+        // Close any open streams
+        const writer = this.outputStreams.get(jobId);
+        if (writer) {
+          this.outputStreams.delete(jobId);
+          await this.closeShardStream(writer, { discard: true });
+        }
+
+        // Remove directory
+        await fs.rm(jobOutputDir, { recursive: true, force: true });
+
+        // Clear metadata
+        this.outputMetadata.delete(jobId);
+
+        return true;
+      } catch (error) {
+        console.error("Failed to delete output:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Recomputes the size and checksum of one of a job's output files
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Output file name
+   * @returns {Promise<Object|null>} { size, sha256 }, or null if the file is missing
+   */
+  async inspectOutputFile(jobId, fileName) {
+    const outputDir = getConfig("output.outputDirectory", "./output");
+    const filePath = path.join(outputDir, jobId, path.basename(fileName));
+
+    const sha256 = await this.hashFile(filePath);
+    if (sha256 === null) {
+      return null;
+    }
+    return { size: await this.getFileSize(filePath), sha256 };
+  }
+
   /**
    * Lists all output files
    * @param {Object} options - List options
@@ -312,7 +632,8 @@ export class LocalOutputService extends OutputService {
    * @param {string} jobId - Job ID
    * @param {number} shardIndex - Shard index
    * @param {string} format - Output format
-   * @param {boolean} compression - Whether to compress
+   * @param {string|null} compression - Compression codec, or null for none;
+   * Parquet compresses inside the file, so its name has no codec extension
    * @returns {string} Filename
    */
   generateFileName(jobId, shardIndex, format, compression) {
@@ -320,56 +641,311 @@ export class LocalOutputService extends OutputService {
       .toString()
       .padStart(4, "0")}`;
     const extension = format === "jsonl" ? "jsonl" : format;
-    return compression
-      ? `${baseName}.${extension}.gz`
+    const codec =
+      format !== "parquet" && CODECS[this.normalizeCompression(compression)];
+    return codec
+      ? `${baseName}.${extension}.${codec.extension}`
       : `${baseName}.${extension}`;
   }
 
+  /**
+   * Resolves the compression codec for new output
+   * @param {Object} options - Output options; `compression` may be false or a codec name
+   * @returns {string|null} Codec name, or null when compression is disabled
+   */
+  resolveCompression(options = {}) {
+    if (
+      options.compression === false ||
+      !getConfig("output.compressionEnabled", true)
+    ) {
+      return null;
+    }
+
+    const type =
+      typeof options.compression === "string"
+        ? options.compression
+        : getConfig("output.compressionType", "gzip");
+    const codec = CODECS[type];
+    if (!codec) {
+      throw new Error(`Unsupported output compression: ${type}`);
+    }
+    if (!codec.available) {
+      throw new Error(
+        `Output compression ${type} is not supported by Node.js ${process.version}`
+      );
+    }
+    return type;
+  }
+
+  /**
+   * Normalizes a recorded compression value
+   * Metadata written before codecs were recorded holds true for gzip
+   * @param {string|boolean|null} compression - Recorded compression
+   * @returns {string|null} Codec name or null
+   */
+  normalizeCompression(compression) {
+    if (compression === true) {
+      return "gzip";
+    }
+    return CODECS[compression] ? compression : null;
+  }
+
+  /**
+   * Gets the compression codec of a shard from its file name
+   * @param {string} fileName - Shard file name
+   * @returns {string|null} Codec name, or null for plain text
+   */
+  getFileCompression(fileName) {
+    const extension = path.extname(fileName).slice(1);
+    const entry = Object.entries(CODECS).find(
+      ([, codec]) => codec.extension === extension
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Reads a shard as text, decompressing it as its file name says
+   * @param {string} filePath - Shard file path
+   * @param {Object} options - Read options
+   * @param {boolean} options.lenient - Recover what a truncated stream holds
+   * instead of failing
+   * @returns {Promise<string>} Shard content
+   */
+  async readShard(filePath, options = {}) {
+    const buffer = await fs.readFile(filePath);
+    const codec = CODECS[this.getFileCompression(filePath)];
+    if (
+      !codec ||
+      buffer.length === 0 ||
+      (codec.magic &&
+        !buffer.subarray(0, codec.magic.length).equals(codec.magic))
+    ) {
+      return buffer.toString("utf8");
+    }
+    if (!codec.available) {
+      throw new Error(`Cannot decompress ${path.basename(filePath)}`);
+    }
+
+    const decompressed =
+      options.lenient && codec.lenientOptions
+        ? await codec.decompress(buffer, codec.lenientOptions)
+        : await codec.decompress(buffer);
+    return decompressed.toString("utf8");
+  }
+
+  /**
+   * Reads the records of a shard in its format
+   * A shard listed but not on disk (such as a Parquet shard still being
+   * staged) holds no records yet
+   * @param {Object} fileInfo - Output file entry
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async readShardRecords(fileInfo) {
+    const format = this.getFileFormat(fileInfo.fileName);
+    try {
+      if (format === "parquet") {
+        return await ParquetResultFormatter.decode(
+          await fs.readFile(fileInfo.filePath)
+        );
+      }
+
+      const content = await this.readShard(fileInfo.filePath);
+      if (format === "csv") {
+        return CsvResultFormatter.parse(content);
+      }
+
+      const records = [];
+      for (const line of content.split("\n")) {
+        if (line.trim()) {
+          try {
+            records.push(JSON.parse(line));
+          } catch (error) {
+            console.warn("Failed to parse result line:", error);
+          }
+        }
+      }
+      return records;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes text to a shard, compressing it as its file name says
+   * @param {string} filePath - Shard file path
+   * @param {string} content - Shard content
+   * @returns {Promise<void>}
+   */
+  async writeShardContent(filePath, content) {
+    const codec = CODECS[this.getFileCompression(filePath)];
+    await fs.writeFile(
+      filePath,
+      codec ? await codec.compress(Buffer.from(content)) : content
+    );
+  }
+
   /**
    * Writes a shard to file
    * @param {string} filePath - File path
    * @param {Array<Object>} shard - Shard data
    * @param {string} format - Output format
-   * @param {boolean} compression - Whether to compress
+   * @param {CsvResultFormatter|ParquetResultFormatter} formatter - Formatter
+   * for CSV and Parquet shards
+   * @returns {Promise<void>}
+   */
+  async writeShard(filePath, shard, format, formatter) {
+    if (format === "parquet") {
+      await fs.writeFile(filePath, formatter.encode(shard));
+      return;
+    }
+
+    const records = shard.map((result) =>
+      this.formatResult(result, format, formatter)
+    );
+    if (format === "csv") {
+      records.unshift(formatter.formatHeader());
+    }
+
+    // The codec is taken from the file name generated for it
+    await this.writeShardContent(
+      filePath,
+      records.join(this.getRecordSeparator(format))
+    );
+  }
+
+  /**
+   * Appends results to an existing shard file
+   * A compressed shard is rewritten with the results added
+   * @param {string} filePath - File path
+   * @param {Array<Object>} shard - Results to append
+   * @param {string} format - Output format
+   * @param {boolean} hasRecords - Whether the file already holds records
+   * @param {CsvResultFormatter} formatter - Formatter for CSV shards
    * @returns {Promise<void>}
    */
-  async writeShard(filePath, shard, format, compression) {
+  async appendToShard(filePath, shard, format, hasRecords, formatter) {
+    const separator = this.getRecordSeparator(format);
     const content = shard
-      .map((result) => this.formatResult(result, format))
-      .join("\n");
+      .map((result) => this.formatResult(result, format, formatter))
+      .join(separator);
+    // A CSV shard always starts with its header
+    const hasContent = hasRecords || format === "csv";
 
-    if (compression) {
-      // For now, just write uncompressed. In a real implementation, you'd use gzip
-      await fs.writeFile(filePath, content);
-    } else {
-      await fs.writeFile(filePath, content);
+    if (this.getFileCompression(filePath)) {
+      const existing = hasContent ? await this.readShard(filePath) : "";
+      await this.writeShardContent(
+        filePath,
+        existing
+          ? `${existing.replace(/\r?\n$/, "")}${separator}${content}`
+          : content
+      );
+      return;
     }
+
+    await fs.appendFile(
+      filePath,
+      hasContent ? `${separator}${content}` : content
+    );
   }
 
   /**
    * Formats a result for output
    * @param {Object} result - Result object
    * @param {string} format - Output format
+   * @param {CsvResultFormatter} formatter - Formatter for CSV output;
+   * defaults to the columns of a job without a schema. Parquet records are
+   * formatted as JSON lines to be staged
    * @returns {string} Formatted result
    */
-  formatResult(result, format) {
+  formatResult(result, format, formatter) {
     switch (format) {
+      // JSON records are kept on one line too: shards are rotated, counted
+      // and read back line by line
       case "jsonl":
-        return JSON.stringify(result);
       case "json":
-        return JSON.stringify(result, null, 2);
+        return JSON.stringify(result);
       case "csv":
-        // Simple CSV formatting - in a real implementation, you'd use a proper CSV library
-        return Object.values(result)
-          .map((value) =>
-            typeof value === "string" ? `"${value.replace(/"/g, '""')}"` : value
-          )
-          .join(",");
+        return (
+          formatter ||
+          new CsvResultFormatter(CsvResultFormatter.getColumns(null))
+        ).formatRecord(result);
       default:
         return JSON.stringify(result);
     }
   }
 
+  /**
+   * Derives the fixed columns of a format from the job's schema
+   * @param {string} format - Output format
+   * @param {ExtractionSchema|Object|null} schema - The job's extraction schema
+   * @returns {Array|undefined} Columns for CSV and Parquet, undefined otherwise
+   */
+  getColumns(format, schema) {
+    switch (format) {
+      case "csv":
+        return CsvResultFormatter.getColumns(schema);
+      case "parquet":
+        return ParquetResultFormatter.getColumns(schema);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Creates the formatter for a format's columns
+   * @param {string} format - Output format
+   * @param {Array} columns - Columns, as returned by getColumns
+   * @param {string|null} compression - Compression codec, or null for none
+   * @returns {CsvResultFormatter|ParquetResultFormatter|null} Formatter, or
+   * null for JSON formats
+   */
+  createFormatter(format, columns, compression) {
+    switch (format) {
+      case "csv":
+        return new CsvResultFormatter(columns);
+      case "parquet":
+        return new ParquetResultFormatter(columns, compression);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Gets the line break ending each record
+   * @param {string} format - Output format
+   * @returns {string} CRLF for CSV (RFC 4180), LF otherwise
+   */
+  getRecordSeparator(format) {
+    return format === "csv" ? "\r\n" : "\n";
+  }
+
+  /**
+   * Counts the records in a shard's content
+   * @param {string} content - Shard content
+   * @param {string} format - Output format
+   * @returns {number} Record count, not counting a CSV header
+   */
+  countRecords(content, format) {
+    if (format === "csv") {
+      return Math.max(CsvResultFormatter.parseRows(content).length - 1, 0);
+    }
+
+    return content.split("\n").filter((line) => line.trim()).length;
+  }
+
+  /**
+   * Gets the format of a shard from its file name
+   * @param {string} fileName - Shard file name
+   * @returns {string|null} Output format
+   */
+  getFileFormat(fileName) {
+    const match = fileName.match(/\.(jsonl|json|csv|parquet)(\.(gz|br|zst))?$/);
+    return match ? match[1] : null;
+  }
+
   /**
    * Gets file size
    * @param {string} filePath - File path
@@ -385,43 +961,394 @@ export class LocalOutputService extends OutputService {
   }
 
   /**
-   * Rotates to a new shard
-   * @param {string} jobId - Job ID
-   * @param {Object} options - Output options
-   * @returns {Promise<void>}
+   * Computes the SHA-256 checksum of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<string|null>} Hex digest, or null if the file is missing
    */
-  async rotateShard(jobId, options) {
-    const stream = this.outputStreams.get(jobId);
-    if (!stream) return;
+  async hashFile(filePath) {
+    const hash = createHash("sha256");
+    try {
+      for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk);
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+    return hash.digest("hex");
+  }
 
-    // Close current stream
-    stream.writeStream.end();
+  /**
+   * Runs an output operation after the job's earlier ones have settled
+   * @param {string} jobId - Job ID
+   * @param {Function} operation - Async operation
+   * @returns {Promise<any>} Result of the operation
+   */
+  enqueueOutput(jobId, operation) {
+    const previous = this.outputQueues.get(jobId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.outputQueues.set(jobId, next);
+    next
+      .catch(() => {})
+      .finally(() => {
+        if (this.outputQueues.get(jobId) === next) {
+          this.outputQueues.delete(jobId);
+        }
+      });
+    return next;
+  }
 
-    // Create new shard
+  /**
+   * Creates the streaming writer for a job, continuing any output already
+   * on disk; the record count and size of its last shard are recounted
+   * from the file, since they may have grown after the metadata was saved
+   * A compressed last shard is not appended to: one cut short by a crash is
+   * rewritten with the records it holds, and the next record starts a shard.
+   * Likewise a Parquet last shard is encoded from any records a crash left
+   * staged, and is not appended to once it holds records
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Output options
+   * @returns {Promise<Object>} Writer state
+   */
+  async openWriter(jobId, options = {}) {
     const outputDir =
       options.directory || getConfig("output.outputDirectory", "./output");
-    const format = options.format || getConfig("output.outputFormat", "jsonl");
-    const compression =
-      options.compression !== false &&
-      getConfig("output.compressionEnabled", true);
-
     const jobOutputDir = path.join(outputDir, jobId);
-    const shardIndex = Math.floor(stream.recordCount / stream.shardSize);
+    await fs.mkdir(jobOutputDir, { recursive: true });
+
+    let metadata;
+    try {
+      metadata = JSON.parse(
+        await fs.readFile(path.join(jobOutputDir, "metadata.json"), "utf8")
+      );
+    } catch (error) {
+      metadata = {
+        jobId,
+        outputFiles: [],
+        totalRecords: 0,
+        totalFiles: 0,
+        format: options.format || getConfig("output.outputFormat", "jsonl"),
+        compression: this.resolveCompression(options),
+        processingTime: 0,
+        createdAt: new Date().toISOString(),
+      };
+    }
+    metadata.status = "open";
+    metadata.compression = this.normalizeCompression(metadata.compression);
+    if (!metadata.columns) {
+      metadata.columns = this.getColumns(metadata.format, options.schema);
+    }
+
+    const writer = {
+      jobId,
+      jobOutputDir,
+      metadata,
+      file: metadata.outputFiles[metadata.outputFiles.length - 1] || null,
+      writeStream: null,
+      formatter: this.createFormatter(
+        metadata.format,
+        metadata.columns,
+        metadata.compression
+      ),
+      compressor: null,
+      pendingWrites: [],
+      needsNewline: false,
+      sealed: false,
+      shardSize: options.shardSize || getConfig("output.shardSize", 10000),
+      maxFileSize: getConfig("output.maxOutputFileSize", 104857600),
+    };
+
+    if (writer.file && metadata.format === "parquet") {
+      const { filePath } = writer.file;
+      // Records staged before a crash are encoded first
+      await this.encodeParquetShard(writer.file, writer.formatter);
+      writer.file.recordCount = await this.countParquetRows(filePath);
+      writer.file.size = await this.getFileSize(filePath);
+      writer.file.sha256 = await this.hashFile(filePath);
+      writer.sealed = writer.file.recordCount > 0;
+    } else if (writer.file) {
+      const { filePath, fileName } = writer.file;
+      let content = "";
+      try {
+        content = await this.readShard(filePath);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          // A compressed stream cut short by a crash
+          content = await this.readShard(filePath, { lenient: true });
+          await this.writeShardContent(filePath, content);
+        }
+        // Otherwise a shard recorded but never written is empty
+      }
+      writer.file.recordCount = this.countRecords(content, metadata.format);
+      writer.file.size = await this.getFileSize(filePath);
+      writer.file.sha256 = await this.hashFile(filePath);
+      writer.needsNewline = content.length > 0 && !content.endsWith("\n");
+      writer.sealed =
+        Boolean(this.getFileCompression(fileName)) &&
+        writer.file.recordCount > 0;
+    }
+    metadata.totalRecords = metadata.outputFiles.reduce(
+      (total, file) => total + file.recordCount,
+      0
+    );
+
+    this.outputStreams.set(jobId, writer);
+    return writer;
+  }
+
+  /**
+   * Closes the current shard and starts the next one
+   * The metadata is saved before the new file is opened, so every shard on
+   * disk is listed in it
+   * @param {Object} writer - Writer state
+   * @returns {Promise<void>}
+   */
+  async rotateShard(writer) {
+    await this.closeShardStream(writer);
+
+    const { jobId, metadata } = writer;
     const fileName = this.generateFileName(
       jobId,
-      shardIndex,
-      format,
-      compression
+      metadata.outputFiles.length,
+      metadata.format,
+      metadata.compression
+    );
+    const now = new Date().toISOString();
+    writer.file = {
+      fileName,
+      filePath: path.join(writer.jobOutputDir, fileName),
+      recordCount: 0,
+      size: 0,
+      sha256: null,
+      startedAt: now,
+      endedAt: now,
+    };
+    writer.needsNewline = false;
+    writer.sealed = false;
+    metadata.outputFiles.push(writer.file);
+    metadata.totalFiles = metadata.outputFiles.length;
+    metadata.updatedAt = now;
+    await this.saveMetadata(writer);
+
+    this.openShardStream(writer);
+    if (metadata.format === "csv") {
+      await this.writeRecord(
+        writer,
+        `${writer.formatter.formatHeader()}${this.getRecordSeparator(
+          metadata.format
+        )}`
+      );
+    }
+  }
+
+  /**
+   * Opens an append stream on the writer's current shard
+   * For a compressed shard, records go through a compression stream whose
+   * output is written to the file; Parquet records are staged beside it
+   * @param {Object} writer - Writer state
+   */
+  openShardStream(writer) {
+    writer.writeStream = createWriteStream(
+      writer.metadata.format === "parquet"
+        ? this.getStagingPath(writer.file.filePath)
+        : writer.file.filePath,
+      { flags: "a" }
     );
-    const filePath = path.join(jobOutputDir, fileName);
 
-    // Create new stream
-    stream.filePath = filePath;
-    stream.writeStream = fs.createWriteStream(filePath, { flags: "a" });
+    const codec = CODECS[this.getFileCompression(writer.file.fileName)];
+    if (codec) {
+      const file = writer.file;
+      const writeStream = writer.writeStream;
+      writer.compressor = codec.createStream();
+      writer.compressor.on("data", (chunk) => {
+        file.size += chunk.length;
+        writer.pendingWrites.push(this.writeToStream(writeStream, chunk));
+      });
+      return;
+    }
+
+    if (writer.needsNewline) {
+      // Records appended by appendResults leave no trailing newline
+      const separator = this.getRecordSeparator(writer.metadata.format);
+      writer.writeStream.write(separator);
+      writer.file.size += separator.length;
+      writer.needsNewline = false;
+    }
+  }
+
+  /**
+   * Ends the writer's open shard stream once its data is flushed
+   * A Parquet shard is then encoded from its staged records, and the
+   * shard's checksum is recorded
+   * @param {Object} writer - Writer state
+   * @param {Object} options - Close options
+   * @param {boolean} options.discard - Skip encoding a shard about to be deleted
+   * @returns {Promise<void>}
+   */
+  async closeShardStream(writer, options = {}) {
+    const stream = writer.writeStream;
+    if (!stream) {
+      return;
+    }
+    writer.writeStream = null;
+
+    const compressor = writer.compressor;
+    if (compressor) {
+      writer.compressor = null;
+      await new Promise((resolve, reject) => {
+        compressor.once("error", reject);
+        compressor.once("end", resolve);
+        compressor.end();
+      });
+      await Promise.all(writer.pendingWrites.splice(0));
+    }
+
+    await new Promise((resolve, reject) => {
+      stream.once("error", reject);
+      stream.end(resolve);
+    });
+
+    if (options.discard) {
+      return;
+    }
+    if (writer.metadata.format === "parquet") {
+      await this.encodeParquetShard(writer.file, writer.formatter);
+    }
+    writer.file.sha256 = await this.hashFile(writer.file.filePath);
+  }
+
+  /**
+   * Gets the file Parquet records are staged in until their shard is encoded
+   * @param {string} filePath - Shard file path
+   * @returns {string} Staging file path
+   */
+  getStagingPath(filePath) {
+    return `${filePath}.pending`;
+  }
+
+  /**
+   * Encodes a Parquet shard from its staged records and removes the staging
+   * file; a record cut short by a crash is dropped
+   * @param {Object} file - Output file entry, updated with the shard's size
+   * @param {ParquetResultFormatter} formatter - Formatter for the job's columns
+   * @returns {Promise<void>}
+   */
+  async encodeParquetShard(file, formatter) {
+    const stagingPath = this.getStagingPath(file.filePath);
+    let content;
+    try {
+      content = await fs.readFile(stagingPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    const results = [];
+    for (const line of content.split("\n")) {
+      if (line.trim()) {
+        try {
+          results.push(JSON.parse(line));
+        } catch (error) {
+          console.warn(`Dropping incomplete staged record of ${file.fileName}`);
+        }
+      }
+    }
+
+    await fs.writeFile(file.filePath, formatter.encode(results));
+    await fs.rm(stagingPath, { force: true });
+    file.recordCount = results.length;
+    file.size = await this.getFileSize(file.filePath);
+  }
+
+  /**
+   * Counts the rows of a Parquet shard
+   * @param {string} filePath - Shard file path
+   * @returns {Promise<number>} Row count, 0 for a shard never written
+   */
+  async countParquetRows(filePath) {
+    try {
+      return ParquetResultFormatter.countRows(await fs.readFile(filePath));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a record to the writer's current shard and counts its bytes
+   * Compressed records are flushed at once, so a record is on disk when this
+   * resolves and a shard cut short by a crash still holds it
+   * @param {Object} writer - Writer state
+   * @param {string} line - Formatted record
+   * @returns {Promise<void>}
+   */
+  async writeRecord(writer, line) {
+    if (!writer.compressor) {
+      await this.writeToStream(writer.writeStream, line);
+      writer.file.size += Buffer.byteLength(line);
+      return;
+    }
+
+    const codec = CODECS[this.getFileCompression(writer.file.fileName)];
+    writer.compressor.write(line);
+    await new Promise((resolve) =>
+      writer.compressor.flush(codec.flushKind, resolve)
+    );
+    await Promise.all(writer.pendingWrites.splice(0));
+  }
+
+  /**
+   * Writes to a stream, resolving once the data is handed to the file
+   * @param {WriteStream} stream - Write stream
+   * @param {string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  writeToStream(stream, data) {
+    return new Promise((resolve, reject) => {
+      stream.write(data, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Saves the writer's metadata and caches a copy of it
+   * @param {Object} writer - Writer state
+   * @returns {Promise<Object>} Saved metadata
+   */
+  async saveMetadata(writer) {
+    const metadata = {
+      ...writer.metadata,
+      outputFiles: writer.metadata.outputFiles.map((file) => ({ ...file })),
+    };
+    const metadataPath = path.join(writer.jobOutputDir, "metadata.json");
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+    await this.cacheMetadata(writer.jobId, metadataPath, metadata);
+    return metadata;
+  }
+
+  /**
+   * Caches metadata just written along with its file's modification time
+   * and size, which `getOutputInfo` checks before using the cache
+   * @param {string} jobId - Job ID
+   * @param {string} metadataPath - Path of the metadata.json written
+   * @param {Object} metadata - The metadata written
+   * @returns {Promise<void>}
+   */
+  async cacheMetadata(jobId, metadataPath, metadata) {
+    const { mtimeMs, size } = await fs.stat(metadataPath);
+    this.outputMetadata.set(jobId, { metadata, mtimeMs, size });
   }
 
   /**
    * Scans output directory for files
+   * Compressed shards are recognized by their extension and decompressed
+   * to count their records
    * @param {string} jobId - Job ID
    * @returns {Promise<Object>} Output metadata
    */
@@ -430,34 +1357,37 @@ export class LocalOutputService extends OutputService {
     const jobOutputDir = path.join(outputDir, jobId);
 
     try {
-      const files = await fs.readdir(jobOutputDir);
+      const files = (await fs.readdir(jobOutputDir)).sort();
       const outputFiles = [];
       let totalRecords = 0;
+      let format = "jsonl";
+      let compression = null;
 
       for (const file of files) {
-        if (
-          file.endsWith(".jsonl") ||
-          file.endsWith(".json") ||
-          file.endsWith(".csv")
-        ) {
+        const fileFormat = this.getFileFormat(file);
+        if (fileFormat && file !== "metadata.json") {
           const filePath = path.join(jobOutputDir, file);
           const size = await this.getFileSize(filePath);
 
-          // Count records (simple line count for JSONL)
-          const content = await fs.readFile(filePath, "utf8");
-          const recordCount = content
-            .trim()
-            .split("\n")
-            .filter((line) => line.trim()).length;
+          const recordCount =
+            fileFormat === "parquet"
+              ? await this.countParquetRows(filePath)
+              : this.countRecords(
+                  await this.readShard(filePath, { lenient: true }),
+                  fileFormat
+                );
 
           outputFiles.push({
             fileName: file,
             filePath,
             recordCount,
             size,
+            sha256: await this.hashFile(filePath),
           });
 
           totalRecords += recordCount;
+          format = fileFormat;
+          compression = this.getFileCompression(file);
         }
       }
 
@@ -466,8 +1396,8 @@ export class LocalOutputService extends OutputService {
         outputFiles,
         totalRecords,
         totalFiles: outputFiles.length,
-        format: "jsonl",
-        compression: false,
+        format,
+        compression,
         processingTime: 0,
         createdAt: new Date().toISOString(),
       };
@@ -478,7 +1408,7 @@ export class LocalOutputService extends OutputService {
         totalRecords: 0,
         totalFiles: 0,
         format: "jsonl",
-        compression: false,
+        compression: null,
         processingTime: 0,
         createdAt: new Date().toISOString(),
       };
@@ -29,7 +29,7 @@ export class LocalS3StorageService extends StorageService {
   /**
    * Saves a file to storage
    * @param {string} fileName - Name of the file
-   * @param {string|Buffer} content - File content
+   * @param {string|Buffer|Readable} content - File content, or a stream of it
    * @param {Object} options - Storage options
    * @param {string} options.bucket - Bucket name (creates subdirectory)
    * @param {string} options.contentType - MIME type of the file
@@ -45,7 +45,7 @@ export class LocalS3StorageService extends StorageService {
 
       const filePath = path.join(bucketDir, fileName);
 
-      // Save file content
+      // Save file content; a stream is written as it is read
       await fs.writeFile(filePath, content);
 
       // Save metadata if provided
@@ -53,7 +53,7 @@ export class LocalS3StorageService extends StorageService {
         const metadataPath = `${filePath}.metadata.json`;
         const metadata = {
           contentType,
-          size: Buffer.byteLength(content),
+          size: (await fs.stat(filePath)).size,
           uploadedAt: new Date().toISOString(),
           bucket,
           fileName,
@@ -16,9 +16,11 @@ export class MockExtractorProvider extends ExtractorProvider {
    * @returns {Promise<Object>} Extracted structured data
    */
   async extractWithSchema(text, schema, options = {}) {
+    const { signal, ...extractionOptions } = options;
+
     try {
       // Simulate processing time
-      await this.simulateProcessingDelay();
+      await this.simulateProcessingDelay(signal);
 
       // Ensure schema is an ExtractionSchema instance
       if (
@@ -51,11 +53,14 @@ export class MockExtractorProvider extends ExtractorProvider {
           provider: "mock",
           schema: schema.name,
           textLength: text.length,
-          options,
+          options: extractionOptions,
         },
       };
     } catch (error) {
-      throw new Error(`Extraction failed: ${error.message}`);
+      if (signal && error === signal.reason) {
+        throw error;
+      }
+      throw new Error(`Extraction failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -63,10 +68,11 @@ export class MockExtractorProvider extends ExtractorProvider {
    * Extracts entities from text
    * @param {string} text - The text content to analyze
    * @param {Array<string>} entityTypes - Types of entities to extract
+   * @param {Object} options - Entity extraction options
    * @returns {Promise<Array<Object>>} Array of extracted entities
    */
-  async extractEntities(text, entityTypes = []) {
-    await this.simulateProcessingDelay();
+  async extractEntities(text, entityTypes = [], options = {}) {
+    await this.simulateProcessingDelay(options.signal);
 
     const entities = [];
     const defaultTypes = [
@@ -227,7 +233,7 @@ export class MockExtractorProvider extends ExtractorProvider {
    * @returns {Promise<string>} The generated summary
    */
   async generateSummary(text, options = {}) {
-    await this.simulateProcessingDelay();
+    await this.simulateProcessingDelay(options.signal);
 
     const maxLength = options.maxLength || 150;
 
@@ -252,7 +258,7 @@ export class MockExtractorProvider extends ExtractorProvider {
    * @returns {Promise<Array<string>>} Array of keywords
    */
   async extractKeywords(text, options = {}) {
-    await this.simulateProcessingDelay();
+    await this.simulateProcessingDelay(options.signal);
 
     const maxKeywords = options.maxKeywords || 10;
     const words = text
@@ -425,10 +431,23 @@ export class MockExtractorProvider extends ExtractorProvider {
 
   /**
    * Simulates processing delay
+   * @param {AbortSignal} signal - Ends the delay early, rejecting with its reason
    * @returns {Promise<void>}
    */
-  async simulateProcessingDelay() {
+  async simulateProcessingDelay(signal) {
+    signal?.throwIfAborted();
+
     const delay = Math.random() * 1000 + 100; // 100-1100ms
-    await new Promise((resolve) => setTimeout(resolve, delay));
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
   }
 }
@@ -0,0 +1,236 @@
+import zlib from "zlib";
+import { parquetMetadata, parquetReadObjects } from "hyparquet";
+import { parquetWriteBuffer } from "hyparquet-writer";
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Parquet types of ExtractionSchema field types
+ * Arrays and objects are stored with the JSON logical type
+ */
+const FIELD_TYPES = {
+  string: "STRING",
+  number: "DOUBLE",
+  integer: "INT64",
+  boolean: "BOOLEAN",
+  date: "TIMESTAMP",
+  array: "JSON",
+  object: "JSON",
+};
+
+/**
+ * Columns written for every result, ahead of the extraction's own columns
+ */
+const BASE_COLUMNS = [
+  { name: "documentId", type: "STRING" },
+  { name: "documentName", type: "STRING" },
+  { name: "processingTime", type: "INT64" },
+  { name: "attempts", type: "INT32" },
+];
+
+/**
+ * Parquet compression codecs of the output compression types; snappy is
+ * built into the Parquet library
+ */
+const CODECS = {
+  gzip: {
+    codec: "GZIP",
+    compress: (bytes) => new Uint8Array(zlib.gzipSync(bytes)),
+    decompress: (bytes) => new Uint8Array(zlib.gunzipSync(bytes)),
+  },
+  brotli: {
+    codec: "BROTLI",
+    compress: (bytes) => new Uint8Array(zlib.brotliCompressSync(bytes)),
+    decompress: (bytes) => new Uint8Array(zlib.brotliDecompressSync(bytes)),
+  },
+  zstd: {
+    codec: "ZSTD",
+    compress: (bytes) => new Uint8Array(zlib.zstdCompressSync(bytes)),
+    decompress: (bytes) => new Uint8Array(zlib.zstdDecompressSync(bytes)),
+  },
+};
+
+/**
+ * Parquet encoding of extraction results
+ * Columns are derived from the job's ExtractionSchema, one per field, typed
+ * from the field type (string, number, integer, boolean, date, array,
+ * object); jobs without a schema get one JSON `result` column
+ * A shard is one file, split into row groups of `output.parquet.rowGroupSize`
+ * rows and compressed inside the file with the output compression type
+ */
+export class ParquetResultFormatter {
+  /**
+   * Creates a new ParquetResultFormatter instance
+   * @param {Array<Object>} columns - Columns ({ name, type }), as returned by getColumns
+   * @param {string|null} compression - Output compression type, or null for none
+   */
+  constructor(columns, compression) {
+    this.columns = columns;
+    this.compression = compression;
+  }
+
+  /**
+   * Derives the columns for a job's results
+   * @param {ExtractionSchema|Object|null} schema - The job's extraction schema
+   * @returns {Array<Object>} Columns ({ name, type })
+   */
+  static getColumns(schema) {
+    if (!schema || !Array.isArray(schema.fields)) {
+      return [...BASE_COLUMNS, { name: "result", type: "JSON" }];
+    }
+
+    return [
+      ...BASE_COLUMNS,
+      ...schema.fields.map((field) => ({
+        name: field.name,
+        type: FIELD_TYPES[String(field.type).toLowerCase()] || "JSON",
+      })),
+      { name: "confidence", type: "DOUBLE" },
+    ];
+  }
+
+  /**
+   * Encodes results as a Parquet file
+   * @param {Array<Object>} results - Processing results
+   * @returns {Buffer} Parquet file content
+   */
+  encode(results) {
+    const codec = CODECS[this.compression];
+    const buffer = parquetWriteBuffer({
+      columnData: this.columns.map((column) => ({
+        name: column.name,
+        type: column.type,
+        data: results.map((result) =>
+          this.toParquetValue(this.getValue(result, column.name), column.type)
+        ),
+      })),
+      codec: codec ? codec.codec : this.compression ? "SNAPPY" : "UNCOMPRESSED",
+      compressors: codec ? { [codec.codec]: codec.compress } : {},
+      rowGroupSize: getConfig("output.parquet.rowGroupSize", 1000),
+    });
+
+    return Buffer.from(buffer);
+  }
+
+  /**
+   * Decodes a Parquet file into records keyed by column
+   * INT64 values are read back as numbers
+   * @param {Buffer} buffer - Parquet file content
+   * @returns {Promise<Array<Object>>} Records
+   */
+  static async decode(buffer) {
+    const rows = await parquetReadObjects({
+      file: ParquetResultFormatter.toArrayBuffer(buffer),
+      compressors: Object.fromEntries(
+        Object.values(CODECS).map(({ codec, decompress }) => [
+          codec,
+          decompress,
+        ])
+      ),
+    });
+
+    return rows.map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([name, value]) => [
+          name,
+          typeof value === "bigint" ? Number(value) : value,
+        ])
+      )
+    );
+  }
+
+  /**
+   * Counts the rows of a Parquet file from its footer
+   * @param {Buffer} buffer - Parquet file content
+   * @returns {number} Row count
+   */
+  static countRows(buffer) {
+    return Number(
+      parquetMetadata(ParquetResultFormatter.toArrayBuffer(buffer)).num_rows
+    );
+  }
+
+  /**
+   * Gets the ArrayBuffer holding exactly a buffer's bytes
+   * @param {Buffer} buffer - Buffer
+   * @returns {ArrayBuffer} Array buffer
+   */
+  static toArrayBuffer(buffer) {
+    return buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    );
+  }
+
+  /**
+   * Gets a column's value from a result
+   * @param {Object} result - Processing result
+   * @param {string} column - Column name
+   * @returns {any} Value
+   */
+  getValue(result, column) {
+    if (BASE_COLUMNS.some((base) => base.name === column)) {
+      return result[column];
+    }
+    if (column === "result") {
+      return result.result;
+    }
+    if (column === "confidence") {
+      return result.result?.confidence;
+    }
+
+    return result.result?.data?.[column];
+  }
+
+  /**
+   * Converts a value to the column's Parquet type; values that do not fit
+   * are written as null
+   * @param {any} value - Value
+   * @param {string} type - Parquet type
+   * @returns {any} Parquet value
+   */
+  toParquetValue(value, type) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    switch (type) {
+      case "STRING":
+        return String(value);
+      case "DOUBLE": {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+      }
+      case "INT32":
+      case "INT64": {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          return null;
+        }
+        return type === "INT64"
+          ? BigInt(Math.trunc(number))
+          : Math.trunc(number);
+      }
+      case "BOOLEAN": {
+        // Read strings as the schema coercion does, so "false" stays false
+        if (typeof value === "boolean") {
+          return value;
+        }
+        if (typeof value === "number") {
+          return value !== 0;
+        }
+        const text = String(value).trim().toLowerCase();
+        if (["true", "1", "yes"].includes(text)) {
+          return true;
+        }
+        return ["false", "0", "no"].includes(text) ? false : null;
+      }
+      case "TIMESTAMP": {
+        // Dates read back from a staged JSON record are ISO strings
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+      }
+      default:
+        return value;
+    }
+  }
+}
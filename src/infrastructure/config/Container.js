@@ -4,13 +4,39 @@ import { LocalS3StorageService } from "../adapters/LocalS3StorageService.js";
 import { FileSystemJobRepository } from "../adapters/FileSystemJobRepository.js";
 import { FileSystemDocumentRepository } from "../adapters/FileSystemDocumentRepository.js";
 import { MockExtractorProvider } from "../adapters/MockExtractorProvider.js";
+import { CircuitBreakerExtractorProvider } from "../adapters/CircuitBreakerExtractorProvider.js";
 import { LocalOutputService } from "../adapters/LocalOutputService.js";
+import { FileSystemJobQueue } from "../adapters/FileSystemJobQueue.js";
+import { FileSystemDeadLetterRepository } from "../adapters/FileSystemDeadLetterRepository.js";
+import { FileSystemJobProgressRepository } from "../adapters/FileSystemJobProgressRepository.js";
+import { FileSystemWebhookDeliveryRepository } from "../adapters/FileSystemWebhookDeliveryRepository.js";
+import { HttpWebhookNotifier } from "../adapters/HttpWebhookNotifier.js";
+import { FileSystemIdempotencyRepository } from "../adapters/FileSystemIdempotencyRepository.js";
+import { FileSystemJobScheduleRepository } from "../adapters/FileSystemJobScheduleRepository.js";
+import { FileSystemJobTemplateRepository } from "../adapters/FileSystemJobTemplateRepository.js";
+import { FileSystemHealthStatusRepository } from "../adapters/FileSystemHealthStatusRepository.js";
+import { FileSystemOutputManifestRepository } from "../adapters/FileSystemOutputManifestRepository.js";
 import { CreateExtractionUseCase } from "../../application/use-cases/CreateExtractionUseCase.js";
 import { GetExtractionUseCase } from "../../application/use-cases/GetExtractionUseCase.js";
 import { ListExtractionsUseCase } from "../../application/use-cases/ListExtractionsUseCase.js";
 import { ProcessJobUseCase } from "../../application/use-cases/ProcessJobUseCase.js";
+import { NotifyJobEventUseCase } from "../../application/use-cases/NotifyJobEventUseCase.js";
+import { RunJobSchedulesUseCase } from "../../application/use-cases/RunJobSchedulesUseCase.js";
+import { VerifyOutputManifestUseCase } from "../../application/use-cases/VerifyOutputManifestUseCase.js";
+import { QueryJobResultsUseCase } from "../../application/use-cases/QueryJobResultsUseCase.js";
+import { FairScheduler } from "../../application/scheduling/FairScheduler.js";
+import { TokenBucketRateLimiter } from "../../application/scheduling/TokenBucketRateLimiter.js";
+import { BackpressureController } from "../../application/scheduling/BackpressureController.js";
+import { CircuitBreaker } from "../../application/scheduling/CircuitBreaker.js";
+import { RetryPolicy } from "../../application/scheduling/RetryPolicy.js";
 import { ExtractionController } from "../../interfaces/controllers/ExtractionController.js";
 import { JobController } from "../../interfaces/controllers/JobController.js";
+import { JobScheduleController } from "../../interfaces/controllers/JobScheduleController.js";
+import { JobTemplateController } from "../../interfaces/controllers/JobTemplateController.js";
+import { JobResultsController } from "../../interfaces/controllers/JobResultsController.js";
+import { JobQueueWorker } from "../../interfaces/workers/JobQueueWorker.js";
+import { JobScheduleWorker } from "../../interfaces/workers/JobScheduleWorker.js";
+import { IdempotencyGuard } from "../../interfaces/middleware/IdempotencyGuard.js";
 
 /**
  * Dependency Injection Container
@@ -65,6 +91,86 @@ export class Container {
     });
   }
 
+  /**
+   * Gets the dead letter repository
+   * @returns {FileSystemDeadLetterRepository} Dead letter repository instance
+   */
+  getDeadLetterRepository() {
+    return this.getOrCreate("deadLetterRepository", () => {
+      return new FileSystemDeadLetterRepository();
+    });
+  }
+
+  /**
+   * Gets the job progress repository
+   * @returns {FileSystemJobProgressRepository} Job progress repository instance
+   */
+  getJobProgressRepository() {
+    return this.getOrCreate("jobProgressRepository", () => {
+      return new FileSystemJobProgressRepository();
+    });
+  }
+
+  /**
+   * Gets the output manifest repository
+   * @returns {FileSystemOutputManifestRepository} Output manifest repository instance
+   */
+  getOutputManifestRepository() {
+    return this.getOrCreate("outputManifestRepository", () => {
+      return new FileSystemOutputManifestRepository();
+    });
+  }
+
+  /**
+   * Gets the webhook delivery repository
+   * @returns {FileSystemWebhookDeliveryRepository} Webhook delivery repository instance
+   */
+  getWebhookDeliveryRepository() {
+    return this.getOrCreate("webhookDeliveryRepository", () => {
+      return new FileSystemWebhookDeliveryRepository();
+    });
+  }
+
+  /**
+   * Gets the idempotency repository
+   * @returns {FileSystemIdempotencyRepository} Idempotency repository instance
+   */
+  getIdempotencyRepository() {
+    return this.getOrCreate("idempotencyRepository", () => {
+      return new FileSystemIdempotencyRepository();
+    });
+  }
+
+  /**
+   * Gets the job schedule repository
+   * @returns {FileSystemJobScheduleRepository} Job schedule repository instance
+   */
+  getJobScheduleRepository() {
+    return this.getOrCreate("jobScheduleRepository", () => {
+      return new FileSystemJobScheduleRepository();
+    });
+  }
+
+  /**
+   * Gets the job template repository
+   * @returns {FileSystemJobTemplateRepository} Job template repository instance
+   */
+  getJobTemplateRepository() {
+    return this.getOrCreate("jobTemplateRepository", () => {
+      return new FileSystemJobTemplateRepository();
+    });
+  }
+
+  /**
+   * Gets the health status repository
+   * @returns {FileSystemHealthStatusRepository} Health status repository instance
+   */
+  getHealthStatusRepository() {
+    return this.getOrCreate("healthStatusRepository", () => {
+      return new FileSystemHealthStatusRepository();
+    });
+  }
+
   /**
    * Gets the extraction service
    * @returns {LocalExtractionService} Extraction service instance
@@ -86,12 +192,29 @@ export class Container {
   }
 
   /**
-   * Gets the extractor provider
-   * @returns {MockExtractorProvider} Extractor provider instance
+   * Gets the extractor provider, guarded by the provider circuit breaker
+   * @returns {CircuitBreakerExtractorProvider} Extractor provider instance
    */
   getExtractorProvider() {
     return this.getOrCreate("extractorProvider", () => {
-      return new MockExtractorProvider();
+      return new CircuitBreakerExtractorProvider(
+        new MockExtractorProvider(),
+        this.getProviderCircuitBreaker()
+      );
+    });
+  }
+
+  /**
+   * Gets the circuit breaker around the extractor provider
+   * @returns {CircuitBreaker} Circuit breaker instance
+   */
+  getProviderCircuitBreaker() {
+    return this.getOrCreate("providerCircuitBreaker", () => {
+      return new CircuitBreaker(
+        "extractorProvider",
+        this.getHealthStatusRepository(),
+        this.getRetryPolicy()
+      );
     });
   }
 
@@ -105,6 +228,66 @@ export class Container {
     });
   }
 
+  /**
+   * Gets the job queue
+   * @returns {FileSystemJobQueue} Job queue instance
+   */
+  getJobQueue() {
+    return this.getOrCreate("jobQueue", () => {
+      return new FileSystemJobQueue();
+    });
+  }
+
+  /**
+   * Gets the webhook notifier
+   * @returns {HttpWebhookNotifier} Webhook notifier instance
+   */
+  getWebhookNotifier() {
+    return this.getOrCreate("webhookNotifier", () => {
+      return new HttpWebhookNotifier();
+    });
+  }
+
+  /**
+   * Gets the scheduler shared by all jobs processed in this process
+   * @returns {FairScheduler} Fair scheduler instance
+   */
+  getScheduler() {
+    return this.getOrCreate("scheduler", () => {
+      return new FairScheduler();
+    });
+  }
+
+  /**
+   * Gets the rate limiter shared by all extractor provider calls
+   * @returns {TokenBucketRateLimiter} Rate limiter instance
+   */
+  getRateLimiter() {
+    return this.getOrCreate("rateLimiter", () => {
+      return new TokenBucketRateLimiter();
+    });
+  }
+
+  /**
+   * Gets the backpressure controller shared by all jobs processed in this process
+   * @returns {BackpressureController} Backpressure controller instance
+   */
+  getBackpressureController() {
+    return this.getOrCreate("backpressureController", () => {
+      return new BackpressureController(this.getHealthStatusRepository());
+    });
+  }
+
+  /**
+   * Gets the retry policy for document processing attempts
+   * @returns {RetryPolicy} Retry policy instance
+   */
+  getRetryPolicy() {
+    return this.getOrCreate("retryPolicy", () => {
+      return new RetryPolicy();
+    });
+  }
+
   /**
    * Gets the create extraction use case
    * @returns {CreateExtractionUseCase} Create extraction use case instance
@@ -139,6 +322,21 @@ export class Container {
     });
   }
 
+  /**
+   * Gets the notify job event use case
+   * @returns {NotifyJobEventUseCase} Notify job event use case instance
+   */
+  getNotifyJobEventUseCase() {
+    return this.getOrCreate("notifyJobEventUseCase", () => {
+      return new NotifyJobEventUseCase(
+        this.getWebhookNotifier(),
+        this.getWebhookDeliveryRepository(),
+        this.getJobQueue(),
+        this.getJobRepository()
+      );
+    });
+  }
+
   /**
    * Gets the process job use case
    * @returns {ProcessJobUseCase} Process job use case instance
@@ -150,11 +348,58 @@ export class Container {
         this.getDocumentRepository(),
         this.getStorageService(),
         this.getExtractorProvider(),
+        this.getOutputService(),
+        this.getDeadLetterRepository(),
+        this.getJobProgressRepository(),
+        this.getNotifyJobEventUseCase(),
+        this.getScheduler(),
+        this.getRateLimiter(),
+        this.getBackpressureController(),
+        this.getRetryPolicy(),
+        this.getOutputManifestRepository()
+      );
+    });
+  }
+
+  /**
+   * Gets the run job schedules use case
+   * @returns {RunJobSchedulesUseCase} Run job schedules use case instance
+   */
+  getRunJobSchedulesUseCase() {
+    return this.getOrCreate("runJobSchedulesUseCase", () => {
+      return new RunJobSchedulesUseCase(
+        this.getJobScheduleRepository(),
+        this.getJobRepository(),
+        this.getDocumentRepository(),
+        this.getStorageService(),
+        this.getJobQueue()
+      );
+    });
+  }
+
+  /**
+   * Gets the verify output manifest use case
+   * @returns {VerifyOutputManifestUseCase} Verify output manifest use case instance
+   */
+  getVerifyOutputManifestUseCase() {
+    return this.getOrCreate("verifyOutputManifestUseCase", () => {
+      return new VerifyOutputManifestUseCase(
+        this.getOutputManifestRepository(),
         this.getOutputService()
       );
     });
   }
 
+  /**
+   * Gets the query job results use case
+   * @returns {QueryJobResultsUseCase} Query job results use case instance
+   */
+  getQueryJobResultsUseCase() {
+    return this.getOrCreate("queryJobResultsUseCase", () => {
+      return new QueryJobResultsUseCase(this.getOutputService());
+    });
+  }
+
   /**
    * Gets the extraction controller
    * @returns {ExtractionController} Extraction controller instance
@@ -164,7 +409,8 @@ export class Container {
       return new ExtractionController(
         this.getCreateExtractionUseCase(),
         this.getGetExtractionUseCase(),
-        this.getListExtractionsUseCase()
+        this.getListExtractionsUseCase(),
+        this.getIdempotencyGuard()
       );
     });
   }
@@ -179,10 +425,94 @@ export class Container {
         this.getJobRepository(),
         this.getDocumentRepository(),
         this.getStorageService(),
-        this.getProcessJobUseCase()
+        this.getProcessJobUseCase(),
+        this.getJobQueue(),
+        this.getDeadLetterRepository(),
+        this.getJobProgressRepository(),
+        this.getNotifyJobEventUseCase(),
+        this.getIdempotencyGuard(),
+        this.getJobTemplateRepository(),
+        this.getOutputManifestRepository(),
+        this.getVerifyOutputManifestUseCase()
       );
     });
   }
+
+  /**
+   * Gets the job schedule controller
+   * @returns {JobScheduleController} Job schedule controller instance
+   */
+  getJobScheduleController() {
+    return this.getOrCreate("jobScheduleController", () => {
+      return new JobScheduleController(
+        this.getJobScheduleRepository(),
+        this.getIdempotencyGuard()
+      );
+    });
+  }
+
+  /**
+   * Gets the job template controller
+   * @returns {JobTemplateController} Job template controller instance
+   */
+  getJobTemplateController() {
+    return this.getOrCreate("jobTemplateController", () => {
+      return new JobTemplateController(
+        this.getJobTemplateRepository(),
+        this.getIdempotencyGuard()
+      );
+    });
+  }
+
+  /**
+   * Gets the job results controller
+   * @returns {JobResultsController} Job results controller instance
+   */
+  getJobResultsController() {
+    return this.getOrCreate("jobResultsController", () => {
+      return new JobResultsController(
+        this.getJobRepository(),
+        this.getOutputService(),
+        this.getStorageService(),
+        this.getQueryJobResultsUseCase()
+      );
+    });
+  }
+
+  /**
+   * Gets the idempotency guard
+   * @returns {IdempotencyGuard} Idempotency guard instance
+   */
+  getIdempotencyGuard() {
+    return this.getOrCreate("idempotencyGuard", () => {
+      return new IdempotencyGuard(this.getIdempotencyRepository());
+    });
+  }
+
+  /**
+   * Gets the job queue worker
+   * @returns {JobQueueWorker} Job queue worker instance
+   */
+  getJobQueueWorker() {
+    return this.getOrCreate("jobQueueWorker", () => {
+      return new JobQueueWorker(
+        this.getJobQueue(),
+        this.getProcessJobUseCase(),
+        this.getBackpressureController(),
+        this.getNotifyJobEventUseCase()
+      );
+    });
+  }
+
+  /**
+   * Gets the job schedule worker
+   * @returns {JobScheduleWorker} Job schedule worker instance
+   */
+  getJobScheduleWorker() {
+    return this.getOrCreate("jobScheduleWorker", () => {
+      return new JobScheduleWorker(this.getRunJobSchedulesUseCase());
+    });
+  }
 }
 
 // Export singleton instance
@@ -13,23 +13,39 @@ export class ExtractionController {
    * @param {CreateExtractionUseCase} createExtractionUseCase - Use case for creating extractions
    * @param {GetExtractionUseCase} getExtractionUseCase - Use case for getting extractions
    * @param {ListExtractionsUseCase} listExtractionsUseCase - Use case for listing extractions
+   * @param {IdempotencyGuard} idempotencyGuard - Guard replaying retried requests
    */
   constructor(
     createExtractionUseCase,
     getExtractionUseCase,
-    listExtractionsUseCase
+    listExtractionsUseCase,
+    idempotencyGuard
   ) {
     this.createExtractionUseCase = createExtractionUseCase;
     this.getExtractionUseCase = getExtractionUseCase;
     this.listExtractionsUseCase = listExtractionsUseCase;
+    this.idempotencyGuard = idempotencyGuard;
   }
 
   /**
    * Handles POST /extract requests
+   * Retries carrying the same Idempotency-Key replay the first response
    * @param {Object} event - Lambda event object
    * @returns {Promise<Object>} HTTP response
    */
   async createExtraction(event) {
+    return await this.idempotencyGuard.execute(event, "createExtraction", () =>
+      this.handleCreateExtraction(event)
+    );
+  }
+
+  /**
+   * Creates an extraction
+   * @private
+   * @param {Object} event - Lambda event object
+   * @returns {Promise<Object>} HTTP response
+   */
+  async handleCreateExtraction(event) {
     try {
       const body = JSON.parse(event.body || "{}");
       const { text, fileName, extractionType } = body;
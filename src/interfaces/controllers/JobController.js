@@ -1,8 +1,20 @@
 import { v4 as uuidv4 } from "uuid";
-import { Job } from "../../domain/entities/Job.js";
+import { Job, JOB_PRIORITIES } from "../../domain/entities/Job.js";
 import { Document } from "../../domain/entities/Document.js";
 import { ExtractionSchema } from "../../domain/entities/ExtractionSchema.js";
-import { responses } from "../../utils/response.js";
+import { JobProgress } from "../../domain/entities/JobProgress.js";
+import { Webhook } from "../../domain/entities/Webhook.js";
+import { InvalidStateTransitionError } from "../../domain/errors/InvalidStateTransitionError.js";
+import { responses, eventStream } from "../../utils/response.js";
+import { getConfig } from "../../config/app.config.js";
+
+// Job statuses after which progress no longer changes
+const FINISHED_STATUSES = [
+  "completed",
+  "completed_with_errors",
+  "failed",
+  "cancelled",
+];
 
 /**
  * Job Controller for handling HTTP requests
@@ -15,58 +27,112 @@ export class JobController {
    * @param {DocumentRepository} documentRepository - Repository for documents
    * @param {StorageService} storageService - Service for file storage
    * @param {ProcessJobUseCase} processJobUseCase - Use case for processing jobs
+   * @param {JobQueue} jobQueue - Queue for asynchronous job processing
+   * @param {DeadLetterRepository} deadLetterRepository - Repository for permanently failed documents
+   * @param {JobProgressRepository} jobProgressRepository - Repository for live job progress
+   * @param {NotifyJobEventUseCase} notifyJobEventUseCase - Use case delivering job webhooks
+   * @param {IdempotencyGuard} idempotencyGuard - Guard replaying retried requests
+   * @param {JobTemplateRepository} jobTemplateRepository - Repository for job templates
+   * @param {OutputManifestRepository} outputManifestRepository - Repository for output manifests
+   * @param {VerifyOutputManifestUseCase} verifyOutputManifestUseCase - Use case verifying output against its manifest
    */
   constructor(
     jobRepository,
     documentRepository,
     storageService,
-    processJobUseCase
+    processJobUseCase,
+    jobQueue,
+    deadLetterRepository,
+    jobProgressRepository,
+    notifyJobEventUseCase,
+    idempotencyGuard,
+    jobTemplateRepository,
+    outputManifestRepository,
+    verifyOutputManifestUseCase
   ) {
     this.jobRepository = jobRepository;
     this.documentRepository = documentRepository;
     this.storageService = storageService;
     this.processJobUseCase = processJobUseCase;
+    this.jobQueue = jobQueue;
+    this.deadLetterRepository = deadLetterRepository;
+    this.jobProgressRepository = jobProgressRepository;
+    this.notifyJobEventUseCase = notifyJobEventUseCase;
+    this.idempotencyGuard = idempotencyGuard;
+    this.jobTemplateRepository = jobTemplateRepository;
+    this.outputManifestRepository = outputManifestRepository;
+    this.verifyOutputManifestUseCase = verifyOutputManifestUseCase;
   }
 
   /**
    * Creates a new job
+   * Retries carrying the same Idempotency-Key replay the first response
    * @param {Object} event - HTTP event
    * @returns {Promise<Object>} HTTP response
    */
   async createJob(event) {
+    return await this.idempotencyGuard.execute(event, "createJob", () =>
+      this.handleCreateJob(event)
+    );
+  }
+
+  /**
+   * Creates a new job
+   * With a `templateId`, the template's extraction configuration and
+   * priority are used, with `extractionConfig` merged in as overrides
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async handleCreateJob(event) {
     try {
       const body = JSON.parse(event.body || "{}");
-      const { name, extractionConfig, documentIds = [] } = body;
+      const { name, templateId, documentIds = [] } = body;
+      let { extractionConfig, priority = "normal" } = body;
 
       // Validate input
       if (!name) {
         return responses.badRequest("Job name is required");
       }
 
+      const metadata = {};
+      if (templateId) {
+        const template = await this.jobTemplateRepository.findById(templateId);
+        if (!template) {
+          return responses.badRequest(`Job template ${templateId} not found`);
+        }
+        extractionConfig = template.buildExtractionConfig(extractionConfig);
+        priority = body.priority || template.priority;
+        metadata.templateId = templateId;
+      }
+
       if (!extractionConfig) {
         return responses.badRequest("Extraction configuration is required");
       }
 
-      // Create schema if provided
-      if (extractionConfig.schemaType) {
-        extractionConfig.schema = ExtractionSchema.createDefaultSchema(
-          extractionConfig.schemaType
+      if (!JOB_PRIORITIES.includes(priority)) {
+        return responses.badRequest(
+          `Job priority must be one of: ${JOB_PRIORITIES.join(", ")}`
         );
-      } else if (
-        extractionConfig.schema &&
-        typeof extractionConfig.schema === "object"
-      ) {
-        extractionConfig.schema = ExtractionSchema.fromJSON(
-          extractionConfig.schema
+      }
+
+      try {
+        Webhook.fromConfig(extractionConfig.webhooks).forEach((webhook) =>
+          webhook.validate()
         );
+      } catch (validationError) {
+        return responses.badRequest(validationError.message);
       }
 
       // Create job
       const job = new Job({
         id: uuidv4(),
         name,
-        extractionConfig,
+        extractionConfig:
+          ExtractionSchema.resolveExtractionConfig(extractionConfig),
         documentIds,
+        priority,
+        metadata,
       });
 
       // Validate the job
@@ -75,13 +141,105 @@ export class JobController {
       // Save the job
       const savedJob = await this.jobRepository.save(job);
 
-      return responses.created(savedJob.toJSON(), "Job created successfully");
+      return responses.created(
+        savedJob.toPublicJSON(),
+        "Job created successfully"
+      );
     } catch (error) {
       console.error("Create job error:", error);
       return responses.internalError("Internal server error", error);
     }
   }
 
+  /**
+   * Clones a job into a new pending job
+   * Retries carrying the same Idempotency-Key replay the first response
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async cloneJob(event) {
+    return await this.idempotencyGuard.execute(event, "cloneJob", () =>
+      this.handleCloneJob(event)
+    );
+  }
+
+  /**
+   * Clones a job into a new pending job
+   * Documents are copied as new pending documents unless
+   * `includeDocuments` is false
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async handleCloneJob(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const body = JSON.parse(event.body || "{}");
+      const { includeDocuments = true } = body;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      if (typeof includeDocuments !== "boolean") {
+        return responses.badRequest("includeDocuments must be a boolean");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const documentIds = [];
+      if (includeDocuments) {
+        const documents = await this.documentRepository.findByIds(
+          job.documentIds
+        );
+        for (const document of documents) {
+          const copy = new Document({
+            id: uuidv4(),
+            name: document.name,
+            content: document.content,
+            contentType: document.contentType,
+            source: document.source,
+          });
+          await this.documentRepository.save(copy);
+          documentIds.push(copy.id);
+        }
+      }
+
+      const clone = new Job({
+        id: uuidv4(),
+        name: body.name || `${job.name} (copy)`,
+        extractionConfig: structuredClone(job.extractionConfig),
+        documentIds,
+        priority: body.priority || job.priority,
+        metadata: {
+          clonedFrom: job.id,
+          ...(job.metadata.templateId && {
+            templateId: job.metadata.templateId,
+          }),
+        },
+      });
+
+      try {
+        clone.validate();
+      } catch (validationError) {
+        return responses.badRequest(validationError.message);
+      }
+
+      const savedJob = await this.jobRepository.save(clone);
+
+      return responses.created(
+        savedJob.toPublicJSON(),
+        "Job cloned successfully"
+      );
+    } catch (error) {
+      console.error("Clone job error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
   /**
    * Gets a job by ID
    * @param {Object} event - HTTP event
@@ -101,7 +259,7 @@ export class JobController {
         return responses.notFound("Job not found");
       }
 
-      return responses.ok(job.toJSON());
+      return responses.ok(job.toPublicJSON());
     } catch (error) {
       console.error("Get job error:", error);
       return responses.internalError("Internal server error", error);
@@ -127,7 +285,7 @@ export class JobController {
       const jobs = await this.jobRepository.findAll(options);
 
       return responses.ok({
-        jobs: jobs.map((job) => job.toJSON()),
+        jobs: jobs.map((job) => job.toPublicJSON()),
         pagination: {
           limit: parseInt(limit),
           offset: parseInt(offset),
@@ -141,7 +299,7 @@ export class JobController {
   }
 
   /**
-   * Processes a job
+   * Enqueues a job for asynchronous processing
    * @param {Object} event - HTTP event
    * @returns {Promise<Object>} HTTP response
    */
@@ -159,22 +317,579 @@ export class JobController {
         return responses.notFound("Job not found");
       }
 
-      // Process the job
-      const result = await this.processJobUseCase.execute(jobId);
+      if (job.isPaused()) {
+        return responses.conflict("Job is paused; resume it instead");
+      }
+
+      if (job.documentIds.length === 0) {
+        return responses.badRequest("Job has no documents to process");
+      }
 
-      return responses.ok(result, "Job processed successfully");
+      // Save the queued status before a worker can pick the message up
+      job.markQueued();
+      await this.jobRepository.save(job);
+
+      // Hand the job to the workers instead of processing it in the request
+      const messageId = await this.jobQueue.enqueue({
+        type: "process",
+        jobId,
+      });
+
+      return responses.accepted(
+        {
+          jobId,
+          status: job.status,
+          messageId,
+          statusUrl: `/jobs/${jobId}`,
+        },
+        "Job queued for processing"
+      );
     } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        return responses.conflict(error.message);
+      }
       console.error("Process job error:", error);
       return responses.internalError("Internal server error", error);
     }
   }
 
+  /**
+   * Queues a retry of the failed documents of a completed job
+   * (including jobs completed with errors)
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async retryFailedDocuments(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const body = JSON.parse(event.body || "{}");
+      const { extractionConfig } = body;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      if (!["completed", "completed_with_errors"].includes(job.status)) {
+        return responses.conflict(
+          `Cannot retry failed documents of a ${job.status} job`
+        );
+      }
+
+      const documents = await this.documentRepository.findByIds(
+        job.documentIds
+      );
+      const failedDocuments = documents.filter(
+        (document) => document.status === "failed"
+      );
+      if (failedDocuments.length === 0) {
+        return responses.conflict("Job has no failed documents");
+      }
+
+      job.markQueued();
+      await this.jobRepository.save(job);
+
+      const messageId = await this.jobQueue.enqueue({
+        type: "retry-failed",
+        jobId,
+        extractionConfig: extractionConfig
+          ? ExtractionSchema.resolveExtractionConfig(extractionConfig)
+          : undefined,
+      });
+
+      return responses.accepted(
+        {
+          jobId,
+          status: job.status,
+          messageId,
+          failedDocuments: failedDocuments.length,
+          statusUrl: `/jobs/${jobId}`,
+        },
+        `${failedDocuments.length} failed documents queued for retry`
+      );
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        return responses.conflict(error.message);
+      }
+      console.error("Retry failed documents error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Gets the live progress of a job
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async getJobProgress(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      return responses.ok(await this.getProgressSnapshot(job));
+    } catch (error) {
+      console.error("Get job progress error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Streams the progress of a job as Server-Sent Events
+   * Each request answers with the current progress, waiting up to
+   * `progress.streamWaitMs` for a change when the client already has the
+   * latest event (Last-Event-ID); EventSource clients reconnect after
+   * `progress.streamRetryMs` and should close on the `done` event
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async streamJobProgress(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const headers = event.headers || {};
+      const lastEventId = headers["Last-Event-ID"] || headers["last-event-id"];
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      let job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const pollIntervalMs = getConfig("progress.streamPollIntervalMs", 500);
+      const deadline = Date.now() + getConfig("progress.streamWaitMs", 10000);
+      let snapshot = await this.getProgressSnapshot(job);
+
+      while (
+        lastEventId === this.getProgressEventId(snapshot) &&
+        !FINISHED_STATUSES.includes(snapshot.status) &&
+        Date.now() < deadline
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+        job = (await this.jobRepository.findById(jobId)) || job;
+        snapshot = await this.getProgressSnapshot(job);
+      }
+
+      const events = [
+        {
+          id: this.getProgressEventId(snapshot),
+          event: "progress",
+          data: snapshot,
+        },
+      ];
+      if (FINISHED_STATUSES.includes(snapshot.status)) {
+        events.push({
+          event: "done",
+          data: { jobId, status: snapshot.status },
+        });
+      }
+
+      return eventStream(events, getConfig("progress.streamRetryMs", 1000));
+    } catch (error) {
+      console.error("Stream job progress error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Builds the progress view of a job
+   * Jobs that have not started a run yet report all documents as queued
+   * @private
+   * @param {Job} job - The job
+   * @returns {Promise<Object>} Job status and progress counters
+   */
+  async getProgressSnapshot(job) {
+    const progress =
+      (await this.jobProgressRepository.findByJobId(job.id)) ||
+      new JobProgress({
+        jobId: job.id,
+        totalDocuments: job.documentIds.length,
+        queuedDocuments: ["pending", "queued"].includes(job.status)
+          ? job.documentIds.length
+          : 0,
+        startedAt: job.createdAt,
+        finishedAt: job.createdAt,
+      });
+
+    return { ...progress.toJSON(), status: job.status };
+  }
+
+  /**
+   * Gets the SSE event ID identifying a progress snapshot
+   * @private
+   * @param {Object} snapshot - Progress snapshot
+   * @returns {string} Event ID
+   */
+  getProgressEventId(snapshot) {
+    return `${snapshot.status}:${snapshot.updatedAt}`;
+  }
+
+  /**
+   * Lists the dead letters of a job
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async listDeadLetters(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const { status } = event.queryStringParameters || {};
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const deadLetters = await this.deadLetterRepository.findByJobId(jobId, {
+        status,
+      });
+
+      return responses.ok({
+        jobId,
+        deadLetters: deadLetters.map((deadLetter) => deadLetter.toJSON()),
+        total: deadLetters.length,
+      });
+    } catch (error) {
+      console.error("List dead letters error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Gets the output manifest of a job
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async getOutputManifest(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const manifest = await this.outputManifestRepository.findByJobId(jobId);
+      if (!manifest) {
+        return responses.notFound("Output manifest not found");
+      }
+
+      return responses.ok(manifest.toJSON());
+    } catch (error) {
+      console.error("Get output manifest error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Verifies a job's output shards against its manifest
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async verifyOutputManifest(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const report = await this.verifyOutputManifestUseCase.execute(jobId);
+      if (!report) {
+        return responses.notFound("Output manifest not found");
+      }
+
+      return responses.ok(report);
+    } catch (error) {
+      console.error("Verify output manifest error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Lists the webhook deliveries of a job
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async listWebhookDeliveries(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const { status } = event.queryStringParameters || {};
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const deliveries = await this.notifyJobEventUseCase.listDeliveries(
+        jobId,
+        { status }
+      );
+
+      return responses.ok({
+        jobId,
+        deliveries: deliveries.map((delivery) => delivery.toJSON()),
+        total: deliveries.length,
+      });
+    } catch (error) {
+      console.error("List webhook deliveries error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Redrives pending dead letters of a job back into processing
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async redriveDeadLetters(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const body = JSON.parse(event.body || "{}");
+      const { deadLetterIds } = body;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      // A failed job may have documents that never ran; it is processed
+      // again as a whole instead
+      if (job.status === "failed") {
+        return responses.conflict(
+          "Cannot redrive dead letters of a failed job; process the job again instead"
+        );
+      }
+      if (!["completed", "completed_with_errors"].includes(job.status)) {
+        return responses.conflict(
+          `Cannot redrive dead letters of a ${job.status} job`
+        );
+      }
+
+      const deadLetters = (
+        await this.deadLetterRepository.findByJobId(jobId, {
+          status: "pending",
+        })
+      ).filter(
+        (deadLetter) => !deadLetterIds || deadLetterIds.includes(deadLetter.id)
+      );
+      if (deadLetters.length === 0) {
+        return responses.conflict("No pending dead letters to redrive");
+      }
+
+      for (const deadLetter of deadLetters) {
+        deadLetter.markRedriven();
+        await this.deadLetterRepository.save(deadLetter);
+      }
+
+      job.markQueued();
+      await this.jobRepository.save(job);
+
+      const messageId = await this.jobQueue.enqueue({
+        type: "retry-failed",
+        jobId,
+        documentIds: deadLetters.map((deadLetter) => deadLetter.documentId),
+      });
+
+      return responses.accepted(
+        {
+          jobId,
+          status: job.status,
+          messageId,
+          redriven: deadLetters.map((deadLetter) => deadLetter.id),
+          statusUrl: `/jobs/${jobId}`,
+        },
+        `${deadLetters.length} dead letters redriven`
+      );
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        return responses.conflict(error.message);
+      }
+      console.error("Redrive dead letters error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Cancels a job
+   * Queued jobs are skipped by the worker; processing jobs stop between
+   * worker groups and finalize the partial output
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async cancelJob(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const body = JSON.parse(event.body || "{}");
+      const { reason = "Cancelled by user" } = body;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const wasProcessing = job.status === "processing";
+      job.markCancelled(reason);
+      await this.jobRepository.save(job);
+
+      // A processing job is reported by the worker once it stops
+      if (!wasProcessing) {
+        await this.notifyJobEventUseCase.execute(job, "job.cancelled");
+      }
+
+      return responses.ok(
+        job.toPublicJSON(),
+        wasProcessing
+          ? "Job cancellation requested; in-flight documents will finish"
+          : "Job cancelled successfully"
+      );
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        return responses.conflict(error.message);
+      }
+      console.error("Cancel job error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Pauses a job
+   * Processing stops at the next checkpoint between worker groups
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async pauseJob(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      job.markPaused();
+      await this.jobRepository.save(job);
+
+      return responses.ok(job.toPublicJSON(), "Job paused successfully");
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        return responses.conflict(error.message);
+      }
+      console.error("Pause job error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Resumes a paused job
+   * The job is queued again and skips documents that are already completed
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async resumeJob(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      if (!job.isPaused()) {
+        return responses.conflict(`Cannot resume a ${job.status} job`);
+      }
+
+      job.markResumed();
+      await this.jobRepository.save(job);
+
+      const messageId = await this.jobQueue.enqueue({
+        type: "process",
+        jobId,
+      });
+
+      return responses.accepted(
+        {
+          jobId,
+          status: job.status,
+          messageId,
+          checkpoint: job.metadata.checkpoint,
+          statusUrl: `/jobs/${jobId}`,
+        },
+        "Job resumed and queued for processing"
+      );
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        return responses.conflict(error.message);
+      }
+      console.error("Resume job error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
   /**
    * Uploads documents for a job
+   * Retries carrying the same Idempotency-Key replay the first response
    * @param {Object} event - HTTP event
    * @returns {Promise<Object>} HTTP response
    */
   async uploadDocuments(event) {
+    return await this.idempotencyGuard.execute(event, "uploadDocuments", () =>
+      this.handleUploadDocuments(event)
+    );
+  }
+
+  /**
+   * Uploads documents for a job
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async handleUploadDocuments(event) {
     try {
       const jobId = event.pathParameters?.id;
       const body = JSON.parse(event.body || "{}");
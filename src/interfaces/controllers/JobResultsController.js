@@ -0,0 +1,337 @@
+import path from "path";
+import { ResultQuery } from "../../domain/entities/ResultQuery.js";
+import { responses, file } from "../../utils/response.js";
+import { getConfig } from "../../config/app.config.js";
+
+// MIME types of shard files, keyed by their last extension
+const CONTENT_TYPES = {
+  jsonl: "application/x-ndjson",
+  json: "application/json",
+  csv: "text/csv",
+  parquet: "application/vnd.apache.parquet",
+  gz: "application/gzip",
+  br: "application/x-brotli",
+  zst: "application/zstd",
+};
+
+/**
+ * Job Results Controller for handling HTTP requests
+ * Serves a job's output as pages of results or as whole shard files
+ * This is part of the interfaces layer in hexagon architecture
+ */
+export class JobResultsController {
+  /**
+   * Creates a new JobResultsController instance
+   * @param {JobRepository} jobRepository - Repository for jobs
+   * @param {OutputService} outputService - Service holding the output shards
+   * @param {StorageService} storageService - Storage shards are published to for presigned downloads
+   * @param {QueryJobResultsUseCase} queryJobResultsUseCase - Use case filtering, projecting and sorting results
+   */
+  constructor(
+    jobRepository,
+    outputService,
+    storageService,
+    queryJobResultsUseCase
+  ) {
+    this.jobRepository = jobRepository;
+    this.outputService = outputService;
+    this.storageService = storageService;
+    this.queryJobResultsUseCase = queryJobResultsUseCase;
+  }
+
+  /**
+   * Lists a page of a job's results
+   * Pages are requested with `limit` and the `cursor` returned with the
+   * previous page; only the shards a page spans are read
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async listResults(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const { cursor, limit } = event.queryStringParameters || {};
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      const pageSize = this.parsePageSize(limit);
+      if (pageSize === undefined) {
+        return responses.badRequest(
+          `limit must be an integer between 1 and ${getConfig(
+            "output.results.maxPageSize",
+            1000
+          )}`
+        );
+      }
+
+      const position = cursor === undefined ? null : this.decodeCursor(cursor);
+      if (position === undefined) {
+        return responses.badRequest("Invalid cursor");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const page = await this.outputService.readResultsPage(jobId, {
+        cursor: position,
+        limit: pageSize,
+      });
+
+      return responses.ok({
+        jobId,
+        results: page.results,
+        count: page.results.length,
+        limit: pageSize,
+        nextCursor: page.nextCursor ? this.encodeCursor(page.nextCursor) : null,
+      });
+    } catch (error) {
+      console.error("List job results error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Queries a job's results
+   * The body holds a `filter` of conditions ({ field, op, value }) that must
+   * all hold, the `fields` to return and `sort` keys ({ field, order }),
+   * plus `limit` and either `cursor` (unsorted) or `offset` (sorted)
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async queryResults(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch (parseError) {
+        return responses.badRequest("Request body must be valid JSON");
+      }
+      const { filter, fields, sort, limit, offset = 0, cursor } = body;
+
+      const query = new ResultQuery({ filter, fields, sort });
+      try {
+        query.validate();
+      } catch (validationError) {
+        return responses.badRequest(validationError.message);
+      }
+
+      const pageSize = this.parsePageSize(limit);
+      if (pageSize === undefined) {
+        return responses.badRequest(
+          `limit must be an integer between 1 and ${getConfig(
+            "output.results.maxPageSize",
+            1000
+          )}`
+        );
+      }
+
+      const maxSortWindow = getConfig("output.results.maxSortWindow", 10000);
+      if (
+        !Number.isInteger(offset) ||
+        offset < 0 ||
+        offset + pageSize > maxSortWindow
+      ) {
+        return responses.badRequest(
+          `offset must be a non-negative integer, with offset + limit at most ${maxSortWindow}`
+        );
+      }
+
+      const position =
+        cursor === undefined || cursor === null
+          ? null
+          : this.decodeCursor(cursor);
+      if (position === undefined) {
+        return responses.badRequest("Invalid cursor");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const page = await this.queryJobResultsUseCase.execute(jobId, query, {
+        limit: pageSize,
+        offset,
+        cursor: position,
+      });
+
+      return responses.ok({
+        jobId,
+        query: query.toJSON(),
+        results: page.results,
+        count: page.results.length,
+        limit: pageSize,
+        scannedResults: page.scannedResults,
+        nextCursor: page.nextCursor ? this.encodeCursor(page.nextCursor) : null,
+        nextOffset: page.nextOffset,
+      });
+    } catch (error) {
+      console.error("Query job results error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Downloads one of a job's shard files as stored
+   * Shards up to `output.results.maxInlineShardBytes` are returned in the
+   * response; larger ones, or any with `?delivery=url`, are streamed from
+   * disk to storage and answered with a presigned URL. The size is checked
+   * first, so a shard is only read into memory when it is returned inline
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async getResultShard(event) {
+    try {
+      const jobId = event.pathParameters?.id;
+      const shardIndex = Number(event.pathParameters?.n);
+      const { delivery = "auto" } = event.queryStringParameters || {};
+
+      if (!jobId) {
+        return responses.badRequest("Job ID is required");
+      }
+      if (!Number.isInteger(shardIndex) || shardIndex < 0) {
+        return responses.badRequest(
+          "Shard number must be a non-negative integer"
+        );
+      }
+      if (!["auto", "stream", "url"].includes(delivery)) {
+        return responses.badRequest("delivery must be auto, stream or url");
+      }
+
+      const job = await this.jobRepository.findById(jobId);
+      if (!job) {
+        return responses.notFound("Job not found");
+      }
+
+      const { outputFiles } = await this.outputService.getOutputInfo(jobId);
+      const shard = outputFiles[shardIndex];
+      const size =
+        shard &&
+        (await this.outputService.getOutputFileSize(jobId, shard.fileName));
+      if (size === undefined || size === null) {
+        return responses.notFound("Shard not found");
+      }
+
+      const maxInlineBytes = getConfig(
+        "output.results.maxInlineShardBytes",
+        5242880
+      );
+      if (delivery === "stream" && size > maxInlineBytes) {
+        return responses.badRequest(
+          `Shard is larger than ${maxInlineBytes} bytes; use delivery=url`
+        );
+      }
+
+      const contentType = this.getContentType(shard.fileName);
+      if (
+        delivery === "stream" ||
+        (delivery === "auto" && size <= maxInlineBytes)
+      ) {
+        const content = await this.outputService.readOutputFile(
+          jobId,
+          shard.fileName
+        );
+        if (!content) {
+          return responses.notFound("Shard not found");
+        }
+        return file(content, shard.fileName, contentType);
+      }
+
+      const bucket = getConfig("output.results.storageBucket", "results");
+      const expiresIn = getConfig("output.results.presignedUrlExpiresIn", 3600);
+      await this.storageService.saveFile(
+        shard.fileName,
+        this.outputService.createOutputFileStream(jobId, shard.fileName),
+        { bucket, contentType }
+      );
+      const url = await this.storageService.getPresignedUrl(shard.fileName, {
+        bucket,
+        expiresIn,
+      });
+
+      return responses.ok({
+        jobId,
+        shard: shardIndex,
+        fileName: shard.fileName,
+        recordCount: shard.recordCount,
+        size,
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      });
+    } catch (error) {
+      console.error("Get result shard error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Reads a requested page size
+   * @private
+   * @param {string|number|undefined} limit - Requested page size
+   * @returns {number|undefined} Page size, or undefined if out of range
+   */
+  parsePageSize(limit) {
+    const pageSize =
+      limit === undefined || limit === null
+        ? getConfig("output.results.defaultPageSize", 100)
+        : Number(limit);
+    return Number.isInteger(pageSize) &&
+      pageSize >= 1 &&
+      pageSize <= getConfig("output.results.maxPageSize", 1000)
+      ? pageSize
+      : undefined;
+  }
+
+  /**
+   * Encodes a results position as an opaque cursor
+   * @private
+   * @param {Object} position - Position ({ shard, record })
+   * @returns {string} Cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+  }
+
+  /**
+   * Decodes a cursor returned with an earlier page
+   * @private
+   * @param {string} cursor - Cursor
+   * @returns {Object|undefined} Position ({ shard, record }), or undefined if malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const { shard, record } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      return [shard, record].every(
+        (value) => Number.isInteger(value) && value >= 0
+      )
+        ? { shard, record }
+        : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Gets the MIME type of a shard file from its extension
+   * @private
+   * @param {string} fileName - Shard file name
+   * @returns {string} MIME type
+   */
+  getContentType(fileName) {
+    return (
+      CONTENT_TYPES[path.extname(fileName).slice(1)] ||
+      "application/octet-stream"
+    );
+  }
+}
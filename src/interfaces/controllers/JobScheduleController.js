@@ -0,0 +1,161 @@
+import { v4 as uuidv4 } from "uuid";
+import { JobSchedule } from "../../domain/entities/JobSchedule.js";
+import { ExtractionSchema } from "../../domain/entities/ExtractionSchema.js";
+import { Webhook } from "../../domain/entities/Webhook.js";
+import { responses } from "../../utils/response.js";
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Job Schedule Controller for handling HTTP requests
+ * This is part of the interfaces layer in hexagon architecture
+ */
+export class JobScheduleController {
+  /**
+   * Creates a new JobScheduleController instance
+   * @param {JobScheduleRepository} jobScheduleRepository - Repository for schedules
+   * @param {IdempotencyGuard} idempotencyGuard - Guard replaying retried requests
+   */
+  constructor(jobScheduleRepository, idempotencyGuard) {
+    this.jobScheduleRepository = jobScheduleRepository;
+    this.idempotencyGuard = idempotencyGuard;
+  }
+
+  /**
+   * Creates a new job schedule
+   * Retries carrying the same Idempotency-Key replay the first response
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async createSchedule(event) {
+    return await this.idempotencyGuard.execute(event, "createSchedule", () =>
+      this.handleCreateSchedule(event)
+    );
+  }
+
+  /**
+   * Creates a new job schedule
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async handleCreateSchedule(event) {
+    try {
+      const body = JSON.parse(event.body || "{}");
+      const {
+        name,
+        cron = null,
+        intervalSeconds = null,
+        extractionConfig,
+        priority,
+        source,
+        enabled,
+        allowOverlap,
+      } = body;
+
+      const schedule = new JobSchedule({
+        id: uuidv4(),
+        name,
+        cron,
+        intervalSeconds,
+        extractionConfig,
+        priority,
+        source,
+        enabled,
+        allowOverlap,
+      });
+
+      try {
+        schedule.validate({
+          minIntervalSeconds: getConfig("schedules.minIntervalSeconds", 60),
+        });
+        Webhook.fromConfig(extractionConfig.webhooks).forEach((webhook) =>
+          webhook.validate()
+        );
+      } catch (validationError) {
+        return responses.badRequest(validationError.message);
+      }
+
+      ExtractionSchema.resolveExtractionConfig(schedule.extractionConfig);
+      schedule.scheduleNextRun(new Date());
+
+      const savedSchedule = await this.jobScheduleRepository.save(schedule);
+
+      return responses.created(
+        savedSchedule.toPublicJSON(),
+        "Job schedule created successfully"
+      );
+    } catch (error) {
+      console.error("Create job schedule error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Lists all job schedules
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async listSchedules(event) {
+    try {
+      const schedules = await this.jobScheduleRepository.findAll();
+
+      return responses.ok({
+        schedules: schedules.map((schedule) => schedule.toPublicJSON()),
+        total: schedules.length,
+      });
+    } catch (error) {
+      console.error("List job schedules error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Gets a job schedule by ID
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async getSchedule(event) {
+    try {
+      const scheduleId = event.pathParameters?.id;
+
+      if (!scheduleId) {
+        return responses.badRequest("Schedule ID is required");
+      }
+
+      const schedule = await this.jobScheduleRepository.findById(scheduleId);
+      if (!schedule) {
+        return responses.notFound("Job schedule not found");
+      }
+
+      return responses.ok(schedule.toPublicJSON());
+    } catch (error) {
+      console.error("Get job schedule error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Deletes a job schedule; jobs it already created are kept
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async deleteSchedule(event) {
+    try {
+      const scheduleId = event.pathParameters?.id;
+
+      if (!scheduleId) {
+        return responses.badRequest("Schedule ID is required");
+      }
+
+      const deleted = await this.jobScheduleRepository.delete(scheduleId);
+      if (!deleted) {
+        return responses.notFound("Job schedule not found");
+      }
+
+      return responses.ok({ id: scheduleId }, "Job schedule deleted");
+    } catch (error) {
+      console.error("Delete job schedule error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+}
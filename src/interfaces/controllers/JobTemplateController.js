@@ -0,0 +1,144 @@
+import { v4 as uuidv4 } from "uuid";
+import { JobTemplate } from "../../domain/entities/JobTemplate.js";
+import { ExtractionSchema } from "../../domain/entities/ExtractionSchema.js";
+import { Webhook } from "../../domain/entities/Webhook.js";
+import { responses } from "../../utils/response.js";
+
+/**
+ * Job Template Controller for handling HTTP requests
+ * This is part of the interfaces layer in hexagon architecture
+ */
+export class JobTemplateController {
+  /**
+   * Creates a new JobTemplateController instance
+   * @param {JobTemplateRepository} jobTemplateRepository - Repository for templates
+   * @param {IdempotencyGuard} idempotencyGuard - Guard replaying retried requests
+   */
+  constructor(jobTemplateRepository, idempotencyGuard) {
+    this.jobTemplateRepository = jobTemplateRepository;
+    this.idempotencyGuard = idempotencyGuard;
+  }
+
+  /**
+   * Creates a new job template
+   * Retries carrying the same Idempotency-Key replay the first response
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async createTemplate(event) {
+    return await this.idempotencyGuard.execute(event, "createTemplate", () =>
+      this.handleCreateTemplate(event)
+    );
+  }
+
+  /**
+   * Creates a new job template
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async handleCreateTemplate(event) {
+    try {
+      const body = JSON.parse(event.body || "{}");
+      const { name, description, extractionConfig, priority } = body;
+
+      const template = new JobTemplate({
+        id: uuidv4(),
+        name,
+        description,
+        extractionConfig,
+        priority,
+      });
+
+      try {
+        template.validate();
+        Webhook.fromConfig(extractionConfig.webhooks).forEach((webhook) =>
+          webhook.validate()
+        );
+      } catch (validationError) {
+        return responses.badRequest(validationError.message);
+      }
+
+      ExtractionSchema.resolveExtractionConfig(template.extractionConfig);
+
+      const savedTemplate = await this.jobTemplateRepository.save(template);
+
+      return responses.created(
+        savedTemplate.toPublicJSON(),
+        "Job template created successfully"
+      );
+    } catch (error) {
+      console.error("Create job template error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Lists all job templates
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async listTemplates(event) {
+    try {
+      const templates = await this.jobTemplateRepository.findAll();
+
+      return responses.ok({
+        templates: templates.map((template) => template.toPublicJSON()),
+        total: templates.length,
+      });
+    } catch (error) {
+      console.error("List job templates error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Gets a job template by ID
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async getTemplate(event) {
+    try {
+      const templateId = event.pathParameters?.id;
+
+      if (!templateId) {
+        return responses.badRequest("Template ID is required");
+      }
+
+      const template = await this.jobTemplateRepository.findById(templateId);
+      if (!template) {
+        return responses.notFound("Job template not found");
+      }
+
+      return responses.ok(template.toPublicJSON());
+    } catch (error) {
+      console.error("Get job template error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+
+  /**
+   * Deletes a job template; jobs it already created are kept
+   * @param {Object} event - HTTP event
+   * @returns {Promise<Object>} HTTP response
+   */
+  async deleteTemplate(event) {
+    try {
+      const templateId = event.pathParameters?.id;
+
+      if (!templateId) {
+        return responses.badRequest("Template ID is required");
+      }
+
+      const deleted = await this.jobTemplateRepository.delete(templateId);
+      if (!deleted) {
+        return responses.notFound("Job template not found");
+      }
+
+      return responses.ok({ id: templateId }, "Job template deleted");
+    } catch (error) {
+      console.error("Delete job template error:", error);
+      return responses.internalError("Internal server error", error);
+    }
+  }
+}
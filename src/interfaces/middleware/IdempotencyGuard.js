@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import { IdempotencyRecord } from "../../domain/entities/IdempotencyRecord.js";
+import { getConfig } from "../../config/app.config.js";
+import { responses } from "../../utils/response.js";
+
+/**
+ * Idempotency Guard for mutating HTTP endpoints
+ * The first response sent for an `Idempotency-Key` (or the request body's
+ * `idempotency.keyField`) is stored for `idempotency.ttlSeconds` and
+ * replayed to retries of the same request
+ * This is part of the interfaces layer in hexagon architecture
+ */
+export class IdempotencyGuard {
+  /**
+   * Creates a new IdempotencyGuard instance
+   * @param {IdempotencyRepository} idempotencyRepository - Repository for stored responses
+   */
+  constructor(idempotencyRepository) {
+    this.idempotencyRepository = idempotencyRepository;
+  }
+
+  /**
+   * Runs a request handler at most once per idempotency key
+   * Server errors release the key so the request can be retried
+   * @param {Object} event - HTTP event
+   * @param {string} operation - Operation name the key is scoped to
+   * @param {Function} handler - Produces the HTTP response
+   * @returns {Promise<Object>} HTTP response, replayed if the key was seen
+   */
+  async execute(event, operation, handler) {
+    const key = this.getKey(event);
+    if (!getConfig("idempotency.enabled", false) || !key) {
+      return await handler();
+    }
+
+    const ttlSeconds = getConfig("idempotency.ttlSeconds", 86400);
+    const record = new IdempotencyRecord({
+      key: `${operation}:${key}`,
+      fingerprint: this.getFingerprint(event),
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+    });
+
+    const existing = await this.idempotencyRepository.reserve(record);
+    if (existing) {
+      if (!existing.matches(record.fingerprint)) {
+        return responses.conflict(
+          "Idempotency-Key was already used with a different request"
+        );
+      }
+      if (existing.status !== "completed") {
+        return responses.conflict(
+          "A request with this Idempotency-Key is still in progress"
+        );
+      }
+      return {
+        ...existing.response,
+        headers: { ...existing.response.headers, "Idempotent-Replayed": true },
+      };
+    }
+
+    let response;
+    try {
+      response = await handler();
+    } catch (error) {
+      await this.idempotencyRepository.delete(record.key);
+      throw error;
+    }
+
+    if (response.statusCode >= 500) {
+      await this.idempotencyRepository.delete(record.key);
+    } else {
+      record.markCompleted(response);
+      await this.idempotencyRepository.save(record);
+    }
+
+    return response;
+  }
+
+  /**
+   * Reads the idempotency key from the header or the configured body field
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {string|null} The key or null if the request has none
+   */
+  getKey(event) {
+    const header = Object.entries(event.headers || {}).find(
+      ([name]) => name.toLowerCase() === "idempotency-key"
+    );
+    if (header && header[1]) {
+      return String(header[1]);
+    }
+
+    const keyField = getConfig("idempotency.keyField", null);
+    const value = keyField ? this.parseBody(event)?.[keyField] : null;
+    return typeof value === "string" && value ? value : null;
+  }
+
+  /**
+   * Hashes the path parameters and body of a request
+   * Bodies are canonicalized so key order does not change the hash
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {string} SHA-256 hex digest
+   */
+  getFingerprint(event) {
+    const body = this.parseBody(event) ?? event.body ?? null;
+    return crypto
+      .createHash("sha256")
+      .update(canonicalize({ path: event.pathParameters || {}, body }))
+      .digest("hex");
+  }
+
+  /**
+   * Parses a JSON request body
+   * @private
+   * @param {Object} event - HTTP event
+   * @returns {Object|null} Parsed body or null if absent or not JSON
+   */
+  parseBody(event) {
+    try {
+      return event.body ? JSON.parse(event.body) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Serializes a value to JSON with object keys sorted
+ * @param {any} value - The value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
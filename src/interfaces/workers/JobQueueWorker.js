@@ -0,0 +1,218 @@
+import { getConfig } from "../../config/app.config.js";
+
+/**
+ * Job Queue Worker for draining queued job messages
+ * Receives messages from the job queue and drives the matching use case
+ * This is part of the interfaces layer in hexagon architecture
+ */
+export class JobQueueWorker {
+  /**
+   * Creates a new JobQueueWorker instance
+   * @param {JobQueue} jobQueue - Queue holding job messages
+   * @param {ProcessJobUseCase} processJobUseCase - Use case for processing jobs
+   * @param {BackpressureController} backpressure - Controller reporting in-flight pressure
+   * @param {NotifyJobEventUseCase} notifyJobEventUseCase - Use case delivering job webhooks
+   */
+  constructor(
+    jobQueue,
+    processJobUseCase,
+    backpressure,
+    notifyJobEventUseCase
+  ) {
+    this.jobQueue = jobQueue;
+    this.processJobUseCase = processJobUseCase;
+    this.backpressure = backpressure;
+    this.notifyJobEventUseCase = notifyJobEventUseCase;
+    this.running = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Drains the queue until it is empty or the message limit is reached
+   * Up to `queue.maxConcurrentJobs` messages are handled at once; their
+   * documents share worker slots through the scheduler. No new message is
+   * taken while the running jobs keep document intake under pressure
+   * @param {Object} options - Drain options
+   * @param {number} options.maxMessages - Maximum number of messages to handle
+   * @returns {Promise<Object>} Counts of processed and failed messages
+   */
+  async drain(options = {}) {
+    const { maxMessages = Infinity } = options;
+    const batchSize = getConfig("queue.receiveBatchSize", 1);
+    const maxConcurrentJobs = getConfig("queue.maxConcurrentJobs", 1);
+    const summary = { processed: 0, failed: 0 };
+    const inFlight = new Set();
+    let received = 0;
+    let queueEmpty = false;
+
+    while (true) {
+      while (
+        !queueEmpty &&
+        inFlight.size < maxConcurrentJobs &&
+        received < maxMessages &&
+        !(inFlight.size > 0 && this.backpressure.isUnderPressure())
+      ) {
+        const messages = await this.jobQueue.receive({
+          maxMessages: Math.min(
+            batchSize,
+            maxConcurrentJobs - inFlight.size,
+            maxMessages - received
+          ),
+        });
+        if (messages.length === 0) {
+          queueEmpty = true;
+          break;
+        }
+
+        received += messages.length;
+        for (const message of messages) {
+          const handling = this.handleMessage(message).then((handled) => {
+            handled ? summary.processed++ : summary.failed++;
+            inFlight.delete(handling);
+          });
+          inFlight.add(handling);
+        }
+      }
+
+      if (inFlight.size === 0) {
+        break;
+      }
+      await Promise.race(inFlight);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Handles a single queue message
+   * Successful messages are acknowledged, failed ones are released for redelivery
+   * While the message is handled its visibility is extended every
+   * `queue.heartbeatIntervalMs`, so a long job is not redelivered mid-run
+   * @param {Object} message - The received queue message
+   * @returns {Promise<boolean>} True if the message was handled successfully
+   */
+  async handleMessage(message) {
+    const { type, jobId } = message.body || {};
+    const stopHeartbeat = this.startHeartbeat(message);
+
+    try {
+      let result;
+      switch (type) {
+        case "process":
+          result = await this.processJobUseCase.execute(jobId);
+          break;
+        case "retry-failed":
+          result = await this.processJobUseCase.retryFailedDocuments(jobId, {
+            extractionConfig: message.body.extractionConfig,
+            documentIds: message.body.documentIds,
+          });
+          break;
+        case "resume":
+          result = await this.processJobUseCase.resumePausedJob(jobId);
+          break;
+        case "notify":
+          await this.notifyJobEventUseCase.deliverEvent(
+            jobId,
+            message.body.payload
+          );
+          break;
+        default:
+          throw new Error(`Unsupported message type: ${type}`);
+      }
+
+      await this.scheduleResume(result);
+      await this.jobQueue.acknowledge(message.receiptHandle);
+      return true;
+    } catch (error) {
+      console.error(`Queue message ${message.messageId} failed:`, error);
+      await this.jobQueue.release(message.receiptHandle, {
+        delayMs: getConfig("retry.initialBackoffMs", 1000),
+      });
+      return false;
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  /**
+   * Keeps a message hidden while it is handled
+   * @private
+   * @param {Object} message - The received queue message
+   * @returns {Function} Stops the heartbeat
+   */
+  startHeartbeat(message) {
+    const timer = setInterval(async () => {
+      try {
+        const held = await this.jobQueue.extendVisibility(
+          message.receiptHandle,
+          {
+            visibilityTimeoutMs: getConfig("queue.visibilityTimeoutMs", 900000),
+          }
+        );
+        if (!held) {
+          console.warn(`Queue message ${message.messageId} is no longer held`);
+        }
+      } catch (error) {
+        console.error(
+          `Failed to extend queue message ${message.messageId}:`,
+          error
+        );
+      }
+    }, getConfig("queue.heartbeatIntervalMs", 300000));
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Enqueues a delayed resume for a job paused until a set time
+   * @private
+   * @param {Object} result - Result of the processed message
+   * @returns {Promise<void>}
+   */
+  async scheduleResume(result) {
+    if (!result || !result.resumeAt) {
+      return;
+    }
+
+    await this.jobQueue.enqueue(
+      { type: "resume", jobId: result.jobId },
+      { delayMs: Math.max(new Date(result.resumeAt).getTime() - Date.now(), 0) }
+    );
+  }
+
+  /**
+   * Starts polling the queue until stopped
+   * @param {Object} options - Polling options
+   * @param {number} options.pollIntervalMs - Interval between polls when idle
+   */
+  start(options = {}) {
+    const pollIntervalMs =
+      options.pollIntervalMs || getConfig("queue.pollIntervalMs", 1000);
+    this.running = true;
+
+    const poll = async () => {
+      try {
+        await this.drain();
+      } catch (error) {
+        console.error("Job queue worker poll failed:", error);
+      }
+
+      if (this.running) {
+        this.pollTimer = setTimeout(poll, pollIntervalMs);
+      }
+    };
+
+    poll();
+  }
+
+  /**
+   * Stops polling the queue
+   */
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
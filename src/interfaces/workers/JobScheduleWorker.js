@@ -0,0 +1,23 @@
+/**
+ * Job Schedule Worker for running due job schedules
+ * Starts a job for each schedule that is due; invoked every minute by the
+ * `runSchedules` function (also under serverless offline)
+ * This is part of the interfaces layer in hexagon architecture
+ */
+export class JobScheduleWorker {
+  /**
+   * Creates a new JobScheduleWorker instance
+   * @param {RunJobSchedulesUseCase} runJobSchedulesUseCase - Use case for running schedules
+   */
+  constructor(runJobSchedulesUseCase) {
+    this.runJobSchedulesUseCase = runJobSchedulesUseCase;
+  }
+
+  /**
+   * Runs the schedules that are due
+   * @returns {Promise<Array<Object>>} Outcome of each run
+   */
+  async tick() {
+    return await this.runJobSchedulesUseCase.execute(new Date());
+  }
+}
@@ -54,12 +54,64 @@ export const error = (
   }),
 });
 
+/**
+ * Creates a Server-Sent Events response
+ * The body holds complete frames; clients reconnect after `retryMs`
+ * @param {Array<Object>} events - Events with optional id, event name and data
+ * @param {number} retryMs - Reconnection delay advertised to the client
+ * @returns {Object} Event stream response object
+ */
+export const eventStream = (events = [], retryMs = null) => ({
+  statusCode: 200,
+  headers: {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Credentials": true,
+  },
+  body: [
+    ...(retryMs !== null ? [`retry: ${retryMs}\n\n`] : []),
+    ...events.map(
+      ({ id, event, data }) =>
+        (id !== undefined ? `id: ${id}\n` : "") +
+        (event ? `event: ${event}\n` : "") +
+        `data: ${JSON.stringify(data)}\n\n`
+    ),
+  ].join(""),
+});
+
+/**
+ * Creates a file download response
+ * The body is base64 encoded so binary content passes through API Gateway
+ * @param {Buffer|string} content - File content
+ * @param {string} fileName - File name offered to the client
+ * @param {string} contentType - MIME type of the file
+ * @returns {Object} File response object
+ */
+export const file = (
+  content,
+  fileName,
+  contentType = "application/octet-stream"
+) => ({
+  statusCode: 200,
+  headers: {
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${fileName}"`,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Credentials": true,
+  },
+  isBase64Encoded: true,
+  body: Buffer.from(content).toString("base64"),
+});
+
 /**
  * Common response helpers
  */
 export const responses = {
   ok: (data, message) => success(200, data, message),
   created: (data, message) => success(201, data, message),
+  accepted: (data, message) => success(202, data, message),
   noContent: () => success(204),
   badRequest: (message, details) => error(400, message, details),
   unauthorized: (message) => error(401, message),
@@ -67,6 +119,6 @@ export const responses = {
   notFound: (message) => error(404, message),
   conflict: (message) => error(409, message),
   unprocessable: (message, details) => error(422, message, details),
-  internalError: (message, error) => error(500, message, error),
+  internalError: (message, details) => error(500, message, details),
   serviceUnavailable: (message) => error(503, message),
 };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Local Webhook Receiver
+ * Stand-in for a downstream webhook endpoint: logs job events and verifies
+ * their signatures
+ *
+ * Usage:
+ *   node webhook-receiver.js [--port 4000] [--secret s3cret] [--fail 2]
+ *
+ * Point a job at it with:
+ *   "webhooks": { "url": "http://localhost:4000/hooks", "secret": "s3cret" }
+ *
+ * --fail N answers the first N requests with 500 to exercise retries
+ */
+
+import http from "http";
+import { HttpWebhookNotifier } from "./src/infrastructure/adapters/HttpWebhookNotifier.js";
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : fallback;
+};
+
+const port = Number(option("port", process.env.WEBHOOK_PORT || 4000));
+const secret = option("secret", process.env.WEBHOOK_SECRET);
+let failuresLeft = Number(option("fail", 0));
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const event = req.headers["x-webhook-event"];
+    const signature = req.headers["x-webhook-signature"];
+    const verified = secret
+      ? HttpWebhookNotifier.verify(body, signature, secret)
+      : "not checked";
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`💥 ${event} rejected (simulated failure)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const { job } = JSON.parse(body || "{}");
+    console.log(
+      `📨 ${event} for job ${job?.id} (${job?.status}) signature: ${verified}`
+    );
+    res.writeHead(secret && !verified ? 401 : 200).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Local Job Worker
+ * Drains the file-backed job queue and processes queued jobs
+ *
+ * Usage:
+ *   node worker.js          Poll the queue until interrupted
+ *   node worker.js --once   Drain the queue once and exit
+ */
+
+import { container } from "./src/infrastructure/config/Container.js";
+
+const worker = container.getJobQueueWorker();
+
+if (process.argv.includes("--once")) {
+  const summary = await worker.drain();
+  console.log(
+    `✅ Queue drained: ${summary.processed} processed, ${summary.failed} failed`
+  );
+} else {
+  console.log("👷 Job worker polling the queue (Ctrl+C to stop)...");
+  worker.start();
+
+  process.on("SIGINT", () => {
+    worker.stop();
+    process.exit(0);
+  });
+}